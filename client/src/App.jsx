@@ -2,6 +2,13 @@ import { BrowserRouter as Router, Routes, Route, NavLink } from 'react-router-do
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import Dashboard from './components/Dashboard';
 import EntityView from './components/EntityView';
+import GlobalSearch from './components/GlobalSearch';
+import ActivityLog from './components/ActivityLog';
+import LoginPage from './components/LoginPage';
+import Settings from './components/Settings';
+import Trash from './components/Trash';
+import WorkflowRuns from './components/WorkflowRuns';
+import { useAuth } from './hooks/useAuth';
 
 // Create a client
 const queryClient = new QueryClient({
@@ -15,92 +22,179 @@ const queryClient = new QueryClient({
   },
 });
 
-function App() {
+// Everything behind the login; admin-only pages are hidden from other roles
+function Studio() {
+  const auth = useAuth();
+
+  if (auth.isLoading) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-500">Loading...</div>;
+  }
+  if (!auth.user) {
+    return <LoginPage auth={auth} />;
+  }
+
   return (
-    <QueryClientProvider client={queryClient}>
-      <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
-        <div className="min-h-screen bg-gray-50">
-          {/* Navigation */}
-          <nav className="bg-white shadow-sm border-b">
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-              <div className="flex justify-between h-16">
-                <div className="flex">
-                  <div className="flex-shrink-0 flex items-center">
-                    <h1 className="text-xl font-bold text-primary-600">
-                      DreamTeam Studio V2
-                    </h1>
-                  </div>
-                  <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
-                    <NavLink
-                      to="/"
-                      className={({ isActive }) =>
-                        `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                          isActive
-                            ? 'border-primary-500 text-gray-900'
-                            : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                        }`
-                      }
-                    >
-                      Dashboard
-                    </NavLink>
-                    <NavLink
-                      to="/problems"
-                      className={({ isActive }) =>
-                        `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                          isActive
-                            ? 'border-primary-500 text-gray-900'
-                            : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                        }`
-                      }
-                    >
-                      Problems
-                    </NavLink>
-                    <NavLink
-                      to="/solutions"
-                      className={({ isActive }) =>
-                        `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                          isActive
-                            ? 'border-primary-500 text-gray-900'
-                            : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                        }`
-                      }
-                    >
-                      Solutions
-                    </NavLink>
-                    <NavLink
-                      to="/projects"
-                      className={({ isActive }) =>
-                        `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                          isActive
-                            ? 'border-primary-500 text-gray-900'
-                            : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                        }`
-                      }
-                    >
-                      Projects
-                    </NavLink>
-                  </div>
+    <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <div className="min-h-screen bg-gray-50">
+        {/* Navigation */}
+        <nav className="bg-white shadow-sm border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between h-16">
+              <div className="flex">
+                <div className="flex-shrink-0 flex items-center">
+                  <h1 className="text-xl font-bold text-primary-600">
+                    DreamTeam Studio V2
+                  </h1>
                 </div>
-                <div className="flex items-center">
-                  <span className="text-sm text-gray-500">
-                    PostgreSQL: Neon | n8n: Connected
-                  </span>
+                <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
+                  <NavLink
+                    to="/"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Dashboard
+                  </NavLink>
+                  <NavLink
+                    to="/problems"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Problems
+                  </NavLink>
+                  <NavLink
+                    to="/solutions"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Solutions
+                  </NavLink>
+                  <NavLink
+                    to="/projects"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Projects
+                  </NavLink>
+                  <NavLink
+                    to="/trash"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Trash
+                  </NavLink>
+                  <NavLink
+                    to="/runs"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-primary-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Runs
+                  </NavLink>
+                  {auth.hasRole('admin') && (
+                    <>
+                      <NavLink
+                        to="/activity"
+                        className={({ isActive }) =>
+                          `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                            isActive
+                              ? 'border-primary-500 text-gray-900'
+                              : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                          }`
+                        }
+                      >
+                        Activity
+                      </NavLink>
+                      <NavLink
+                        to="/settings"
+                        className={({ isActive }) =>
+                          `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                            isActive
+                              ? 'border-primary-500 text-gray-900'
+                              : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                          }`
+                        }
+                      >
+                        Settings
+                      </NavLink>
+                    </>
+                  )}
                 </div>
               </div>
+              <div className="flex items-center space-x-4">
+                <GlobalSearch />
+                <span className="text-sm text-gray-500">
+                  PostgreSQL: Neon | n8n: Connected
+                </span>
+                <span className="text-sm text-gray-700" title={auth.user.email}>
+                  {auth.user.display_name || auth.user.email}
+                  <span className="ml-1 text-xs text-gray-400">{auth.user.role}</span>
+                </span>
+                <button onClick={auth.signOut} className="text-sm text-gray-500 hover:text-gray-700">
+                  Sign out
+                </button>
+              </div>
             </div>
-          </nav>
+          </div>
+        </nav>
 
-          {/* Main Content */}
-          <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/problems" element={<EntityView entityType="problem" />} />
-              <Route path="/solutions" element={<EntityView entityType="solution" />} />
-              <Route path="/projects" element={<EntityView entityType="project" />} />
-            </Routes>
-          </main>
-        </div>
-      </Router>
+        {/* Main Content */}
+        <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <Routes>
+            <Route path="/" element={<Dashboard />} />
+            <Route path="/problems" element={<EntityView entityType="problem" />} />
+            <Route path="/solutions" element={<EntityView entityType="solution" />} />
+            <Route path="/projects" element={<EntityView entityType="project" />} />
+            <Route
+              path="/trash"
+              element={<Trash canRestore={auth.hasRole('operator')} canPurge={auth.hasRole('admin')} />}
+            />
+            <Route path="/runs" element={<WorkflowRuns />} />
+            {auth.hasRole('admin') && (
+              <>
+                <Route path="/activity" element={<ActivityLog />} />
+                <Route path="/settings" element={<Settings currentUser={auth.user} />} />
+              </>
+            )}
+          </Routes>
+        </main>
+      </div>
+    </Router>
+  );
+}
+
+function App() {
+  return (
+    <QueryClientProvider client={queryClient}>
+      <Studio />
     </QueryClientProvider>
   );
 }
@@ -0,0 +1,203 @@
+import { useState, Fragment } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getAuditLog, getAuditFacets } from '../services/api';
+import { useDebounce } from '../hooks/useDebounce';
+import { formatDateTime } from '../utils/dateUtils';
+import Pagination from './Pagination';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  search: '',
+  action: '',
+  resource_type: '',
+  actor: '',
+  outcome: '',
+  from: '',
+  to: ''
+};
+
+const METHOD_STYLES = {
+  POST: 'bg-blue-100 text-blue-800',
+  PUT: 'bg-yellow-100 text-yellow-800',
+  PATCH: 'bg-yellow-100 text-yellow-800',
+  DELETE: 'bg-red-100 text-red-800'
+};
+
+const selectClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Every state-changing request against the API, newest first
+function ActivityLog() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const debouncedSearch = useDebounce(filters.search.trim(), 300);
+
+  const { data: facets } = useQuery({
+    queryKey: ['audit-facets'],
+    queryFn: getAuditFacets,
+  });
+
+  // Empty filters are left out of the request
+  const params = Object.fromEntries(
+    Object.entries({ ...filters, search: debouncedSearch })
+      .filter(([, value]) => value !== '')
+  );
+  const { data: log, isLoading, isFetching } = useQuery({
+    queryKey: ['audit-log', params, currentPage],
+    queryFn: () => getAuditLog({ ...params, limit: PAGE_SIZE, offset: (currentPage - 1) * PAGE_SIZE }),
+    placeholderData: (previousData) => previousData,
+    refetchInterval: 30000,
+  });
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const total = log?.pagination.total || 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Activity Log</h1>
+        <span className="text-sm text-gray-500">{total} entries{isFetching && ' · refreshing...'}</span>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 flex flex-wrap gap-3 items-end">
+        <label className="text-xs text-gray-500 flex-1 min-w-[12rem]">
+          Search
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => setFilter('search', e.target.value)}
+            placeholder="Path, action or error..."
+            className={`${selectClass} w-full`}
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          Action
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={`${selectClass} block max-w-[16rem]`}>
+            <option value="">All actions</option>
+            {facets?.actions.map(action => <option key={action} value={action}>{action}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Resource
+          <select value={filters.resource_type} onChange={(e) => setFilter('resource_type', e.target.value)} className={`${selectClass} block`}>
+            <option value="">All</option>
+            {facets?.resource_types.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Who
+          <select value={filters.actor} onChange={(e) => setFilter('actor', e.target.value)} className={`${selectClass} block`}>
+            <option value="">Anyone</option>
+            {facets?.actors.map(actor => <option key={actor} value={actor}>{actor}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Outcome
+          <select value={filters.outcome} onChange={(e) => setFilter('outcome', e.target.value)} className={`${selectClass} block`}>
+            <option value="">All</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          From
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={`${selectClass} block`} />
+        </label>
+        <label className="text-xs text-gray-500">
+          Before
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={`${selectClass} block`} />
+        </label>
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setCurrentPage(1); }}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+        >
+          Clear
+        </button>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-6 text-gray-500">Loading activity...</div>
+        ) : log.data.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">No activity matches these filters</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="px-4 py-2">When</th>
+                <th className="px-4 py-2">Who</th>
+                <th className="px-4 py-2">Action</th>
+                <th className="px-4 py-2">Target</th>
+                <th className="px-4 py-2">Outcome</th>
+                <th className="px-4 py-2 text-right">Duration</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {log.data.map(entry => (
+                <Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{formatDateTime(entry.created_at)}</td>
+                    <td className="px-4 py-2 text-gray-700">{entry.actor || <span className="text-gray-400">unknown</span>}</td>
+                    <td className="px-4 py-2">
+                      <span className={`inline-flex px-1.5 py-0.5 mr-2 text-xs rounded ${METHOD_STYLES[entry.method] || 'bg-gray-100 text-gray-800'}`}>
+                        {entry.method}
+                      </span>
+                      <span className="text-gray-800">{entry.action.replace(`${entry.method} `, '')}</span>
+                    </td>
+                    <td className="px-4 py-2 text-gray-600 max-w-[14rem] truncate" title={entry.path}>
+                      {entry.resource_type}{entry.resource_id && ` · ${entry.resource_id}`}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className={`inline-flex px-2 py-0.5 text-xs rounded-full ${
+                        entry.outcome === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {entry.status_code}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-500">{entry.duration_ms} ms</td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr>
+                      <td colSpan={6} className="px-4 pb-3 bg-gray-50">
+                        <div className="text-xs text-gray-500 py-2">
+                          {entry.path} · {entry.ip || 'unknown address'}
+                        </div>
+                        {entry.error && (
+                          <div className="text-sm text-red-700 bg-red-50 rounded p-2 mb-2">{entry.error}</div>
+                        )}
+                        <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto max-h-64">
+                          {JSON.stringify(entry.payload, null, 2)}
+                        </pre>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={Math.ceil(total / PAGE_SIZE)}
+        totalItems={total}
+        itemsPerPage={PAGE_SIZE}
+        onPageChange={setCurrentPage}
+        itemName="entries"
+      />
+    </div>
+  );
+}
+
+export default ActivityLog;
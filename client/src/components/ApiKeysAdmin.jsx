@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Copy } from 'lucide-react';
+import { getApiKeys, createApiKey, revokeApiKey } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const SCOPE_DESCRIPTIONS = {
+  read: 'Read only',
+  workflows: 'Read and trigger workflows',
+  write: 'Same as an operator',
+  admin: 'Everything'
+};
+
+const fieldClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const EMPTY_KEY = { name: '', scope: 'read', expires_in_days: '' };
+
+// Admin page section for issuing and revoking API keys for n8n and scripts
+function ApiKeysAdmin() {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState(EMPTY_KEY);
+  const [issuedKey, setIssuedKey] = useState(null);
+
+  const { data: keys = [], isLoading } = useQuery({
+    queryKey: ['api-keys'],
+    queryFn: getApiKeys,
+  });
+
+  const onError = (error) => {
+    alert('Failed to save API key: ' + (error.response?.data?.error || error.message));
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createApiKey,
+    onSuccess: (apiKey) => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+      setIssuedKey(apiKey);
+      setDraft(EMPTY_KEY);
+    },
+    onError
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: revokeApiKey,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['api-keys'] }),
+    onError
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: draft.name,
+      scope: draft.scope,
+      expires_in_days: draft.expires_in_days ? parseInt(draft.expires_in_days) : null
+    });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (window.confirm(`Revoke "${apiKey.name}"? Clients using it stop working immediately.`)) {
+      revokeMutation.mutate(apiKey.id);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-4 flex flex-wrap gap-3 items-end">
+        <label className="text-xs text-gray-500">
+          Name
+          <input
+            type="text"
+            required
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="e.g. n8n production"
+            className={`${fieldClass} block w-56`}
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          Scope
+          <select value={draft.scope} onChange={(e) => setDraft({ ...draft, scope: e.target.value })} className={`${fieldClass} block`}>
+            {Object.entries(SCOPE_DESCRIPTIONS).map(([scope, description]) => (
+              <option key={scope} value={scope}>{scope} – {description}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Expires after (days)
+          <input
+            type="number"
+            min="1"
+            value={draft.expires_in_days}
+            onChange={(e) => setDraft({ ...draft, expires_in_days: e.target.value })}
+            placeholder="Never"
+            className={`${fieldClass} block w-32`}
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={createMutation.isPending}
+          className="px-4 py-1.5 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+        >
+          Create key
+        </button>
+      </form>
+
+      {issuedKey && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-2">
+          <div className="text-sm text-green-800">
+            Key for <span className="font-semibold">{issuedKey.name}</span>. Copy it now; it is not shown again.
+            Send it as <code>X-API-Key</code> or <code>Authorization: Bearer</code>.
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-sm bg-white border border-green-200 rounded px-2 py-1 break-all">{issuedKey.key}</code>
+            <button
+              onClick={() => navigator.clipboard.writeText(issuedKey.key)}
+              className="p-1.5 text-green-700 hover:bg-green-100 rounded"
+              title="Copy"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+            <button onClick={() => setIssuedKey(null)} className="text-xs text-gray-500 hover:text-gray-700">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-6 text-gray-500">Loading API keys...</div>
+        ) : keys.length === 0 ? (
+          <div className="p-6 text-sm text-gray-500 italic">No API keys yet</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="px-4 py-2">Name</th>
+                <th className="px-4 py-2">Scope</th>
+                <th className="px-4 py-2">Created</th>
+                <th className="px-4 py-2">Last used</th>
+                <th className="px-4 py-2">Expires</th>
+                <th className="px-4 py-2 text-right">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {keys.map(apiKey => {
+                const isExpired = apiKey.expires_at && new Date(apiKey.expires_at) < new Date();
+                return (
+                  <tr key={apiKey.id} className={apiKey.revoked_at || isExpired ? 'opacity-50' : ''}>
+                    <td className="px-4 py-2">
+                      <div className="font-medium text-gray-900">{apiKey.name}</div>
+                      <code className="text-xs text-gray-500">{apiKey.prefix}…</code>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700" title={SCOPE_DESCRIPTIONS[apiKey.scope]}>{apiKey.scope}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {formatDateTime(apiKey.created_at)}
+                      {apiKey.created_by && <div className="text-xs text-gray-400">{apiKey.created_by}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {apiKey.last_used_at ? formatDateTime(apiKey.last_used_at) : 'Never'}
+                      {apiKey.last_used_ip && <div className="text-xs text-gray-400">{apiKey.last_used_ip}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{apiKey.expires_at ? formatDateTime(apiKey.expires_at) : 'Never'}</td>
+                    <td className="px-4 py-2 text-right">
+                      {apiKey.revoked_at ? (
+                        <span className="text-xs text-gray-500" title={apiKey.revoked_by || undefined}>
+                          Revoked {formatDateTime(apiKey.revoked_at)}
+                        </span>
+                      ) : isExpired ? (
+                        <span className="text-xs text-gray-500">Expired</span>
+                      ) : (
+                        <button
+                          onClick={() => handleRevoke(apiKey)}
+                          disabled={revokeMutation.isPending}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApiKeysAdmin;
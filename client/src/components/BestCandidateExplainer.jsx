@@ -1,25 +1,56 @@
 import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Settings } from 'lucide-react';
+import { getSolutionScoreBreakdown } from '../services/api';
+import { useScoringProfiles } from '../hooks/useScoringProfiles';
+import ScoringProfilesModal from './ScoringProfilesModal';
+import { SCORE_COMPONENT_COLORS } from '../config/tableConfig';
+
+const formatWeight = (weight) => `${Math.round(weight * 1000) / 10}%`;
+
+// How a component's raw points were derived, in the terms of its inputs
+const componentDetail = (component, { facts, profile }) => {
+  const weighted = `× ${formatWeight(component.weight)} weight = ${component.points.toFixed(1)}`;
+  const { inputs } = profile;
+  switch (component.key) {
+    case 'viability':
+      return `${facts.overall_viability ?? 0}% viability ${weighted}`;
+    case 'ltv_cac':
+      if (facts.ltv_cac_ratio === null) return `No LTV:CAC estimate ${weighted}`;
+      return (
+        <>
+          £{facts.ltv_estimate} ÷ £{facts.cac_estimate} = {facts.ltv_cac_ratio.toFixed(2)}:1 ratio
+          <br />
+          Min({facts.ltv_cac_ratio.toFixed(2)} × {inputs.ltv_cac_multiplier}, {inputs.ltv_cac_cap}) {weighted}
+        </>
+      );
+    case 'problems':
+      return inputs.problem_points_cap === null
+        ? `${facts.problem_count} problems × ${inputs.points_per_problem} ${weighted}`
+        : `Min(${facts.problem_count} problems × ${inputs.points_per_problem}, ${inputs.problem_points_cap}) ${weighted}`;
+    default:
+      return `${component.raw.toFixed(1)} ${weighted}`;
+  }
+};
 
 function BestCandidateExplainer({ solution }) {
   const [isExpanded, setIsExpanded] = useState(false);
-  
+  const [showProfiles, setShowProfiles] = useState(false);
+  const { profiles, activeProfile, activate, isPending } = useScoringProfiles();
+
+  // The server computes the score with the active profile, component by component
+  const { data: breakdown } = useQuery({
+    queryKey: ['solution-score', solution?.id],
+    queryFn: () => getSolutionScoreBreakdown(solution.id),
+    enabled: !!solution,
+  });
+
   if (!solution) return null;
-  
-  // Use the actual database score and reverse-engineer the components
-  const totalScore = parseFloat(solution.candidate_score || solution.selection_score || 0);
-  
-  // Calculate what the components SHOULD be based on the formula
-  const ltv_cac_ratio = solution.ltv_estimate && solution.cac_estimate 
-    ? parseFloat(solution.ltv_estimate) / parseFloat(solution.cac_estimate)
-    : 0;
-  
-  const viabilityScore = (parseFloat(solution.overall_viability) || 0) * 0.4;
-  const ltvcacScore = Math.min(ltv_cac_ratio * 5, 50) * 0.3;
-  const problemScore = (parseInt(solution.problem_count) || 0) * 2 * 0.3;
-  
-  // Note: If components don't add up to totalScore, it means the database
-  // calculated differently (possibly due to data changes after calculation)
-  
+
+  const totalScore = breakdown
+    ? breakdown.score
+    : parseFloat(solution.candidate_score || solution.selection_score || 0);
+
   return (
     <div className="bg-gradient-to-r from-yellow-50 to-amber-50 rounded-lg p-4 border-2 border-yellow-400">
       <div className="flex items-start justify-between">
@@ -42,6 +73,27 @@ function BestCandidateExplainer({ solution }) {
                 </svg>
               )}
             </button>
+            <div className="ml-auto flex items-center gap-1 text-sm">
+              <select
+                value={activeProfile?.id ?? ''}
+                onChange={(e) => activate(parseInt(e.target.value))}
+                disabled={isPending || profiles.length === 0}
+                className="px-2 py-1 text-sm border border-yellow-300 rounded bg-white/70 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                title="Scoring profile - switching rescores and re-ranks every solution"
+              >
+                {!activeProfile && <option value="">Default formula</option>}
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setShowProfiles(true)}
+                className="p-1 text-gray-500 hover:text-gray-700 hover:bg-yellow-100 rounded-lg transition-colors"
+                title="Manage scoring profiles"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+            </div>
           </div>
           
           <div className="flex items-center gap-4 text-sm">
@@ -57,7 +109,7 @@ function BestCandidateExplainer({ solution }) {
         </div>
       </div>
       
-      {isExpanded && (
+      {isExpanded && breakdown && (
         <div className="mt-4 space-y-4">
           {/* Formula Explanation */}
           <div className="bg-white/70 rounded-lg p-3 border border-yellow-300">
@@ -66,9 +118,9 @@ function BestCandidateExplainer({ solution }) {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               <div className="text-sm text-gray-700">
-                <p className="font-semibold mb-1">Selection Formula:</p>
+                <p className="font-semibold mb-1">Selection Formula ({breakdown.profile.name} profile):</p>
                 <code className="bg-gray-100 px-2 py-1 rounded text-xs">
-                  Score = (Viability × 40%) + (LTV:CAC × 30%) + (Problems × 30%)
+                  Score = {breakdown.components.map(c => `(${c.label} × ${formatWeight(c.weight)})`).join(' + ')}
                 </code>
               </div>
             </div>
@@ -76,58 +128,23 @@ function BestCandidateExplainer({ solution }) {
           
           {/* Score Breakdown */}
           <div className="space-y-3">
-            {/* Viability Component */}
-            <div className="bg-white/50 rounded-lg p-3">
-              <div className="flex justify-between items-center mb-1">
-                <span className="text-sm font-medium text-gray-700">Viability Score</span>
-                <span className="text-sm font-bold">{viabilityScore.toFixed(1)} pts</span>
-              </div>
-              <div className="text-xs text-gray-600">
-                {solution.overall_viability}% viability × 40% weight = {viabilityScore.toFixed(1)}
-              </div>
-              <div className="mt-2 bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-green-500 h-2 rounded-full transition-all"
-                  style={{ width: `${(viabilityScore / 40) * 100}%` }}
-                />
-              </div>
-            </div>
-            
-            {/* LTV:CAC Component */}
-            <div className="bg-white/50 rounded-lg p-3">
-              <div className="flex justify-between items-center mb-1">
-                <span className="text-sm font-medium text-gray-700">LTV:CAC Ratio Score</span>
-                <span className="text-sm font-bold">{ltvcacScore.toFixed(1)} pts</span>
-              </div>
-              <div className="text-xs text-gray-600">
-                £{solution.ltv_estimate || 0} ÷ £{solution.cac_estimate || 0} = {ltv_cac_ratio.toFixed(2)}:1 ratio
-                <br />
-                Min({ltv_cac_ratio.toFixed(2)} × 5, 50) × 30% weight = {ltvcacScore.toFixed(1)}
+            {breakdown.components.map(component => (
+              <div key={component.key} className="bg-white/50 rounded-lg p-3">
+                <div className="flex justify-between items-center mb-1">
+                  <span className="text-sm font-medium text-gray-700">{component.label}</span>
+                  <span className="text-sm font-bold">{component.points.toFixed(1)} pts</span>
+                </div>
+                <div className="text-xs text-gray-600">
+                  {componentDetail(component, breakdown)}
+                </div>
+                <div className="mt-2 bg-gray-200 rounded-full h-2">
+                  <div 
+                    className={`${SCORE_COMPONENT_COLORS[component.key] || 'bg-gray-500'} h-2 rounded-full transition-all`}
+                    style={{ width: `${totalScore > 0 ? Math.min((component.points / totalScore) * 100, 100) : 0}%` }}
+                  />
+                </div>
               </div>
-              <div className="mt-2 bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-blue-500 h-2 rounded-full transition-all"
-                  style={{ width: `${(ltvcacScore / 15) * 100}%` }}
-                />
-              </div>
-            </div>
-            
-            {/* Problems Solved Component */}
-            <div className="bg-white/50 rounded-lg p-3">
-              <div className="flex justify-between items-center mb-1">
-                <span className="text-sm font-medium text-gray-700">Problems Addressed Score</span>
-                <span className="text-sm font-bold">{problemScore.toFixed(1)} pts</span>
-              </div>
-              <div className="text-xs text-gray-600">
-                {solution.problem_count || 0} problems × 2 × 30% weight = {problemScore.toFixed(1)}
-              </div>
-              <div className="mt-2 bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-purple-500 h-2 rounded-full transition-all"
-                  style={{ width: `${Math.min((problemScore / 30) * 100, 100)}%` }}
-                />
-              </div>
-            </div>
+            ))}
           </div>
           
           {/* Total Score Summary */}
@@ -136,20 +153,25 @@ function BestCandidateExplainer({ solution }) {
               <span className="font-semibold text-gray-800">Total Selection Score:</span>
               <span className="text-2xl font-bold text-yellow-700">{totalScore.toFixed(1)}</span>
             </div>
-            <div className="text-xs text-gray-600 mt-1">
-              Maximum possible score: 100 points
-            </div>
+            {breakdown.stored_score !== null && breakdown.stored_score !== breakdown.score && (
+              <div className="text-xs text-gray-600 mt-1">
+                The saved score ({breakdown.stored_score.toFixed(1)}) predates the latest data and is refreshed on the next rescore.
+              </div>
+            )}
           </div>
           
           {/* Why This Matters */}
-          <div className="text-xs text-gray-600 italic">
-            This scoring system balances business viability (40%), unit economics (30%), 
-            and problem coverage (30%) to identify solutions with the highest success potential.
-          </div>
+          {activeProfile?.description && (
+            <div className="text-xs text-gray-600 italic">
+              {activeProfile.description}
+            </div>
+          )}
         </div>
       )}
+
+      {showProfiles && <ScoringProfilesModal onClose={() => setShowProfiles(false)} />}
     </div>
   );
 }
 
-export default BestCandidateExplainer;
\ No newline at end of file
+export default BestCandidateExplainer;
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ArrowUp, ArrowDown, SlidersHorizontal } from 'lucide-react';
+import {
+  getCandidateLeaderboard,
+  getWhatIfLeaderboard,
+  getScoringComponents,
+  createProductFromSolution
+} from '../services/api';
+import { useDebounce } from '../hooks/useDebounce';
+import { useScoringProfiles } from '../hooks/useScoringProfiles';
+import { SCORE_COMPONENT_COLORS } from '../config/tableConfig';
+
+const LEADERBOARD_SIZE = 10;
+
+// Positive change = moved up. null means there is nothing to compare with.
+const RankChange = ({ change, isNew }) => {
+  if (isNew) return <span className="text-xs text-blue-600">new</span>;
+  if (change === null || change === undefined) return <span className="text-xs text-gray-300">–</span>;
+  if (change === 0) return <span className="text-xs text-gray-400">–</span>;
+  return change > 0 ? (
+    <span className="flex items-center text-xs text-green-600"><ArrowUp className="h-3 w-3" />{change}</span>
+  ) : (
+    <span className="flex items-center text-xs text-red-600"><ArrowDown className="h-3 w-3" />{-change}</span>
+  );
+};
+
+// Stacked bar of the points each component contributes
+const ScoreBar = ({ components, score }) => (
+  <div className="flex h-2 w-32 bg-gray-100 rounded-full overflow-hidden">
+    {components.map(component => (
+      <div
+        key={component.key}
+        className={SCORE_COMPONENT_COLORS[component.key] || 'bg-gray-500'}
+        style={{ width: `${score > 0 ? (component.points / score) * 100 : 0}%` }}
+        title={`${component.label}: ${component.points.toFixed(1)} pts`}
+      />
+    ))}
+  </div>
+);
+
+// Top product candidates, with a what-if panel to try other weights before triggering F4
+function CandidateLeaderboard() {
+  const queryClient = useQueryClient();
+  const [whatIfWeights, setWhatIfWeights] = useState(null);
+  const debouncedWeights = useDebounce(whatIfWeights, 250);
+  const { create: createProfile, isPending: isSavingProfile } = useScoringProfiles();
+
+  const { data: leaderboard, isLoading } = useQuery({
+    queryKey: ['candidate-leaderboard'],
+    queryFn: () => getCandidateLeaderboard(LEADERBOARD_SIZE),
+  });
+
+  const { data: catalogue } = useQuery({
+    queryKey: ['scoring-components'],
+    queryFn: getScoringComponents,
+    staleTime: Infinity,
+  });
+
+  const { data: whatIf, isFetching: isRanking, error: whatIfError } = useQuery({
+    queryKey: ['candidate-leaderboard-what-if', debouncedWeights],
+    queryFn: () => getWhatIfLeaderboard(debouncedWeights, LEADERBOARD_SIZE),
+    enabled: !!debouncedWeights,
+    placeholderData: (previousData) => previousData,
+  });
+
+  const productMutation = useMutation({
+    mutationFn: (solution) => createProductFromSolution(solution.id),
+    onSuccess: () => {
+      alert('Product creation initiated! Check Linear and GitHub in a few minutes.');
+      queryClient.invalidateQueries({ queryKey: ['candidate-leaderboard'] });
+      queryClient.invalidateQueries({ queryKey: ['bestSolutionCandidate'] });
+    },
+    onError: (error) => {
+      alert(`Failed to create product: ${error.response?.data?.error || error.message}`);
+    }
+  });
+
+  const handleCreateProduct = (solution) => {
+    if (window.confirm(`Create a product from "${solution.title}"?\n\nThis will trigger the F4 workflow to create:\n- GitHub repository with dedicated Codespace\n- GCP IP Tenant\n- Complete product setup`)) {
+      productMutation.mutate(solution);
+    }
+  };
+
+  const handleSaveProfile = () => {
+    const name = window.prompt('Name for the new scoring profile:');
+    if (!name?.trim()) return;
+    createProfile(
+      { name, weights: whatIfWeights },
+      { onSuccess: (profile) => alert(`Saved "${profile.name}". Activate it from the scoring profiles to use it.`) }
+    );
+  };
+
+  if (isLoading || !leaderboard) {
+    return <div className="bg-white rounded-lg shadow p-6 text-gray-500">Loading leaderboard...</div>;
+  }
+
+  const isWhatIf = !!whatIfWeights;
+  const shown = isWhatIf && whatIf ? whatIf : leaderboard;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">🏁 Candidate Leaderboard</h2>
+          <p className="text-xs text-gray-500">
+            Top {shown.items.length} of {shown.total_candidates} candidates · {shown.profile.name} profile ·{' '}
+            {isWhatIf
+              ? 'arrows compare with the current ranking'
+              : leaderboard.baseline_date
+                ? `arrows compare with ${new Date(leaderboard.baseline_date).toLocaleDateString()}`
+                : 'rank changes appear once a week of history exists'}
+          </p>
+        </div>
+        <button
+          onClick={() => setWhatIfWeights(isWhatIf ? null : { ...leaderboard.profile.weights })}
+          className={`flex items-center gap-1 px-3 py-1.5 text-sm rounded border ${
+            isWhatIf ? 'border-primary-300 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <SlidersHorizontal className="h-4 w-4" /> What-if
+        </button>
+      </div>
+
+      {isWhatIf && catalogue && (
+        <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-3">
+            {catalogue.components.map(component => (
+              <label key={component.key} className="text-xs text-gray-600">
+                <div className="flex justify-between">
+                  <span>{component.label}</span>
+                  <span className="font-medium">{Math.round((whatIfWeights[component.key] || 0) * 100)}%</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={whatIfWeights[component.key] || 0}
+                  onChange={(e) => setWhatIfWeights({ ...whatIfWeights, [component.key]: parseFloat(e.target.value) })}
+                  className="w-full"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-between items-center mt-3 text-xs">
+            <span className={whatIfError ? 'text-red-600' : 'text-gray-500'}>
+              {whatIfError
+                ? whatIfError.response?.data?.error || 'Failed to rank with these weights'
+                : isRanking ? 'Re-ranking...' : 'Nothing is saved until you save the weights as a profile'}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setWhatIfWeights({ ...leaderboard.profile.weights })}
+                className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-white"
+              >
+                Reset
+              </button>
+              <button
+                onClick={handleSaveProfile}
+                disabled={isSavingProfile}
+                className="px-2 py-1 text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+              >
+                Save as profile
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {shown.items.length === 0 ? (
+        <div className="text-sm text-gray-500 italic">No SaaS candidates without a product</div>
+      ) : (
+        <table className="w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            {shown.items.map(item => (
+              <tr key={item.id} className={isRanking ? 'opacity-60' : ''}>
+                <td className="py-2 pr-2 w-8 font-semibold text-gray-700">{item.rank}</td>
+                <td className="py-2 pr-3 w-10">
+                  {isWhatIf ? (
+                    <RankChange change={item.current_rank - item.rank} />
+                  ) : (
+                    <RankChange
+                      change={item.rank_change}
+                      isNew={!!leaderboard.baseline_date && item.previous_rank === null}
+                    />
+                  )}
+                </td>
+                <td className="py-2 pr-3 min-w-0">
+                  <div className="font-medium text-gray-900 truncate">{item.title}</div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {item.identifier}{item.source_cluster_label && ` · ${item.source_cluster_label}`}
+                  </div>
+                </td>
+                <td className="py-2 pr-3">
+                  <ScoreBar components={item.components} score={item.score} />
+                </td>
+                <td className="py-2 pr-3 w-16 text-right font-semibold text-gray-900">{item.score.toFixed(1)}</td>
+                <td className="py-2 w-28 text-right">
+                  <button
+                    onClick={() => handleCreateProduct(item)}
+                    disabled={productMutation.isPending}
+                    className="px-2 py-1 text-xs border border-green-300 text-green-700 rounded hover:bg-green-50 disabled:opacity-50"
+                  >
+                    Create product
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CandidateLeaderboard;
@@ -1,15 +1,19 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { RefreshCw, Trash2, Plus, ChevronUp, ChevronDown, ChevronRight, Info, HelpCircle } from 'lucide-react';
+import { RefreshCw, Trash2, Plus, ChevronUp, ChevronDown, ChevronRight, Info, HelpCircle, Undo2, GitCompare, ChartLine } from 'lucide-react';
 import { 
   createClusteringScenario, 
   getClusteringScenarios, 
   getClusteringScenarioDetails,
   deleteClusteringScenario,
-  getClusteringConfig 
+  getClusteringConfig,
+  getScenarioApplications,
+  undoScenarioApplication
 } from '../services/api';
 import { formatDateTime } from '../utils/dateUtils';
 import ScenarioResults from './ScenarioResults';
+import ScenarioComparison from './ScenarioComparison';
+import ClusteringSweeps from './ClusteringSweeps';
 import ColumnSelector from './ColumnSelector';
 import ClusterVisualization from './ClusterVisualization';
 import { usePinnedEntities } from '../hooks/usePinnedEntities';
@@ -26,6 +30,34 @@ function ClusterConfiguration({ entityType = 'problem' }) {
     queryFn: () => getClusteringConfig(entityType),
   });
   
+  // Latest scenario application still in force - the one "Undo apply" reverts
+  const { data: applications } = useQuery({
+    queryKey: ['scenario-applications', entityType],
+    queryFn: () => getScenarioApplications(entityType),
+  });
+  const lastApplication = applications?.find(a => !a.undone_at) || null;
+
+  const undoMutation = useMutation({
+    mutationFn: (id) => undoScenarioApplication(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scenario-applications', entityType] });
+      queryClient.invalidateQueries({ queryKey: ['clustering-config', entityType] });
+      queryClient.invalidateQueries({ queryKey: ['clustering-scenarios'] });
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-versions'] });
+    },
+    onError: (error) => {
+      alert('Failed to undo apply: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const handleUndoApply = () => {
+    const version = lastApplication.previous_version;
+    if (window.confirm(`Undo the last applied scenario?\n\nAll ${entityType} cluster assignments go back to how they were before it was applied${version !== null ? ` (version ${version})` : ''}.`)) {
+      undoMutation.mutate(lastApplication.id);
+    }
+  };
+
   // Use production config or fallback to defaults
   const currentStats = productionConfig ? {
     k: productionConfig.k_value,
@@ -50,6 +82,9 @@ function ClusterConfiguration({ entityType = 'problem' }) {
   }, [productionConfig]);
   const [selectedScenarioId, setSelectedScenarioId] = useState(null);
   const [showResults, setShowResults] = useState(false);
+  const [compareIds, setCompareIds] = useState([]); // Up to two completed scenarios
+  const [showComparison, setShowComparison] = useState(false);
+  const [showSweeps, setShowSweeps] = useState(false);
   const [showCreatePanel, setShowCreatePanel] = useState(false);
   const [sortField, setSortField] = useState('requested_at');
   const [sortOrder, setSortOrder] = useState('desc');
@@ -145,6 +180,11 @@ function ClusterConfiguration({ entityType = 'problem' }) {
     }
   };
   
+  // Keep the two most recently picked scenarios
+  const toggleCompare = (id) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+  };
+
   const handleSort = (field) => {
     if (sortField === field) {
       setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
@@ -348,6 +388,27 @@ function ClusterConfiguration({ entityType = 'problem' }) {
                   )}
                 </div>
                 
+                {/* Parameter sweeps */}
+                <button
+                  onClick={() => setShowSweeps(true)}
+                  className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg flex items-center gap-1.5 bg-white text-gray-700 hover:border-gray-400 hover:bg-gray-50"
+                  title="Run a grid of K and T values and compare them"
+                >
+                  <ChartLine className="h-4 w-4" />
+                  <span>Sweeps</span>
+                </button>
+
+                {/* Compare the two checked scenarios */}
+                <button
+                  onClick={() => setShowComparison(true)}
+                  disabled={compareIds.length !== 2}
+                  className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg flex items-center gap-1.5 bg-white text-gray-700 hover:border-gray-400 hover:bg-gray-50 disabled:opacity-50"
+                  title={compareIds.length !== 2 ? 'Check two completed scenarios to compare' : 'Compare scenarios'}
+                >
+                  <GitCompare className="h-4 w-4" />
+                  <span>Compare{compareIds.length > 0 ? ` (${compareIds.length}/2)` : ''}</span>
+                </button>
+
                 {/* Help Button */}
                 <button
                   onClick={() => setShowHelp(!showHelp)}
@@ -431,6 +492,24 @@ function ClusterConfiguration({ entityType = 'problem' }) {
           </div>
         )}
         
+        {/* Last applied scenario */}
+        {lastApplication && (
+          <div className="flex items-center justify-between bg-white border-b px-6 py-2 text-sm text-gray-600">
+            <span>
+              Last applied: K={lastApplication.k_value ?? '?'}, T={lastApplication.similarity_threshold ?? '?'} on {formatDateTime(lastApplication.applied_at)}
+              {' '}· version {lastApplication.applied_version} · {lastApplication.items_changed} {entityType}s changed cluster
+            </span>
+            <button
+              onClick={handleUndoApply}
+              disabled={undoMutation.isPending}
+              className="flex items-center gap-1.5 px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Undo2 className="h-4 w-4" />
+              {undoMutation.isPending ? 'Undoing...' : 'Undo apply'}
+            </button>
+          </div>
+        )}
+
         {/* Table Section */}
         <div className="bg-white shadow-sm">
           <div className="overflow-x-auto">
@@ -608,6 +687,15 @@ function ClusterConfiguration({ entityType = 'problem' }) {
                       {visibleColumns.includes('actions') && (
                         <td className="px-6 py-4 whitespace-nowrap text-center">
                           <div className="flex items-center justify-center gap-2">
+                            {scenario.status === 'completed' && (
+                              <input
+                                type="checkbox"
+                                checked={compareIds.includes(scenario.id)}
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={() => toggleCompare(scenario.id)}
+                                title="Select to compare"
+                              />
+                            )}
                             {scenario.status === 'completed' && (
                               <button
                                 onClick={(e) => {
@@ -691,6 +779,24 @@ function ClusterConfiguration({ entityType = 'problem' }) {
         </div>
       </div>
       
+      {/* Comparison Modal */}
+      {showComparison && compareIds.length === 2 && (
+        <ScenarioComparison
+          scenarioA={compareIds[0]}
+          scenarioB={compareIds[1]}
+          onClose={() => setShowComparison(false)}
+        />
+      )}
+
+      {/* Parameter Sweeps Modal */}
+      {showSweeps && (
+        <ClusteringSweeps
+          entityType={entityType}
+          currentStats={currentStats}
+          onClose={() => setShowSweeps(false)}
+        />
+      )}
+
       {/* Results Modal */}
       {showResults && selectedScenarioId && (
         <ScenarioResults 
@@ -698,6 +804,8 @@ function ClusterConfiguration({ entityType = 'problem' }) {
           onClose={() => {
             setShowResults(false);
             refetchScenarios();
+            queryClient.invalidateQueries({ queryKey: ['scenario-applications', entityType] });
+            queryClient.invalidateQueries({ queryKey: ['clustering-config', entityType] });
           }}
         />
       )}
@@ -0,0 +1,130 @@
+import { useState, useEffect, memo } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { mergeClusters } from '../services/api';
+
+// Merge selected clusters into one - preview first, then apply the same operation
+const ClusterMergeModal = memo(function ClusterMergeModal({ isOpen, onClose, clusters = [], onMerged }) {
+  const queryClient = useQueryClient();
+  const [label, setLabel] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  // Default label: the largest cluster survives, so start from its label
+  useEffect(() => {
+    if (isOpen) {
+      const largest = [...clusters].sort((a, b) => (b.problem_count || 0) - (a.problem_count || 0))[0];
+      setLabel(largest?.cluster_label || '');
+      setPreview(null);
+    }
+  }, [isOpen, clusters]);
+
+  const clusterIds = clusters.map(c => c.cluster_id);
+
+  const previewMutation = useMutation({
+    mutationFn: () => mergeClusters(clusterIds, { label, preview: true }),
+    onSuccess: (result) => setPreview(result),
+    onError: (error) => {
+      alert('Failed to preview merge: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: () => mergeClusters(clusterIds, { label }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+      queryClient.invalidateQueries({ queryKey: ['problems'] });
+      queryClient.invalidateQueries({ queryKey: ['solutions'] });
+      onMerged?.(result);
+      onClose();
+    },
+    onError: (error) => {
+      alert('Failed to merge clusters: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  if (!isOpen) return null;
+
+  const isBusy = previewMutation.isPending || mergeMutation.isPending;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900">Merge {clusters.length} clusters</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <ul className="text-sm text-gray-700 space-y-1">
+            {clusters.map(cluster => (
+              <li key={cluster.cluster_id} className="flex justify-between">
+                <span>{cluster.cluster_label}</span>
+                <span className="text-gray-500">{cluster.problem_count} problems</span>
+              </li>
+            ))}
+          </ul>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Merged cluster label</label>
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => {
+                setLabel(e.target.value);
+                setPreview(null);
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+
+          {preview && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800 space-y-1">
+              <div>
+                Result: <strong>{preview.cluster_label}</strong> (keeps cluster #{preview.cluster_id})
+              </div>
+              <div>{preview.problem_count} problems, {preview.solution_count} solutions move into it</div>
+              <div>
+                New average similarity:{' '}
+                {preview.avg_similarity !== null ? parseFloat(preview.avg_similarity).toFixed(3) : 'n/a'}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              disabled={isBusy}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => previewMutation.mutate()}
+              className="px-4 py-2 text-primary-700 bg-primary-50 rounded-md hover:bg-primary-100 disabled:opacity-50"
+              disabled={isBusy || clusters.length < 2}
+            >
+              {previewMutation.isPending ? 'Previewing...' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              onClick={() => mergeMutation.mutate()}
+              className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+              disabled={isBusy || !preview}
+              title={!preview ? 'Preview the merge first' : undefined}
+            >
+              {mergeMutation.isPending ? 'Merging...' : 'Merge'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default ClusterMergeModal;
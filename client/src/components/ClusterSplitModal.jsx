@@ -0,0 +1,168 @@
+import { useState, useEffect, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { splitCluster } from '../services/api';
+
+// Split one cluster into k sub-clusters: pick k from scored candidates,
+// preview the exact partition, name the parts, then apply
+const ClusterSplitModal = memo(function ClusterSplitModal({ isOpen, onClose, cluster, onSplit }) {
+  const queryClient = useQueryClient();
+  const [k, setK] = useState(null);
+  const [labels, setLabels] = useState([]);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setK(null);
+      setLabels([]);
+      setPreview(null);
+    }
+  }, [isOpen, cluster?.cluster_id]);
+
+  const { data: candidates, isLoading: candidatesLoading } = useQuery({
+    queryKey: ['cluster-split-candidates', cluster?.cluster_id],
+    queryFn: () => splitCluster(cluster.cluster_id, { preview: true }),
+    enabled: isOpen && !!cluster,
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: (selectedK) => splitCluster(cluster.cluster_id, { k: selectedK, preview: true }),
+    onSuccess: (result) => {
+      setPreview(result);
+      setLabels(result.parts.map(part => part.cluster_label));
+    },
+    onError: (error) => {
+      alert('Failed to preview split: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const splitMutation = useMutation({
+    mutationFn: () => splitCluster(cluster.cluster_id, { k, labels }),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-split-candidates'] });
+      queryClient.invalidateQueries({ queryKey: ['problems'] });
+      onSplit?.(result);
+      onClose();
+    },
+    onError: (error) => {
+      alert('Failed to split cluster: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  if (!isOpen || !cluster) return null;
+
+  const isBusy = previewMutation.isPending || splitMutation.isPending;
+
+  const handleSelectK = (selectedK) => {
+    setK(selectedK);
+    setLabels([]);
+    previewMutation.mutate(selectedK);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900">Split “{cluster.cluster_label}”</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Candidate k values */}
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-2">Number of sub-clusters</div>
+            {candidatesLoading ? (
+              <div className="text-sm text-gray-500">Scoring sub-clusterings...</div>
+            ) : candidates?.candidates?.length > 0 ? (
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {candidates.candidates.map(candidate => (
+                  <button
+                    key={candidate.k}
+                    type="button"
+                    onClick={() => handleSelectK(candidate.k)}
+                    disabled={isBusy}
+                    className={`p-2 text-left border rounded-md text-sm ${
+                      k === candidate.k ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="font-medium">k = {candidate.k}</div>
+                    <div className="text-xs text-gray-500">Quality {candidate.quality.toFixed(3)}</div>
+                    <div className="text-xs text-gray-500">Sizes {candidate.sizes.join(' / ')}</div>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500 italic">Not enough embedded problems to split this cluster</div>
+            )}
+          </div>
+
+          {previewMutation.isPending && (
+            <div className="text-sm text-gray-500">Previewing split...</div>
+          )}
+
+          {/* Preview of the chosen partition */}
+          {preview && !previewMutation.isPending && (
+            <div className="space-y-3">
+              {preview.parts.map((part, index) => (
+                <div key={part.cluster_id} className="p-3 border rounded-md">
+                  <div className="flex items-center gap-2 mb-2">
+                    <input
+                      type="text"
+                      value={labels[index] || ''}
+                      onChange={(e) => setLabels(prev => prev.map((l, i) => (i === index ? e.target.value : l)))}
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    />
+                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                      {part.problem_count} problems · sim {part.avg_similarity !== null ? parseFloat(part.avg_similarity).toFixed(3) : 'n/a'}
+                    </span>
+                    {!part.is_new && (
+                      <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-600 rounded">keeps #{part.cluster_id}</span>
+                    )}
+                  </div>
+                  <ul className="text-xs text-gray-600 list-disc list-inside">
+                    {part.sample_titles.map((title, i) => (
+                      <li key={i} className="truncate">{title}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+              {preview.unembedded_count > 0 && (
+                <p className="text-xs text-orange-600">
+                  {preview.unembedded_count} problem{preview.unembedded_count !== 1 ? 's have' : ' has'} no embedding and will stay in this cluster.
+                </p>
+              )}
+              <p className="text-xs text-gray-500">Solutions generated from this cluster stay with the part that keeps its ID.</p>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              disabled={isBusy}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => splitMutation.mutate()}
+              className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+              disabled={isBusy || !preview}
+              title={!preview ? 'Pick a k to preview the split first' : undefined}
+            >
+              {splitMutation.isPending ? 'Splitting...' : `Split into ${preview?.parts.length || k || ''}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default ClusterSplitModal;
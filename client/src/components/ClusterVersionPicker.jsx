@@ -0,0 +1,179 @@
+import { useState, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getClusterVersions, diffClusterVersions, activateClusterVersion } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const DiffClusterList = ({ title, clusters, className }) => (
+  <div>
+    <div className={`text-sm font-medium mb-1 ${className}`}>{title} ({clusters.length})</div>
+    {clusters.length === 0 ? (
+      <div className="text-xs text-gray-400 italic">None</div>
+    ) : (
+      <ul className="text-sm text-gray-700 space-y-0.5">
+        {clusters.map(cluster => (
+          <li key={cluster.cluster_id} className="flex justify-between gap-2">
+            <span className="truncate">{cluster.is_outlier_bucket ? 'Outlier bucket' : cluster.cluster_label}</span>
+            {cluster.problem_count !== null && (
+              <span className="text-xs text-gray-500 whitespace-nowrap">{cluster.problem_count} problems</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// Version picker for problem clusters: compare any version with the active one and activate it
+const ClusterVersionPicker = memo(function ClusterVersionPicker() {
+  const queryClient = useQueryClient();
+  const [selectedVersion, setSelectedVersion] = useState(null);
+
+  const { data: versions } = useQuery({
+    queryKey: ['cluster-versions'],
+    queryFn: getClusterVersions,
+  });
+
+  const activeVersion = versions?.find(v => v.is_active)?.version ?? null;
+
+  const { data: diff, isLoading: diffLoading } = useQuery({
+    queryKey: ['cluster-version-diff', activeVersion, selectedVersion],
+    queryFn: () => diffClusterVersions(activeVersion, selectedVersion),
+    enabled: selectedVersion !== null && activeVersion !== null && selectedVersion !== activeVersion,
+  });
+
+  const activateMutation = useMutation({
+    mutationFn: () => activateClusterVersion(selectedVersion),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['cluster-versions'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-version-diff'] });
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+      queryClient.invalidateQueries({ queryKey: ['problems'] });
+      setSelectedVersion(null);
+    },
+    onError: (error) => {
+      alert('Failed to activate version: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  if (!versions || versions.length < 2) return null;
+
+  const handleActivate = () => {
+    if (window.confirm(`Make version ${selectedVersion} the active cluster version? Current assignments are saved under version ${activeVersion} and can be restored.`)) {
+      activateMutation.mutate();
+    }
+  };
+
+  return (
+    <>
+      <select
+        value={selectedVersion ?? activeVersion ?? ''}
+        onChange={(e) => {
+          const version = parseInt(e.target.value);
+          setSelectedVersion(version === activeVersion ? null : version);
+        }}
+        className="px-2 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+        title="Cluster version"
+      >
+        {versions.map(v => (
+          <option key={v.version} value={v.version}>
+            v{v.version} · {v.cluster_count} clusters{v.is_active ? ' (active)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {selectedVersion !== null && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-6 space-y-4">
+              <div className="flex justify-between items-center">
+                <h2 className="text-xl font-semibold text-gray-900">
+                  Version {selectedVersion} vs active version {activeVersion}
+                </h2>
+                <button onClick={() => setSelectedVersion(null)} className="text-gray-400 hover:text-gray-600">
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              {(() => {
+                const version = versions.find(v => v.version === selectedVersion);
+                return version && (
+                  <div className="text-sm text-gray-500">
+                    Created {formatDateTime(version.created_at)} · {version.cluster_count} clusters
+                    {version.avg_similarity !== null && ` · avg similarity ${parseFloat(version.avg_similarity).toFixed(3)}`}
+                  </div>
+                );
+              })()}
+
+              {diffLoading ? (
+                <div className="text-sm text-gray-500">Comparing versions...</div>
+              ) : diff && (
+                <>
+                  {!diff.membership_compared && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+                      No saved assignments for this version, so clusters are matched by label only.
+                      Activating it assigns each problem to its nearest centroid.
+                    </div>
+                  )}
+                  {diff.summary.problems_moved !== null && (
+                    <div className="text-sm text-gray-700">
+                      {diff.summary.problems_moved} problems would change cluster · {diff.summary.unchanged} clusters unchanged
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 gap-4">
+                    <DiffClusterList title="Only in this version" clusters={diff.appeared} className="text-green-700" />
+                    <DiffClusterList title="Only in active version" clusters={diff.disappeared} className="text-red-700" />
+                  </div>
+                  {diff.changed.length > 0 && (
+                    <div>
+                      <div className="text-sm font-medium text-gray-700 mb-1">Changed membership ({diff.changed.length})</div>
+                      <table className="w-full text-sm">
+                        <tbody className="divide-y divide-gray-100">
+                          {diff.changed.map(change => (
+                            <tr key={`${change.from.cluster_id}-${change.to.cluster_id}`}>
+                              <td className="py-1 pr-2 truncate">{change.from.cluster_label}</td>
+                              <td className="py-1 pr-2 text-gray-400">→</td>
+                              <td className="py-1 pr-2 truncate">{change.to.cluster_label}</td>
+                              <td className="py-1 text-xs text-gray-500 whitespace-nowrap text-right">
+                                <span className="text-green-600">+{change.added_count}</span>{' '}
+                                <span className="text-red-600">−{change.removed_count}</span>{' '}
+                                · {(change.jaccard * 100).toFixed(0)}% overlap
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="flex justify-end gap-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setSelectedVersion(null)}
+                  className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                  disabled={activateMutation.isPending}
+                >
+                  Close
+                </button>
+                <button
+                  type="button"
+                  onClick={handleActivate}
+                  className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                  disabled={activateMutation.isPending}
+                >
+                  {activateMutation.isPending ? 'Activating...' : `Activate version ${selectedVersion}`}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+});
+
+export default ClusterVersionPicker;
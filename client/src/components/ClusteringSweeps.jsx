@@ -0,0 +1,307 @@
+import { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { XCircle } from 'lucide-react';
+import { createClusteringSweep, getClusteringSweeps, getClusteringSweepDetails } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+const METRICS = [
+  { key: 'outlier_percentage', label: 'Outlier %', format: (v) => `${v.toFixed(1)}%` },
+  { key: 'avg_similarity', label: 'Avg similarity', format: (v) => v.toFixed(3) },
+  { key: 'cluster_count', label: 'Cluster count', format: (v) => String(v) }
+];
+
+const SERIES_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+
+// "10, 15, 20" or "10-30:5" (start-end:step)
+const parseValues = (text, parse) => {
+  const values = [];
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const range = part.match(/^([\d.]+)\s*-\s*([\d.]+)\s*:\s*([\d.]+)$/);
+    if (range) {
+      const [start, end, step] = range.slice(1).map(parse);
+      if (!(step > 0)) continue;
+      // Round to avoid 0.1 + 0.2 style drift on threshold ranges
+      for (let v = start; v <= end + step / 1000; v += step) values.push(Math.round(v * 1000) / 1000);
+    } else {
+      values.push(parse(part));
+    }
+  }
+  return [...new Set(values.filter(v => !isNaN(v)))].sort((a, b) => a - b);
+};
+
+const progressOf = (sweep) => {
+  const done = sweep.completed_count + sweep.failed_count;
+  return sweep.scenario_count > 0 ? done / sweep.scenario_count : 0;
+};
+
+function SweepProgress({ sweep }) {
+  const inFlight = sweep.pending_count + sweep.processing_count;
+  return (
+    <div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden flex">
+        <div className="bg-green-500" style={{ width: `${(sweep.completed_count / (sweep.scenario_count || 1)) * 100}%` }} />
+        <div className="bg-red-400" style={{ width: `${(sweep.failed_count / (sweep.scenario_count || 1)) * 100}%` }} />
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        {sweep.completed_count}/{sweep.scenario_count} completed
+        {sweep.failed_count > 0 && ` · ${sweep.failed_count} failed`}
+        {inFlight > 0 && ` · ${sweep.processing_count} processing, ${sweep.pending_count} pending`}
+      </div>
+    </div>
+  );
+}
+
+function ElbowChart({ sweep, metric }) {
+  const chartData = useMemo(() => {
+    const thresholds = [...new Set(sweep.scenarios.map(s => parseFloat(s.similarity_threshold)))];
+    return {
+      datasets: thresholds.map((threshold, i) => ({
+        label: `T=${threshold}`,
+        data: sweep.scenarios
+          .filter(s => parseFloat(s.similarity_threshold) === threshold && s.status === 'completed')
+          .map(s => ({ x: s.k_value, y: s[metric.key] === null ? null : parseFloat(s[metric.key]) })),
+        borderColor: SERIES_COLORS[i % SERIES_COLORS.length],
+        backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length],
+        tension: 0.2
+      }))
+    };
+  }, [sweep, metric]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      title: { display: true, text: `${metric.label} by K` },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}, K=${context.parsed.x}: ${metric.format(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'K (number of clusters)' }, ticks: { precision: 0 } },
+      y: { title: { display: true, text: metric.label }, beginAtZero: metric.key !== 'avg_similarity' }
+    }
+  };
+
+  return (
+    <div className="h-80">
+      <Line data={chartData} options={options} />
+    </div>
+  );
+}
+
+// Named parameter sweeps: submit a grid of K x T scenarios and compare them in elbow charts
+function ClusteringSweeps({ entityType, currentStats, onClose }) {
+  const queryClient = useQueryClient();
+  const [selectedSweepId, setSelectedSweepId] = useState(null);
+  const [metricKey, setMetricKey] = useState('outlier_percentage');
+  const [name, setName] = useState('');
+  const [kText, setKText] = useState('10-40:5');
+  const [thresholdText, setThresholdText] = useState('0.5, 0.55, 0.6');
+
+  const kValues = parseValues(kText, (v) => parseInt(v));
+  const thresholds = parseValues(thresholdText, (v) => parseFloat(v));
+
+  const { data: sweeps = [] } = useQuery({
+    queryKey: ['clustering-sweeps', entityType],
+    queryFn: () => getClusteringSweeps(entityType),
+    refetchInterval: (query) =>
+      (query.state.data || []).some(s => progressOf(s) < 1) ? 5000 : false,
+  });
+
+  const activeSweepId = selectedSweepId ?? sweeps[0]?.id ?? null;
+  const activeSummary = sweeps.find(s => s.id === activeSweepId);
+
+  const { data: sweep } = useQuery({
+    queryKey: ['clustering-sweep', activeSweepId, activeSummary?.completed_count],
+    queryFn: () => getClusteringSweepDetails(activeSweepId),
+    enabled: activeSweepId !== null,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: createClusteringSweep,
+    onSuccess: (created) => {
+      queryClient.invalidateQueries({ queryKey: ['clustering-sweeps', entityType] });
+      queryClient.invalidateQueries({ queryKey: ['clustering-scenarios', entityType] });
+      setSelectedSweepId(created.id);
+      setName('');
+    },
+    onError: (error) => {
+      alert('Failed to create sweep: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const handleCreate = () => {
+    createMutation.mutate({
+      name,
+      entity_type: entityType,
+      k_values: kValues,
+      similarity_thresholds: thresholds
+    });
+  };
+
+  const metric = METRICS.find(m => m.key === metricKey);
+  const gridSize = kValues.length * thresholds.length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-6xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {entityType === 'solution' ? 'Solution' : 'Problem'} Parameter Sweeps
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto bg-gray-50 grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* New sweep + sweep list */}
+          <div className="space-y-4">
+            <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+              <h3 className="text-sm font-semibold text-gray-700">New Sweep</h3>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Sweep name"
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">K values</label>
+                <input
+                  type="text"
+                  value={kText}
+                  onChange={(e) => setKText(e.target.value)}
+                  className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <div className="text-xs text-gray-500 mt-1">{kValues.join(', ') || 'None'}</div>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Similarity thresholds</label>
+                <input
+                  type="text"
+                  value={thresholdText}
+                  onChange={(e) => setThresholdText(e.target.value)}
+                  className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <div className="text-xs text-gray-500 mt-1">{thresholds.join(', ') || 'None'}</div>
+              </div>
+              <div className="text-xs text-gray-500">
+                Lists like <code>10, 20, 30</code> or ranges like <code>10-40:5</code>.
+                {currentStats && ` Production: K=${currentStats.k}, T=${currentStats.threshold}.`}
+              </div>
+              <button
+                onClick={handleCreate}
+                disabled={createMutation.isPending || !name.trim() || gridSize === 0}
+                className="w-full px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {createMutation.isPending ? 'Creating Sweep...' : `Create ${gridSize} Scenarios`}
+              </button>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-100">
+              {sweeps.length === 0 ? (
+                <div className="p-4 text-sm text-gray-500 italic">No sweeps yet</div>
+              ) : sweeps.map(s => (
+                <button
+                  key={s.id}
+                  onClick={() => setSelectedSweepId(s.id)}
+                  className={`w-full text-left p-3 hover:bg-gray-50 ${s.id === activeSweepId ? 'bg-blue-50' : ''}`}
+                >
+                  <div className="flex justify-between gap-2 text-sm">
+                    <span className="font-medium text-gray-900 truncate">{s.name}</span>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(s.created_at)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 mb-1">
+                    {s.k_values.length} K × {s.similarity_thresholds.length} T
+                  </div>
+                  <SweepProgress sweep={s} />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Results of the selected sweep */}
+          <div className="lg:col-span-2 space-y-4">
+            {!sweep ? (
+              <div className="bg-white rounded-lg border border-gray-200 p-12 text-center text-gray-500">
+                Create a sweep to chart its scenarios
+              </div>
+            ) : (
+              <>
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <div className="flex justify-between items-center mb-3">
+                    <h3 className="font-semibold text-gray-900">{sweep.name}</h3>
+                    <div className="flex gap-1">
+                      {METRICS.map(m => (
+                        <button
+                          key={m.key}
+                          onClick={() => setMetricKey(m.key)}
+                          className={`px-2 py-1 text-xs rounded ${
+                            m.key === metricKey ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          {m.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {activeSummary && <SweepProgress sweep={activeSummary} />}
+                  <ElbowChart sweep={sweep} metric={metric} />
+                </div>
+
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="py-1 pr-2">K</th>
+                        <th className="py-1 pr-2">T</th>
+                        <th className="py-1 pr-2">Status</th>
+                        <th className="py-1 pr-2 text-right">Clusters</th>
+                        <th className="py-1 pr-2 text-right">Outliers</th>
+                        <th className="py-1 text-right">Avg similarity</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {sweep.scenarios.map(s => (
+                        <tr key={s.id}>
+                          <td className="py-1 pr-2">{s.k_value}</td>
+                          <td className="py-1 pr-2">{s.similarity_threshold}</td>
+                          <td className="py-1 pr-2 text-gray-600">{s.status}</td>
+                          <td className="py-1 pr-2 text-right">{s.status === 'completed' ? s.cluster_count : '-'}</td>
+                          <td className="py-1 pr-2 text-right">
+                            {s.outlier_percentage !== null ? `${parseFloat(s.outlier_percentage).toFixed(1)}%` : '-'}
+                          </td>
+                          <td className="py-1 text-right">
+                            {s.avg_similarity !== null ? parseFloat(s.avg_similarity).toFixed(3) : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ClusteringSweeps;
@@ -4,6 +4,10 @@ import { getClusters, getProblemsByCluster, getSolutionsByCluster, getClustersFi
 import api from '../services/api';
 import { formatDateTime, isNewItem } from '../utils/dateUtils';
 import SearchInput from './SearchInput';
+import MoveToClusterModal from './MoveToClusterModal';
+import ClusterMergeModal from './ClusterMergeModal';
+import ClusterSplitModal from './ClusterSplitModal';
+import ClusterVersionPicker from './ClusterVersionPicker';
 import ColumnSelector from './ColumnSelector';
 import TableHeader from './TableHeader';
 import Pagination from './Pagination';
@@ -146,10 +150,24 @@ const FiltersSection = memo(function FiltersSection({
 });
 
 // Cluster row component for expandable functionality - memoized to prevent re-renders
-const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityType = 'problem', isNew, isFlashing, onStudy, isPinned, onTogglePin }) {
+const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityType = 'problem', isNew, isFlashing, onStudy, isPinned, onTogglePin, isSelected, onToggleSelect, onSplit }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [problemSort, setProblemSort] = useState({ field: 'impact', order: 'desc' });
   const [solutionSort, setSolutionSort] = useState({ field: 'viability', order: 'desc' });
+  const [selectedProblemIds, setSelectedProblemIds] = useState(new Set());
+  const [problemsToMove, setProblemsToMove] = useState(null);
+
+  const toggleProblemSelected = (problemId) => {
+    setSelectedProblemIds(prev => {
+      const next = new Set(prev);
+      if (next.has(problemId)) {
+        next.delete(problemId);
+      } else {
+        next.add(problemId);
+      }
+      return next;
+    });
+  };
   
   const { data: problems, isLoading: problemsLoading } = useQuery({
     queryKey: ['cluster-problems', cluster.cluster_id],
@@ -330,7 +348,17 @@ const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityTyp
           </td>
         )}
         <td className="px-3 py-4 text-center" style={{ width: '120px' }}>
-          <div className="flex gap-1 justify-center">
+          <div className="flex gap-1 justify-center items-center">
+            {onToggleSelect && (
+              <input
+                type="checkbox"
+                checked={!!isSelected}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => onToggleSelect(cluster)}
+                className="mr-1"
+                title="Select for merge"
+              />
+            )}
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -359,6 +387,20 @@ const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityTyp
                 <path d="M16,12V4H17V2H7V4H8V12L6,14V16H11.2V22H12.8V16H18V14L16,12Z" />
               </svg>
             </button>
+            {onSplit && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onSplit(cluster);
+                }}
+                className="p-2 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                title="Split this cluster"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M12 3v6m0 0l-6 6v6m6-12l6 6v6" />
+                </svg>
+              </button>
+            )}
           </div>
         </td>
       </tr>
@@ -591,6 +633,14 @@ const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityTyp
                   <div className="flex items-center justify-between mb-3">
                     <div className="text-sm font-semibold text-gray-700 flex items-center gap-2">
                       📋 Problems ({problems?.length || 0})
+                      {selectedProblemIds.size > 0 && (
+                        <button
+                          onClick={() => setProblemsToMove(problems.filter(p => selectedProblemIds.has(p.id)))}
+                          className="text-xs font-medium px-2 py-0.5 text-purple-700 border border-purple-200 rounded hover:bg-purple-50"
+                        >
+                          Move selected ({selectedProblemIds.size})
+                        </button>
+                      )}
                     </div>
                     {problems?.length > 1 && (
                       <select
@@ -618,8 +668,23 @@ const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityTyp
                     <div className="space-y-2 max-h-96 overflow-y-auto">
                       {sortedProblems?.map((problem) => (
                         <div key={problem.id} className="bg-white p-3 rounded border border-gray-200">
-                          <div className="text-sm font-medium text-gray-900">
-                            {problem.title}
+                          <div className="flex items-start gap-2">
+                            <input
+                              type="checkbox"
+                              checked={selectedProblemIds.has(problem.id)}
+                              onChange={() => toggleProblemSelected(problem.id)}
+                              className="mt-0.5 w-4 h-4 text-blue-600 border-gray-300 rounded"
+                            />
+                            <div className="flex-1 text-sm font-medium text-gray-900">
+                              {problem.title}
+                            </div>
+                            <button
+                              onClick={() => setProblemsToMove([problem])}
+                              className="text-xs text-purple-600 hover:text-purple-800"
+                              title="Move to another cluster"
+                            >
+                              Move
+                            </button>
                           </div>
                           <div className="text-xs text-gray-500 mt-1 line-clamp-2">
                             {problem.description}
@@ -729,6 +794,14 @@ const ClusterRow = memo(function ClusterRow({ cluster, visibleColumns, entityTyp
                 </div>
               </div>
             </div>
+
+            <MoveToClusterModal
+              isOpen={!!problemsToMove}
+              onClose={() => setProblemsToMove(null)}
+              problems={problemsToMove || []}
+              currentClusterId={cluster.cluster_id}
+              onMoved={() => setSelectedProblemIds(new Set())}
+            />
           </td>
         </tr>
       )}
@@ -743,6 +816,9 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
   const [newItemIds, setNewItemIds] = useState(new Set());
   const [flashItemIds, setFlashItemIds] = useState(new Set());
   const [currentPage, setCurrentPage] = useState(1); // Pagination state
+  const [selectedClusters, setSelectedClusters] = useState([]); // Clusters selected for merge
+  const [isMergeModalOpen, setIsMergeModalOpen] = useState(false);
+  const [splittingCluster, setSplittingCluster] = useState(null);
   const previousDataRef = useRef(null);
   const searchTerm = externalFilters?.searchTerm ?? localSearchTerm;
   
@@ -851,6 +927,17 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
     keepPreviousData: true,
   });
 
+  // Merge and split only apply to problem clusters
+  const canRestructure = entityType === 'problem';
+
+  const toggleClusterSelection = useCallback((cluster) => {
+    setSelectedClusters(prev => (
+      prev.some(c => c.cluster_id === cluster.cluster_id)
+        ? prev.filter(c => c.cluster_id !== cluster.cluster_id)
+        : [...prev, cluster]
+    ));
+  }, []);
+
   // Handle refresh
   const handleRefresh = async () => {
     setIsRefreshing(true);
@@ -1080,6 +1167,23 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
               {entityType === 'solution' ? 'Solution' : 'Problem'} Clusters ({clusters?.length || 0} total)
             </h2>
             <div className="flex items-center gap-3">
+              {canRestructure && <ClusterVersionPicker />}
+              {canRestructure && selectedClusters.length >= 2 && (
+                <button
+                  onClick={() => setIsMergeModalOpen(true)}
+                  className="px-3 py-1.5 text-sm text-white bg-primary-600 rounded hover:bg-primary-700"
+                >
+                  Merge ({selectedClusters.length})
+                </button>
+              )}
+              {canRestructure && selectedClusters.length > 0 && (
+                <button
+                  onClick={() => setSelectedClusters([])}
+                  className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded"
+                >
+                  Clear selection
+                </button>
+              )}
               <button
                 onClick={handleRefresh}
                 disabled={isRefreshing}
@@ -1162,6 +1266,9 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
                     onStudy={onStudy}
                     isPinned={true}
                     onTogglePin={togglePin}
+                    isSelected={selectedClusters.some(c => c.cluster_id === cluster.cluster_id)}
+                    onToggleSelect={canRestructure ? toggleClusterSelection : undefined}
+                    onSplit={canRestructure ? setSplittingCluster : undefined}
                   />
                 ))}
                 
@@ -1186,6 +1293,9 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
                     onStudy={onStudy}
                     isPinned={false}
                     onTogglePin={togglePin}
+                    isSelected={selectedClusters.some(c => c.cluster_id === cluster.cluster_id)}
+                    onToggleSelect={canRestructure ? toggleClusterSelection : undefined}
+                    onSplit={canRestructure ? setSplittingCluster : undefined}
                   />
                 ))}
               </>
@@ -1204,6 +1314,23 @@ function ClustersTable({ filters: externalFilters, onFiltersChange, onDataFilter
         onPageChange={setCurrentPage}
         itemName="clusters"
       />
+
+      {canRestructure && (
+        <>
+          <ClusterMergeModal
+            isOpen={isMergeModalOpen}
+            onClose={() => setIsMergeModalOpen(false)}
+            clusters={selectedClusters}
+            onMerged={() => setSelectedClusters([])}
+          />
+          <ClusterSplitModal
+            isOpen={!!splittingCluster}
+            onClose={() => setSplittingCluster(null)}
+            cluster={splittingCluster}
+            onSplit={() => setSelectedClusters([])}
+          />
+        </>
+      )}
     </div>
   );
 }
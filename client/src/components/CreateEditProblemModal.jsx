@@ -0,0 +1,197 @@
+import { useState, useEffect, memo } from 'react';
+
+const IMPACT_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  source_url: '',
+  impact: '',
+  industry: '',
+  business_size: ''
+};
+
+// Create/Edit Problem Modal - manual counterpart to F1 ingestion
+const CreateEditProblemModal = memo(function CreateEditProblemModal({
+  isOpen,
+  onClose,
+  onSave,
+  problem = null, // null for create, object for edit
+  filterOptions = null, // existing industries / business sizes for suggestions
+  isLoading = false
+}) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Initialize form when problem changes or modal opens
+  useEffect(() => {
+    if (problem) {
+      setFormData({
+        title: problem.title || '',
+        description: problem.description || '',
+        source_url: problem.source_url || '',
+        impact: problem.impact || '',
+        industry: problem.industry || '',
+        business_size: problem.business_size || ''
+      });
+    } else if (isOpen) {
+      setFormData(EMPTY_FORM);
+    }
+  }, [problem, isOpen]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(formData);
+  };
+
+  if (!isOpen) return null;
+
+  const isEdit = !!problem;
+  const industries = filterOptions?.industries?.map(i => i.value ?? i) || [];
+  const businessSizes = filterOptions?.business_sizes || [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isEdit ? `Edit Problem ${problem.identifier || ''}` : 'Create Problem'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {!isEdit && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+              <p className="text-sm text-blue-700">
+                New problems start unclustered. They are embedded and assigned to a cluster on the next F2 run.
+              </p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Title <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                value={formData.title}
+                onChange={(e) => setFormData(prev => ({ ...prev, title: e.target.value }))}
+                placeholder="Short statement of the problem"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <textarea
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="Who has this problem and why does it hurt?"
+                rows={4}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Source URL
+              </label>
+              <input
+                type="url"
+                value={formData.source_url}
+                onChange={(e) => setFormData(prev => ({ ...prev, source_url: e.target.value }))}
+                placeholder="https://..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Impact
+                </label>
+                <select
+                  value={formData.impact}
+                  onChange={(e) => setFormData(prev => ({ ...prev, impact: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="">Not set</option>
+                  {IMPACT_LEVELS.map(level => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Industry
+                </label>
+                <input
+                  type="text"
+                  list="problem-industry-options"
+                  value={formData.industry}
+                  onChange={(e) => setFormData(prev => ({ ...prev, industry: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <datalist id="problem-industry-options">
+                  {industries.map(industry => (
+                    <option key={industry} value={industry} />
+                  ))}
+                </datalist>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Business Size
+                </label>
+                <input
+                  type="text"
+                  list="problem-business-size-options"
+                  value={formData.business_size}
+                  onChange={(e) => setFormData(prev => ({ ...prev, business_size: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <datalist id="problem-business-size-options">
+                  {businessSizes.map(size => (
+                    <option key={size} value={size} />
+                  ))}
+                </datalist>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4 border-t">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                disabled={isLoading}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                disabled={isLoading || !formData.title.trim()}
+              >
+                {isLoading ? 'Saving...' : (isEdit ? 'Update Problem' : 'Create Problem')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default CreateEditProblemModal;
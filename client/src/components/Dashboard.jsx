@@ -1,11 +1,12 @@
 import { useQuery } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { useState, useEffect } from 'react';
-import { getPipelineStats, getProblems, getClusters, getSolutions, getBestSolutionCandidate } from '../services/api';
+import { getPipelineStats, getProblemsPage, getClusters, getSolutionsPage, getBestSolutionCandidate } from '../services/api';
 import { usePinnedEntities } from '../hooks/usePinnedEntities';
 import { ExternalLink } from 'lucide-react';
 import StudyModeModal from './StudyModeModal';
 import BestCandidateExplainer from './BestCandidateExplainer';
+import CandidateLeaderboard from './CandidateLeaderboard';
 import { formatNumber } from '../utils/numberUtils';
 
 function Dashboard() {
@@ -36,7 +37,7 @@ function Dashboard() {
   // Fetch data for insights and pinned entities
   const { data: problems, refetch: refetchProblems } = useQuery({
     queryKey: ['problemsOverview'],
-    queryFn: () => getProblems({ limit: 500 }),
+    queryFn: () => getProblemsPage({ limit: 500 }).then(page => page.data),
   });
 
   const { data: clusters, refetch: refetchClusters } = useQuery({
@@ -46,7 +47,7 @@ function Dashboard() {
 
   const { data: solutions, refetch: refetchSolutions } = useQuery({
     queryKey: ['solutionsOverview'],
-    queryFn: () => getSolutions({ limit: 500 }),
+    queryFn: () => getSolutionsPage({ limit: 500 }).then(page => page.data),
   });
 
   // Handle refresh all data
@@ -173,6 +174,9 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Top candidates and what-if ranking */}
+      <CandidateLeaderboard />
+
       {/* Key Metrics Grid with Integrated Pipeline Health */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         <MetricCard
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { findDuplicateProblems, mergeProblems, dismissDuplicatePair } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const THRESHOLDS = [0.85, 0.9, 0.92, 0.95, 0.98];
+
+const PairSide = ({ problem, onKeep, disabled }) => (
+  <div className="flex-1 min-w-0 p-3 rounded border border-gray-200 bg-gray-50">
+    <div className="flex justify-between items-start gap-2 mb-1">
+      <span className="text-xs text-gray-400">{problem.identifier}</span>
+      <span className="text-xs text-gray-500 whitespace-nowrap">
+        {problem.solution_count} solutions · {formatDateTime(problem.created_at)}
+      </span>
+    </div>
+    <div className="font-medium text-gray-900">{problem.title}</div>
+    {problem.description && (
+      <div className="text-sm text-gray-600 mt-1 line-clamp-3">{problem.description}</div>
+    )}
+    {problem.source_url && (
+      <a href={problem.source_url} target="_blank" rel="noopener noreferrer" className="block text-xs text-primary-600 hover:underline mt-1 truncate">
+        {problem.source_url}
+      </a>
+    )}
+    <button
+      onClick={onKeep}
+      disabled={disabled}
+      className="mt-2 px-3 py-1 text-xs text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+    >
+      Keep this one
+    </button>
+  </div>
+);
+
+// Near-duplicate problems within a cluster: keep one and merge the other into it, or mark them distinct
+function DuplicateProblems() {
+  const queryClient = useQueryClient();
+  const [threshold, setThreshold] = useState(0.92);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['problem-duplicates', threshold],
+    queryFn: () => findDuplicateProblems({ threshold }),
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['problem-duplicates'] });
+    queryClient.invalidateQueries({ queryKey: ['problems'] });
+    queryClient.invalidateQueries({ queryKey: ['clusters'] });
+    queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+  };
+
+  const mergeMutation = useMutation({
+    mutationFn: async ({ keep, duplicate }) => {
+      const preview = await mergeProblems(keep.id, [duplicate.id], { preview: true });
+      const message = [
+        `Merge ${duplicate.identifier} into ${keep.identifier}?`,
+        `${duplicate.identifier} is deleted; its source URL is kept in the merge history.`,
+        `${preview.solution_links_added} solution link(s) move over.`
+      ].join('\n\n');
+      if (!window.confirm(message)) return null;
+      return mergeProblems(keep.id, [duplicate.id]);
+    },
+    onSuccess: (result) => {
+      if (result) invalidate();
+    },
+    onError: (error) => {
+      alert('Failed to merge problems: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const dismissMutation = useMutation({
+    mutationFn: (pair) => dismissDuplicatePair([pair.a.id, pair.b.id]),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['problem-duplicates'] });
+    },
+    onError: (error) => {
+      alert('Failed to dismiss pair: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const busy = mergeMutation.isPending || dismissMutation.isPending;
+  const pairs = data?.pairs || [];
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-800">
+          Near-duplicate Problems {!isLoading && `(${pairs.length} pairs)`}
+        </h2>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Minimum similarity
+          <select
+            value={threshold}
+            onChange={(e) => setThreshold(parseFloat(e.target.value))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {THRESHOLDS.map(t => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isLoading ? (
+        <div className="text-gray-500">Looking for duplicates...</div>
+      ) : pairs.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center text-gray-500">
+          No candidate pairs at this similarity
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {pairs.map(pair => (
+            <div key={`${pair.a.id}-${pair.b.id}`} className="bg-white rounded-lg border border-gray-200 p-4">
+              <div className="flex justify-between items-center mb-2 text-sm">
+                <span className="text-gray-600">
+                  {pair.cluster_label} · <span className="font-medium">{(pair.similarity * 100).toFixed(1)}% similar</span>
+                </span>
+                <button
+                  onClick={() => dismissMutation.mutate(pair)}
+                  disabled={busy}
+                  className="px-3 py-1 text-xs border border-gray-300 rounded text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Not duplicates
+                </button>
+              </div>
+              <div className="flex gap-3">
+                <PairSide
+                  problem={pair.a}
+                  disabled={busy}
+                  onKeep={() => mergeMutation.mutate({ keep: pair.a, duplicate: pair.b })}
+                />
+                <PairSide
+                  problem={pair.b}
+                  disabled={busy}
+                  onKeep={() => mergeMutation.mutate({ keep: pair.b, duplicate: pair.a })}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateProblems;
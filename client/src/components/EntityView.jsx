@@ -3,6 +3,8 @@ import { useQuery } from '@tanstack/react-query';
 import { useLocation } from 'react-router-dom';
 import ProblemsTableMultiLevel from './ProblemsTableMultiLevel';
 import ClustersTable from './ClustersTable';
+import OutlierTriage from './OutlierTriage';
+import DuplicateProblems from './DuplicateProblems';
 import ClusterConfiguration from './ClusterConfiguration';
 import SolutionsTable from './SolutionsTable';
 import ProjectsTable from './ProjectsTable';
@@ -20,7 +22,7 @@ function EntityView({ entityType }) {
     }
     return 'individual';
   }); // 'individual' or 'clusters'
-  const [clusterTab, setClusterTab] = useState('clusters'); // 'clusters' or 'configuration'
+  const [clusterTab, setClusterTab] = useState('clusters'); // 'clusters', 'configuration', 'triage' or 'duplicates'
   const [filteredData, setFilteredData] = useState([]); // Store filtered data from tables
   const [studyModeEntity, setStudyModeEntity] = useState(null);
   const [isFiltersCollapsed, setIsFiltersCollapsed] = useState(() => {
@@ -253,6 +255,30 @@ function EntityView({ entityType }) {
               >
                 Scenarios
               </button>
+              {entityType === 'problem' && (
+                <button
+                  onClick={() => setClusterTab('triage')}
+                  className={`px-6 py-3 text-sm font-medium border-b-2 ${
+                    clusterTab === 'triage'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Outlier Triage
+                </button>
+              )}
+              {entityType === 'problem' && (
+                <button
+                  onClick={() => setClusterTab('duplicates')}
+                  className={`px-6 py-3 text-sm font-medium border-b-2 ${
+                    clusterTab === 'duplicates'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Duplicates
+                </button>
+              )}
             </nav>
           </div>
           
@@ -268,6 +294,10 @@ function EntityView({ entityType }) {
                 data: cluster 
               })}
             />
+          ) : clusterTab === 'triage' && entityType === 'problem' ? (
+            <OutlierTriage />
+          ) : clusterTab === 'duplicates' && entityType === 'problem' ? (
+            <DuplicateProblems />
           ) : (
             <ClusterConfiguration entityType={entityType} />
           )}
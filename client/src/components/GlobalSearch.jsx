@@ -0,0 +1,171 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { search, getProblemById, getSolutionById, getClusterById } from '../services/api';
+import { useDebounce } from '../hooks/useDebounce';
+import StudyModeModal from './StudyModeModal';
+
+const TYPE_LABELS = {
+  problem: 'Problem',
+  cluster: 'Cluster',
+  solution: 'Solution',
+  project: 'Project',
+};
+
+const TYPE_COLORS = {
+  problem: 'bg-blue-100 text-blue-800',
+  cluster: 'bg-purple-100 text-purple-800',
+  solution: 'bg-green-100 text-green-800',
+  project: 'bg-orange-100 text-orange-800',
+};
+
+// Loaders for the full record behind a search hit, keyed by entity type
+const ENTITY_LOADERS = {
+  problem: getProblemById,
+  solution: getSolutionById,
+  cluster: getClusterById,
+};
+
+// Render a ts_headline snippet, turning <mark> segments into highlights
+function Snippet({ text }) {
+  if (!text) return null;
+  const parts = text.split(/(<mark>.*?<\/mark>)/g);
+  return (
+    <p className="text-xs text-gray-500 truncate">
+      {parts.map((part, i) =>
+        part.startsWith('<mark>') ? (
+          <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+            {part.slice(6, -7)}
+          </mark>
+        ) : (
+          <span key={i}>{part}</span>
+        )
+      )}
+    </p>
+  );
+}
+
+// Omnisearch box in the top nav - ranked results across every entity type
+function GlobalSearch() {
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [studyEntity, setStudyEntity] = useState(null);
+  const debouncedQuery = useDebounce(query.trim(), 300);
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['search', debouncedQuery],
+    queryFn: () => search(debouncedQuery, { limit: 15 }),
+    enabled: debouncedQuery.length >= 2,
+    placeholderData: (previousData) => previousData,
+  });
+  const results = debouncedQuery.length >= 2 ? data?.results || [] : [];
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [debouncedQuery]);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const handleSelect = async (result) => {
+    setIsOpen(false);
+    if (result.entity_type === 'project') {
+      navigate('/projects');
+      return;
+    }
+    try {
+      const entity = await ENTITY_LOADERS[result.entity_type](result.id);
+      if (entity) {
+        setStudyEntity({ type: result.entity_type, data: entity });
+      }
+    } catch (error) {
+      console.error('Failed to open search result:', error);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      handleSelect(results[activeIndex]);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-72">
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search everything..."
+        className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+
+      {isOpen && debouncedQuery.length >= 2 && (
+        <div className="absolute right-0 z-50 mt-1 w-96 bg-white border border-gray-200 rounded-md shadow-lg max-h-96 overflow-y-auto">
+          {results.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">
+              {isFetching ? 'Searching...' : `No results for "${debouncedQuery}"`}
+            </div>
+          ) : (
+            results.map((result, index) => (
+              <button
+                key={`${result.entity_type}-${result.id}`}
+                type="button"
+                onClick={() => handleSelect(result)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full text-left px-4 py-2 border-b border-gray-100 last:border-b-0 ${
+                  index === activeIndex ? 'bg-gray-50' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <span className={`px-1.5 py-0.5 text-xs font-medium rounded ${TYPE_COLORS[result.entity_type]}`}>
+                    {TYPE_LABELS[result.entity_type]}
+                  </span>
+                  <span className="text-sm font-medium text-gray-900 truncate">{result.title}</span>
+                  {result.identifier && (
+                    <span className="text-xs text-gray-400 shrink-0">{result.identifier}</span>
+                  )}
+                </div>
+                <Snippet text={result.snippet} />
+              </button>
+            ))
+          )}
+        </div>
+      )}
+
+      {studyEntity && (
+        <StudyModeModal
+          isOpen={!!studyEntity}
+          entityType={studyEntity.type}
+          initialEntity={studyEntity.data}
+          onClose={() => setStudyEntity(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default GlobalSearch;
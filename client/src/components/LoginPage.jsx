@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getAuthConfig } from '../services/api';
+
+const GOOGLE_SCRIPT = 'https://accounts.google.com/gsi/client';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// "Sign in with Google" button from Google Identity Services; hands the ID token to the server
+function GoogleSignIn({ clientId, onCredential }) {
+  const buttonRef = useRef(null);
+
+  useEffect(() => {
+    const render = () => {
+      window.google.accounts.id.initialize({
+        client_id: clientId,
+        callback: ({ credential }) => onCredential(credential)
+      });
+      window.google.accounts.id.renderButton(buttonRef.current, { theme: 'outline', size: 'large', width: 320 });
+    };
+
+    if (window.google?.accounts) {
+      render();
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = GOOGLE_SCRIPT;
+    script.async = true;
+    script.onload = render;
+    document.head.appendChild(script);
+  }, [clientId, onCredential]);
+
+  return <div ref={buttonRef} className="flex justify-center" />;
+}
+
+function LoginPage({ auth }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const { data: config } = useQuery({
+    queryKey: ['auth-config'],
+    queryFn: getAuthConfig,
+    staleTime: Infinity,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    auth.signIn({ email, password });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="bg-white rounded-xl shadow-lg w-full max-w-sm p-8 space-y-6">
+        <h1 className="text-xl font-bold text-primary-600 text-center">DreamTeam Studio V2</h1>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <label className="block text-sm text-gray-600">
+            Email
+            <input
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={fieldClass}
+              required
+            />
+          </label>
+          <label className="block text-sm text-gray-600">
+            Password
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={fieldClass}
+              required
+            />
+          </label>
+          {auth.signInError && (
+            <div className="text-sm text-red-600">
+              {auth.signInError.response?.data?.error || 'Sign-in failed'}
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={auth.isSigningIn}
+            className="w-full py-2 text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+          >
+            {auth.isSigningIn ? 'Signing in...' : 'Sign in'}
+          </button>
+        </form>
+
+        {config?.oidc_client_id && (
+          <>
+            <div className="flex items-center gap-2 text-xs text-gray-400">
+              <div className="flex-1 border-t" /> or <div className="flex-1 border-t" />
+            </div>
+            <GoogleSignIn clientId={config.oidc_client_id} onCredential={auth.signInWithOidc} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;
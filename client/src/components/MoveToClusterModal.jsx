@@ -0,0 +1,153 @@
+import { useState, useEffect, useMemo, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getClusters, reassignProblemsToCluster } from '../services/api';
+
+// Move one or many problems to another cluster of the active version.
+// The server recomputes cluster_similarity and records the manual override.
+const MoveToClusterModal = memo(function MoveToClusterModal({
+  isOpen,
+  onClose,
+  problems = [],
+  currentClusterId = null,
+  onMoved
+}) {
+  const queryClient = useQueryClient();
+  const [targetClusterId, setTargetClusterId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setTargetClusterId(null);
+      setSearch('');
+      setReason('');
+    }
+  }, [isOpen]);
+
+  const { data: clusters, isLoading } = useQuery({
+    queryKey: ['clusters', {}],
+    queryFn: () => getClusters({}),
+    enabled: isOpen,
+  });
+
+  const options = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return (clusters || [])
+      .filter(c => String(c.cluster_id) !== String(currentClusterId))
+      .filter(c => !term || c.cluster_label?.toLowerCase().includes(term))
+      .sort((a, b) => (a.cluster_label || '').localeCompare(b.cluster_label || ''));
+  }, [clusters, search, currentClusterId]);
+
+  const moveMutation = useMutation({
+    mutationFn: () => reassignProblemsToCluster(targetClusterId, problems.map(p => p.id), reason || null),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['problems'] });
+      onMoved?.(result);
+      onClose();
+    },
+    onError: (error) => {
+      alert('Failed to move problems: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Move {problems.length} problem{problems.length !== 1 ? 's' : ''} to cluster
+            </h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          {problems.length === 1 && (
+            <p className="text-sm text-gray-500 mt-1 truncate">{problems[0].title}</p>
+          )}
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter clusters..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+
+          <div className="border rounded-md max-h-64 overflow-y-auto divide-y">
+            {isLoading ? (
+              <div className="p-3 text-sm text-gray-500">Loading clusters...</div>
+            ) : options.length === 0 ? (
+              <div className="p-3 text-sm text-gray-500 italic">No matching clusters</div>
+            ) : (
+              options.map(cluster => (
+                <label
+                  key={cluster.cluster_id}
+                  className={`flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-gray-50 ${
+                    targetClusterId === cluster.cluster_id ? 'bg-primary-50' : ''
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="target-cluster"
+                    checked={targetClusterId === cluster.cluster_id}
+                    onChange={() => setTargetClusterId(cluster.cluster_id)}
+                  />
+                  <span className="flex-1 text-sm text-gray-900">
+                    {cluster.cluster_label || `Cluster ${cluster.cluster_id}`}
+                    {cluster.is_outlier_bucket && (
+                      <span className="ml-2 text-xs text-orange-600">(outliers)</span>
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-500">{cluster.problem_count} problems</span>
+                </label>
+              ))
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Reason <span className="text-gray-400">(optional - shown when the next recluster reports overrides)</span>
+            </label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Clearly about payroll, not invoicing"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            disabled={moveMutation.isPending}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => moveMutation.mutate()}
+            className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            disabled={targetClusterId === null || problems.length === 0 || moveMutation.isPending}
+          >
+            {moveMutation.isPending ? 'Moving...' : 'Move'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default MoveToClusterModal;
@@ -0,0 +1,233 @@
+import { useState, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Check, ArrowRight, X, Sprout } from 'lucide-react';
+import { getOutlierTriageQueue, triageOutlier, getClusters } from '../services/api';
+
+const PAGE_SIZE = 25;
+
+const ACTION_LABELS = {
+  accept: 'Accepted',
+  move: 'Moved',
+  dismiss: 'Dismissed',
+  seed: 'Seeded'
+};
+
+const TriageItem = memo(function TriageItem({ item, clusters, onDecide, isPending }) {
+  const [mode, setMode] = useState(null); // null, 'move' or 'seed'
+  const [moveTarget, setMoveTarget] = useState('');
+  const [seedLabel, setSeedLabel] = useState(item.title || '');
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex justify-between items-start gap-4">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 mb-1">
+            <span className="text-xs text-gray-400">{item.identifier}</span>
+            <span className={`text-xs px-1.5 py-0.5 rounded ${
+              item.is_unclustered ? 'bg-orange-100 text-orange-700' : 'bg-red-100 text-red-700'
+            }`}>
+              {item.is_unclustered ? 'Unclustered' : 'Outlier bucket'}
+            </span>
+            {item.industry && <span className="text-xs text-gray-500">{item.industry}</span>}
+          </div>
+          <div className="font-medium text-gray-900">{item.title}</div>
+          {item.description && (
+            <div className="text-sm text-gray-600 mt-1 line-clamp-2">{item.description}</div>
+          )}
+        </div>
+        <div className="flex gap-1 shrink-0">
+          <button
+            onClick={() => setMode(mode === 'move' ? null : 'move')}
+            disabled={isPending}
+            className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ArrowRight className="h-3 w-3" /> Move
+          </button>
+          <button
+            onClick={() => setMode(mode === 'seed' ? null : 'seed')}
+            disabled={isPending}
+            className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            title="Start a new cluster around this problem"
+          >
+            <Sprout className="h-3 w-3" /> Seed cluster
+          </button>
+          <button
+            onClick={() => onDecide(item, { action: 'dismiss' })}
+            disabled={isPending}
+            className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            title="Keep it as an outlier"
+          >
+            <X className="h-3 w-3" /> Dismiss
+          </button>
+        </div>
+      </div>
+
+      {/* Nearest clusters */}
+      <div className="mt-3 flex flex-wrap gap-2">
+        {item.candidates.length === 0 ? (
+          <span className="text-xs text-gray-400 italic">No candidates (problem has no embedding)</span>
+        ) : item.candidates.map(candidate => (
+          <button
+            key={candidate.cluster_id}
+            onClick={() => onDecide(item, { action: 'accept', cluster_id: candidate.cluster_id })}
+            disabled={isPending}
+            className="flex items-center gap-1.5 px-2 py-1 text-xs rounded border border-green-200 bg-green-50 text-green-800 hover:bg-green-100 disabled:opacity-50"
+            title="Accept this cluster"
+          >
+            <Check className="h-3 w-3" />
+            <span className="max-w-[16rem] truncate">{candidate.cluster_label}</span>
+            <span className="text-green-600">{(candidate.similarity * 100).toFixed(0)}%</span>
+          </button>
+        ))}
+      </div>
+
+      {mode === 'move' && (
+        <div className="mt-3 flex gap-2">
+          <select
+            value={moveTarget}
+            onChange={(e) => setMoveTarget(e.target.value)}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">Select a cluster...</option>
+            {clusters.map(c => (
+              <option key={c.cluster_id} value={c.cluster_id}>{c.cluster_label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onDecide(item, { action: 'move', cluster_id: parseInt(moveTarget) })}
+            disabled={isPending || !moveTarget}
+            className="px-3 py-1 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+          >
+            Move
+          </button>
+        </div>
+      )}
+
+      {mode === 'seed' && (
+        <div className="mt-3 flex gap-2">
+          <input
+            type="text"
+            value={seedLabel}
+            onChange={(e) => setSeedLabel(e.target.value)}
+            placeholder="New cluster label"
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            onClick={() => onDecide(item, { action: 'seed', label: seedLabel })}
+            disabled={isPending || !seedLabel.trim()}
+            className="px-3 py-1 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+          >
+            Create cluster
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Work through unclustered and outlier-bucket problems of the active cluster version
+function OutlierTriage() {
+  const queryClient = useQueryClient();
+  const [offset, setOffset] = useState(0);
+
+  const { data: queue, isLoading } = useQuery({
+    queryKey: ['outlier-triage', offset],
+    queryFn: () => getOutlierTriageQueue({ limit: PAGE_SIZE, offset }),
+  });
+
+  const { data: clusters } = useQuery({
+    queryKey: ['clusters', {}],
+    queryFn: () => getClusters({}),
+  });
+  const regularClusters = (clusters || [])
+    .filter(c => !c.is_outlier_bucket)
+    .sort((a, b) => (a.cluster_label || '').localeCompare(b.cluster_label || ''));
+
+  const triageMutation = useMutation({
+    mutationFn: ({ problemId, decision }) => triageOutlier(problemId, decision),
+    onSuccess: (_, { decision }) => {
+      queryClient.invalidateQueries({ queryKey: ['outlier-triage'] });
+      queryClient.invalidateQueries({ queryKey: ['pipelineStats'] });
+      if (decision.action !== 'dismiss') {
+        queryClient.invalidateQueries({ queryKey: ['clusters'] });
+        queryClient.invalidateQueries({ queryKey: ['cluster-problems'] });
+        queryClient.invalidateQueries({ queryKey: ['problems'] });
+      }
+    },
+    onError: (error) => {
+      alert('Failed to triage problem: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const handleDecide = (item, decision) => {
+    triageMutation.mutate({ problemId: item.id, decision });
+  };
+
+  if (isLoading) {
+    return <div className="p-6 text-gray-500">Loading triage queue...</div>;
+  }
+
+  const { progress, items } = queue;
+  const percent = progress.total > 0 ? (progress.decided / progress.total) * 100 : 100;
+
+  return (
+    <div className="p-6 space-y-4">
+      {/* Progress */}
+      <div className="bg-white rounded-lg border border-gray-200 p-4">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-semibold text-gray-800">Outlier Triage</h2>
+          <span className="text-sm text-gray-600">
+            {progress.decided} of {progress.total} triaged · {progress.pending} left
+          </span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-full bg-green-500 transition-all" style={{ width: `${percent}%` }} />
+        </div>
+        <div className="flex gap-4 mt-2 text-xs text-gray-500">
+          {Object.entries(progress.by_action).map(([action, count]) => (
+            <span key={action}>{ACTION_LABELS[action]}: {count}</span>
+          ))}
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center text-gray-500">
+          {progress.pending === 0 ? 'Nothing left to triage' : 'No more problems on this page'}
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {items.map(item => (
+            <TriageItem
+              key={item.id}
+              item={item}
+              clusters={regularClusters}
+              onDecide={handleDecide}
+              isPending={triageMutation.isPending}
+            />
+          ))}
+        </div>
+      )}
+
+      {(offset > 0 || progress.pending > offset + PAGE_SIZE) && (
+        <div className="flex justify-between text-sm">
+          <button
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0}
+            className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={progress.pending <= offset + PAGE_SIZE}
+            className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OutlierTriage;
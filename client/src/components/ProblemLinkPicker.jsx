@@ -0,0 +1,86 @@
+import { useState, memo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getProblemsPage } from '../services/api';
+import { useDebounce } from '../hooks/useDebounce';
+import { useSolutionProblemLinks } from '../hooks/useSolutionProblemLinks';
+
+// Search problems and attach them to a solution as evidence
+const ProblemLinkPicker = memo(function ProblemLinkPicker({ solutionId, linkedIds = [] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const debouncedSearch = useDebounce(search.trim(), 300);
+  const { link, isPending } = useSolutionProblemLinks(solutionId);
+
+  const { data: results, isFetching } = useQuery({
+    queryKey: ['problem-link-search', debouncedSearch],
+    queryFn: () => getProblemsPage({ search: debouncedSearch, limit: 10 }),
+    enabled: isOpen && debouncedSearch.length >= 2,
+  });
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={(e) => { e.stopPropagation(); setIsOpen(true); }}
+        className="px-3 py-1 text-xs border border-gray-300 rounded text-gray-700 bg-white hover:bg-gray-50"
+      >
+        + Link problems
+      </button>
+    );
+  }
+
+  const linked = new Set(linkedIds);
+
+  return (
+    <div className="bg-white p-3 rounded border border-gray-200 space-y-2" onClick={(e) => e.stopPropagation()}>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search problems to link..."
+          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          autoFocus
+        />
+        <button
+          onClick={() => { setIsOpen(false); setSearch(''); }}
+          className="px-2 py-1 text-xs text-gray-600 hover:text-gray-900"
+        >
+          Done
+        </button>
+      </div>
+      {debouncedSearch.length < 2 ? (
+        <div className="text-xs text-gray-500">Type at least 2 characters</div>
+      ) : isFetching && !results ? (
+        <div className="text-xs text-gray-500">Searching...</div>
+      ) : results?.data?.length === 0 ? (
+        <div className="text-xs text-gray-500 italic">No matching problems</div>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+          {results?.data?.map(problem => (
+            <li key={problem.id} className="flex justify-between items-center gap-2 py-1.5">
+              <div className="min-w-0">
+                <div className="text-sm text-gray-900 truncate">{problem.title}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {problem.identifier}{problem.cluster_label && ` · ${problem.cluster_label}`}
+                </div>
+              </div>
+              {linked.has(problem.id) ? (
+                <span className="text-xs text-gray-400 whitespace-nowrap">Linked</span>
+              ) : (
+                <button
+                  onClick={() => link([problem.id])}
+                  disabled={isPending}
+                  className="px-2 py-0.5 text-xs text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+                >
+                  Link
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default ProblemLinkPicker;
@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { getProblems, getProblemsFilterOptions, getSolutionsByCluster, getSolutionsByProblem } from '../services/api';
+import { getProblemsPage, getProblemsFilterOptions, getSolutionsByCluster, getSolutionsByProblem, createProblem, updateProblem, deleteProblems } from '../services/api';
+import { useDebounce } from '../hooks/useDebounce';
 import { formatDateTime, isNewItem } from '../utils/dateUtils';
 import SearchInput from './SearchInput';
 import ColumnSelector from './ColumnSelector';
 import TableHeader from './TableHeader';
 import StudyModeModal from './StudyModeModal';
+import CreateEditProblemModal from './CreateEditProblemModal';
 import { useTableFeatures } from '../hooks/useTableFeatures';
 import { usePinnedEntities } from '../hooks/usePinnedEntities';
 import { TAB_COLUMNS, DEFAULT_VISIBLE_COLUMNS, getCellClassName, getColumnStyle, getInitialColumnWidths } from '../config/tableConfig';
@@ -147,6 +149,12 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
   const [newItemIds, setNewItemIds] = useState(new Set());
   const [flashItemIds, setFlashItemIds] = useState(new Set());
   const previousDataRef = useRef(null);
+
+  // Create/Edit modal state
+  const [createEditModalOpen, setCreateEditModalOpen] = useState(false);
+  const [editingProblem, setEditingProblem] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
   
   // Load collapsed state for filters
   const [isFiltersCollapsed, setIsFiltersCollapsed] = useState(() => {
@@ -226,19 +234,66 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
     }
   }, [externalFilters]);
 
-  // Fetch ALL problems (without search filter)
-  const { data: allProblems, isLoading, refetch: refetchProblems } = useQuery({
-    queryKey: ['problems', apiFilters],
-    queryFn: () => getProblems(apiFilters),
+  // Translate table filters into server-side query params (everything except the page)
+  const filterParams = useMemo(() => {
+    const params = {
+      sortBy: apiFilters.sortBy,
+      sortOrder: apiFilters.sortOrder,
+    };
+    if (apiFilters.impact) params.impact = apiFilters.impact;
+    if (apiFilters.cluster_label) params.cluster_label = apiFilters.cluster_label;
+    if (searchTerm) params.search = searchTerm;
+
+    if (externalFilters) {
+      if (externalFilters.title) params.title = externalFilters.title;
+      if (externalFilters.description) params.description = externalFilters.description;
+      if (externalFilters.cluster_label) params.cluster_search = externalFilters.cluster_label;
+      if (externalFilters.impact?.length > 0) params.impact = externalFilters.impact;
+      if (externalFilters.industry?.length > 0) params.industry = externalFilters.industry;
+      if (externalFilters.businessSize?.length > 0) params.business_size = externalFilters.businessSize;
+      if (externalFilters.solution_count !== null && externalFilters.solution_count !== undefined) {
+        params.min_solution_count = externalFilters.solution_count;
+      }
+      if (externalFilters.project_count !== null && externalFilters.project_count !== undefined) {
+        params.min_project_count = externalFilters.project_count;
+      }
+      if (externalFilters.created_at) params.created_after = externalFilters.created_at;
+    }
+    return params;
+  }, [apiFilters, searchTerm, externalFilters]);
+
+  // Debounce so typing in a filter box doesn't fire a request per keystroke
+  const debouncedFilterParams = useDebounce(filterParams, 300);
+
+  // Go back to the first page whenever the filtered set changes
+  const filterKey = JSON.stringify(debouncedFilterParams);
+  const previousFilterKeyRef = useRef(filterKey);
+  useEffect(() => {
+    if (previousFilterKeyRef.current !== filterKey) {
+      previousFilterKeyRef.current = filterKey;
+      onFiltersChange?.(prev => ({ ...prev, currentPage: 1 }));
+    }
+  }, [filterKey, onFiltersChange]);
+
+  // Fetch one page of problems from the server
+  const { data: problemsPage, isLoading, refetch: refetchProblems } = useQuery({
+    queryKey: ['problems', debouncedFilterParams, currentPage],
+    queryFn: () => getProblemsPage({
+      ...debouncedFilterParams,
+      limit: ITEMS_PER_PAGE,
+      offset: (currentPage - 1) * ITEMS_PER_PAGE,
+    }),
+    placeholderData: (previousData) => previousData,
     refetchOnWindowFocus: false,
   });
+  const problems = useMemo(() => problemsPage?.data || [], [problemsPage]);
 
   // Handle refresh
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
       // Store current data before refresh
-      previousDataRef.current = allProblems ? new Set(allProblems.map(p => p.id)) : new Set();
+      previousDataRef.current = new Set(problems.map(p => p.id));
       await refetchProblems();
     } finally {
       setTimeout(() => setIsRefreshing(false), 500);
@@ -247,9 +302,9 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
 
   // Detect new items after data changes
   useEffect(() => {
-    if (allProblems && previousDataRef.current) {
+    if (problemsPage && previousDataRef.current) {
       const newIds = new Set();
-      allProblems.forEach(problem => {
+      problems.forEach(problem => {
         // Item is new if it wasn't in previous data OR was created in last 10 seconds
         if (!previousDataRef.current.has(problem.id) || isNewItem(problem.created_at)) {
           newIds.add(problem.id);
@@ -267,98 +322,7 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
         setFlashItemIds(new Set());
       }
     }
-  }, [allProblems]);
-
-  // Client-side filtering for search and external filters
-  const problems = useMemo(() => {
-    if (!allProblems) return [];
-    
-    let filtered = allProblems;
-    
-    // Apply search term
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(problem => 
-        problem.title?.toLowerCase().includes(term) ||
-        problem.description?.toLowerCase().includes(term) ||
-        problem.cluster_label?.toLowerCase().includes(term) ||
-        problem.identifier?.toLowerCase().includes(term)
-      );
-    }
-    
-    // Apply external filters if provided
-    if (externalFilters) {
-      // Title filter
-      if (externalFilters.title) {
-        const titleTerm = externalFilters.title.toLowerCase();
-        filtered = filtered.filter(problem => 
-          problem.title?.toLowerCase().includes(titleTerm)
-        );
-      }
-      
-      // Description filter
-      if (externalFilters.description) {
-        const descTerm = externalFilters.description.toLowerCase();
-        filtered = filtered.filter(problem => 
-          problem.description?.toLowerCase().includes(descTerm)
-        );
-      }
-      
-      // Cluster label filter
-      if (externalFilters.cluster_label) {
-        const clusterTerm = externalFilters.cluster_label.toLowerCase();
-        filtered = filtered.filter(problem => 
-          problem.cluster_label?.toLowerCase().includes(clusterTerm)
-        );
-      }
-      
-      // Impact filter (multiple selection)
-      if (externalFilters.impact?.length > 0) {
-        filtered = filtered.filter(problem => 
-          externalFilters.impact.includes(problem.impact)
-        );
-      }
-      
-      // Industry filter
-      if (externalFilters.industry?.length > 0) {
-        filtered = filtered.filter(problem => 
-          externalFilters.industry.includes(problem.industry)
-        );
-      }
-      
-      // Business size filter
-      if (externalFilters.businessSize?.length > 0) {
-        filtered = filtered.filter(problem => 
-          externalFilters.businessSize.includes(problem.business_size)
-        );
-      }
-      
-      // Solution count filter (minimum)
-      if (externalFilters.solution_count !== null && externalFilters.solution_count !== undefined) {
-        filtered = filtered.filter(problem => 
-          (problem.solution_count || 0) >= externalFilters.solution_count
-        );
-      }
-      
-      // Project count filter (minimum)
-      if (externalFilters.project_count !== null && externalFilters.project_count !== undefined) {
-        filtered = filtered.filter(problem => 
-          (problem.project_count || 0) >= externalFilters.project_count
-        );
-      }
-      
-      // Created date filter (after date)
-      if (externalFilters.created_at) {
-        const filterDate = new Date(externalFilters.created_at);
-        filtered = filtered.filter(problem => {
-          const problemDate = new Date(problem.created_at);
-          return problemDate >= filterDate;
-        });
-      }
-    }
-    
-    return filtered;
-  }, [allProblems, searchTerm, externalFilters]);
+  }, [problemsPage, problems]);
 
   // Pass filtered data back to parent
   useEffect(() => {
@@ -373,12 +337,12 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
     queryFn: getProblemsFilterOptions,
   });
 
-  // Calculate pagination
-  const totalItems = problems?.length || 0;
+  // Pagination comes from the server
+  const totalItems = problemsPage?.pagination?.total || 0;
   const totalPages = Math.ceil(totalItems / ITEMS_PER_PAGE);
   const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
   const endIndex = startIndex + ITEMS_PER_PAGE;
-  const currentProblems = problems?.slice(startIndex, endIndex) || [];
+  const currentProblems = problems;
 
   // Reset to page 1 when filters change
   const updateFilter = (key, value) => {
@@ -439,6 +403,62 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
     });
   };
 
+  // Create/Edit/Delete handlers
+  const handleOpenCreate = () => {
+    setEditingProblem(null);
+    setCreateEditModalOpen(true);
+  };
+
+  const handleOpenEdit = (problem) => {
+    setEditingProblem(problem);
+    setCreateEditModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setCreateEditModalOpen(false);
+    setEditingProblem(null);
+  };
+
+  const handleSaveProblem = async (formData) => {
+    setIsSaving(true);
+    try {
+      if (editingProblem) {
+        await updateProblem(editingProblem.id, formData);
+      } else {
+        await createProblem(formData);
+      }
+      await refetchProblems();
+      handleCloseModal();
+    } catch (error) {
+      console.error('Error saving problem:', error);
+      alert(`Failed to save problem: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteSelected = async () => {
+    if (selectedItems.size === 0) return;
+
+    const selectedCount = selectedItems.size;
+    const confirmMessage = `Are you sure you want to delete ${selectedCount} problem${selectedCount > 1 ? 's' : ''}?\n\nTheir links to solutions are removed too. This action cannot be undone.`;
+
+    if (!window.confirm(confirmMessage)) return;
+
+    setIsDeleting(true);
+    try {
+      const result = await deleteProblems(Array.from(selectedItems));
+      setSelectedItems(new Set());
+      await refetchProblems();
+      alert(`Successfully deleted ${result.deleted_count} problem${result.deleted_count > 1 ? 's' : ''}.`);
+    } catch (error) {
+      console.error('Error deleting problems:', error);
+      alert(`Failed to delete problems: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
   const openStudyMode = (entity, type) => {
     setStudyEntity(entity);
     setStudyEntityType(type);
@@ -552,6 +572,31 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
               )}
             </div>
             <div className="flex items-center gap-3">
+              {/* Delete button - only show when items are selected */}
+              {selectedItems.size > 0 && (
+                <button
+                  onClick={handleDeleteSelected}
+                  disabled={isDeleting}
+                  className="flex items-center gap-2 px-3 py-1.5 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors disabled:opacity-50"
+                  title={`Delete ${selectedItems.size} selected problem${selectedItems.size > 1 ? 's' : ''}`}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  {isDeleting ? 'Deleting...' : `Delete (${selectedItems.size})`}
+                </button>
+              )}
+              {/* Create button */}
+              <button
+                onClick={handleOpenCreate}
+                className="flex items-center gap-2 px-3 py-1.5 text-white bg-primary-600 hover:bg-primary-700 rounded transition-colors"
+                title="Create new problem"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                </svg>
+                Create
+              </button>
               <button
                 onClick={handleRefresh}
                 disabled={isRefreshing}
@@ -714,7 +759,7 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
                         {formatDateTime(problem.created_at)}
                       </td>
                     )}
-                    <td className="px-3 py-3 text-center" style={{ width: '100px' }}>
+                    <td className="px-3 py-3 text-center" style={{ width: '140px' }}>
                       <div className="flex gap-1 justify-center">
                         <button
                           onClick={(e) => {
@@ -728,6 +773,18 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
                             <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
                           </svg>
                         </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleOpenEdit(problem);
+                          }}
+                          className="p-2 rounded-lg transition-all transform hover:scale-110 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+                          title="Edit problem"
+                        >
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                          </svg>
+                        </button>
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -924,7 +981,7 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
                         {formatDateTime(problem.created_at)}
                       </td>
                     )}
-                    <td className="px-3 py-3 text-center" style={{ width: '100px' }}>
+                    <td className="px-3 py-3 text-center" style={{ width: '140px' }}>
                       <div className="flex gap-1 justify-center">
                         <button
                           onClick={(e) => {
@@ -938,6 +995,18 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
                             <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
                           </svg>
                         </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleOpenEdit(problem);
+                          }}
+                          className="p-2 rounded-lg transition-all transform hover:scale-110 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+                          title="Edit problem"
+                        >
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                          </svg>
+                        </button>
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -1074,6 +1143,16 @@ function ProblemsTableMultiLevel({ filters: externalFilters, onFiltersChange, on
         initialEntity={studyEntity}
         entityType={studyEntityType}
       />
+
+      {/* Create/Edit Problem Modal */}
+      <CreateEditProblemModal
+        isOpen={createEditModalOpen}
+        onClose={handleCloseModal}
+        onSave={handleSaveProblem}
+        problem={editingProblem}
+        filterOptions={filterOptions}
+        isLoading={isSaving}
+      />
     </div>
   );
 }
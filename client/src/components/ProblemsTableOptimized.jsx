@@ -1,11 +1,14 @@
 import { useState, useCallback, memo, useMemo } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { getProblems, getProblemsFilterOptions, getSolutionsByCluster } from '../services/api';
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query';
+import { getProblemsPage, getProblemsFilterOptions, getSolutionsByCluster } from '../services/api';
 import SearchInput from './SearchInput';
 import ColumnSelector from './ColumnSelector';
 import { useTableFeatures } from '../hooks/useTableFeatures';
 import '../styles/tables.css';
 
+// Rows fetched per "Load more"
+const PAGE_SIZE = 100;
+
 // Define all available columns
 const ALL_COLUMNS = [
   { key: 'title', label: 'Title', required: true },
@@ -386,13 +389,24 @@ function ProblemsTableOptimized() {
     staleTime: 1000 * 60 * 10, // Cache for 10 minutes
   });
 
-  const { data: problems, isLoading } = useQuery({
-    queryKey: ['problems', apiFilters],
-    queryFn: () => getProblems(apiFilters),
+  // Cursor-paginated fetch; "Load more" appends the next page
+  const {
+    data: problemPages,
+    isLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    // Own key: the plain ['problems', filters] queries cache arrays, not pages
+    queryKey: ['problems', 'pages', apiFilters],
+    queryFn: ({ pageParam }) => getProblemsPage({ ...apiFilters, limit: PAGE_SIZE, cursor: pageParam }),
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) => lastPage.pagination.next_cursor ?? undefined,
     refetchOnWindowFocus: false,
     refetchOnMount: false,
-    keepPreviousData: true,
   });
+  const problems = useMemo(() => problemPages?.pages.flatMap(page => page.data), [problemPages]);
+  const totalProblems = problemPages?.pages[0]?.pagination.total || 0;
 
   const handleSearchChange = useCallback((value) => {
     setApiFilters(prev => ({...prev, search: value}));
@@ -633,6 +647,20 @@ function ProblemsTableOptimized() {
         </table>
         </div>
       </div>
+
+      {/* Load more */}
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-500">
+        <span>Showing {problems?.length || 0} of {totalProblems} problems</span>
+        {hasNextPage && (
+          <button
+            onClick={() => fetchNextPage()}
+            disabled={isFetchingNextPage}
+            className="px-3 py-1 text-sm bg-white border rounded disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+          >
+            {isFetchingNextPage ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
     </div>
   );
 }
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { getProblems, getProblemsFilterOptions, getSolutionsByCluster } from '../services/api';
+import { getProblemsPage, getProblemsFilterOptions, getSolutionsByCluster } from '../services/api';
 import SearchInput from './SearchInput';
 import ColumnSelector from './ColumnSelector';
 
@@ -80,10 +80,15 @@ function ProblemsTablePaginated() {
     sortOrder: 'DESC'
   });
 
-  // Fetch problems
-  const { data: problems, isLoading } = useQuery({
-    queryKey: ['problems', apiFilters],
-    queryFn: () => getProblems(apiFilters),
+  // Fetch the current page of problems
+  const { data: problemsPage, isLoading } = useQuery({
+    queryKey: ['problems', apiFilters, currentPage],
+    queryFn: () => getProblemsPage({
+      ...apiFilters,
+      limit: ITEMS_PER_PAGE,
+      offset: (currentPage - 1) * ITEMS_PER_PAGE,
+    }),
+    placeholderData: (previousData) => previousData,
     refetchOnWindowFocus: false,
   });
 
@@ -93,12 +98,12 @@ function ProblemsTablePaginated() {
     queryFn: getProblemsFilterOptions,
   });
 
-  // Calculate pagination
-  const totalItems = problems?.length || 0;
+  // Pagination comes from the server
+  const totalItems = problemsPage?.pagination?.total || 0;
   const totalPages = Math.ceil(totalItems / ITEMS_PER_PAGE);
   const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
   const endIndex = startIndex + ITEMS_PER_PAGE;
-  const currentProblems = problems?.slice(startIndex, endIndex) || [];
+  const currentProblems = problemsPage?.data || [];
 
   // Reset to page 1 when filters change
   const updateFilter = (key, value) => {
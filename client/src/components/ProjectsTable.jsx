@@ -527,14 +527,26 @@ function ProjectsTable({ filters: externalFilters, onFiltersChange, onDataFilter
   const handleDeleteSelected = async () => {
     if (selectedItems.size === 0) return;
 
-    const selectedCount = selectedItems.size;
-    const confirmMessage = `Are you sure you want to delete ${selectedCount} product${selectedCount > 1 ? 's' : ''}?\n\n⚠️ WARNING: This will also delete the associated GitHub repositories!\n\nThis action cannot be undone.`;
-
-    if (!window.confirm(confirmMessage)) return;
-
     setIsDeleting(true);
     try {
       const ids = Array.from(selectedItems);
+
+      // Ask the server what would happen and confirm against that report
+      const report = await deleteProducts(ids, { dryRun: true });
+      const repos = report.github_repos_kept;
+      const tenants = report.gcp_tenants_kept;
+      const productList = report.deleted_products.map(p => `- ${p.name}`).join('\n');
+      const resourceList = [
+        ...repos.map(r => `- GitHub repo ${r.name || r.url}`),
+        ...tenants.map(t => `- GCP tenant ${t.tenantId}`)
+      ].join('\n');
+      const confirmMessage = `Move ${report.deleted_count} product${report.deleted_count > 1 ? 's' : ''} to the trash?\n\n${productList}\n\n` +
+        (resourceList
+          ? `Purging them from the Trash page will destroy:\n${resourceList}\n\nThese are kept until then.`
+          : 'They have no GitHub repositories or GCP tenants.');
+
+      if (!window.confirm(confirmMessage)) return;
+
       const result = await deleteProducts(ids);
 
       // Clear selection
@@ -543,14 +555,10 @@ function ProjectsTable({ filters: externalFilters, onFiltersChange, onDataFilter
       // Refresh projects
       await refetchProjects();
 
-      let message = `Successfully deleted ${result.deleted_count} product${result.deleted_count > 1 ? 's' : ''}.`;
-      if (result.github_deletion) {
-        message += `\n\nGitHub repos: ${result.github_deletion.deleted_count} deleted, ${result.github_deletion.failed_count} failed.`;
-      }
-      alert(message);
+      alert(`Moved ${result.deleted_count} product${result.deleted_count > 1 ? 's' : ''} to the trash.`);
     } catch (error) {
       console.error('Error deleting products:', error);
-      alert(`Failed to delete products: ${error.response?.data?.message || error.message}`);
+      alert(`Failed to delete products: ${error.response?.data?.error || error.response?.data?.message || error.message}`);
     } finally {
       setIsDeleting(false);
     }
@@ -0,0 +1,231 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { XCircle } from 'lucide-react';
+import { compareClusteringScenarios } from '../services/api';
+import ClusterVisualization from './ClusterVisualization';
+
+// Largest clusters get their own matrix row/column; the rest are folded into "Other"
+const MATRIX_SIZE = 15;
+const OTHER = 'other';
+
+const formatMetric = (value, digits = 3) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+
+const matrixAxis = (clusters) => {
+  const regular = clusters.filter(c => !c.is_outlier_bucket).sort((x, y) => y.item_count - x.item_count);
+  const shown = regular.slice(0, MATRIX_SIZE);
+  const outlier = clusters.find(c => c.is_outlier_bucket);
+  return [
+    ...shown.map(c => ({ key: c.cluster_id, label: c.label })),
+    ...(regular.length > MATRIX_SIZE ? [{ key: OTHER, label: `Other (${regular.length - MATRIX_SIZE})` }] : []),
+    ...(outlier ? [{ key: outlier.cluster_id, label: 'Outliers' }] : [])
+  ];
+};
+
+// ClusterVisualization expects the shape of the scenario details endpoint
+const toVisualization = (scenario) => ({
+  ...scenario,
+  clusters: scenario.clusters.map(c => ({ ...c, is_outlier: c.is_outlier_bucket }))
+});
+
+function ScenarioComparison({ scenarioA, scenarioB, onClose }) {
+  const { data: comparison, isLoading, error } = useQuery({
+    queryKey: ['clustering-scenario-compare', scenarioA, scenarioB],
+    queryFn: () => compareClusteringScenarios(scenarioA, scenarioB),
+  });
+
+  const matrix = useMemo(() => {
+    if (!comparison) return null;
+    const rows = matrixAxis(comparison.a.clusters);
+    const columns = matrixAxis(comparison.b.clusters);
+    const rowKeys = new Set(rows.map(r => r.key));
+    const columnKeys = new Set(columns.map(c => c.key));
+
+    const counts = new Map();
+    const rowTotals = new Map();
+    for (const cell of comparison.overlaps) {
+      const row = rowKeys.has(cell.a) ? cell.a : OTHER;
+      const column = columnKeys.has(cell.b) ? cell.b : OTHER;
+      const key = `${row}|${column}`;
+      counts.set(key, (counts.get(key) || 0) + cell.count);
+      rowTotals.set(row, (rowTotals.get(row) || 0) + cell.count);
+    }
+    return { rows, columns, counts, rowTotals };
+  }, [comparison]);
+
+  const renderBody = () => {
+    if (isLoading) {
+      return (
+        <div className="flex flex-col items-center py-12">
+          <div className="animate-spin h-12 w-12 border-4 border-blue-500 border-t-transparent rounded-full mb-4"></div>
+          <div className="text-gray-600">Comparing scenarios...</div>
+        </div>
+      );
+    }
+    if (error) {
+      return (
+        <div className="py-12 text-center text-red-600">
+          {error.response?.data?.error || 'Failed to compare scenarios'}
+        </div>
+      );
+    }
+
+    const { metrics } = comparison;
+    return (
+      <div className="space-y-6">
+        {/* Agreement metrics */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div className="bg-white p-4 rounded-lg border border-gray-200" title="1 = identical grouping, 0 = no better than chance">
+            <div className="text-sm text-gray-500 mb-1">Adjusted Rand index</div>
+            <div className="font-medium text-xl">{formatMetric(metrics.adjusted_rand_index)}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <div className="text-sm text-gray-500 mb-1">Rand index</div>
+            <div className="font-medium text-xl">{formatMetric(metrics.rand_index)}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border border-gray-200" title="Pairs grouped together in A that stay together in B, and the reverse">
+            <div className="text-sm text-gray-500 mb-1">Pairs kept together</div>
+            <div className="font-medium text-xl">
+              {formatMetric(metrics.pair_overlap.a_in_b, 2)} / {formatMetric(metrics.pair_overlap.b_in_a, 2)}
+            </div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <div className="text-sm text-gray-500 mb-1">Matched clusters</div>
+            <div className="font-medium text-xl">{metrics.matched_clusters}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <div className="text-sm text-gray-500 mb-1">Items moved</div>
+            <div className="font-medium text-xl">
+              {metrics.items_moved} <span className="text-sm text-gray-500">of {metrics.items_compared}</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Cluster distributions side by side */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className="bg-white rounded-lg border border-gray-200">
+            <ClusterVisualization scenario={toVisualization(comparison.a)} />
+          </div>
+          <div className="bg-white rounded-lg border border-gray-200">
+            <ClusterVisualization scenario={toVisualization(comparison.b)} />
+          </div>
+        </div>
+
+        {/* Overlap matrix */}
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <h3 className="font-semibold text-gray-900 mb-1">Cluster overlap</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            Rows are clusters of A (K={comparison.a.k_value}), columns clusters of B (K={comparison.b.k_value}).
+            Shading shows the share of each row that lands in a column.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="text-xs border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1"></th>
+                  {matrix.columns.map(column => (
+                    <th key={column.key} className="p-1 font-normal text-gray-600 align-bottom">
+                      <div className="w-8 h-28 flex items-end justify-center">
+                        <span className="[writing-mode:vertical-rl] rotate-180 truncate max-h-28" title={column.label}>
+                          {column.label}
+                        </span>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.rows.map(row => (
+                  <tr key={row.key}>
+                    <td className="p-1 pr-2 text-gray-600 max-w-[14rem] truncate" title={row.label}>{row.label}</td>
+                    {matrix.columns.map(column => {
+                      const count = matrix.counts.get(`${row.key}|${column.key}`) || 0;
+                      const share = count / (matrix.rowTotals.get(row.key) || 1);
+                      return (
+                        <td
+                          key={column.key}
+                          className="w-8 h-8 text-center border border-gray-100"
+                          style={{ backgroundColor: count > 0 ? `rgba(59, 130, 246, ${0.1 + share * 0.8})` : undefined }}
+                          title={`${row.label} → ${column.label}: ${count} items (${(share * 100).toFixed(0)}%)`}
+                        >
+                          {count > 0 ? count : ''}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {(metrics.items_only_in_a > 0 || metrics.items_only_in_b > 0) && (
+            <p className="text-xs text-gray-500 mt-2">
+              {metrics.items_only_in_a} items only in A and {metrics.items_only_in_b} only in B are left out.
+            </p>
+          )}
+        </div>
+
+        {/* Moved items */}
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <h3 className="font-semibold text-gray-900 mb-3">
+            Items that leave their cluster ({metrics.items_moved})
+          </h3>
+          {comparison.moved.length === 0 ? (
+            <div className="text-sm text-gray-500 italic">Every item stays with its matched cluster</div>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-1 pr-2">Item</th>
+                    <th className="py-1 pr-2">In A</th>
+                    <th className="py-1">In B</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {comparison.moved.map(item => {
+                    const labelA = comparison.a.clusters.find(c => c.cluster_id === item.cluster_a)?.label;
+                    const labelB = comparison.b.clusters.find(c => c.cluster_id === item.cluster_b)?.label;
+                    return (
+                      <tr key={item.id}>
+                        <td className="py-1 pr-2">
+                          <span className="text-gray-400 mr-2">{item.identifier}</span>
+                          {item.title}
+                        </td>
+                        <td className="py-1 pr-2 text-gray-600">{labelA}</td>
+                        <td className="py-1 text-gray-600">{labelB}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {comparison.moved_truncated && (
+                <p className="text-xs text-gray-500 mt-2">Showing the first {comparison.moved.length} items.</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-7xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {comparison
+              ? `Compare A: K=${comparison.a.k_value}, T=${comparison.a.similarity_threshold} with B: K=${comparison.b.k_value}, T=${comparison.b.similarity_threshold}`
+              : 'Compare scenarios'}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+        <div className="p-6 overflow-y-auto bg-gray-50">
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioComparison;
@@ -37,16 +37,24 @@ function ScenarioResults({ scenarioId, onClose }) {
   };
 
   const applyToProduction = async () => {
-    if (!window.confirm(`Are you sure you want to apply this clustering configuration to production?\n\nThis will update all ${scenario.entity_type} cluster assignments.`)) {
-      return;
-    }
-
     try {
+      // Dry run first so the confirmation shows what will actually change
+      const preview = await api.applyScenarioToProduction(scenarioId, { preview: true });
+      const details = [
+        `${preview.items_changed} ${scenario.entity_type}s change cluster (${preview.cluster_count} clusters, version ${preview.version}).`,
+        preview.items_unassigned > 0 && `${preview.items_unassigned} ${scenario.entity_type}s added since this scenario ran become unclustered.`,
+        preview.overrides_replaced > 0 && `${preview.overrides_replaced} manual cluster moves will be retired.`
+      ].filter(Boolean).join('\n');
+
+      if (!window.confirm(`Apply this clustering configuration to production?\n\n${details}\n\nYou can undo this from the scenarios list.`)) {
+        return;
+      }
+
       await api.applyScenarioToProduction(scenarioId);
       alert('Scenario applied to production successfully!');
       onClose();
     } catch (err) {
-      alert('Failed to apply scenario: ' + err.message);
+      alert('Failed to apply scenario: ' + (err.response?.data?.error || err.message));
     }
   };
 
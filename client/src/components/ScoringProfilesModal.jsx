@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { XCircle, Plus } from 'lucide-react';
+import { getScoringComponents } from '../services/api';
+import { useScoringProfiles } from '../hooks/useScoringProfiles';
+
+const INPUT_LABELS = {
+  ltv_cac_multiplier: 'LTV:CAC multiplier',
+  ltv_cac_cap: 'LTV:CAC points cap',
+  points_per_problem: 'Points per problem',
+  problem_points_cap: 'Problem points cap'
+};
+
+const fieldClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Form for one profile; remounted (via key) whenever another profile is selected
+function ProfileEditor({ profile, components, inputDefaults, onSaved, isPending, actions }) {
+  const [draft, setDraft] = useState(() => ({
+    name: profile?.name || '',
+    description: profile?.description || '',
+    weights: Object.fromEntries(components.map(c => [c.key, profile?.weights?.[c.key] ?? 0])),
+    inputs: { ...inputDefaults, ...profile?.inputs }
+  }));
+
+  const setWeight = (key, value) => setDraft(d => ({ ...d, weights: { ...d.weights, [key]: value } }));
+  const setInput = (key, value) => setDraft(d => ({ ...d, inputs: { ...d.inputs, [key]: value } }));
+  const totalWeight = Object.values(draft.weights).reduce((sum, w) => sum + (parseFloat(w) || 0), 0);
+
+  const payload = () => ({
+    name: draft.name,
+    description: draft.description || null,
+    weights: draft.weights,
+    inputs: draft.inputs
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-sm text-gray-600">
+          Name
+          <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={fieldClass} />
+        </label>
+        <label className="text-sm text-gray-600">
+          Description
+          <input type="text" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} className={fieldClass} />
+        </label>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-baseline mb-2">
+          <h3 className="font-semibold text-gray-900">Weights</h3>
+          <span className="text-xs text-gray-500">Total {totalWeight.toFixed(2)} · 0 leaves a component out</span>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {components.map(component => (
+            <label key={component.key} className="text-sm text-gray-600">
+              {component.label}
+              <input
+                type="number"
+                min="0"
+                step="0.05"
+                value={draft.weights[component.key]}
+                onChange={(e) => setWeight(component.key, e.target.value)}
+                className={fieldClass}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-900 mb-2">Inputs</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {Object.keys(inputDefaults).map(key => (
+            <label key={key} className="text-sm text-gray-600">
+              {INPUT_LABELS[key] || key}
+              <input
+                type="number"
+                min="0"
+                value={draft.inputs[key] ?? ''}
+                onChange={(e) => setInput(key, e.target.value)}
+                placeholder={inputDefaults[key] === null ? 'No cap' : undefined}
+                className={fieldClass}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center pt-3 border-t">
+        <div className="flex gap-2">{actions}</div>
+        <button
+          onClick={() => onSaved(payload())}
+          disabled={isPending || !draft.name.trim()}
+          className="px-4 py-1.5 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+        >
+          {profile ? 'Save' : 'Create profile'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Create, edit and switch the profiles candidate_score is computed with
+function ScoringProfilesModal({ onClose }) {
+  const { profiles, isLoading, create, update, remove, activate, isPending } = useScoringProfiles();
+  const [selectedId, setSelectedId] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const { data: catalogue } = useQuery({
+    queryKey: ['scoring-components'],
+    queryFn: getScoringComponents,
+    staleTime: Infinity,
+  });
+
+  const selected = isCreating
+    ? null
+    : profiles.find(p => p.id === selectedId) || profiles.find(p => p.is_active) || profiles[0] || null;
+
+  const handleSave = (data) => {
+    if (selected) {
+      update({ id: selected.id, data });
+    } else {
+      create(data, {
+        onSuccess: (profile) => {
+          setIsCreating(false);
+          setSelectedId(profile.id);
+        }
+      });
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete scoring profile "${selected.name}"?`)) {
+      remove(selected.id, { onSuccess: () => setSelectedId(null) });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">Scoring Profiles</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <div className="w-56 border-r p-3 space-y-1 overflow-y-auto">
+            {isLoading ? (
+              <div className="text-sm text-gray-500">Loading...</div>
+            ) : profiles.map(profile => (
+              <button
+                key={profile.id}
+                onClick={() => { setIsCreating(false); setSelectedId(profile.id); }}
+                className={`w-full text-left px-3 py-2 rounded text-sm ${
+                  selected?.id === profile.id ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium truncate">{profile.name}</div>
+                {profile.is_active && <div className="text-xs text-green-600">Active</div>}
+              </button>
+            ))}
+            <button
+              onClick={() => setIsCreating(true)}
+              className={`w-full flex items-center gap-1 px-3 py-2 rounded text-sm ${
+                isCreating ? 'bg-primary-50 text-primary-700' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <Plus className="h-4 w-4" /> New profile
+            </button>
+          </div>
+
+          <div className="flex-1 p-6 overflow-y-auto">
+            {catalogue && (isCreating || selected) && (
+              <ProfileEditor
+                key={selected?.id ?? 'new'}
+                profile={selected}
+                components={catalogue.components}
+                inputDefaults={catalogue.input_defaults}
+                onSaved={handleSave}
+                isPending={isPending}
+                actions={selected && (
+                  <>
+                    <button
+                      onClick={() => activate(selected.id)}
+                      disabled={isPending || selected.is_active}
+                      className="px-3 py-1.5 text-sm border border-green-300 text-green-700 rounded hover:bg-green-50 disabled:opacity-50"
+                      title="Rescore every solution with this profile"
+                    >
+                      {selected.is_active ? 'Active' : 'Activate'}
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      disabled={isPending || selected.is_active}
+                      className="px-3 py-1.5 text-sm border border-red-300 text-red-600 rounded hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              />
+            )}
+            {selected?.is_active && (
+              <p className="text-xs text-gray-500 mt-3">
+                Saving the active profile rescores every solution.
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScoringProfilesModal;
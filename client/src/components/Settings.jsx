@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import UsersAdmin from './UsersAdmin';
+import ApiKeysAdmin from './ApiKeysAdmin';
+
+const TABS = [
+  { key: 'users', label: 'Users' },
+  { key: 'api-keys', label: 'API Keys' }
+];
+
+// Admin settings: studio users and API keys for machine clients
+function Settings({ currentUser }) {
+  const [tab, setTab] = useState('users');
+
+  return (
+    <div className="space-y-4">
+      <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+      <div className="flex gap-6 border-b">
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`pb-2 text-sm font-medium border-b-2 ${
+              tab === key ? 'border-primary-500 text-gray-900' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tab === 'users' ? <UsersAdmin currentUser={currentUser} /> : <ApiKeysAdmin />}
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,273 @@
+import { useQuery } from '@tanstack/react-query';
+import { XCircle, Download, Check } from 'lucide-react';
+import { compareSolutions } from '../services/api';
+import { formatCurrency, formatLargeCurrency } from '../utils/numberUtils';
+import { toCsv, downloadFile } from '../utils/exportUtils';
+
+const number = (digits = 0) => (value) => value.toFixed(digits);
+const text = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const ltvCacRatio = (solution) => {
+  const ltv = parseFloat(solution.ltv_estimate);
+  const cac = parseFloat(solution.cac_estimate);
+  return ltv > 0 && cac > 0 ? ltv / cac : null;
+};
+
+// Rows of the comparison. `better` marks numeric fields whose best value is highlighted.
+const SECTIONS = [
+  {
+    title: 'Overview',
+    fields: [
+      { key: 'identifier', label: 'Identifier' },
+      { key: 'status', label: 'Status' },
+      { key: 'industry', label: 'Industry' },
+      { key: 'source_cluster_label', label: 'Source cluster' },
+      { key: 'is_saas_compatible', label: 'SaaS compatible', format: (value) => (value ? 'Yes' : 'No') }
+    ]
+  },
+  {
+    title: 'Scores',
+    fields: [
+      { key: 'candidate_score', label: 'Candidate score', better: 'high', format: number(1) },
+      { key: 'overall_viability', label: 'Viability', better: 'high', format: (value) => `${value.toFixed(0)}%` },
+      { key: 'technical_feasibility', label: 'Technical feasibility', better: 'high', format: number() },
+      { key: 'market_demand', label: 'Market demand', better: 'high', format: number() },
+      { key: 'competitive_advantage', label: 'Competitive advantage', better: 'high', format: number() },
+      { key: 'resource_requirements', label: 'Resource requirements', better: 'low', format: number() }
+    ]
+  },
+  {
+    title: 'Economics',
+    fields: [
+      { key: 'ltv_cac', label: 'LTV:CAC', better: 'high', value: ltvCacRatio, format: (value) => `${value.toFixed(2)}:1` },
+      { key: 'ltv_estimate', label: 'LTV', better: 'high', format: (value) => formatCurrency(value) },
+      { key: 'cac_estimate', label: 'CAC', better: 'low', format: (value) => formatCurrency(value) },
+      { key: 'recurring_revenue_potential', label: 'Recurring revenue', better: 'high', format: (value) => formatLargeCurrency(value) },
+      { key: 'market_size_estimate', label: 'Market size', better: 'high', format: (value) => formatLargeCurrency(value) },
+      { key: 'payback_months', label: 'Payback (months)', better: 'low', format: number(1) },
+      { key: 'initial_investment', label: 'Initial investment', better: 'low', format: (value) => formatCurrency(value) },
+      { key: 'revenue_model', label: 'Revenue model' },
+      { key: 'pricing_strategy', label: 'Pricing strategy' }
+    ]
+  },
+  {
+    title: 'Delivery',
+    fields: [
+      { key: 'estimated_dev_weeks', label: 'Dev weeks', better: 'low', format: number(1) },
+      { key: 'team_size_required', label: 'Team size', better: 'low', format: number() },
+      { key: 'tech_stack', label: 'Tech stack' }
+    ]
+  },
+  {
+    title: 'Product',
+    fields: [
+      { key: 'value_proposition', label: 'Value proposition' },
+      { key: 'target_audience', label: 'Target audience' },
+      { key: 'primary_feature', label: 'Primary feature' },
+      { key: 'problem_statement', label: 'Problem statement' },
+      { key: 'key_features', label: 'Key features' },
+      { key: 'differentiators', label: 'Differentiators' }
+    ]
+  }
+];
+
+const rawValue = (field, solution) => {
+  const value = field.value ? field.value(solution) : solution[field.key];
+  if (value === null || value === undefined || value === '') return null;
+  if (field.better) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  return value;
+};
+
+const displayValue = (field, value) => {
+  if (value === null) return '—';
+  return field.format ? field.format(value) : text(value);
+};
+
+// Best value of a numeric row, or null when there is nothing to choose between
+const bestValue = (field, values) => {
+  if (!field.better) return null;
+  const numbers = values.filter(value => value !== null);
+  if (numbers.length < 2 || numbers.every(value => value === numbers[0])) return null;
+  return field.better === 'high' ? Math.max(...numbers) : Math.min(...numbers);
+};
+
+// One titled group of aligned field rows, best numeric value highlighted
+const FieldSection = ({ section, solutions }) => (
+  <>
+    <tr>
+      <td colSpan={solutions.length + 1} className="pt-4 pb-1 px-2 text-xs font-semibold text-gray-500 uppercase">
+        {section.title}
+      </td>
+    </tr>
+    {section.fields.map(field => {
+      const values = solutions.map(solution => rawValue(field, solution));
+      const best = bestValue(field, values);
+      return (
+        <tr key={field.key} className="border-t border-gray-100 align-top">
+          <td className="p-2 text-gray-600">{field.label}</td>
+          {values.map((value, index) => (
+            <td
+              key={solutions[index].id}
+              className={`p-2 whitespace-pre-wrap break-words ${
+                best !== null && value === best ? 'bg-green-50 text-green-800 font-semibold' : 'text-gray-800'
+              }`}
+            >
+              {displayValue(field, value)}
+            </td>
+          ))}
+        </tr>
+      );
+    })}
+  </>
+);
+
+function SolutionComparison({ solutionIds, onClose }) {
+  const { data: comparison, isLoading, error } = useQuery({
+    queryKey: ['solution-comparison', solutionIds],
+    queryFn: () => compareSolutions(solutionIds),
+  });
+
+  const handleExport = () => {
+    const { solutions, problems, overlap } = comparison;
+    const rows = [['Field', ...solutions.map(s => s.title)]];
+    for (const section of SECTIONS) {
+      rows.push([section.title]);
+      for (const field of section.fields) {
+        rows.push([field.label, ...solutions.map(s => {
+          const value = rawValue(field, s);
+          return value === null ? '' : displayValue(field, value);
+        })]);
+      }
+    }
+    rows.push(['Problem coverage']);
+    rows.push(['Linked problems', ...overlap.per_solution.map(c => c.problems)]);
+    rows.push(['Unique problems', ...overlap.per_solution.map(c => c.unique)]);
+    for (const problem of problems) {
+      rows.push([
+        `${problem.identifier} ${problem.title}`,
+        ...solutions.map(s => (problem.solution_ids.includes(s.id) ? 'x' : ''))
+      ]);
+    }
+    downloadFile(`solution-comparison-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows));
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <div className="py-12 text-center text-gray-500">Loading comparison...</div>;
+    }
+    if (error) {
+      return (
+        <div className="py-12 text-center text-red-600">
+          {error.response?.data?.error || 'Failed to compare solutions'}
+        </div>
+      );
+    }
+
+    const { solutions, problems, overlap } = comparison;
+    const titleOf = (id) => solutions.find(s => s.id === id)?.title;
+    const columnWidth = `${Math.floor(80 / solutions.length)}%`;
+
+    return (
+      <div className="space-y-6">
+        <table className="w-full text-sm table-fixed border-collapse">
+          <thead className="sticky top-0 bg-white shadow-sm">
+            <tr>
+              <th className="w-1/5 p-2 text-left text-xs text-gray-500 uppercase">Field</th>
+              {solutions.map(solution => (
+                <th key={solution.id} className="p-2 text-left font-semibold text-gray-900" style={{ width: columnWidth }}>
+                  {solution.title}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {SECTIONS.map(section => (
+              <FieldSection key={section.title} section={section} solutions={solutions} />
+            ))}
+            <tr>
+              <td colSpan={solutions.length + 1} className="pt-4 pb-1 px-2 text-xs font-semibold text-gray-500 uppercase">
+                Problem coverage
+              </td>
+            </tr>
+            <tr className="border-t border-gray-100">
+              <td className="p-2 text-gray-600">Linked problems</td>
+              {overlap.per_solution.map(c => (
+                <td key={c.solution_id} className="p-2">{c.problems}</td>
+              ))}
+            </tr>
+            <tr className="border-t border-gray-100">
+              <td className="p-2 text-gray-600" title="Problems none of the other compared solutions address">Unique problems</td>
+              {overlap.per_solution.map(c => (
+                <td key={c.solution_id} className="p-2">{c.unique}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+
+        <div className="bg-gray-50 rounded-lg border border-gray-200 p-4">
+          <h3 className="font-semibold text-gray-900 mb-2">
+            Overlap · {overlap.total_problems} problems, {overlap.shared_by_all} shared by all
+          </h3>
+          <ul className="text-sm text-gray-700 space-y-1 mb-4">
+            {overlap.pairs.map(pair => (
+              <li key={`${pair.a}-${pair.b}`}>
+                <span className="font-medium">{titleOf(pair.a)}</span> and{' '}
+                <span className="font-medium">{titleOf(pair.b)}</span>: {pair.shared} shared
+                {pair.jaccard !== null && ` (${(pair.jaccard * 100).toFixed(0)}% overlap)`}
+              </li>
+            ))}
+          </ul>
+          {problems.length > 0 && (
+            <table className="w-full text-sm table-fixed">
+              <tbody className="divide-y divide-gray-200">
+                {problems.map(problem => (
+                  <tr key={problem.id}>
+                    <td className="w-1/5 py-1 pr-2 truncate" title={problem.title}>
+                      <span className="text-xs text-gray-400 mr-1">{problem.identifier}</span>
+                      {problem.title}
+                    </td>
+                    {solutions.map(solution => (
+                      <td key={solution.id} className="py-1 px-2" style={{ width: columnWidth }}>
+                        {problem.solution_ids.includes(solution.id) && <Check className="h-4 w-4 text-green-600" />}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-7xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">Compare {solutionIds.length} solutions</h2>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleExport}
+              disabled={!comparison}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4" /> Export CSV
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XCircle className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+        <div className="p-6 overflow-y-auto">
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SolutionComparison;
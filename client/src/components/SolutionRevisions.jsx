@@ -0,0 +1,152 @@
+import { useState, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getSolutionRevisions, restoreSolutionRevision } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { diffWords } from '../utils/diffUtils';
+
+const SOURCE_LABELS = {
+  original: 'Original',
+  edit: 'Edit',
+  restore: 'Restore'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  source_url: 'Source URL',
+  value_proposition: 'Value proposition',
+  target_audience: 'Target audience',
+  problem_statement: 'Problem statement',
+  primary_feature: 'Primary feature',
+  key_features: 'Key features',
+  differentiators: 'Differentiators',
+  tech_stack: 'Tech stack'
+};
+
+const asText = (value) => (value === null || value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value));
+
+const FieldDiff = ({ field, before, after }) => (
+  <div>
+    <div className="text-xs font-medium text-gray-500 mb-1">{FIELD_LABELS[field] || field}</div>
+    <div className="text-sm whitespace-pre-wrap break-words bg-gray-50 rounded p-2">
+      {diffWords(asText(before), asText(after)).map((part, index) => (
+        <span
+          key={index}
+          className={
+            part.type === 'added' ? 'bg-green-100 text-green-800'
+              : part.type === 'removed' ? 'bg-red-100 text-red-700 line-through'
+                : 'text-gray-700'
+          }
+        >
+          {part.text}
+        </span>
+      ))}
+    </div>
+  </div>
+);
+
+// Edit history of a solution with a field-level diff and restore
+const SolutionRevisions = memo(function SolutionRevisions({ solutionId }) {
+  const queryClient = useQueryClient();
+  const [selectedNumber, setSelectedNumber] = useState(null);
+  const [compareWithOriginal, setCompareWithOriginal] = useState(false);
+
+  const { data: revisions, isLoading } = useQuery({
+    queryKey: ['solution-revisions', solutionId],
+    queryFn: () => getSolutionRevisions(solutionId),
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (revisionNumber) => restoreSolutionRevision(solutionId, revisionNumber),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['solution-revisions', solutionId] });
+      queryClient.invalidateQueries({ queryKey: ['solutions'] });
+      setSelectedNumber(null);
+    },
+    onError: (error) => {
+      alert('Failed to restore revision: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  if (isLoading) {
+    return <div className="text-sm text-gray-500">Loading revisions...</div>;
+  }
+  if (!revisions || revisions.length === 0) {
+    return <div className="text-sm text-gray-500 italic">Not edited since it was created</div>;
+  }
+
+  // Newest first; default to the latest edit
+  const selected = revisions.find(r => r.revision_number === selectedNumber) || revisions[0];
+  const original = revisions[revisions.length - 1];
+  const previous = revisions.find(r => r.revision_number === selected.revision_number - 1);
+  const base = compareWithOriginal ? original : previous;
+  const changedFields = base
+    ? Object.keys(FIELD_LABELS).filter(field => asText(base.fields[field]) !== asText(selected.fields[field]))
+    : [];
+  const isLatest = selected.revision_number === revisions[0].revision_number;
+
+  const handleRestore = () => {
+    if (window.confirm(`Restore revision ${selected.revision_number}? The current text is kept as a revision.`)) {
+      restoreMutation.mutate(selected.revision_number);
+    }
+  };
+
+  return (
+    <div className="bg-white p-3 rounded border border-gray-200 flex gap-4" onClick={(e) => e.stopPropagation()}>
+      <ul className="w-56 shrink-0 space-y-1 max-h-80 overflow-y-auto">
+        {revisions.map(revision => (
+          <li key={revision.id}>
+            <button
+              onClick={() => setSelectedNumber(revision.revision_number)}
+              className={`w-full text-left px-2 py-1.5 rounded text-xs ${
+                revision.revision_number === selected.revision_number ? 'bg-primary-50 text-primary-800' : 'hover:bg-gray-50 text-gray-700'
+              }`}
+            >
+              <div className="flex justify-between">
+                <span className="font-medium">
+                  #{revision.revision_number} {SOURCE_LABELS[revision.source]}
+                  {revision.restored_from && ` of #${revision.restored_from}`}
+                </span>
+                {revision.edited_by && <span className="text-gray-500">{revision.edited_by}</span>}
+              </div>
+              <div className="text-gray-500">{formatDateTime(revision.created_at)}</div>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex-1 min-w-0 space-y-3">
+        <div className="flex justify-between items-center text-xs">
+          <label className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={compareWithOriginal}
+              onChange={(e) => setCompareWithOriginal(e.target.checked)}
+            />
+            Compare with the original instead of the previous revision
+          </label>
+          {!isLatest && (
+            <button
+              onClick={handleRestore}
+              disabled={restoreMutation.isPending}
+              className="px-3 py-1 text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+            >
+              Restore this revision
+            </button>
+          )}
+        </div>
+        {!base ? (
+          <div className="text-sm text-gray-500 italic">The text as it was before the first edit</div>
+        ) : changedFields.length === 0 ? (
+          <div className="text-sm text-gray-500 italic">No differences from revision {base.revision_number}</div>
+        ) : (
+          changedFields.map(field => (
+            <FieldDiff key={field} field={field} before={base.fields[field]} after={selected.fields[field]} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default SolutionRevisions;
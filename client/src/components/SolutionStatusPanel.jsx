@@ -0,0 +1,115 @@
+import { useState, memo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getSolutionLifecycle, getSolutionStatusHistory, transitionSolutionStatus } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { SOLUTION_STATUS_STYLES } from '../config/tableConfig';
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-flex px-2 py-0.5 text-xs rounded-full ${SOLUTION_STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status || 'candidate'}
+  </span>
+);
+
+// Current lifecycle status, the legal next steps and every past transition of a solution
+const SolutionStatusPanel = memo(function SolutionStatusPanel({ solution }) {
+  const queryClient = useQueryClient();
+  const [targetStatus, setTargetStatus] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const { data: lifecycle } = useQuery({
+    queryKey: ['solution-lifecycle'],
+    queryFn: getSolutionLifecycle,
+    staleTime: Infinity,
+  });
+
+  const { data: history, isLoading } = useQuery({
+    queryKey: ['solution-status-history', solution.id],
+    queryFn: () => getSolutionStatusHistory(solution.id),
+  });
+
+  const transitionMutation = useMutation({
+    mutationFn: () => transitionSolutionStatus(solution.id, targetStatus, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['solution-status-history', solution.id] });
+      queryClient.invalidateQueries({ queryKey: ['solutions'] });
+      queryClient.invalidateQueries({ queryKey: ['bestSolutionCandidate'] });
+      queryClient.invalidateQueries({ queryKey: ['candidate-leaderboard'] });
+      setTargetStatus(null);
+      setReason('');
+    },
+    onError: (error) => {
+      alert('Failed to change status: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const currentStatus = solution.status || 'candidate';
+  // Statuses outside the lifecycle may move to any defined state
+  const nextStatuses = lifecycle
+    ? (lifecycle.transitions[currentStatus] || lifecycle.statuses.filter(s => s !== currentStatus))
+    : [];
+
+  return (
+    <div className="bg-white p-3 rounded border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-500">Status:</span>
+        <StatusBadge status={currentStatus} />
+        {nextStatuses.length > 0 && <span className="text-gray-400 ml-2">Move to:</span>}
+        {nextStatuses.map(status => (
+          <button
+            key={status}
+            onClick={() => setTargetStatus(targetStatus === status ? null : status)}
+            className={`px-2 py-0.5 text-xs rounded border ${
+              targetStatus === status ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      {targetStatus && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={`Why move to ${targetStatus}?`}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+            autoFocus
+          />
+          <button
+            onClick={() => transitionMutation.mutate()}
+            disabled={!reason.trim() || transitionMutation.isPending}
+            className="px-3 py-1 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+          >
+            {transitionMutation.isPending ? 'Saving...' : 'Confirm'}
+          </button>
+        </div>
+      )}
+
+      <div>
+        <div className="text-xs font-medium text-gray-500 uppercase mb-1">Status history</div>
+        {isLoading ? (
+          <div className="text-xs text-gray-500">Loading...</div>
+        ) : history?.length === 0 ? (
+          <div className="text-xs text-gray-500 italic">No status changes recorded</div>
+        ) : (
+          <ul className="space-y-1">
+            {history?.map(entry => (
+              <li key={entry.id} className="flex items-start gap-2 text-xs">
+                <span className="text-gray-400 whitespace-nowrap">{formatDateTime(entry.created_at)}</span>
+                <span className="whitespace-nowrap">
+                  <StatusBadge status={entry.from_status} /> → <StatusBadge status={entry.to_status} />
+                </span>
+                <span className="text-gray-700">{entry.reason}</span>
+                {entry.changed_by && <span className="text-gray-400">· {entry.changed_by}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default SolutionStatusPanel;
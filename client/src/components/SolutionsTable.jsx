@@ -1,16 +1,22 @@
 import { useState, useCallback, memo, useEffect, useMemo, useRef } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { getSolutions, getProblemsBySolution, getProblemsByCluster, getSolutionsFilterOptions, getBestSolutionCandidate, createProductFromSolution, createSolution, createSolutionFromFeatures, updateSolution, deleteSolutions, getCloneSuggestion, analyzeUrl } from '../services/api';
+import { getSolutionsPage, getProblemsBySolution, getProblemsByCluster, getSolutionsFilterOptions, getBestSolutionCandidate, createProductFromSolution, createSolution, createSolutionFromFeatures, updateSolution, deleteSolutions, getCloneSuggestion, analyzeUrl } from '../services/api';
 import { formatDateTime, isNewItem } from '../utils/dateUtils';
 import { formatLargeCurrency, formatPercentage } from '../utils/numberUtils';
 import SearchInput from './SearchInput';
 import ColumnSelector from './ColumnSelector';
 import TableHeader from './TableHeader';
 import StudyModeModal from './StudyModeModal';
+import ProblemLinkPicker from './ProblemLinkPicker';
+import SolutionStatusPanel from './SolutionStatusPanel';
+import SolutionComparison from './SolutionComparison';
+import SolutionRevisions from './SolutionRevisions';
 import Pagination from './Pagination';
 import { useTableFeatures } from '../hooks/useTableFeatures';
+import { useDebounce } from '../hooks/useDebounce';
 import { usePinnedEntities } from '../hooks/usePinnedEntities';
-import { TAB_COLUMNS, DEFAULT_VISIBLE_COLUMNS, getCellClassName, getColumnStyle, getInitialColumnWidths } from '../config/tableConfig';
+import { useSolutionProblemLinks } from '../hooks/useSolutionProblemLinks';
+import { TAB_COLUMNS, DEFAULT_VISIBLE_COLUMNS, SOLUTION_STATUS_STYLES, getCellClassName, getColumnStyle, getInitialColumnWidths } from '../config/tableConfig';
 import '../styles/tables.css';
 
 const ITEMS_PER_PAGE = 20;
@@ -639,6 +645,9 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
     staleTime: 1000 * 60 * 5,
   });
 
+  const { unlink, isPending: linksPending } = useSolutionProblemLinks(solution.id);
+  const linkedIds = directProblems?.map(p => p.id) || [];
+
   return (
     <>
       <tr className={`hover:bg-gray-50 ${isPinned ? 'bg-blue-50 border-l-4 border-blue-500' : ''} ${isFlashing ? 'flash-new' : ''} ${isNew ? 'new-item' : ''}`}>
@@ -762,10 +771,7 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
         {visibleColumns.includes('status') && (
           <td className="px-6 py-4 text-center cursor-pointer" style={{ width: '100px' }} onClick={() => setIsExpanded(!isExpanded)}>
             <span className={`inline-flex px-2 py-1 text-xs rounded-full ${
-              solution.status === 'launched' ? 'bg-green-100 text-green-800' :
-              solution.status === 'selected' ? 'bg-blue-100 text-blue-800' :
-              solution.status === 'evaluated' ? 'bg-yellow-100 text-yellow-800' :
-              'bg-gray-100 text-gray-800'
+              SOLUTION_STATUS_STYLES[solution.status] || 'bg-gray-100 text-gray-800'
             }`}>
               {solution.status || 'candidate'}
             </span>
@@ -896,6 +902,18 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
                   </div>
                 </div>
                 
+                {/* Lifecycle */}
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-700 mb-2">Lifecycle</h4>
+                  <SolutionStatusPanel solution={solution} />
+                </div>
+
+                {/* Edit history */}
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-700 mb-2">Revision History</h4>
+                  <SolutionRevisions solutionId={solution.id} />
+                </div>
+
                 {/* Problems Section - Side by Side */}
                 <div>
                   <h4 className="text-sm font-semibold text-gray-700 mb-3">Related Problems</h4>
@@ -915,6 +933,9 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
                                 ⓘ
                               </span>
                             </div>
+                            <div className="mb-2">
+                              <ProblemLinkPicker solutionId={solution.id} linkedIds={linkedIds} />
+                            </div>
                             {directLoading ? (
                               <div className="text-sm text-gray-500">Loading...</div>
                             ) : directProblems?.length === 0 ? (
@@ -923,8 +944,18 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
                               <div className="space-y-2 max-h-96 overflow-y-auto">
                                 {directProblems?.map((problem) => (
                                   <div key={problem.id} className="bg-white p-3 rounded border border-blue-200">
-                                    <div className="text-sm font-medium text-gray-900">
-                                      {problem.title}
+                                    <div className="flex justify-between items-start gap-2">
+                                      <div className="text-sm font-medium text-gray-900">
+                                        {problem.title}
+                                      </div>
+                                      <button
+                                        onClick={() => unlink([problem.id])}
+                                        disabled={linksPending}
+                                        className="text-xs text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                        title="Unlink from this solution"
+                                      >
+                                        Unlink
+                                      </button>
                                     </div>
                                     <div className="text-xs text-gray-500 mt-1 line-clamp-2">
                                       {problem.description}
@@ -1000,11 +1031,24 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
                               ⓘ
                             </span>
                           </div>
+                          <div className="mb-2">
+                            <ProblemLinkPicker solutionId={solution.id} linkedIds={linkedIds} />
+                          </div>
                           <div className="space-y-2">
                             {directProblems.map((problem) => (
                               <div key={problem.id} className="bg-white p-3 rounded border border-blue-200">
-                                <div className="text-sm font-medium text-gray-900">
-                                  {problem.title}
+                                <div className="flex justify-between items-start gap-2">
+                                  <div className="text-sm font-medium text-gray-900">
+                                    {problem.title}
+                                  </div>
+                                  <button
+                                    onClick={() => unlink([problem.id])}
+                                    disabled={linksPending}
+                                    className="text-xs text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                    title="Unlink from this solution"
+                                  >
+                                    Unlink
+                                  </button>
                                 </div>
                                 <div className="text-xs text-gray-500 mt-1">
                                   {problem.description?.substring(0, 150)}...
@@ -1014,8 +1058,11 @@ const SolutionRow = memo(function SolutionRow({ solution, visibleColumns, isBest
                           </div>
                         </>
                       ) : (
-                        <div className="text-sm text-gray-500 italic">
-                          No source cluster and no directly mapped problems
+                        <div className="space-y-2">
+                          <div className="text-sm text-gray-500 italic">
+                            No source cluster and no directly mapped problems
+                          </div>
+                          <ProblemLinkPicker solutionId={solution.id} linkedIds={linkedIds} />
                         </div>
                       )}
                     </div>
@@ -1069,6 +1116,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
   const [editingSolution, setEditingSolution] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [comparisonIds, setComparisonIds] = useState(null);
   
   // Selection handlers
   const handleSelectAll = (solutions) => {
@@ -1116,6 +1164,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
       if (editingSolution) {
         // Update existing solution
         await updateSolution(editingSolution.id, formData);
+        queryClient.invalidateQueries({ queryKey: ['solution-revisions', editingSolution.id] });
       } else if (formData.mode === 'features') {
         // Create solution from features.json upload
         await createSolutionFromFeatures(formData.features, formData.source_url);
@@ -1137,14 +1186,28 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
   const handleDeleteSelected = async () => {
     if (selectedItems.size === 0) return;
 
-    const selectedCount = selectedItems.size;
-    const confirmMessage = `Are you sure you want to delete ${selectedCount} solution${selectedCount > 1 ? 's' : ''}?\n\nThis action cannot be undone.`;
-
-    if (!window.confirm(confirmMessage)) return;
-
     setIsDeleting(true);
     try {
       const ids = Array.from(selectedItems);
+
+      // Ask the server what would happen and confirm against that report
+      const report = await deleteSolutions(ids, { dryRun: true });
+      if (report.deleted_count === 0) {
+        alert('The selected solutions are already in the trash.');
+        return;
+      }
+      const linkCounts = report.problem_links_to_drop.reduce((counts, link) => {
+        counts[link.solution_id] = (counts[link.solution_id] || 0) + 1;
+        return counts;
+      }, {});
+      const solutionList = report.deleted_solutions
+        .map(s => `- ${s.identifier} ${s.title} (${linkCounts[s.id] || 0} problem link${linkCounts[s.id] === 1 ? '' : 's'})`)
+        .join('\n');
+      const confirmMessage = `Move ${report.deleted_count} solution${report.deleted_count > 1 ? 's' : ''} to the trash?\n\n${solutionList}\n\n` +
+        `Their ${report.problem_links_to_drop.length} problem link${report.problem_links_to_drop.length === 1 ? '' : 's'} are kept in the trash and dropped only when the solutions are purged.`;
+
+      if (!window.confirm(confirmMessage)) return;
+
       const result = await deleteSolutions(ids);
 
       // Clear selection
@@ -1153,7 +1216,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
       // Refresh solutions
       await refetchSolutions();
 
-      alert(`Successfully deleted ${result.deleted_count} solution${result.deleted_count > 1 ? 's' : ''}.`);
+      alert(`Moved ${result.deleted_count} solution${result.deleted_count > 1 ? 's' : ''} to the trash.`);
     } catch (error) {
       console.error('Error deleting solutions:', error);
 
@@ -1163,7 +1226,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
         const blockedList = blocked.map(s => `- ${s.title} (has product: ${s.project_name})`).join('\n');
         alert(`Cannot delete solutions with associated products:\n\n${blockedList}\n\nPlease delete the products first.`);
       } else {
-        alert(`Failed to delete solutions: ${error.response?.data?.message || error.message}`);
+        alert(`Failed to delete solutions: ${error.response?.data?.error || error.response?.data?.message || error.message}`);
       }
     } finally {
       setIsDeleting(false);
@@ -1220,20 +1283,62 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
     staleTime: 1000 * 60 * 10, // Cache for 10 minutes
   });
 
-  const { data: allSolutions, isLoading, refetch: refetchSolutions } = useQuery({
-    queryKey: ['solutions', apiFilters],
-    queryFn: () => getSolutions(apiFilters),
+  // Translate table filters into server-side query params (everything except the page)
+  const filterParams = useMemo(() => {
+    const params = Object.fromEntries(
+      Object.entries(apiFilters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    if (searchTerm) params.search = searchTerm;
+
+    if (externalFilters) {
+      if (externalFilters.title) params.title = externalFilters.title;
+      if (externalFilters.status?.length > 0) params.status = externalFilters.status;
+      if (externalFilters.overall_viability) {
+        const [min, max] = externalFilters.overall_viability;
+        if (min > 0) params.min_viability = min;
+        if (max < 100) params.max_viability = max;
+      }
+      if (externalFilters.ltv_cac !== null && externalFilters.ltv_cac !== undefined) {
+        params.min_ltv_cac = externalFilters.ltv_cac;
+      }
+      if (externalFilters.revenue !== null && externalFilters.revenue !== undefined) {
+        params.min_revenue = externalFilters.revenue;
+      }
+      if (externalFilters.source_cluster) params.source_cluster = externalFilters.source_cluster;
+      if (externalFilters.problem_count !== null && externalFilters.problem_count !== undefined) {
+        params.min_problem_count = externalFilters.problem_count;
+      }
+      if (externalFilters.hasProject === true || externalFilters.hasProject === false) {
+        params.has_project = externalFilters.hasProject;
+      }
+      if (externalFilters.industry?.length > 0) params.industry = externalFilters.industry;
+    }
+    return params;
+  }, [apiFilters, searchTerm, externalFilters]);
+
+  // Debounce so typing in a filter box doesn't fire a request per keystroke
+  const debouncedFilterParams = useDebounce(filterParams, 300);
+
+  const { data: solutionsPage, isLoading, refetch: refetchSolutions } = useQuery({
+    queryKey: ['solutions', debouncedFilterParams, currentPage],
+    queryFn: () => getSolutionsPage({
+      ...debouncedFilterParams,
+      limit: ITEMS_PER_PAGE,
+      offset: (currentPage - 1) * ITEMS_PER_PAGE,
+    }),
     refetchOnWindowFocus: false,
     refetchOnMount: false,
-    keepPreviousData: true,
+    placeholderData: (previousData) => previousData,
   });
+  const solutions = useMemo(() => solutionsPage?.data || [], [solutionsPage]);
+  const totalSolutions = solutionsPage?.pagination?.total || 0;
 
   // Handle refresh
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
       // Store current data before refresh
-      previousDataRef.current = allSolutions ? new Set(allSolutions.map(s => s.id)) : new Set();
+      previousDataRef.current = new Set(solutions.map(s => s.id));
       await Promise.all([
         refetchSolutions(),
         refetchBestCandidate()
@@ -1245,9 +1350,9 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
 
   // Detect new items after data changes
   useEffect(() => {
-    if (allSolutions && previousDataRef.current) {
+    if (solutionsPage && previousDataRef.current) {
       const newIds = new Set();
-      allSolutions.forEach(solution => {
+      solutions.forEach(solution => {
         // Item is new if it wasn't in previous data OR was created in last 10 seconds
         if (!previousDataRef.current.has(solution.id) || isNewItem(solution.created_at)) {
           newIds.add(solution.id);
@@ -1265,7 +1370,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
         setFlashItemIds(new Set());
       }
     }
-  }, [allSolutions]);
+  }, [solutionsPage, solutions]);
   
   // Fetch the best solution candidate
   const { data: bestCandidate, refetch: refetchBestCandidate } = useQuery({
@@ -1274,116 +1379,19 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
     staleTime: 1000 * 60 * 5, // Cache for 5 minutes
   });
 
-  // Client-side filtering for search
-  const solutions = useMemo(() => {
-    if (!allSolutions) return [];
-    
-    let filtered = allSolutions;
-    
-    // Apply search filter
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(solution => 
-        solution.title?.toLowerCase().includes(term) ||
-        solution.description?.toLowerCase().includes(term) ||
-        solution.identifier?.toLowerCase().includes(term)
-      );
-    }
-    
-    // Apply external filters if provided
-    if (externalFilters) {
-      // Title filter
-      if (externalFilters.title) {
-        const titleTerm = externalFilters.title.toLowerCase();
-        filtered = filtered.filter(solution => 
-          solution.title?.toLowerCase().includes(titleTerm)
-        );
-      }
-      
-      // Status filter
-      if (externalFilters.status?.length > 0) {
-        filtered = filtered.filter(solution => 
-          externalFilters.status.includes(solution.status)
-        );
-      }
-      
-      // Viability range filter (renamed from viabilityRange to overall_viability)
-      if (externalFilters.overall_viability) {
-        const [min, max] = externalFilters.overall_viability;
-        filtered = filtered.filter(solution => {
-          const viability = solution.overall_viability || 0;
-          return viability >= min && viability <= max;
-        });
-      }
-      
-      // LTV/CAC filter (minimum ratio)
-      if (externalFilters.ltv_cac !== null && externalFilters.ltv_cac !== undefined) {
-        filtered = filtered.filter(solution => {
-          // Calculate the LTV/CAC ratio if both values exist
-          if (solution.ltv_estimate && solution.cac_estimate && solution.cac_estimate > 0) {
-            const ratio = solution.ltv_estimate / solution.cac_estimate;
-            return ratio >= externalFilters.ltv_cac;
-          }
-          return false; // Exclude solutions without LTV/CAC data
-        });
-      }
-      
-      // Revenue filter (minimum)
-      if (externalFilters.revenue !== null && externalFilters.revenue !== undefined) {
-        filtered = filtered.filter(solution => 
-          (solution.recurring_revenue_potential || 0) >= externalFilters.revenue
-        );
-      }
-      
-      // Source cluster filter
-      if (externalFilters.source_cluster) {
-        const clusterTerm = externalFilters.source_cluster.toLowerCase();
-        filtered = filtered.filter(solution => 
-          solution.source_cluster_label?.toLowerCase().includes(clusterTerm)
-        );
-      }
-      
-      // Problem count filter (minimum)
-      if (externalFilters.problem_count !== null && externalFilters.problem_count !== undefined) {
-        filtered = filtered.filter(solution => 
-          (solution.problem_count || 0) >= externalFilters.problem_count
-        );
-      }
-      
-      // Has project filter
-      if (externalFilters.hasProject === true) {
-        filtered = filtered.filter(solution => solution.linear_project_id);
-      } else if (externalFilters.hasProject === false) {
-        filtered = filtered.filter(solution => !solution.linear_project_id);
-      }
-
-      // Industry filter (from source cluster's primary_industry)
-      if (externalFilters.industry?.length > 0) {
-        filtered = filtered.filter(solution =>
-          externalFilters.industry.includes(solution.industry)
-        );
-      }
-    }
-
-    return filtered;
-  }, [allSolutions, searchTerm, externalFilters]);
-
-  // Memoize pinned/unpinned separation to avoid recalculating on every render
+  // Pinned solutions on the current page float to the top
   const { pinned: pinnedSolutions, unpinned: unpinnedSolutions } = useMemo(() => {
     return separateEntities(solutions);
   }, [solutions, separateEntities]);
 
-  // Pagination calculations for unpinned solutions
-  const totalUnpinned = unpinnedSolutions.length;
-  const totalPages = Math.ceil(totalUnpinned / ITEMS_PER_PAGE);
-  const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-  const endIndex = startIndex + ITEMS_PER_PAGE;
-  const paginatedUnpinned = unpinnedSolutions.slice(startIndex, endIndex);
+  // Pagination comes from the server
+  const totalPages = Math.ceil(totalSolutions / ITEMS_PER_PAGE);
+  const paginatedUnpinned = unpinnedSolutions;
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm, externalFilters?.industry, externalFilters?.status, externalFilters?.source_cluster]);
+  }, [debouncedFilterParams]);
 
   // Pass filtered data back to parent
   useEffect(() => {
@@ -1469,7 +1477,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
           <div className="flex justify-between items-center">
             <div className="flex items-center gap-4">
               <h2 className="text-lg font-semibold text-gray-800">
-                Solutions ({solutions?.length || 0} total)
+                Solutions ({totalSolutions} total)
               </h2>
               {pinnedIds.length > 0 && (
                 <div className="flex items-center gap-2">
@@ -1486,6 +1494,17 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
               )}
             </div>
             <div className="flex items-center gap-2">
+              {/* Compare button - 2 to 5 selected solutions */}
+              {selectedItems.size > 1 && (
+                <button
+                  onClick={() => setComparisonIds(Array.from(selectedItems))}
+                  disabled={selectedItems.size > 5}
+                  className="flex items-center gap-2 px-3 py-1.5 text-primary-600 hover:text-primary-800 hover:bg-primary-50 rounded transition-colors disabled:opacity-50"
+                  title={selectedItems.size > 5 ? 'Select at most 5 solutions to compare' : 'Compare selected solutions side by side'}
+                >
+                  Compare ({selectedItems.size})
+                </button>
+              )}
               {/* Delete button - only show when items are selected */}
               {selectedItems.size > 0 && (
                 <button
@@ -1653,7 +1672,7 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
       <Pagination
         currentPage={currentPage}
         totalPages={totalPages}
-        totalItems={totalUnpinned}
+        totalItems={totalSolutions}
         itemsPerPage={ITEMS_PER_PAGE}
         onPageChange={setCurrentPage}
         itemName="solutions"
@@ -1667,6 +1686,11 @@ function SolutionsTable({ filters: externalFilters, onFiltersChange, onDataFilte
         entityType={studyEntityType}
       />
 
+      {/* Side-by-side comparison of selected solutions */}
+      {comparisonIds && (
+        <SolutionComparison solutionIds={comparisonIds} onClose={() => setComparisonIds(null)} />
+      )}
+
       {/* Create/Edit Solution Modal */}
       <CreateEditSolutionModal
         isOpen={createEditModalOpen}
@@ -1,13 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { getProblems, getSolutions, getSolutionsByProblem, getSolutionsByCluster, getSolutionsBySolutionCluster, getProblemsBySolution, getProblemsByCluster, getClusterById } from '../services/api';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getProblems, getSolutions, getSolutionsByProblem, getSolutionsByCluster, getSolutionsBySolutionCluster, getProblemsBySolution, getProblemsByCluster, getClusterById, renameCluster, getClusterLabelHistory } from '../services/api';
 import { formatCurrency, formatLargeCurrency } from '../utils/numberUtils';
+import MoveToClusterModal from './MoveToClusterModal';
+import ProblemLinkPicker from './ProblemLinkPicker';
+import { useSolutionProblemLinks } from '../hooks/useSolutionProblemLinks';
 
 function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
   const [currentEntity, setCurrentEntity] = useState(initialEntity);
   const [currentType, setCurrentType] = useState(entityType);
   const [navigationHistory, setNavigationHistory] = useState([]);
   const [activeTab, setActiveTab] = useState('overview');
+  const [moveModalOpen, setMoveModalOpen] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState('');
+  const queryClient = useQueryClient();
 
   // Update when props change
   useEffect(() => {
@@ -19,6 +26,10 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
     }
   }, [initialEntity, entityType]);
 
+  useEffect(() => {
+    setIsRenaming(false);
+  }, [currentEntity?.cluster_id]);
+
   // Fetch related solutions for problems
   const { data: relatedSolutions } = useQuery({
     queryKey: ['study-solutions', currentEntity?.id, currentType],
@@ -94,6 +105,32 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
     enabled: currentType === 'solutionCluster' && !!currentEntity?.cluster_id,
   });
 
+  // Previous labels of problem clusters (renames, merges, splits)
+  const { data: labelHistory } = useQuery({
+    queryKey: ['cluster-label-history', currentEntity?.cluster_id],
+    queryFn: () => getClusterLabelHistory(currentEntity.cluster_id),
+    enabled: currentType === 'cluster' && !!currentEntity?.cluster_id,
+  });
+
+  const { unlink: unlinkProblems, isPending: linksPending } = useSolutionProblemLinks(
+    currentType === 'solution' ? currentEntity?.id : null
+  );
+
+  const renameMutation = useMutation({
+    mutationFn: (label) => renameCluster(currentEntity.cluster_id, label),
+    onSuccess: (result) => {
+      setCurrentEntity(prev => ({ ...prev, cluster_label: result.cluster_label }));
+      setIsRenaming(false);
+      queryClient.invalidateQueries({ queryKey: ['cluster-label-history', result.cluster_id] });
+      queryClient.invalidateQueries({ queryKey: ['clusters'] });
+      queryClient.invalidateQueries({ queryKey: ['problems'] });
+      queryClient.invalidateQueries({ queryKey: ['solutions'] });
+    },
+    onError: (error) => {
+      alert('Failed to rename cluster: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
   if (!isOpen) return null;
 
   const navigateToEntity = (entity, type) => {
@@ -145,9 +182,67 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
         <div className="space-y-6">
           {/* Cluster Header */}
           <div>
-            <h3 className="text-2xl font-bold text-gray-900 mb-2">
-              {currentEntity.is_outlier_bucket ? '⚠️ Outlier Bucket' : currentEntity.cluster_label}
-            </h3>
+            {isRenaming ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  renameMutation.mutate(renameValue);
+                }}
+                className="flex gap-2 mb-2"
+              >
+                <input
+                  type="text"
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  autoFocus
+                  className="flex-1 px-3 py-1 text-xl font-bold border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <button
+                  type="submit"
+                  disabled={renameMutation.isPending || !renameValue.trim()}
+                  className="px-3 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {renameMutation.isPending ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsRenaming(false)}
+                  disabled={renameMutation.isPending}
+                  className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <h3 className="text-2xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+                {currentEntity.is_outlier_bucket ? '⚠️ Outlier Bucket' : currentEntity.cluster_label}
+                {currentType === 'cluster' && !currentEntity.is_outlier_bucket && (
+                  <button
+                    onClick={() => {
+                      setRenameValue(currentEntity.cluster_label || '');
+                      setIsRenaming(true);
+                    }}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                    title="Rename cluster"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                    </svg>
+                  </button>
+                )}
+              </h3>
+            )}
+            {labelHistory?.length > 0 && (
+              <div className="text-sm text-gray-500 mb-3">
+                <span className="font-medium">Previously:</span>{' '}
+                {labelHistory.map((entry, idx) => (
+                  <span key={entry.id} title={`${entry.change_source} on ${new Date(entry.created_at).toLocaleString()}${entry.changed_by ? ` by ${entry.changed_by}` : ''}`}>
+                    {idx > 0 && ' · '}
+                    {entry.previous_label || <em>unlabeled</em>}
+                  </span>
+                ))}
+              </div>
+            )}
             <div className="flex gap-3 mb-4">
               <span className="px-3 py-1 bg-purple-100 text-purple-700 rounded-lg text-sm">
                 📊 Cluster ID: {currentEntity.cluster_id?.slice(0, 8)}...
@@ -467,6 +562,13 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
                   📊 {currentEntity.cluster_label}
                 </span>
               )}
+              <button
+                onClick={() => setMoveModalOpen(true)}
+                className="px-3 py-1 text-sm text-purple-700 border border-purple-200 rounded-lg hover:bg-purple-50"
+                title="Move this problem to another cluster"
+              >
+                Move to cluster…
+              </button>
             </div>
           </div>
 
@@ -834,6 +936,9 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
           {/* Direct Problems */}
           <div>
             <h4 className="font-semibold text-gray-700 mb-4">Directly Linked Problems</h4>
+            <div className="mb-4">
+              <ProblemLinkPicker solutionId={currentEntity.id} linkedIds={directProblems?.map(p => p.id) || []} />
+            </div>
             {directProblems && directProblems.length > 0 ? (
               <div className="grid gap-4">
                 {directProblems.map(problem => (
@@ -869,6 +974,14 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
                             {problem.impact} impact
                           </div>
                         )}
+                        <button
+                          onClick={(e) => { e.stopPropagation(); unlinkProblems([problem.id]); }}
+                          disabled={linksPending}
+                          className="mt-2 text-xs text-gray-400 hover:text-red-600 disabled:opacity-50"
+                          title="Unlink from this solution"
+                        >
+                          Unlink
+                        </button>
                       </div>
                     </div>
                     {(problem.industry || problem.business_size) && (
@@ -1030,6 +1143,26 @@ function StudyModeModal({ isOpen, onClose, initialEntity, entityType }) {
           </div>
         </div>
       </div>
+
+      {currentType === 'problem' && (
+        <MoveToClusterModal
+          isOpen={moveModalOpen}
+          onClose={() => setMoveModalOpen(false)}
+          problems={[currentEntity]}
+          currentClusterId={currentEntity.cluster_id}
+          onMoved={(result) => {
+            const moved = result.moved[0];
+            if (moved) {
+              setCurrentEntity(prev => ({
+                ...prev,
+                cluster_id: result.cluster.cluster_id,
+                cluster_label: result.cluster.cluster_label,
+                cluster_similarity: moved.cluster_similarity
+              }));
+            }
+          }}
+        />
+      )}
     </div>
   );
 }
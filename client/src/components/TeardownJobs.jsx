@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { RotateCcw } from 'lucide-react';
+import { getTeardowns, retryTeardown } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const STEP_LABELS = {
+  github_repo: 'GitHub repo',
+  gcp_tenant: 'GCP tenant'
+};
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800',
+  completed: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  running: 'bg-blue-100 text-blue-800',
+  in_progress: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'}`}>
+    {status.replace('_', ' ')}
+  </span>
+);
+
+// External resources of purged products: what was torn down and what is left over
+function TeardownJobs({ canRetry }) {
+  const queryClient = useQueryClient();
+  const [showCompleted, setShowCompleted] = useState(false);
+
+  const { data: jobs = [], isLoading } = useQuery({
+    queryKey: ['teardowns', showCompleted],
+    queryFn: () => getTeardowns(showCompleted ? {} : { status: 'open' }),
+    // Pending steps are retried in the background
+    refetchInterval: 30000,
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: retryTeardown,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['teardowns'] }),
+    onError: (error) => {
+      alert('Retry failed: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="flex justify-between items-center px-4 py-3 border-b">
+        <h2 className="font-semibold text-gray-900">Teardowns</h2>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showCompleted} onChange={(e) => setShowCompleted(e.target.checked)} />
+          Show completed
+        </label>
+      </div>
+      {isLoading ? (
+        <div className="p-6 text-gray-500">Loading teardowns...</div>
+      ) : jobs.length === 0 ? (
+        <div className="p-6 text-sm text-gray-500 italic">
+          {showCompleted ? 'No teardowns yet' : 'Nothing left over'}
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="px-4 py-2">Product</th>
+              <th className="px-4 py-2">Steps</th>
+              <th className="px-4 py-2">Purged</th>
+              <th className="px-4 py-2 text-right">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {jobs.map(job => (
+              <tr key={job.id} className="align-top">
+                <td className="px-4 py-2 font-medium text-gray-900">{job.product_name || job.product_id}</td>
+                <td className="px-4 py-2 space-y-1">
+                  {job.steps.map(step => (
+                    <div key={step.id} className="flex items-start gap-2">
+                      <StatusBadge status={step.status} />
+                      <div>
+                        <span className="text-gray-700">{STEP_LABELS[step.step_type]}</span>{' '}
+                        <span className="text-xs text-gray-500 break-all">{step.target}</span>
+                        {step.status !== 'succeeded' && (
+                          <div className="text-xs text-gray-500">
+                            Attempt {step.attempts}/{step.max_attempts}
+                            {step.status === 'pending' && step.attempts > 0 && ` · next ${formatDateTime(step.next_attempt_at)}`}
+                            {step.last_error && <span className="text-red-600"> · {step.last_error}</span>}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </td>
+                <td className="px-4 py-2 text-gray-600">
+                  {formatDateTime(job.created_at)}
+                  {job.requested_by && <div className="text-xs text-gray-400">{job.requested_by}</div>}
+                </td>
+                <td className="px-4 py-2 text-right space-y-1">
+                  <StatusBadge status={job.status} />
+                  {canRetry && job.status === 'failed' && (
+                    <button
+                      onClick={() => retryMutation.mutate(job.id)}
+                      disabled={retryMutation.isPending}
+                      className="flex items-center gap-1 ml-auto text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                    >
+                      <RotateCcw className="h-3 w-3" /> Retry failed steps
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TeardownJobs;
@@ -0,0 +1,226 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import { getTrash, restoreSolutions, restoreProducts, purgeSolutions, purgeProducts } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import TeardownJobs from './TeardownJobs';
+
+// Restoring or purging changes what the solution and project lists show
+const AFFECTED_QUERIES = ['trash', 'solutions', 'solutionsOverview', 'projects', 'bestSolutionCandidate', 'candidate-leaderboard', 'pipelineStats', 'teardowns'];
+
+// One trashed entity type with select-all, restore and purge
+function TrashSection({ title, items, columns, onRestore, onPurge, isPending }) {
+  const [selected, setSelected] = useState(new Set());
+
+  const toggle = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    return next;
+  });
+  const allSelected = items.length > 0 && items.every(item => selected.has(item.id));
+  const selectedIds = items.filter(item => selected.has(item.id)).map(item => item.id);
+  const clear = () => setSelected(new Set());
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="flex justify-between items-center px-4 py-3 border-b">
+        <h2 className="font-semibold text-gray-900">{title} ({items.length})</h2>
+        <div className="flex gap-2">
+          {onRestore && (
+            <button
+              onClick={() => onRestore(selectedIds, clear)}
+              disabled={isPending || selectedIds.length === 0}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RotateCcw className="h-4 w-4" /> Restore
+            </button>
+          )}
+          {onPurge && (
+            <button
+              onClick={() => onPurge(selectedIds, clear)}
+              disabled={isPending || selectedIds.length === 0}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-red-300 rounded text-red-600 hover:bg-red-50 disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4" /> Purge
+            </button>
+          )}
+        </div>
+      </div>
+      {items.length === 0 ? (
+        <div className="p-6 text-sm text-gray-500 italic">Nothing here</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="px-4 py-2 w-8">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelected(allSelected ? new Set() : new Set(items.map(item => item.id)))}
+                />
+              </th>
+              {columns.map(column => <th key={column.label} className="px-4 py-2">{column.label}</th>)}
+              <th className="px-4 py-2">Deleted</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {items.map(item => (
+              <tr key={item.id} onClick={() => toggle(item.id)} className="hover:bg-gray-50 cursor-pointer">
+                <td className="px-4 py-2">
+                  <input type="checkbox" checked={selected.has(item.id)} readOnly />
+                </td>
+                {columns.map(column => (
+                  <td key={column.label} className="px-4 py-2 text-gray-700">{column.render(item)}</td>
+                ))}
+                <td className="px-4 py-2 text-gray-600">
+                  {formatDateTime(item.deleted_at)}
+                  {item.deleted_by && <div className="text-xs text-gray-400">{item.deleted_by}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const SOLUTION_COLUMNS = [
+  {
+    label: 'Solution',
+    render: (s) => (
+      <>
+        <span className="text-xs text-gray-400 mr-1">{s.identifier}</span>
+        <span className="font-medium text-gray-900">{s.title}</span>
+      </>
+    )
+  },
+  { label: 'Status', render: (s) => s.status },
+  { label: 'Problems', render: (s) => s.problem_count },
+  { label: 'Products', render: (s) => s.product_count || '—' }
+];
+
+const PRODUCT_COLUMNS = [
+  { label: 'Product', render: (p) => <span className="font-medium text-gray-900">{p.name}</span> },
+  {
+    label: 'Solution',
+    render: (p) => (
+      <>
+        {p.solution_title || '—'}
+        {p.solution_deleted && <span className="ml-1 text-xs text-amber-600">(in trash)</span>}
+      </>
+    )
+  },
+  {
+    label: 'External resources',
+    render: (p) => [p.github_repo_name && `GitHub: ${p.github_repo_name}`, p.gcpip_tenant_id && `GCP: ${p.gcpip_tenant_id}`]
+      .filter(Boolean).join(' · ') || '—'
+  }
+];
+
+// Deleted solutions and products; operators can restore, admins can purge for good
+function Trash({ canRestore, canPurge }) {
+  const queryClient = useQueryClient();
+
+  const { data: trash, isLoading } = useQuery({
+    queryKey: ['trash'],
+    queryFn: getTrash,
+  });
+
+  const mutation = useMutation({
+    mutationFn: ({ action, ids }) => action(ids),
+    onSuccess: (result, { onDone }) => {
+      AFFECTED_QUERIES.forEach(key => queryClient.invalidateQueries({ queryKey: [key] }));
+      onDone(result);
+    },
+    onError: (error) => {
+      alert('Trash action failed: ' + (error.response?.data?.error || error.message));
+    }
+  });
+
+  const run = (action, ids, onDone) => mutation.mutate({ action, ids, onDone });
+
+  // Purge confirmations show the server's dry-run report of what would go
+  const previewPurge = async (action, ids) => {
+    try {
+      return await action(ids, { dryRun: true });
+    } catch (error) {
+      alert('Purge preview failed: ' + (error.response?.data?.error || error.message));
+      return null;
+    }
+  };
+
+  const handlePurgeSolutions = async (ids, clear) => {
+    const report = await previewPurge(purgeSolutions, ids);
+    if (!report) return;
+    const solutionList = report.purged_solutions.map(s => `- ${s.identifier} ${s.title}`).join('\n');
+    const links = report.problem_links_removed;
+    if (!window.confirm(`Permanently delete ${report.purged_count} solution${report.purged_count === 1 ? '' : 's'} with their history?\n\n${solutionList}\n\n${links} problem link${links === 1 ? '' : 's'} will be removed.\n\nThis cannot be undone.`)) return;
+    run(purgeSolutions, ids, clear);
+  };
+
+  const handlePurgeProducts = async (ids, clear) => {
+    const report = await previewPurge(purgeProducts, ids);
+    if (!report) return;
+    const productList = report.purged_products.map(p => `- ${p.name}`).join('\n');
+    const resourceList = [
+      ...report.github_repos_to_delete.map(r => `- GitHub repo ${r.name || r.url}`),
+      ...report.gcp_tenants_to_delete.map(t => `- GCP tenant ${t.tenantId}`)
+    ].join('\n');
+    const confirmMessage = `Permanently delete ${report.purged_count} product${report.purged_count === 1 ? '' : 's'}?\n\n${productList}\n\n` +
+      (resourceList ? `⚠️ This also deletes:\n${resourceList}\n\n` : 'They have no GitHub repositories or GCP tenants.\n\n') +
+      'This cannot be undone.';
+    if (!window.confirm(confirmMessage)) return;
+    run(purgeProducts, ids, (result) => {
+      clear();
+      // Without teardown_jobs the first attempt failed to run; the worker picks the jobs up
+      if (result.teardown_job_ids.length > 0 && !result.teardown_jobs) {
+        alert('Products purged. Their external resources are deleted in the background; see Teardowns below.');
+        return;
+      }
+      const steps = (result.teardown_jobs || []).flatMap(job => job.steps);
+      const leftOver = steps.filter(step => step.status !== 'succeeded').length;
+      if (leftOver > 0) {
+        alert(`${steps.length - leftOver} of ${steps.length} external resources deleted. The rest are retried in the background; see Teardowns below.`);
+      }
+    });
+  };
+
+  if (isLoading) {
+    return <div className="text-gray-500">Loading trash...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+        <p className="text-sm text-gray-500">
+          Deleted items stay here until they are purged. Purging a product deletes its GitHub repository and GCP tenant; Teardowns shows what is left over.
+        </p>
+      </div>
+      <TrashSection
+        title="Solutions"
+        items={trash.solutions}
+        columns={SOLUTION_COLUMNS}
+        onRestore={canRestore ? (ids, clear) => run(restoreSolutions, ids, clear) : null}
+        onPurge={canPurge ? handlePurgeSolutions : null}
+        isPending={mutation.isPending}
+      />
+      <TrashSection
+        title="Products"
+        items={trash.products}
+        columns={PRODUCT_COLUMNS}
+        onRestore={canRestore ? (ids, clear) => run(restoreProducts, ids, clear) : null}
+        onPurge={canPurge ? handlePurgeProducts : null}
+        isPending={mutation.isPending}
+      />
+      <TeardownJobs canRetry={canPurge} />
+    </div>
+  );
+}
+
+export default Trash;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getUsers, createUser, updateUser } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Read only',
+  operator: 'Edits and workflow triggers',
+  admin: 'Deletions, audit log, users and API keys'
+};
+
+const fieldClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const EMPTY_USER = { email: '', display_name: '', role: 'viewer', password: '' };
+
+// Settings section for studio users and their roles
+function UsersAdmin({ currentUser }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState(EMPTY_USER);
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: getUsers,
+  });
+
+  const onError = (error) => {
+    alert('Failed to save user: ' + (error.response?.data?.error || error.message));
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createUser,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      setDraft(EMPTY_USER);
+    },
+    onError
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => updateUser(id, data),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['users'] }),
+    onError
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      email: draft.email,
+      display_name: draft.display_name || null,
+      role: draft.role,
+      // Without a password the user can only sign in through OIDC
+      password: draft.password || null
+    });
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.email}:`);
+    if (password) {
+      updateMutation.mutate({ id: user.id, data: { password } });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-4 flex flex-wrap gap-3 items-end">
+        <label className="text-xs text-gray-500">
+          Email
+          <input type="email" required value={draft.email} onChange={(e) => setDraft({ ...draft, email: e.target.value })} className={`${fieldClass} block w-56`} />
+        </label>
+        <label className="text-xs text-gray-500">
+          Name
+          <input type="text" value={draft.display_name} onChange={(e) => setDraft({ ...draft, display_name: e.target.value })} className={`${fieldClass} block`} />
+        </label>
+        <label className="text-xs text-gray-500">
+          Role
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })} className={`${fieldClass} block`}>
+            {Object.keys(ROLE_DESCRIPTIONS).map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Password
+          <input
+            type="password"
+            autoComplete="new-password"
+            value={draft.password}
+            onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+            placeholder="Empty for OIDC only"
+            className={`${fieldClass} block`}
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={createMutation.isPending}
+          className="px-4 py-1.5 text-sm text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+        >
+          Add user
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-6 text-gray-500">Loading users...</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="px-4 py-2">User</th>
+                <th className="px-4 py-2">Role</th>
+                <th className="px-4 py-2">Sign-in</th>
+                <th className="px-4 py-2">Last login</th>
+                <th className="px-4 py-2 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map(user => (
+                <tr key={user.id} className={user.is_active ? '' : 'opacity-50'}>
+                  <td className="px-4 py-2">
+                    <div className="font-medium text-gray-900">{user.email}</div>
+                    {user.display_name && <div className="text-xs text-gray-500">{user.display_name}</div>}
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={user.role}
+                      onChange={(e) => updateMutation.mutate({ id: user.id, data: { role: e.target.value } })}
+                      disabled={updateMutation.isPending}
+                      title={ROLE_DESCRIPTIONS[user.role]}
+                      className={fieldClass}
+                    >
+                      {Object.keys(ROLE_DESCRIPTIONS).map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {[user.has_password && 'password', user.has_oidc && 'OIDC'].filter(Boolean).join(', ') || '—'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{user.last_login_at ? formatDateTime(user.last_login_at) : 'Never'}</td>
+                  <td className="px-4 py-2 text-right space-x-2">
+                    <button onClick={() => handleResetPassword(user)} className="text-xs text-primary-600 hover:text-primary-800">
+                      Set password
+                    </button>
+                    {user.id !== currentUser.id && (
+                      <button
+                        onClick={() => updateMutation.mutate({ id: user.id, data: { is_active: !user.is_active } })}
+                        className={`text-xs ${user.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                      >
+                        {user.is_active ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {Object.entries(ROLE_DESCRIPTIONS).map(([role, description]) => `${role}: ${description}`).join(' · ')}.
+        Changing a role, deactivating or setting a password signs the user out.
+      </p>
+    </div>
+  );
+}
+
+export default UsersAdmin;
@@ -0,0 +1,191 @@
+import { useState, Fragment } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getWorkflowRuns, getWorkflowRun } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import Pagination from './Pagination';
+
+const PAGE_SIZE = 50;
+
+const WORKFLOWS = {
+  f1: 'F1 Problem ingestion',
+  f2: 'F2 Clustering',
+  f3: 'F3 Solution generation',
+  f4: 'F4 Product creation'
+};
+
+const EMPTY_FILTERS = {
+  workflow: '',
+  status: '',
+  from: '',
+  to: ''
+};
+
+const STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const selectClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Input and n8n response of one run, loaded when its row is expanded
+function RunDetails({ runId }) {
+  const { data: run, isLoading } = useQuery({
+    queryKey: ['workflow-run', runId],
+    queryFn: () => getWorkflowRun(runId),
+  });
+
+  if (isLoading) {
+    return <div className="text-xs text-gray-500 py-2">Loading run...</div>;
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-3 py-2">
+      <div>
+        <div className="text-xs text-gray-500 mb-1">Input</div>
+        <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto max-h-64">
+          {JSON.stringify(run.input, null, 2)}
+        </pre>
+      </div>
+      <div>
+        <div className="text-xs text-gray-500 mb-1">
+          n8n response{run.http_status && ` (HTTP ${run.http_status})`}
+        </div>
+        <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto max-h-64">
+          {run.response === null ? 'No response' : JSON.stringify(run.response, null, 2)}
+        </pre>
+      </div>
+    </div>
+  );
+}
+
+// Every F1-F4 workflow trigger Studio sent to n8n, newest first
+function WorkflowRuns() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Empty filters are left out of the request
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+  const { data: runs, isLoading, isFetching } = useQuery({
+    queryKey: ['workflow-runs', params, currentPage],
+    queryFn: () => getWorkflowRuns({ ...params, limit: PAGE_SIZE, offset: (currentPage - 1) * PAGE_SIZE }),
+    placeholderData: (previousData) => previousData,
+    refetchInterval: 30000,
+  });
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const total = runs?.pagination.total || 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Workflow Runs</h1>
+        <span className="text-sm text-gray-500">{total} runs{isFetching && ' · refreshing...'}</span>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 flex flex-wrap gap-3 items-end">
+        <label className="text-xs text-gray-500">
+          Workflow
+          <select value={filters.workflow} onChange={(e) => setFilter('workflow', e.target.value)} className={`${selectClass} block`}>
+            <option value="">All workflows</option>
+            {Object.entries(WORKFLOWS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          Status
+          <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={`${selectClass} block`}>
+            <option value="">All</option>
+            {Object.keys(STATUS_STYLES).map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-500">
+          From
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={`${selectClass} block`} />
+        </label>
+        <label className="text-xs text-gray-500">
+          Before
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={`${selectClass} block`} />
+        </label>
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setCurrentPage(1); }}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+        >
+          Clear
+        </button>
+      </div>
+
+      {/* Runs */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-6 text-gray-500">Loading runs...</div>
+        ) : runs.data.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">No workflow runs match these filters</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="px-4 py-2">Started</th>
+                <th className="px-4 py-2">Workflow</th>
+                <th className="px-4 py-2">Requested by</th>
+                <th className="px-4 py-2">Status</th>
+                <th className="px-4 py-2 text-right">Duration</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {runs.data.map(run => (
+                <Fragment key={run.id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === run.id ? null : run.id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{formatDateTime(run.started_at)}</td>
+                    <td className="px-4 py-2">
+                      <div className="text-gray-800">{WORKFLOWS[run.workflow]}</div>
+                      <div className="text-xs text-gray-400">{run.webhook}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{run.requested_by || <span className="text-gray-400">unknown</span>}</td>
+                    <td className="px-4 py-2">
+                      <span className={`inline-flex px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[run.status]}`}>
+                        {run.status}{run.http_status && ` · ${run.http_status}`}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-500">
+                      {run.duration_ms === null ? '—' : `${run.duration_ms} ms`}
+                    </td>
+                  </tr>
+                  {expandedId === run.id && (
+                    <tr>
+                      <td colSpan={5} className="px-4 pb-3 bg-gray-50">
+                        {run.error && (
+                          <div className="text-sm text-red-700 bg-red-50 rounded p-2 mt-2">{run.error}</div>
+                        )}
+                        <RunDetails runId={run.id} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={Math.ceil(total / PAGE_SIZE)}
+        totalItems={total}
+        itemsPerPage={PAGE_SIZE}
+        onPageChange={setCurrentPage}
+        itemName="runs"
+      />
+    </div>
+  );
+}
+
+export default WorkflowRuns;
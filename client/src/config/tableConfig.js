@@ -218,4 +218,28 @@ export const getInitialColumnWidths = (tabName) => {
   });
   
   return widths;
-};
\ No newline at end of file
+};
+
+// Badge colours for solution lifecycle statuses (unknown statuses fall back to gray)
+export const SOLUTION_STATUS_STYLES = {
+  candidate: 'bg-gray-100 text-gray-800',
+  shortlisted: 'bg-blue-100 text-blue-800',
+  approved: 'bg-indigo-100 text-indigo-800',
+  in_build: 'bg-yellow-100 text-yellow-800',
+  launched: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  archived: 'bg-gray-200 text-gray-600',
+  // Statuses from before the lifecycle
+  selected: 'bg-blue-100 text-blue-800',
+  evaluated: 'bg-yellow-100 text-yellow-800'
+};
+
+// Bar colours for candidate score components (keys match the server's SCORING_COMPONENTS)
+export const SCORE_COMPONENT_COLORS = {
+  viability: 'bg-green-500',
+  ltv_cac: 'bg-blue-500',
+  problems: 'bg-purple-500',
+  market_demand: 'bg-orange-500',
+  technical_feasibility: 'bg-teal-500',
+  competitive_advantage: 'bg-pink-500'
+};
@@ -0,0 +1,58 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getCurrentUser, login, loginWithOidc, logout } from '../services/api';
+
+// Mirrors the server: each role includes everything below it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * The signed-in user and sign-in/sign-out. The session token lives in
+ * localStorage, where the api client picks it up.
+ * @returns {Object} - user (null when signed out), loading flag, signIn, signInWithOidc, signOut and hasRole
+ */
+export function useAuth() {
+  const queryClient = useQueryClient();
+  const hasToken = !!localStorage.getItem('token');
+
+  const { data: user = null, isLoading } = useQuery({
+    queryKey: ['auth-me'],
+    queryFn: getCurrentUser,
+    enabled: hasToken,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  const startSession = (session) => {
+    localStorage.setItem('token', session.token);
+    queryClient.setQueryData(['auth-me'], session.user);
+  };
+
+  const loginMutation = useMutation({
+    mutationFn: ({ email, password }) => login(email, password),
+    onSuccess: startSession
+  });
+  const oidcMutation = useMutation({
+    mutationFn: loginWithOidc,
+    onSuccess: startSession
+  });
+
+  const signOut = async () => {
+    try {
+      await logout();
+    } finally {
+      // Reload so no cached data from this session survives
+      localStorage.removeItem('token');
+      window.location.assign('/');
+    }
+  };
+
+  return {
+    user,
+    isLoading: hasToken && isLoading,
+    signIn: loginMutation.mutate,
+    signInWithOidc: oidcMutation.mutate,
+    signInError: loginMutation.error || oidcMutation.error,
+    isSigningIn: loginMutation.isPending || oidcMutation.isPending,
+    signOut,
+    hasRole: (role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+  };
+}
@@ -0,0 +1,67 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  getScoringProfiles,
+  createScoringProfile,
+  updateScoringProfile,
+  deleteScoringProfile,
+  activateScoringProfile
+} from '../services/api';
+
+/**
+ * Scoring profiles and the mutations that edit or switch them
+ * @returns {Object} - profiles, the active profile, mutate functions and a shared pending flag
+ */
+export function useScoringProfiles() {
+  const queryClient = useQueryClient();
+
+  const { data: profiles = [], isLoading } = useQuery({
+    queryKey: ['scoring-profiles'],
+    queryFn: getScoringProfiles,
+  });
+
+  // Activating or editing the active profile rescores every solution
+  const invalidateScores = () => {
+    queryClient.invalidateQueries({ queryKey: ['scoring-profiles'] });
+    queryClient.invalidateQueries({ queryKey: ['solution-score'] });
+    queryClient.invalidateQueries({ queryKey: ['solutions'] });
+    queryClient.invalidateQueries({ queryKey: ['solutionsOverview'] });
+    queryClient.invalidateQueries({ queryKey: ['bestSolutionCandidate'] });
+    queryClient.invalidateQueries({ queryKey: ['candidate-leaderboard'] });
+  };
+  const onError = (error) => {
+    alert('Failed to update scoring profile: ' + (error.response?.data?.error || error.message));
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createScoringProfile,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scoring-profiles'] }),
+    onError
+  });
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => updateScoringProfile(id, data),
+    onSuccess: invalidateScores,
+    onError
+  });
+  const deleteMutation = useMutation({
+    mutationFn: deleteScoringProfile,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scoring-profiles'] }),
+    onError
+  });
+  const activateMutation = useMutation({
+    mutationFn: activateScoringProfile,
+    onSuccess: invalidateScores,
+    onError
+  });
+
+  return {
+    profiles,
+    activeProfile: profiles.find(profile => profile.is_active) || null,
+    isLoading,
+    create: createMutation.mutate,
+    update: updateMutation.mutate,
+    remove: deleteMutation.mutate,
+    activate: activateMutation.mutate,
+    isPending: createMutation.isPending || updateMutation.isPending ||
+      deleteMutation.isPending || activateMutation.isPending
+  };
+}
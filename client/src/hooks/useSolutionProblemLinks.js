@@ -0,0 +1,42 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { linkProblemsToSolution, unlinkProblemsFromSolution } from '../services/api';
+
+/**
+ * Link and unlink evidence problems of a solution
+ * @param {string} solutionId - Solution whose problem links are edited
+ * @returns {Object} - link(problemIds) / unlink(problemIds) and a shared pending flag
+ */
+export function useSolutionProblemLinks(solutionId) {
+  const queryClient = useQueryClient();
+
+  // problem_count and candidate_score change with the links
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['solution-problems', solutionId] });
+    queryClient.invalidateQueries({ queryKey: ['study-problems', solutionId] });
+    queryClient.invalidateQueries({ queryKey: ['study-solutions'] });
+    queryClient.invalidateQueries({ queryKey: ['solutions'] });
+    queryClient.invalidateQueries({ queryKey: ['bestSolutionCandidate'] });
+    queryClient.invalidateQueries({ queryKey: ['candidate-leaderboard'] });
+    queryClient.invalidateQueries({ queryKey: ['solution-score', solutionId] });
+  };
+  const onError = (error) => {
+    alert('Failed to update problem links: ' + (error.response?.data?.error || error.message));
+  };
+
+  const linkMutation = useMutation({
+    mutationFn: (problemIds) => linkProblemsToSolution(solutionId, problemIds),
+    onSuccess,
+    onError
+  });
+  const unlinkMutation = useMutation({
+    mutationFn: (problemIds) => unlinkProblemsFromSolution(solutionId, problemIds),
+    onSuccess,
+    onError
+  });
+
+  return {
+    link: linkMutation.mutate,
+    unlink: unlinkMutation.mutate,
+    isPending: linkMutation.isPending || unlinkMutation.isPending
+  };
+}
@@ -7,10 +7,10 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for auth (future use)
+// Request interceptor for auth
 api.interceptors.request.use(
   (config) => {
-    // Add auth token if available
+    // Add the session token if signed in
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -25,17 +25,49 @@ api.interceptors.response.use(
   (response) => response.data,
   (error) => {
     console.error('API Error:', error);
+    // An expired or revoked session: drop the token and fall back to the login page
+    if (error.response?.status === 401 && localStorage.getItem('token')) {
+      localStorage.removeItem('token');
+      window.location.reload();
+    }
     return Promise.reject(error);
   }
 );
 
 // === API Methods ===
 
+// Auth - sign-in resolves to { token, expires_at, user }
+export const getAuthConfig = () => api.get('/auth/config');
+export const login = (email, password) => api.post('/auth/login', { email, password });
+export const loginWithOidc = (idToken) => api.post('/auth/oidc', { id_token: idToken });
+export const logout = () => api.post('/auth/logout');
+export const getCurrentUser = () => api.get('/auth/me');
+export const getUsers = () => api.get('/auth/users');
+export const createUser = (data) => api.post('/auth/users', data);
+export const updateUser = (id, data) => api.put(`/auth/users/${id}`, data);
+// Creating a key resolves to the key record plus the plaintext `key`, shown only once
+export const getApiKeys = () => api.get('/auth/api-keys');
+export const createApiKey = (data) => api.post('/auth/api-keys', data);
+export const revokeApiKey = (id) => api.post(`/auth/api-keys/${id}/revoke`);
+
+// Search - ranked results across problems, clusters, solutions and projects.
+// Resolves to { query, results: [{ entity_type, id, identifier, title, snippet, rank }] }
+export const search = (q, { types, limit } = {}) =>
+  api.get('/search', { params: { q, types: types?.join(','), limit } });
+
 // Problems
 export const getProblems = (filters = {}) => api.get('/problems', { params: filters });
+// Paged variant: pass limit + offset (page numbers) or cursor (infinite scroll).
+// Resolves to { data, pagination: { total, limit, offset, has_more, next_cursor } }
+export const getProblemsPage = (params = {}) => api.get('/problems', { params: { limit: 50, ...params } });
 export const getProblemById = (id) => api.get(`/problems/${id}`);
 export const getProblemsFilterOptions = () => api.get('/problems/filter-options');
 
+// Problem CRUD
+export const createProblem = (data) => api.post('/problems', data);
+export const updateProblem = (id, data) => api.put(`/problems/${id}`, data);
+export const deleteProblems = (ids) => api.delete('/problems', { data: { ids } });
+
 // Clusters
 export const getClusters = (filters = {}, entityType = 'problem') => {
   const endpoint = entityType === 'solution' ? '/solution-clusters' : '/clusters';
@@ -44,22 +76,79 @@ export const getClusters = (filters = {}, entityType = 'problem') => {
 export const getClusterById = (clusterId) => api.get(`/clusters/${clusterId}`);
 export const getProblemsByCluster = (clusterId) => api.get(`/clusters/${clusterId}/problems`);
 export const getClustersFilterOptions = () => api.get('/clusters/filter-options');
+// Manual reassignment into a cluster of the active version
+export const reassignProblemsToCluster = (clusterId, problemIds, reason = null) =>
+  api.post(`/clusters/${clusterId}/problems`, { problem_ids: problemIds, reason });
+export const getClusterOverrides = (params = {}) => api.get('/clusters/overrides', { params });
+// Near-duplicate problems - pass preview: true to see a merge without applying it
+export const findDuplicateProblems = (params = {}) => api.get('/problems/duplicates', { params });
+export const mergeProblems = (problemId, duplicateIds, { preview = false } = {}) =>
+  api.post(`/problems/${problemId}/merge`, { duplicate_ids: duplicateIds, preview });
+export const dismissDuplicatePair = (problemIds) => api.post('/problems/duplicates/dismiss', { problem_ids: problemIds });
+export const getProblemMerges = (problemId) => api.get(`/problems/${problemId}/merges`);
+// Outlier triage - action is accept, move, dismiss or seed
+export const getOutlierTriageQueue = (params = {}) => api.get('/outlier-triage', { params });
+export const triageOutlier = (problemId, decision) => api.post(`/outlier-triage/${problemId}`, decision);
+export const renameCluster = (clusterId, label) => api.put(`/clusters/${clusterId}/label`, { label });
+export const getClusterLabelHistory = (clusterId) => api.get(`/clusters/${clusterId}/label-history`);
+// Merge / split - pass preview: true to see the outcome without applying it
+export const mergeClusters = (clusterIds, { label, preview = false } = {}) =>
+  api.post('/clusters/merge', { cluster_ids: clusterIds, label, preview });
+export const splitCluster = (clusterId, { k, labels, preview = false, maxK } = {}) =>
+  api.post(`/clusters/${clusterId}/split`, { k, labels, preview, max_k: maxK });
+// Cluster versions
+export const getClusterVersions = () => api.get('/cluster-versions');
+export const diffClusterVersions = (from, to) => api.get('/cluster-versions/diff', { params: { from, to } });
+export const activateClusterVersion = (version) => api.post(`/cluster-versions/${version}/activate`);
 export const getSolutionClustersFilterOptions = () => api.get('/solution-clusters/filter-options');
 
 // Solutions
 export const getSolutions = (filters = {}) => api.get('/solutions', { params: filters });
+export const getSolutionsPage = (params = {}) => api.get('/solutions', { params: { limit: 50, ...params } });
+export const getSolutionById = (id) => api.get(`/solutions/${id}`);
+export const compareSolutions = (ids) => api.get('/solutions/compare', { params: { ids: ids.join(',') } });
 export const getProblemsBySolution = (solutionId) => api.get(`/solutions/${solutionId}/problems`);
+// Solution lifecycle - every transition needs a reason
+export const getSolutionLifecycle = () => api.get('/solutions/lifecycle');
+export const transitionSolutionStatus = (solutionId, status, reason) =>
+  api.post(`/solutions/${solutionId}/transition`, { status, reason });
+export const getSolutionStatusHistory = (solutionId) => api.get(`/solutions/${solutionId}/status-history`);
+// Edit history - revision 1 holds the fields as they were before the first edit
+export const getSolutionRevisions = (solutionId) => api.get(`/solutions/${solutionId}/revisions`);
+export const restoreSolutionRevision = (solutionId, revisionNumber) =>
+  api.post(`/solutions/${solutionId}/revisions/${revisionNumber}/restore`);
+// Hand-edited evidence links; candidate_score is recomputed server-side
+export const linkProblemsToSolution = (solutionId, problemIds) =>
+  api.post(`/solutions/${solutionId}/problems`, { problem_ids: problemIds });
+export const unlinkProblemsFromSolution = (solutionId, problemIds) =>
+  api.delete(`/solutions/${solutionId}/problems`, { data: { problem_ids: problemIds } });
 export const getSolutionsFilterOptions = () => api.get('/solutions/filter-options');
 export const getSolutionsByCluster = (clusterId) => api.get('/solutions', { params: { cluster_id: clusterId } });
 export const getSolutionsBySolutionCluster = (clusterId) => api.get(`/solution-clusters/${clusterId}/solutions`);
 export const getSolutionsByProblem = (problemId) => api.get(`/problems/${problemId}/solutions`);
 export const getBestSolutionCandidate = () => api.get('/solutions/best-candidate');
+// Candidate leaderboard; the what-if variant ranks with unsaved weights
+export const getCandidateLeaderboard = (limit = 10) => api.get('/solutions/leaderboard', { params: { limit } });
+export const getWhatIfLeaderboard = (weights, limit = 10) =>
+  api.post('/solutions/leaderboard/what-if', { weights, limit });
+export const getSolutionScoreBreakdown = (solutionId, profileId = null) =>
+  api.get(`/solutions/${solutionId}/score`, { params: profileId ? { profile_id: profileId } : {} });
 export const createProductFromSolution = (solutionId) => api.post(`/solutions/${solutionId}/create-product`);
 
+// Scoring profiles - the active one computes candidate_score
+export const getScoringComponents = () => api.get('/scoring-profiles/components');
+export const getScoringProfiles = () => api.get('/scoring-profiles');
+export const createScoringProfile = (data) => api.post('/scoring-profiles', data);
+export const updateScoringProfile = (id, data) => api.put(`/scoring-profiles/${id}`, data);
+export const deleteScoringProfile = (id) => api.delete(`/scoring-profiles/${id}`);
+export const activateScoringProfile = (id) => api.post(`/scoring-profiles/${id}/activate`);
+
 // Solution CRUD
 export const createSolution = (data) => api.post('/solutions', data);
 export const updateSolution = (id, data) => api.put(`/solutions/${id}`, data);
-export const deleteSolutions = (ids) => api.delete('/solutions', { data: { ids } });
+// Pass dryRun: true to get the deletion report without deleting anything
+export const deleteSolutions = (ids, { dryRun = false } = {}) =>
+  api.delete('/solutions', { data: { ids }, params: dryRun ? { dry_run: true } : {} });
 
 // Solution AI helpers
 export const getCloneSuggestion = (excludeUrls = []) => {
@@ -77,7 +166,22 @@ export const getCodespaceStatus = (projectId) => api.get(`/projects/${projectId}
 export const deleteCodespace = (projectId, codespaceId) => api.delete(`/projects/${projectId}/codespace`, { data: { codespaceId } });
 
 // Product CRUD
-export const deleteProducts = (ids) => api.delete('/products', { data: { ids } });
+export const deleteProducts = (ids, { dryRun = false } = {}) =>
+  api.delete('/products', { data: { ids }, params: dryRun ? { dry_run: true } : {} });
+
+// Trash - deleted solutions and products until they are restored or purged.
+// Purging products is what deletes their GitHub repos and GCP tenants.
+export const getTrash = () => api.get('/trash');
+export const restoreSolutions = (ids) => api.post('/trash/solutions/restore', { ids });
+export const restoreProducts = (ids) => api.post('/trash/products/restore', { ids });
+export const purgeSolutions = (ids, { dryRun = false } = {}) =>
+  api.delete('/trash/solutions', { data: { ids }, params: dryRun ? { dry_run: true } : {} });
+export const purgeProducts = (ids, { dryRun = false } = {}) =>
+  api.delete('/trash/products', { data: { ids }, params: dryRun ? { dry_run: true } : {} });
+
+// Teardowns - GitHub repo / GCP tenant deletion jobs left by purged products
+export const getTeardowns = (params = {}) => api.get('/teardowns', { params });
+export const retryTeardown = (id) => api.post(`/teardowns/${id}/retry`);
 
 // Pipeline
 export const getPipelineStats = () => api.get('/pipeline/stats');
@@ -105,7 +209,23 @@ export const getClusteringScenarios = (entityType, status) => {
   return api.get('/clustering-scenarios', { params });
 };
 export const getClusteringScenarioDetails = (id) => api.get(`/clustering-scenarios/${id}`);
+export const compareClusteringScenarios = (a, b) => api.get('/clustering-scenarios/compare', { params: { a, b } });
 export const deleteClusteringScenario = (id) => api.delete(`/clustering-scenarios/${id}`);
-export const applyScenarioToProduction = (id) => api.post(`/clustering-scenarios/${id}/apply`);
+export const createClusteringSweep = (data) => api.post('/clustering-sweeps', data);
+export const getClusteringSweeps = (entityType) => api.get('/clustering-sweeps', { params: { entity_type: entityType } });
+export const getClusteringSweepDetails = (id) => api.get(`/clustering-sweeps/${id}`);
+export const applyScenarioToProduction = (id, { preview = false } = {}) =>
+  api.post(`/clustering-scenarios/${id}/apply`, { preview });
+export const getScenarioApplications = (entityType) =>
+  api.get('/scenario-applications', { params: { entity_type: entityType } });
+export const undoScenarioApplication = (id) => api.post(`/scenario-applications/${id}/undo`);
+
+// Audit log of mutating requests
+export const getAuditLog = (params = {}) => api.get('/audit', { params });
+export const getAuditFacets = () => api.get('/audit/facets');
+
+// F1-F4 workflow runs; the detail includes the input and n8n's response
+export const getWorkflowRuns = (params = {}) => api.get('/workflow-runs', { params });
+export const getWorkflowRun = (id) => api.get(`/workflow-runs/${id}`);
 
 export default api;
\ No newline at end of file
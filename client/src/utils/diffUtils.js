@@ -0,0 +1,52 @@
+// Above this many token pairs the LCS table gets too big; show a plain replacement instead
+const MAX_DIFF_CELLS = 250000;
+
+const tokenize = (text) => (text ? String(text).match(/\s+|[^\s]+/g) : []) || [];
+
+/**
+ * Word-level diff of two strings
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...(a.length ? [{ type: 'removed', text: a.join('') }] : []),
+      ...(b.length ? [{ type: 'added', text: b.join('') }] : [])
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
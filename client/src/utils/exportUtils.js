@@ -0,0 +1,23 @@
+// Quote a CSV cell when it holds a separator, quote or line break
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from an array of rows (arrays of cell values)
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Save text content as a file through a temporary link
+export function downloadFile(filename, content, mimeType = 'text/csv;charset=utf-8') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -4,6 +4,10 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import apiRoutes from './routes/api.routes.js';
+import authRoutes from './routes/auth.routes.js';
+import authService from './services/auth.service.js';
+import teardownService from './services/teardown.service.js';
+import databaseService from './services/database.service.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -15,6 +19,8 @@ dotenv.config(); // Load .env from project root
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3002;
+// How often today's candidate rank snapshot is retaken
+const RANK_SNAPSHOT_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
 // Middleware
 app.use(cors({
@@ -24,7 +30,8 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// API Routes
+// API Routes (sign-in first; everything else under /api requires a session)
+app.use('/api/auth', authRoutes);
 app.use('/api', apiRoutes);
 
 // Serve static files in production
@@ -48,6 +55,17 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+  authService.ensureBootstrapAdmin().catch(() => {
+    // Logged by the service; the users table may not be migrated yet
+  });
+  // Resume product teardowns left pending by a previous run
+  teardownService.start();
+  // Daily leaderboard baseline; a rerun the same day just refreshes it
+  const snapshotRanks = () => databaseService.snapshotCandidateRanks().catch(() => {
+    // Logged by the service
+  });
+  setInterval(snapshotRanks, RANK_SNAPSHOT_INTERVAL_MS).unref();
+  snapshotRanks();
   console.log(`
 ╔══════════════════════════════════════════════╗
 ║       DreamTeam Studio V2 - Backend          ║
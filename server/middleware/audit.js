@@ -0,0 +1,90 @@
+import databaseService from '../services/database.service.js';
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Payload keys whose values never reach the audit log
+const REDACTED_KEYS = /password|secret|token|api[_-]?key|authorization/i;
+
+// Larger payloads (e.g. uploaded features.json) are stored as a truncated preview
+const MAX_PAYLOAD_CHARS = 10000;
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      REDACTED_KEYS.test(key) ? '[redacted]' : redact(inner)
+    ]));
+  }
+  return value;
+};
+
+const capPayload = (payload) => {
+  const json = JSON.stringify(payload);
+  return json.length <= MAX_PAYLOAD_CHARS
+    ? payload
+    : { truncated: true, preview: json.slice(0, MAX_PAYLOAD_CHARS) };
+};
+
+/**
+ * Mark a POST that only reads (e.g. a what-if ranking) so auditMutations skips it.
+ * Handlers with an optional preview or dry-run path set res.locals.readOnly
+ * themselves once they have taken it; a request flag alone never skips the log.
+ */
+export function readOnly(req, res, next) {
+  res.locals.readOnly = true;
+  next();
+}
+
+/**
+ * Record every mutating request once its response has been sent, or once the
+ * client has gone away without one. Mount it on the routers under /api so
+ * `req.route` names the matched route (e.g. DELETE /products, POST /auth/login).
+ * The actor is the signed-in user. A failed audit write is logged and never
+ * affects the response.
+ */
+export function auditMutations(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+
+  const startedAt = Date.now();
+  let errorMessage = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object') {
+      errorMessage = body.error || body.message || null;
+    }
+    return json(body);
+  };
+
+  let recorded = false;
+  const record = () => {
+    if (recorded || res.locals.readOnly === true) return;
+    recorded = true;
+    // The handler may still finish its work; 499 (as nginx logs it) marks that nobody saw the result
+    const closedEarly = !res.writableFinished;
+    const routePath = `${req.baseUrl.replace(/^\/api/, '')}${req.route?.path || req.path}`;
+    const params = { ...req.params };
+    databaseService.recordAuditEvent({
+      actor: req.user?.email ?? null,
+      action: `${req.method} ${routePath}`,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      resourceType: routePath.split('/')[1] || null,
+      resourceId: params.id ?? Object.values(params)[0] ?? null,
+      payload: capPayload(redact({ params, query: req.query, body: req.body })),
+      statusCode: closedEarly ? 499 : res.statusCode,
+      error: closedEarly
+        ? 'Connection closed before the response was sent'
+        : errorMessage === null || typeof errorMessage === 'string' ? errorMessage : JSON.stringify(errorMessage),
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    }).catch(() => {
+      // recordAuditEvent has already logged the failure
+    });
+  };
+  res.on('finish', record);
+  res.on('close', record);
+
+  next();
+}
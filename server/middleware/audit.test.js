@@ -0,0 +1,77 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import databaseService from '../services/database.service.js';
+import { auditMutations, readOnly } from './audit.js';
+
+let server;
+let baseUrl;
+let events;
+
+before(async () => {
+  // Capture audit rows instead of writing them to Postgres
+  databaseService.recordAuditEvent = async (event) => {
+    events.push(event);
+  };
+
+  const router = express.Router();
+  router.use(auditMutations);
+  // Has no dry-run path: the flag is ignored and the delete happens
+  router.delete('/things', (req, res) => res.json({ deleted: true }));
+  // Honors ?dry_run=true the way the delete and purge routes do
+  router.delete('/widgets', (req, res) => {
+    const dryRun = req.query.dry_run === 'true';
+    res.locals.readOnly = dryRun;
+    res.json({ dry_run: dryRun });
+  });
+  router.put('/things/:id', (req, res) => res.json({ id: req.params.id }));
+  router.post('/what-if', readOnly, (req, res) => res.json({ ranked: [] }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  events = [];
+});
+
+const send = async (method, path, body) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  await response.json();
+  // The audit row is written once the response has finished
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+test('records a dry-run flag on a route without dry-run support', async () => {
+  await send('DELETE', '/things?dry_run=true', { ids: [1] });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'DELETE /things');
+  assert.deepEqual(events[0].payload.query, { dry_run: 'true' });
+});
+
+test('records a preview body on a route without preview support', async () => {
+  await send('PUT', '/things/7', { preview: true, title: 'x' });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].resourceId, '7');
+});
+
+test('skips a dry run the handler honored', async () => {
+  await send('DELETE', '/widgets?dry_run=true', { ids: [1] });
+  assert.equal(events.length, 0);
+  await send('DELETE', '/widgets', { ids: [1] });
+  assert.equal(events.length, 1);
+});
+
+test('skips routes marked readOnly', async () => {
+  await send('POST', '/what-if', { weights: {} });
+  assert.equal(events.length, 0);
+});
@@ -0,0 +1,38 @@
+import authService, { hasRole, API_KEY_PREFIX } from '../services/auth.service.js';
+
+export const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+/**
+ * Resolve the session token or API key to req.user, or answer 401. API keys
+ * come as a bearer token or in an X-API-Key header.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const token = bearerToken(req) || req.get('X-API-Key') || null;
+    const user = token?.startsWith(API_KEY_PREFIX)
+      ? await authService.getApiKeyPrincipal(token, { ip: req.ip })
+      : await authService.getSessionUser(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Only let users with at least `role` through (viewer < operator < admin).
+ * API keys with `keyScope` are let through as well. Mount after authenticate.
+ */
+export const requireRole = (role, { keyScope = null } = {}) => (req, res, next) => {
+  const scopeAllowed = keyScope !== null && req.user?.scope === keyScope;
+  if (!hasRole(req.user, role) && !scopeAllowed) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+  next();
+};
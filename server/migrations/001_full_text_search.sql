@@ -0,0 +1,48 @@
+-- Full-text search: weighted tsvector columns + GIN indexes
+-- Weights: A = title/label, B = description, C = supporting text
+-- Identifiers use the 'simple' config with dashes split out so "PRB-12" lookups match
+
+ALTER TABLE dreamteam.problems
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', replace(coalesce(identifier, ''), '-', ' ')), 'A') ||
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(cluster_label, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS problems_search_vector_idx
+  ON dreamteam.problems USING GIN (search_vector);
+
+ALTER TABLE dreamteam.solutions
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', replace(coalesce(identifier, ''), '-', ' ')), 'A') ||
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '') || ' ' || coalesce(value_proposition, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(problem_statement, '') || ' ' || coalesce(target_audience, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS solutions_search_vector_idx
+  ON dreamteam.solutions USING GIN (search_vector);
+
+ALTER TABLE dreamteam.cluster_centroids
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(cluster_label, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(primary_industry, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(cluster_insights::text, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS cluster_centroids_search_vector_idx
+  ON dreamteam.cluster_centroids USING GIN (search_vector);
+
+ALTER TABLE dreamteam.projects
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS projects_search_vector_idx
+  ON dreamteam.projects USING GIN (search_vector);
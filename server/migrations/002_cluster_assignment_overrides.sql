@@ -0,0 +1,20 @@
+-- Manual cluster reassignments made from Studio
+-- One row per move; the newest row per problem (superseded_at IS NULL) is the
+-- override in force, so the next recluster can respect or report it.
+
+CREATE TABLE IF NOT EXISTS dreamteam.cluster_assignment_overrides (
+  id SERIAL PRIMARY KEY,
+  problem_id UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  cluster_version INTEGER NOT NULL,
+  from_cluster_id INTEGER,
+  to_cluster_id INTEGER NOT NULL,
+  cluster_similarity REAL,
+  reason TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  superseded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS cluster_assignment_overrides_active_idx
+  ON dreamteam.cluster_assignment_overrides (problem_id)
+  WHERE superseded_at IS NULL;
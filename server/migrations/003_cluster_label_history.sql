@@ -0,0 +1,17 @@
+-- Cluster label history
+-- One row per label change of a cluster in a given version, whether it was a
+-- rename from Studio or the side effect of a merge or split.
+
+CREATE TABLE IF NOT EXISTS dreamteam.cluster_label_history (
+  id SERIAL PRIMARY KEY,
+  cluster_id INTEGER NOT NULL,
+  cluster_version INTEGER NOT NULL,
+  previous_label TEXT,
+  new_label TEXT NOT NULL,
+  change_source TEXT NOT NULL DEFAULT 'rename',
+  changed_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS cluster_label_history_cluster_idx
+  ON dreamteam.cluster_label_history (cluster_id, cluster_version, created_at DESC);
@@ -0,0 +1,29 @@
+-- Problem assignments per cluster version
+-- problems.cluster_id only holds the assignment of the active version. Before
+-- Studio switches versions it saves the outgoing assignments here, so versions
+-- can be diffed by membership and rolled back exactly.
+
+CREATE TABLE IF NOT EXISTS dreamteam.cluster_version_assignments (
+  version INTEGER NOT NULL,
+  problem_id UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  cluster_id INTEGER,
+  cluster_similarity REAL,
+  saved_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (version, problem_id)
+);
+
+CREATE INDEX IF NOT EXISTS cluster_version_assignments_cluster_idx
+  ON dreamteam.cluster_version_assignments (version, cluster_id);
+
+-- Seed with the assignments of the version active today
+INSERT INTO dreamteam.cluster_version_assignments (version, problem_id, cluster_id, cluster_similarity)
+SELECT v.version, p.id, p.cluster_id, p.cluster_similarity
+FROM dreamteam.problems p
+CROSS JOIN (
+  SELECT COALESCE(
+    (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+    (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+  ) as version
+) v
+WHERE v.version IS NOT NULL
+ON CONFLICT (version, problem_id) DO NOTHING;
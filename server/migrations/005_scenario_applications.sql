@@ -0,0 +1,29 @@
+-- Restore points for applied clustering scenarios
+-- Applying a scenario writes a new cluster version; the assignments it
+-- replaced are kept here so the application can be undone exactly.
+
+CREATE TABLE IF NOT EXISTS dreamteam.scenario_applications (
+  id SERIAL PRIMARY KEY,
+  scenario_id UUID NOT NULL,
+  entity_type TEXT NOT NULL,
+  previous_version INTEGER,
+  applied_version INTEGER NOT NULL,
+  previous_config JSONB,
+  superseded_override_ids INTEGER[] NOT NULL DEFAULT '{}',
+  items_changed INTEGER,
+  applied_by TEXT,
+  applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  undone_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS scenario_applications_entity_idx
+  ON dreamteam.scenario_applications (entity_type, applied_at DESC);
+
+CREATE TABLE IF NOT EXISTS dreamteam.scenario_restore_assignments (
+  application_id INTEGER NOT NULL REFERENCES dreamteam.scenario_applications(id) ON DELETE CASCADE,
+  entity_id UUID NOT NULL,
+  cluster_id INTEGER,
+  cluster_label TEXT,
+  cluster_similarity REAL,
+  PRIMARY KEY (application_id, entity_id)
+);
@@ -0,0 +1,22 @@
+-- Parameter sweeps: a named grid of (k, threshold) clustering scenarios
+-- Scenarios are still created through dreamteam.create_clustering_scenario and
+-- processed as usual; the link table only groups them.
+
+CREATE TABLE IF NOT EXISTS dreamteam.clustering_sweeps (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  k_values INTEGER[] NOT NULL,
+  similarity_thresholds NUMERIC[] NOT NULL,
+  requested_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dreamteam.clustering_sweep_scenarios (
+  sweep_id INTEGER NOT NULL REFERENCES dreamteam.clustering_sweeps(id) ON DELETE CASCADE,
+  scenario_id UUID NOT NULL,
+  PRIMARY KEY (sweep_id, scenario_id)
+);
+
+CREATE INDEX IF NOT EXISTS clustering_sweep_scenarios_scenario_idx
+  ON dreamteam.clustering_sweep_scenarios (scenario_id);
@@ -0,0 +1,19 @@
+-- Outlier triage decisions
+-- One row per decision on an unclustered or outlier-bucket problem in a given
+-- cluster version. The newest row per problem and version is the one in force;
+-- problems without one are still waiting in the triage queue.
+
+CREATE TABLE IF NOT EXISTS dreamteam.outlier_triage_decisions (
+  id SERIAL PRIMARY KEY,
+  problem_id UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  cluster_version INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('accept', 'move', 'dismiss', 'seed')),
+  from_cluster_id INTEGER,
+  to_cluster_id INTEGER,
+  notes TEXT,
+  decided_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS outlier_triage_decisions_problem_idx
+  ON dreamteam.outlier_triage_decisions (cluster_version, problem_id, created_at DESC);
@@ -0,0 +1,29 @@
+-- Near-duplicate problem merges
+-- problem_merges keeps what was folded into a canonical problem (the merged
+-- rows themselves are deleted), including their source URLs. Pairs reviewed
+-- as "not a duplicate" are stored once, lowest ID first, so they stop showing up.
+
+CREATE TABLE IF NOT EXISTS dreamteam.problem_merges (
+  id SERIAL PRIMARY KEY,
+  canonical_problem_id UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  merged_problem_id UUID NOT NULL,
+  merged_identifier TEXT,
+  merged_title TEXT,
+  merged_source_url TEXT,
+  similarity REAL,
+  solution_links_moved INTEGER NOT NULL DEFAULT 0,
+  merged_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS problem_merges_canonical_idx
+  ON dreamteam.problem_merges (canonical_problem_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS dreamteam.problem_duplicate_dismissals (
+  problem_a UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  problem_b UUID NOT NULL REFERENCES dreamteam.problems(id) ON DELETE CASCADE,
+  dismissed_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (problem_a, problem_b),
+  CHECK (problem_a < problem_b)
+);
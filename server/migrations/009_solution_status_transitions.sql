@@ -0,0 +1,16 @@
+-- Solution lifecycle history
+-- solutions.status is moved through POST /api/solutions/:id/transition, which
+-- checks the transition is legal and records it here with its reason.
+
+CREATE TABLE IF NOT EXISTS dreamteam.solution_status_transitions (
+  id SERIAL PRIMARY KEY,
+  solution_id UUID NOT NULL REFERENCES dreamteam.solutions(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  changed_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS solution_status_transitions_solution_idx
+  ON dreamteam.solution_status_transitions (solution_id, created_at DESC);
@@ -0,0 +1,32 @@
+-- Candidate scoring profiles
+-- A profile weights the scoring components the server knows about (see
+-- SCORING_COMPONENTS in database.service.js) and tunes their inputs. The active
+-- profile produces solutions.candidate_score; activating another one rescores
+-- every solution.
+
+CREATE TABLE IF NOT EXISTS dreamteam.scoring_profiles (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  weights JSONB NOT NULL,
+  inputs JSONB NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- At most one active profile
+CREATE UNIQUE INDEX IF NOT EXISTS scoring_profiles_active_idx
+  ON dreamteam.scoring_profiles (is_active) WHERE is_active;
+
+-- The formula candidate_score was computed with before profiles existed
+INSERT INTO dreamteam.scoring_profiles (name, description, weights, inputs, is_active)
+VALUES (
+  'Default',
+  'Viability 40%, unit economics 30%, problem coverage 30%',
+  '{"viability": 0.4, "ltv_cac": 0.3, "problems": 0.3, "market_demand": 0, "technical_feasibility": 0, "competitive_advantage": 0}',
+  '{"ltv_cac_multiplier": 5, "ltv_cac_cap": 50, "points_per_problem": 2, "problem_points_cap": null}',
+  TRUE
+)
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,12 @@
+-- Daily candidate leaderboard snapshots
+-- The first leaderboard read of each day stores every candidate's rank, so the
+-- leaderboard can show how far a solution moved since last week.
+
+CREATE TABLE IF NOT EXISTS dreamteam.candidate_rank_snapshots (
+  snapshot_date DATE NOT NULL,
+  solution_id UUID NOT NULL REFERENCES dreamteam.solutions(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL,
+  score NUMERIC NOT NULL,
+  profile_id INTEGER REFERENCES dreamteam.scoring_profiles(id) ON DELETE SET NULL,
+  PRIMARY KEY (snapshot_date, solution_id)
+);
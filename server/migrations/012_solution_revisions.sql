@@ -0,0 +1,17 @@
+-- Solution revision history
+-- Every edit through PUT /api/solutions/:id stores a snapshot of the editable
+-- fields. The first edit also stores the values it replaced as revision 1, so
+-- the generated text is kept next to what people changed.
+
+CREATE TABLE IF NOT EXISTS dreamteam.solution_revisions (
+  id SERIAL PRIMARY KEY,
+  solution_id UUID NOT NULL REFERENCES dreamteam.solutions(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('original', 'edit', 'restore')),
+  fields JSONB NOT NULL,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  restored_from INTEGER,
+  edited_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (solution_id, revision_number)
+);
@@ -0,0 +1,26 @@
+-- Audit log
+-- One row per mutating API request (POST/PUT/PATCH/DELETE), written by the audit
+-- middleware after the response is sent: who, what, the request payload and the
+-- outcome. Read through GET /api/audit.
+
+CREATE TABLE IF NOT EXISTS dreamteam.audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  actor TEXT,
+  action TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  resource_type TEXT,
+  resource_id TEXT,
+  payload JSONB,
+  status_code INTEGER,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure')),
+  error TEXT,
+  duration_ms INTEGER,
+  ip TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON dreamteam.audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_resource_idx ON dreamteam.audit_log (resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON dreamteam.audit_log (actor);
@@ -0,0 +1,33 @@
+-- Users and sessions
+-- Studio users sign in with a local password (scrypt hash) or an OIDC ID token
+-- and get a role: viewer (read only), operator (edits and workflow triggers) or
+-- admin (destructive actions, audit log, user management). Each sign-in creates
+-- a session; only the SHA-256 of its bearer token is stored.
+
+CREATE TABLE IF NOT EXISTS dreamteam.users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  display_name TEXT,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'operator', 'admin')),
+  password_hash TEXT,
+  oidc_subject TEXT UNIQUE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx ON dreamteam.users (LOWER(email));
+
+CREATE TABLE IF NOT EXISTS dreamteam.user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES dreamteam.users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ip TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON dreamteam.user_sessions (user_id);
@@ -0,0 +1,20 @@
+-- API keys
+-- Scoped keys for machine clients (n8n callbacks, scripts). Only the SHA-256 of
+-- a key is stored, plus its first characters so people can tell keys apart.
+-- Scopes: read (GET only), workflows (read + workflow triggers),
+-- write (operator role) and admin. Revoked keys are kept for the audit trail.
+
+CREATE TABLE IF NOT EXISTS dreamteam.api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scope TEXT NOT NULL CHECK (scope IN ('read', 'workflows', 'write', 'admin')),
+  created_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMP,
+  revoked_by TEXT
+);
@@ -0,0 +1,16 @@
+-- Soft delete for solutions and products
+-- DELETE /api/solutions and DELETE /api/products now set deleted_at instead of
+-- removing rows; list queries skip deleted rows. The Trash view restores them or
+-- purges them for good, and only purging a product tears down its GitHub repo
+-- and GCP tenant.
+
+ALTER TABLE dreamteam.solutions
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE dreamteam.projects
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS solutions_deleted_idx ON dreamteam.solutions (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS projects_deleted_idx ON dreamteam.projects (deleted_at) WHERE deleted_at IS NOT NULL;
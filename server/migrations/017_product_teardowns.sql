@@ -0,0 +1,37 @@
+-- Product teardown jobs
+-- Purging a product records one job with a step per external resource (GitHub
+-- repository, GCP tenant) in the same transaction that deletes the row, so a
+-- repo or tenant is never orphaned without a record. A worker runs due steps,
+-- retrying failures with exponential backoff until max_attempts; exhausted
+-- steps stay `failed` until someone retries them. A job's status is derived
+-- from its steps.
+
+CREATE TABLE IF NOT EXISTS dreamteam.teardown_jobs (
+  id SERIAL PRIMARY KEY,
+  -- No foreign keys: the product row is gone once the job exists
+  product_id UUID NOT NULL,
+  product_name TEXT,
+  solution_id UUID,
+  requested_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dreamteam.teardown_steps (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES dreamteam.teardown_jobs(id) ON DELETE CASCADE,
+  step_type TEXT NOT NULL CHECK (step_type IN ('github_repo', 'gcp_tenant')),
+  -- Repository URL or tenant ID
+  target TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  UNIQUE (job_id, step_type)
+);
+
+CREATE INDEX IF NOT EXISTS teardown_steps_due_idx ON dreamteam.teardown_steps (next_attempt_at)
+  WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS teardown_jobs_created_idx ON dreamteam.teardown_jobs (created_at DESC);
@@ -0,0 +1,25 @@
+-- Workflow runs
+-- One row per F1-F4 webhook call made by Studio: the workflow and webhook, the
+-- input sent, who asked, n8n's HTTP status and response, and how long it took.
+-- A run starts as `running` and becomes `succeeded` or `failed` once n8n
+-- answers (or the request errors). Large inputs and responses are stored as a
+-- truncated preview.
+
+CREATE TABLE IF NOT EXISTS dreamteam.workflow_runs (
+  id SERIAL PRIMARY KEY,
+  workflow TEXT NOT NULL CHECK (workflow IN ('f1', 'f2', 'f3', 'f4')),
+  -- Webhook path, e.g. f3-generate-solution or f3-features-upload
+  webhook TEXT NOT NULL,
+  input JSONB,
+  requested_by TEXT,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  http_status INTEGER,
+  response JSONB,
+  error TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS workflow_runs_started_idx ON dreamteam.workflow_runs (started_at DESC);
+CREATE INDEX IF NOT EXISTS workflow_runs_workflow_idx ON dreamteam.workflow_runs (workflow, started_at DESC);
@@ -0,0 +1,7 @@
+-- Teardown step leases
+-- Each worker run claims steps under its own token. Completion updates only
+-- apply while the step still carries that token, so a run whose step was
+-- reclaimed as stale cannot overwrite the outcome of the run that took it over.
+
+ALTER TABLE dreamteam.teardown_steps
+  ADD COLUMN IF NOT EXISTS claim_token UUID;
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import pool from '../config/database.js';
+
+/**
+ * Studio schema migrations
+ * Applies every *.sql file in this directory once, in filename order.
+ * Applied files are recorded in dreamteam.studio_migrations.
+ *
+ * Usage: npm run migrate
+ */
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+async function migrate() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS dreamteam.studio_migrations (
+      filename TEXT PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const applied = new Set(
+    (await pool.query('SELECT filename FROM dreamteam.studio_migrations')).rows.map(r => r.filename)
+  );
+  const pending = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.sql') && !applied.has(file))
+    .sort();
+
+  if (pending.length === 0) {
+    console.log('✅ Schema is up to date');
+    return;
+  }
+
+  for (const file of pending) {
+    const client = await pool.connect();
+    try {
+      console.log(`Applying ${file}...`);
+      await client.query('BEGIN');
+      await client.query(fs.readFileSync(join(__dirname, file), 'utf8'));
+      await client.query('INSERT INTO dreamteam.studio_migrations (filename) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`❌ ${file} failed:`, error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+}
+
+migrate()
+  .then(() => pool.end())
+  .catch(() => process.exit(1));
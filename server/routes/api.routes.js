@@ -1,14 +1,106 @@
 import { Router } from 'express';
-import fetch from 'node-fetch';
-import databaseService from '../services/database.service.js';
+import databaseService, { parsePagination, SEARCH_TYPES } from '../services/database.service.js';
 import n8nService from '../services/n8n.service.js';
 import codespaceService from '../services/codespace.service.js';
-import githubService from '../services/github.service.js';
-import gcpService from '../services/gcp.service.js';
+import teardownService from '../services/teardown.service.js';
 import llmService from '../services/llm.service.js';
+import { auditMutations, readOnly } from '../middleware/audit.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
 
 const router = Router();
 
+// Every POST/PUT/PATCH/DELETE below is written to the audit log. Handlers that
+// took a preview or dry-run path set res.locals.readOnly to stay out of it.
+router.use(auditMutations);
+
+// === HEALTH CHECK ===
+router.get('/health', async (req, res) => {
+  try {
+    // Test database connection
+    await databaseService.executeQuery('SELECT 1');
+    
+    // Test n8n connection
+    const n8nConnected = await n8nService.testConnection();
+    
+    res.json({
+      status: 'healthy',
+      database: 'connected',
+      n8n: n8nConnected ? 'connected' : 'unavailable'
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: 'unhealthy',
+      error: error.message
+    });
+  }
+});
+
+// Everything below needs a signed-in user or an API key. Reads are open to every
+// role; edits and workflow triggers need operator, deletions and the audit log admin.
+router.use(authenticate);
+
+// Workflow triggers also accept API keys with the `workflows` scope (e.g. n8n)
+const WORKFLOW_TRIGGER = { keyScope: 'workflows' };
+
+// === AUDIT LOG ===
+router.get('/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const filters = {
+      actor: req.query.actor,
+      action: req.query.action,
+      method: req.query.method,
+      resource_type: req.query.resource_type,
+      resource_id: req.query.resource_id,
+      outcome: req.query.outcome,
+      from: req.query.from,
+      to: req.query.to,
+      search: req.query.search
+    };
+    const entries = await databaseService.getAuditLog(
+      filters,
+      parsePagination(req.query) || { limit: 50, offset: 0, cursor: null }
+    );
+    res.json(entries);
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/audit/facets', requireRole('admin'), async (req, res) => {
+  try {
+    const facets = await databaseService.getAuditFacets();
+    res.json(facets);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === SEARCH ===
+// Ranked omnisearch across problems, clusters, solutions and projects
+router.get('/search', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const types = req.query.types ? String(req.query.types).split(',') : SEARCH_TYPES;
+    const invalidTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ error: `Invalid types: ${invalidTypes.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const results = await databaseService.search(q, { types, limit });
+    res.json({ query: q, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // === PROBLEMS ===
 router.get('/problems', async (req, res) => {
   try {
@@ -19,13 +111,23 @@ router.get('/problems', async (req, res) => {
       industry: req.query.industry,
       business_size: req.query.business_size,
       search: req.query.search,
+      title: req.query.title,
+      description: req.query.description,
+      cluster_search: req.query.cluster_search,
+      created_after: req.query.created_after,
+      min_solution_count: req.query.min_solution_count,
+      min_project_count: req.query.min_project_count,
       has_solutions: req.query.has_solutions,
       sortBy: req.query.sortBy,
       sortOrder: req.query.sortOrder
     };
-    const problems = await databaseService.getProblems(filters);
+    // ?limit / ?cursor switch the response to { data, pagination }
+    const problems = await databaseService.getProblems(filters, parsePagination(req.query));
     res.json(problems);
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -39,6 +141,42 @@ router.get('/problems/filter-options', async (req, res) => {
   }
 });
 
+// Near-duplicate candidate pairs within clusters (before /problems/:id so it isn't taken as an ID)
+router.get('/problems/duplicates', async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 0.92;
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+      return res.status(400).json({ error: 'threshold must be between 0 and 1' });
+    }
+    const result = await databaseService.findDuplicateProblems({
+      threshold,
+      clusterId: req.query.cluster_id !== undefined ? parseInt(req.query.cluster_id) : null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a candidate pair as distinct problems
+router.post('/problems/duplicates/dismiss', requireRole('operator'), async (req, res) => {
+  try {
+    const { problem_ids } = req.body;
+    const result = await databaseService.dismissDuplicatePair(problem_ids, { dismissedBy: req.user.email });
+    res.json(result);
+  } catch (error) {
+    console.error('Error dismissing duplicate pair:', error);
+    if (error.message === 'Problem not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Exactly two')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/problems/:id', async (req, res) => {
   try {
     const problem = await databaseService.getProblemById(req.params.id);
@@ -51,6 +189,92 @@ router.get('/problems/:id', async (req, res) => {
   }
 });
 
+// Create a problem by hand (F1 remains the bulk ingestion path)
+router.post('/problems', requireRole('operator'), async (req, res) => {
+  try {
+    const problem = await databaseService.createProblem(req.body);
+    res.status(201).json(problem);
+  } catch (error) {
+    console.error('Error creating problem:', error);
+    if (error.message === 'Title is required' || error.message.startsWith('Invalid impact')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a problem
+router.put('/problems/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const problem = await databaseService.updateProblem(req.params.id, req.body);
+    res.json(problem);
+  } catch (error) {
+    console.error('Error updating problem:', error);
+    if (error.message === 'Problem not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Title is required' || error.message === 'No valid fields to update' ||
+        error.message.startsWith('Invalid impact')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete multiple problems (bulk) - also removes their solution links
+router.delete('/problems', requireRole('admin'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Array of problem IDs is required' });
+    }
+
+    const result = await databaseService.deleteProblems(ids);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting problems:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge duplicates into this problem (preview: true to see the outcome without saving)
+router.post('/problems/:id/merge', requireRole('operator'), async (req, res) => {
+  try {
+    const { duplicate_ids, preview } = req.body;
+
+    if (!Array.isArray(duplicate_ids) || duplicate_ids.length === 0) {
+      return res.status(400).json({ error: 'Array of duplicate_ids is required' });
+    }
+
+    const result = await databaseService.mergeProblems(req.params.id, duplicate_ids, {
+      mergedBy: req.user.email,
+      dryRun: !!preview
+    });
+    res.locals.readOnly = !!preview;
+    res.json(result);
+  } catch (error) {
+    console.error(`Error merging into problem ${req.params.id}:`, error);
+    if (error.message === 'Problem not found' || error.message === 'Duplicate problem not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('No duplicate')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Problems merged into this one, with their source URLs
+router.get('/problems/:id/merges', async (req, res) => {
+  try {
+    const merges = await databaseService.getProblemMerges(req.params.id);
+    res.json(merges);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/problems/:id/solutions', async (req, res) => {
   try {
     const solutions = await databaseService.getSolutionsByProblem(req.params.id);
@@ -87,6 +311,19 @@ router.get('/clusters/filter-options', async (req, res) => {
   }
 });
 
+// Manual reassignments still in force (?all=true for the full history)
+router.get('/clusters/overrides', async (req, res) => {
+  try {
+    const overrides = await databaseService.getClusterOverrides({
+      activeOnly: req.query.all !== 'true',
+      problemId: req.query.problem_id
+    });
+    res.json(overrides);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/clusters/:id', async (req, res) => {
   try {
     const cluster = await databaseService.getClusterById(req.params.id);
@@ -121,6 +358,207 @@ router.get('/clusters/:id/problems', async (req, res) => {
   }
 });
 
+// Merge clusters of the active version; { preview: true } returns the outcome without applying it
+router.post('/clusters/merge', requireRole('operator'), async (req, res) => {
+  try {
+    const { cluster_ids, label, preview } = req.body;
+
+    if (!cluster_ids || !Array.isArray(cluster_ids) || cluster_ids.length < 2) {
+      return res.status(400).json({ error: 'At least two cluster_ids are required' });
+    }
+
+    const result = await databaseService.mergeClusters(cluster_ids, { label, dryRun: !!preview });
+    res.locals.readOnly = !!preview;
+    res.json(result);
+  } catch (error) {
+    console.error('Error merging clusters:', error);
+    if (error.message === 'Cluster not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('At least two') || error.message.includes('outlier bucket')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split a cluster into k sub-clusters. Without k, { preview: true } scores k = 2..max_k instead
+router.post('/clusters/:id/split', requireRole('operator'), async (req, res) => {
+  try {
+    const { k, labels, preview, max_k } = req.body;
+
+    if (!k) {
+      if (!preview) {
+        return res.status(400).json({ error: 'k is required to apply a split' });
+      }
+      const candidates = await databaseService.getSplitCandidates(req.params.id, parseInt(max_k) || 6);
+      res.locals.readOnly = true;
+      return res.json(candidates);
+    }
+
+    const result = await databaseService.splitCluster(req.params.id, {
+      k,
+      labels: Array.isArray(labels) ? labels : [],
+      dryRun: !!preview
+    });
+    res.locals.readOnly = !!preview;
+    res.json(result);
+  } catch (error) {
+    console.error(`Error splitting cluster ${req.params.id}:`, error);
+    if (error.message === 'Cluster not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('k must') || error.message.startsWith('Cannot split')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a cluster; problems and solutions carrying its label are updated with it
+router.put('/clusters/:id/label', requireRole('operator'), async (req, res) => {
+  try {
+    const { label } = req.body;
+
+    if (!label || !String(label).trim()) {
+      return res.status(400).json({ error: 'label is required' });
+    }
+
+    const result = await databaseService.renameCluster(req.params.id, label, { changedBy: req.user.email });
+    res.json(result);
+  } catch (error) {
+    console.error(`Error renaming cluster ${req.params.id}:`, error);
+    if (error.message === 'Cluster not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Label is required') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/clusters/:id/label-history', async (req, res) => {
+  try {
+    const history = await databaseService.getClusterLabelHistory(req.params.id);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move problems into this cluster (active version) by hand
+router.post('/clusters/:id/problems', requireRole('operator'), async (req, res) => {
+  try {
+    const { problem_ids, reason } = req.body;
+
+    if (!problem_ids || !Array.isArray(problem_ids) || problem_ids.length === 0) {
+      return res.status(400).json({ error: 'Array of problem_ids is required' });
+    }
+
+    const result = await databaseService.reassignProblemsToCluster(problem_ids, req.params.id, {
+      reason,
+      createdBy: req.user.email
+    });
+    res.json(result);
+  } catch (error) {
+    console.error(`Error moving problems to cluster ${req.params.id}:`, error);
+    if (error.message === 'Cluster not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === OUTLIER TRIAGE ===
+// Unclustered and outlier-bucket problems awaiting a decision, with candidate clusters
+router.get('/outlier-triage', async (req, res) => {
+  try {
+    const queue = await databaseService.getOutlierTriageQueue({
+      limit: Math.min(parseInt(req.query.limit) || 25, 100),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json(queue);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept a candidate, move, dismiss or seed a new cluster for one outlier
+router.post('/outlier-triage/:problemId', requireRole('operator'), async (req, res) => {
+  try {
+    const { action, cluster_id, label, notes } = req.body;
+    const result = await databaseService.triageOutlier(req.params.problemId, {
+      action,
+      clusterId: cluster_id,
+      label,
+      notes,
+      decidedBy: req.user.email
+    });
+    res.json(result);
+  } catch (error) {
+    console.error(`Error triaging outlier ${req.params.problemId}:`, error);
+    if (error.message === 'Problem not found' || error.message === 'Cluster not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid triage action') || error.message.startsWith('Problem is not') ||
+        error.message.startsWith('No candidate') || error.message.startsWith('Cluster is not') ||
+        error.message.startsWith('A cluster is required') || error.message.startsWith('Problem has no') ||
+        error.message.startsWith('Cannot move')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === CLUSTER VERSIONS ===
+router.get('/cluster-versions', async (req, res) => {
+  try {
+    const versions = await databaseService.getClusterVersions();
+    res.json(versions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clusters that appeared, disappeared or changed membership between two versions
+router.get('/cluster-versions/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to || isNaN(parseInt(from)) || isNaN(parseInt(to))) {
+      return res.status(400).json({ error: 'Numeric from and to versions are required' });
+    }
+
+    const diff = await databaseService.diffClusterVersions(from, to);
+    res.json(diff);
+  } catch (error) {
+    console.error('Error diffing cluster versions:', error);
+    if (error.message === 'Cluster version not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch the active version, e.g. to roll back a recluster
+router.post('/cluster-versions/:version/activate', requireRole('operator'), async (req, res) => {
+  try {
+    if (isNaN(parseInt(req.params.version))) {
+      return res.status(400).json({ error: 'Version must be a number' });
+    }
+
+    const result = await databaseService.activateClusterVersion(req.params.version);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error activating cluster version ${req.params.version}:`, error);
+    if (error.message === 'Cluster version not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // === SOLUTION CLUSTERS ===
 router.get('/solution-clusters/filter-options', async (req, res) => {
   try {
@@ -180,21 +618,78 @@ router.get('/solutions/best-candidate', async (req, res) => {
   }
 });
 
+// Side-by-side comparison of 2-5 solutions (?ids=a,b,c)
+router.get('/solutions/compare', async (req, res) => {
+  try {
+    // ?ids=a,b and ?ids=a&ids=b both arrive here
+    const ids = req.query.ids ? [].concat(req.query.ids).join(',').split(',').filter(Boolean) : [];
+    if (ids.length < 2 || ids.length > 5) {
+      return res.status(400).json({ error: 'Select between 2 and 5 solutions to compare' });
+    }
+    const comparison = await databaseService.compareSolutions(ids);
+    res.json(comparison);
+  } catch (error) {
+    if (error.message.startsWith('Select between')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Solution not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Top candidates under the active scoring profile with rank change since last week
+router.get('/solutions/leaderboard', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const leaderboard = await databaseService.getCandidateLeaderboard({ limit });
+    res.json(leaderboard);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Same ranking with unsaved weights/inputs layered over the active profile
+router.post('/solutions/leaderboard/what-if', readOnly, async (req, res) => {
+  try {
+    const { weights = {}, inputs = {} } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || 10, 50);
+    const leaderboard = await databaseService.getCandidateLeaderboard({ limit, weights, inputs });
+    res.json(leaderboard);
+  } catch (error) {
+    if (isScoringProfileInputError(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/solutions', async (req, res) => {
   try {
     const filters = {
       cluster_id: req.query.cluster_id,
       status: req.query.status,
       min_viability: req.query.min_viability,
+      max_viability: req.query.max_viability,
+      min_ltv_cac: req.query.min_ltv_cac,
+      min_revenue: req.query.min_revenue,
+      min_problem_count: req.query.min_problem_count,
       has_project: req.query.has_project,
       industry: req.query.industry,
       search: req.query.search,
+      title: req.query.title,
+      source_cluster: req.query.source_cluster,
       sortBy: req.query.sortBy,
       sortOrder: req.query.sortOrder
     };
-    const solutions = await databaseService.getSolutions(filters);
+    // ?limit / ?cursor switch the response to { data, pagination }
+    const solutions = await databaseService.getSolutions(filters, parsePagination(req.query));
     res.json(solutions);
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -208,6 +703,11 @@ router.get('/solutions/filter-options', async (req, res) => {
   }
 });
 
+// Lifecycle statuses and the transitions allowed between them
+router.get('/solutions/lifecycle', (req, res) => {
+  res.json(databaseService.getSolutionLifecycle());
+});
+
 // Get a clone candidate suggestion from LLM
 router.get('/solutions/clone-suggestion', async (req, res) => {
   try {
@@ -222,7 +722,7 @@ router.get('/solutions/clone-suggestion', async (req, res) => {
 });
 
 // Analyze a URL and extract product information
-router.post('/solutions/analyze-url', async (req, res) => {
+router.post('/solutions/analyze-url', requireRole('operator'), async (req, res) => {
   try {
     const { url } = req.body;
     if (!url) {
@@ -237,7 +737,7 @@ router.post('/solutions/analyze-url', async (req, res) => {
 });
 
 // Create solution from features.json upload - triggers F3 features webhook
-router.post('/solutions/from-features', async (req, res) => {
+router.post('/solutions/from-features', requireRole('operator'), async (req, res) => {
   try {
     const { features, source_url } = req.body;
 
@@ -262,21 +762,14 @@ router.post('/solutions/from-features', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(webhookData)
-    });
+    const response = await n8nService.runWorkflow('f3', webhookUrl, webhookData, { requestedBy: req.user.email });
 
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error('F3 features webhook error:', errorText);
+      console.error('F3 features webhook error:', response.body);
       throw new Error(`F3 features webhook failed: ${response.statusText}`);
     }
 
-    const result = await response.json();
+    const result = response.body;
 
     res.status(201).json({
       success: true,
@@ -284,27 +777,151 @@ router.post('/solutions/from-features', async (req, res) => {
       workflow_response: result
     });
   } catch (error) {
-    console.error('Error creating solution from features:', error);
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
-        error: 'F3 features workflow is not available. Please ensure n8n is running and the webhook is configured.'
-      });
+    console.error('Error creating solution from features:', error);
+    if (error.code === 'ECONNREFUSED') {
+      return res.status(503).json({
+        error: 'F3 features workflow is not available. Please ensure n8n is running and the webhook is configured.'
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/solutions/:id', async (req, res) => {
+  try {
+    const solution = await databaseService.getSolutionById(req.params.id);
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    res.json(solution);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/solutions/:id/problems', async (req, res) => {
+  try {
+    const problems = await databaseService.getProblemsBySolutionId(req.params.id);
+    res.json(problems);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a solution through its lifecycle ({ status, reason })
+router.post('/solutions/:id/transition', requireRole('operator'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    const result = await databaseService.transitionSolutionStatus(req.params.id, status, {
+      reason,
+      changedBy: req.user.email
+    });
+    res.json(result);
+  } catch (error) {
+    console.error(`Error transitioning solution ${req.params.id}:`, error);
+    if (error.message === 'Solution not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid status') || error.message.startsWith('A reason') ||
+        error.message.startsWith('Solution is already') || error.message.startsWith('Cannot move')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/solutions/:id/status-history', async (req, res) => {
+  try {
+    const history = await databaseService.getSolutionStatusHistory(req.params.id);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-component score breakdown (?profile_id= to score with a non-active profile)
+router.get('/solutions/:id/score', async (req, res) => {
+  try {
+    const breakdown = await databaseService.getSolutionScoreBreakdown(req.params.id, {
+      profileId: req.query.profile_id ? parseInt(req.query.profile_id) : null
+    });
+    res.json(breakdown);
+  } catch (error) {
+    if (error.message === 'Solution not found' || error.message === 'Scoring profile not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Snapshots of the editable fields, newest first; revision 1 is the text before any edit
+router.get('/solutions/:id/revisions', async (req, res) => {
+  try {
+    const revisions = await databaseService.getSolutionRevisions(req.params.id);
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/solutions/:id/revisions/:revision/restore', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await databaseService.restoreSolutionRevision(req.params.id, parseInt(req.params.revision), {
+      editedBy: req.user.email
+    });
+    res.json(result);
+  } catch (error) {
+    console.error(`Error restoring solution ${req.params.id}:`, error);
+    if (error.message === 'Solution not found' || error.message === 'Revision not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Solution already matches')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Link evidence problems to a solution by hand; candidate_score is recomputed
+router.post('/solutions/:id/problems', requireRole('operator'), async (req, res) => {
+  try {
+    const { problem_ids } = req.body;
+    if (!Array.isArray(problem_ids) || problem_ids.length === 0) {
+      return res.status(400).json({ error: 'Array of problem_ids is required' });
+    }
+    const result = await databaseService.linkProblemsToSolution(req.params.id, problem_ids);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error linking problems to solution ${req.params.id}:`, error);
+    if (error.message === 'Solution not found') {
+      return res.status(404).json({ error: error.message });
     }
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/solutions/:id/problems', async (req, res) => {
+router.delete('/solutions/:id/problems', requireRole('operator'), async (req, res) => {
   try {
-    const problems = await databaseService.getProblemsBySolutionId(req.params.id);
-    res.json(problems);
+    const { problem_ids } = req.body;
+    if (!Array.isArray(problem_ids) || problem_ids.length === 0) {
+      return res.status(400).json({ error: 'Array of problem_ids is required' });
+    }
+    const result = await databaseService.unlinkProblemsFromSolution(req.params.id, problem_ids);
+    res.json(result);
   } catch (error) {
+    console.error(`Error unlinking problems from solution ${req.params.id}:`, error);
+    if (error.message === 'Solution not found') {
+      return res.status(404).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Create a new solution - triggers F3 workflow
-router.post('/solutions', async (req, res) => {
+router.post('/solutions', requireRole('operator'), async (req, res) => {
   try {
     const { source_url, title, description, value_proposition, target_audience,
             problem_statement, primary_feature, key_features, differentiators,
@@ -330,7 +947,7 @@ router.post('/solutions', async (req, res) => {
       revenue_model,
       pricing_strategy,
       target_industry
-    });
+    }, { requestedBy: req.user.email });
 
     res.status(201).json({
       success: true,
@@ -344,9 +961,11 @@ router.post('/solutions', async (req, res) => {
 });
 
 // Update a solution
-router.put('/solutions/:id', async (req, res) => {
+router.put('/solutions/:id', requireRole('operator'), async (req, res) => {
   try {
-    const solution = await databaseService.updateSolution(req.params.id, req.body);
+    const solution = await databaseService.updateSolution(req.params.id, req.body, {
+      editedBy: req.user.email
+    });
     res.json(solution);
   } catch (error) {
     console.error('Error updating solution:', error);
@@ -357,8 +976,8 @@ router.put('/solutions/:id', async (req, res) => {
   }
 });
 
-// Delete multiple solutions (bulk)
-router.delete('/solutions', async (req, res) => {
+// Delete multiple solutions (bulk); ?dry_run=true reports the impact without deleting
+router.delete('/solutions', requireRole('admin'), async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -366,7 +985,11 @@ router.delete('/solutions', async (req, res) => {
       return res.status(400).json({ error: 'Array of solution IDs is required' });
     }
 
-    const result = await databaseService.deleteSolutions(ids);
+    const result = await databaseService.deleteSolutions(ids, {
+      deletedBy: req.user.email,
+      dryRun: req.query.dry_run === 'true'
+    });
+    res.locals.readOnly = result.dry_run;
     res.json(result);
   } catch (error) {
     console.error('Error deleting solutions:', error);
@@ -385,10 +1008,102 @@ router.delete('/solutions', async (req, res) => {
   }
 });
 
+// === SCORING PROFILES ===
+const isScoringProfileInputError = (message) =>
+  message === 'Profile name is required' ||
+  message.startsWith('A scoring profile') ||
+  message.startsWith('Unknown scoring') ||
+  message.startsWith('Weight for') ||
+  message.startsWith('Scoring input');
+
+// Components a profile can weight and the default inputs
+router.get('/scoring-profiles/components', (req, res) => {
+  res.json(databaseService.getScoringComponents());
+});
+
+router.get('/scoring-profiles', async (req, res) => {
+  try {
+    const profiles = await databaseService.getScoringProfiles();
+    res.json(profiles);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/scoring-profiles', requireRole('operator'), async (req, res) => {
+  try {
+    const { name, description, weights, inputs } = req.body;
+    const profile = await databaseService.createScoringProfile({
+      name,
+      description,
+      weights,
+      inputs,
+      createdBy: req.user.email
+    });
+    res.status(201).json(profile);
+  } catch (error) {
+    if (isScoringProfileInputError(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Editing the active profile rescores every solution
+router.put('/scoring-profiles/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const { name, description, weights, inputs } = req.body;
+    const result = await databaseService.updateScoringProfile(parseInt(req.params.id), {
+      name,
+      description,
+      weights,
+      inputs
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Scoring profile not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isScoringProfileInputError(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/scoring-profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await databaseService.deleteScoringProfile(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Scoring profile not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Cannot delete')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch the profile candidate_score uses; every solution is rescored
+router.post('/scoring-profiles/:id/activate', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await databaseService.activateScoringProfile(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Scoring profile not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // === PRODUCTS ===
 
-// Delete multiple products (bulk) with GitHub repo and GCP tenant cascade
-router.delete('/products', async (req, res) => {
+// Move products to the trash; GitHub repos and GCP tenants go when they are purged.
+// ?dry_run=true reports the impact without deleting.
+router.delete('/products', requireRole('admin'), async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -396,26 +1111,160 @@ router.delete('/products', async (req, res) => {
       return res.status(400).json({ error: 'Array of product IDs is required' });
     }
 
-    // Delete products from database (returns GitHub repos and GCP tenants to delete)
-    const result = await databaseService.deleteProducts(ids);
+    const result = await databaseService.deleteProducts(ids, {
+      deletedBy: req.user.email,
+      dryRun: req.query.dry_run === 'true'
+    });
+    res.locals.readOnly = result.dry_run;
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting products:', error);
+    if (error.message === 'No products found with the provided IDs') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === TRASH ===
+// Deleted solutions and products, restorable until purged
+router.get('/trash', async (req, res) => {
+  try {
+    const trash = await databaseService.getTrash();
+    res.json(trash);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/trash/solutions/restore', requireRole('operator'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Array of IDs is required' });
+    }
+
+    const result = await databaseService.restoreSolutions(ids);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/trash/products/restore', requireRole('operator'), async (req, res) => {
+  try {
+    const { ids } = req.body;
 
-    // Delete GitHub repositories
-    if (result.github_repos_to_delete && result.github_repos_to_delete.length > 0) {
-      console.log(`Deleting ${result.github_repos_to_delete.length} GitHub repositories...`);
-      const githubResult = await githubService.deleteRepositories(result.github_repos_to_delete);
-      result.github_deletion = githubResult;
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Array of IDs is required' });
     }
 
-    // Delete GCP Identity Platform tenants
-    if (result.gcp_tenants_to_delete && result.gcp_tenants_to_delete.length > 0) {
-      console.log(`Deleting ${result.gcp_tenants_to_delete.length} GCP tenants...`);
-      const gcpResult = await gcpService.deleteTenants(result.gcp_tenants_to_delete);
-      result.gcp_deletion = gcpResult;
+    const result = await databaseService.restoreProducts(ids);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?dry_run=true reports what a purge would remove without deleting anything
+router.delete('/trash/solutions', requireRole('admin'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Array of IDs is required' });
     }
 
+    const result = await databaseService.purgeSolutions(ids, { dryRun: req.query.dry_run === 'true' });
+    res.locals.readOnly = result.dry_run;
     res.json(result);
   } catch (error) {
-    console.error('Error deleting products:', error);
+    if (error.message.startsWith('Cannot purge')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purging is the only path that deletes GitHub repositories and GCP tenants.
+// The teardown jobs are committed with the purge; their first attempt runs
+// before responding and failures are retried by the teardown worker.
+// ?dry_run=true reports the products, repos and tenants without deleting anything.
+router.delete('/trash/products', requireRole('admin'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Array of IDs is required' });
+    }
+
+    const result = await databaseService.purgeProducts(ids, {
+      requestedBy: req.user.email,
+      dryRun: req.query.dry_run === 'true'
+    });
+
+    if (result.teardown_job_ids.length > 0) {
+      console.log(`Tearing down external resources for ${result.teardown_job_ids.length} products...`);
+      // The purge has committed; a teardown error is left to the worker's retries
+      try {
+        await teardownService.runDueSteps({ jobIds: result.teardown_job_ids });
+        result.teardown_jobs = await Promise.all(result.teardown_job_ids.map(id => teardownService.getJob(id)));
+      } catch (error) {
+        console.error('Error running teardown steps after purge:', error);
+      }
+    }
+
+    res.locals.readOnly = result.dry_run;
+    res.json(result);
+  } catch (error) {
+    console.error('Error purging products:', error);
+    if (error.message === 'No trashed products found with the provided IDs') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === TEARDOWNS ===
+// ?status=open lists what is left over: jobs with steps still pending or failed
+router.get('/teardowns', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    if (status && !['open', 'in_progress', 'failed', 'completed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, in_progress, failed or completed' });
+    }
+    const jobs = await teardownService.getJobs({ status: status || null, limit });
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/teardowns/:id', async (req, res) => {
+  try {
+    const job = await teardownService.getJob(parseInt(req.params.id));
+    res.json(job);
+  } catch (error) {
+    if (error.message === 'Teardown job not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Give exhausted steps a fresh set of attempts and run them right away
+router.post('/teardowns/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await teardownService.retryFailedSteps(parseInt(req.params.id));
+    res.json(job);
+  } catch (error) {
+    if (error.message === 'Teardown job not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Teardown job has no failed steps') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -450,7 +1299,7 @@ router.get('/projects', async (req, res) => {
 });
 
 // Create Codespace for a project
-router.post('/projects/:id/create-codespace', async (req, res) => {
+router.post('/projects/:id/create-codespace', requireRole('operator'), async (req, res) => {
 
   try {
     const { id } = req.params;
@@ -521,7 +1370,7 @@ router.get('/projects/:id/codespace-status', async (req, res) => {
 });
 
 // Delete Codespace for a project
-router.delete('/projects/:id/codespace', async (req, res) => {
+router.delete('/projects/:id/codespace', requireRole('admin'), async (req, res) => {
 
   try {
     const { id } = req.params;
@@ -539,7 +1388,7 @@ router.delete('/projects/:id/codespace', async (req, res) => {
 });
 
 // Clear Codespace URL for a project (when manually deleted from GitHub)
-router.post('/projects/:id/clear-codespace', async (req, res) => {
+router.post('/projects/:id/clear-codespace', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -572,54 +1421,91 @@ router.get('/pipeline/status', async (req, res) => {
 });
 
 // === WORKFLOW TRIGGERS ===
-router.post('/workflows/f1/trigger', async (req, res) => {
+router.post('/workflows/f1/trigger', requireRole('operator', WORKFLOW_TRIGGER), async (req, res) => {
   try {
     const { source_url } = req.body;
     if (!source_url) {
       return res.status(400).json({ error: 'source_url is required' });
     }
-    const result = await n8nService.triggerProblemIngestion(source_url);
+    const result = await n8nService.triggerProblemIngestion(source_url, { requestedBy: req.user.email });
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/workflows/f2/trigger', async (req, res) => {
+router.post('/workflows/f2/trigger', requireRole('operator', WORKFLOW_TRIGGER), async (req, res) => {
   try {
-    const result = await n8nService.triggerClustering(req.body);
+    const result = await n8nService.triggerClustering(req.body, { requestedBy: req.user.email });
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/workflows/f3/trigger', async (req, res) => {
+router.post('/workflows/f3/trigger', requireRole('operator', WORKFLOW_TRIGGER), async (req, res) => {
   try {
     const { cluster_id } = req.body;
     if (!cluster_id) {
       return res.status(400).json({ error: 'cluster_id is required' });
     }
-    const result = await n8nService.triggerSolutionGeneration(cluster_id);
+    const result = await n8nService.triggerSolutionGeneration(cluster_id, { requestedBy: req.user.email });
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/workflows/f4/trigger', async (req, res) => {
+router.post('/workflows/f4/trigger', requireRole('operator', WORKFLOW_TRIGGER), async (req, res) => {
   try {
     const { solution_id } = req.body;
     if (!solution_id) {
       return res.status(400).json({ error: 'solution_id is required' });
     }
-    const result = await n8nService.triggerProjectBirth(solution_id);
+    const result = await n8nService.triggerProjectBirth(solution_id, { requestedBy: req.user.email });
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// === WORKFLOW RUNS ===
+// Every F1-F4 webhook call, newest first; filter by workflow, status, requested_by, from and to
+router.get('/workflow-runs', async (req, res) => {
+  try {
+    const filters = {
+      workflow: req.query.workflow,
+      status: req.query.status,
+      requested_by: req.query.requested_by,
+      from: req.query.from,
+      to: req.query.to
+    };
+    const runs = await databaseService.getWorkflowRuns(
+      filters,
+      parsePagination(req.query) || { limit: 50, offset: 0, cursor: null }
+    );
+    res.json(runs);
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One run with its input and n8n response
+router.get('/workflow-runs/:id', async (req, res) => {
+  try {
+    const run = await databaseService.getWorkflowRunById(parseInt(req.params.id));
+    res.json(run);
+  } catch (error) {
+    if (error.message === 'Workflow run not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // === DEBUG SOLUTION CLUSTERS ===
 router.get('/debug/solution-source-clusters', async (req, res) => {
   try {
@@ -648,7 +1534,7 @@ router.get('/debug/solution-source-clusters', async (req, res) => {
           COUNT(DISTINCT s.id) as solution_count
         FROM dreamteam.cluster_centroids c
         LEFT JOIN dreamteam.problems p ON p.cluster_id = c.cluster_id
-        LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id
+        LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id AND s.deleted_at IS NULL
         WHERE c.version = (SELECT version FROM active_version)
         GROUP BY c.cluster_id, c.cluster_label
       )
@@ -679,28 +1565,6 @@ router.get('/debug/solution-source-clusters', async (req, res) => {
   }
 });
 
-// === HEALTH CHECK ===
-router.get('/health', async (req, res) => {
-  try {
-    // Test database connection
-    await databaseService.executeQuery('SELECT 1');
-    
-    // Test n8n connection
-    const n8nConnected = await n8nService.testConnection();
-    
-    res.json({
-      status: 'healthy',
-      database: 'connected',
-      n8n: n8nConnected ? 'connected' : 'unavailable'
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: 'unhealthy',
-      error: error.message
-    });
-  }
-});
-
 // === API BALANCES ===
 router.get('/api-balances', async (req, res) => {
   try {
@@ -763,9 +1627,9 @@ router.get('/clustering-config/:entityType', async (req, res) => {
   }
 });
 
-router.post('/clustering-scenarios', async (req, res) => {
+router.post('/clustering-scenarios', requireRole('operator'), async (req, res) => {
   try {
-    const { entity_type, k_value, similarity_threshold, requested_by, notes } = req.body;
+    const { entity_type, k_value, similarity_threshold, notes } = req.body;
     
     // Validate inputs
     if (!entity_type || !k_value || !similarity_threshold) {
@@ -778,7 +1642,7 @@ router.post('/clustering-scenarios', async (req, res) => {
       entity_type,
       k_value,
       similarity_threshold,
-      requested_by,
+      req.user.email,
       notes
     );
     
@@ -800,6 +1664,29 @@ router.get('/clustering-scenarios', async (req, res) => {
   }
 });
 
+// Agreement metrics, overlap matrix and moved items between two scenarios
+router.get('/clustering-scenarios/compare', async (req, res) => {
+  try {
+    const { a, b } = req.query;
+
+    if (!a || !b) {
+      return res.status(400).json({ error: 'Scenario IDs a and b are required' });
+    }
+
+    const comparison = await databaseService.compareClusteringScenarios(a, b);
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing clustering scenarios:', error);
+    if (error.message === 'Scenario not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Can only compare') || error.message.includes('different entity types')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/clustering-scenarios/:id', async (req, res) => {
   try {
     const scenario = await databaseService.getClusteringScenarioDetails(req.params.id);
@@ -813,7 +1700,7 @@ router.get('/clustering-scenarios/:id', async (req, res) => {
   }
 });
 
-router.delete('/clustering-scenarios/:id', async (req, res) => {
+router.delete('/clustering-scenarios/:id', requireRole('admin'), async (req, res) => {
   try {
     await databaseService.deleteClusteringScenario(req.params.id);
     res.json({ success: true });
@@ -823,18 +1710,112 @@ router.delete('/clustering-scenarios/:id', async (req, res) => {
   }
 });
 
-router.post('/clustering-scenarios/:id/apply', async (req, res) => {
+// Apply a scenario as a new cluster version; { preview: true } reports the changes without applying
+router.post('/clustering-scenarios/:id/apply', requireRole('operator'), async (req, res) => {
   try {
-    const result = await databaseService.applyScenarioToProduction(req.params.id);
+    const { preview } = req.body || {};
+    const result = await databaseService.applyScenarioToProduction(req.params.id, {
+      dryRun: !!preview,
+      appliedBy: req.user.email
+    });
+    res.locals.readOnly = !!preview;
     res.json(result);
   } catch (error) {
     console.error('Error applying scenario to production:', error);
+    if (error.message === 'Scenario not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Can only apply completed scenarios') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === CLUSTERING SWEEPS ===
+// Submit a grid of k values x thresholds as one named sweep of scenarios
+router.post('/clustering-sweeps', requireRole('operator'), async (req, res) => {
+  try {
+    const { name, entity_type, k_values, similarity_thresholds } = req.body;
+
+    if (!name || !entity_type || !Array.isArray(k_values) || !Array.isArray(similarity_thresholds)) {
+      return res.status(400).json({
+        error: 'Missing required fields: name, entity_type, k_values[], similarity_thresholds[]'
+      });
+    }
+
+    const sweep = await databaseService.createClusteringSweep({
+      name,
+      entityType: entity_type,
+      kValues: k_values,
+      thresholds: similarity_thresholds,
+      requestedBy: req.user.email
+    });
+    res.json(sweep);
+  } catch (error) {
+    console.error('Error creating clustering sweep:', error);
+    if (error.message.startsWith('Sweep name') || error.message.startsWith('Invalid entity type') ||
+        error.message.startsWith('k values') || error.message.startsWith('Similarity thresholds') ||
+        error.message.startsWith('A sweep can have')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/clustering-sweeps', async (req, res) => {
+  try {
+    const sweeps = await databaseService.getClusteringSweeps(req.query.entity_type);
+    res.json(sweeps);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/clustering-sweeps/:id', async (req, res) => {
+  try {
+    const sweep = await databaseService.getClusteringSweepDetails(req.params.id);
+    if (!sweep) {
+      return res.status(404).json({ error: 'Sweep not found' });
+    }
+    res.json(sweep);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore points of applied scenarios
+router.get('/scenario-applications', async (req, res) => {
+  try {
+    const applications = await databaseService.getScenarioApplications(req.query.entity_type);
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching scenario applications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/scenario-applications/:id/undo', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await databaseService.undoScenarioApplication(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error undoing scenario application ${req.params.id}:`, error);
+    if (error.message === 'Scenario application not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already been undone') || error.message.startsWith('Only the most recent')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('is no longer active')) {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // === PRODUCT CREATION ===
-router.post('/solutions/:id/create-product', async (req, res) => {
+router.post('/solutions/:id/create-product', requireRole('operator', WORKFLOW_TRIGGER), async (req, res) => {
   try {
     const solutionId = req.params.id;
     console.log('Creating product for solution:', solutionId);
@@ -866,18 +1847,12 @@ router.post('/solutions/:id/create-product', async (req, res) => {
     
     let response;
     try {
-      response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(webhookData)
-      });
+      response = await n8nService.runWorkflow('f4', webhookUrl, webhookData, { requestedBy: req.user.email });
       
       console.log('Webhook response status:', response.status);
       
       if (!response.ok) {
-        const errorText = await response.text();
+        const errorText = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
         console.error('Webhook error response:', errorText);
         throw new Error(`n8n webhook failed: ${response.statusText} - ${errorText}`);
       }
@@ -0,0 +1,172 @@
+import { Router } from 'express';
+import authService from '../services/auth.service.js';
+import { authenticate, requireRole, bearerToken } from '../middleware/auth.js';
+import { auditMutations } from '../middleware/audit.js';
+
+const router = Router();
+
+// Sign-ins, sign-outs, user and API key changes are audited like every other mutation
+router.use(auditMutations);
+
+const SIGN_IN_ERRORS = [
+  'Invalid email or password',
+  'Invalid ID token',
+  'The identity provider did not return a verified email',
+  'No studio account for this email',
+  'This account is deactivated',
+  'This account is linked to another identity'
+];
+
+const isSignInError = (message) => SIGN_IN_ERRORS.some(prefix => message.startsWith(prefix));
+
+const isUserInputError = (message) =>
+  message === 'A valid email is required' ||
+  message === 'At least one active admin is required' ||
+  message.startsWith('Password must be') ||
+  message.startsWith('Role must be');
+
+const sessionMeta = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') || null });
+
+// Which sign-in methods the login page should offer
+router.get('/config', (req, res) => {
+  res.json(authService.getConfig());
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const session = await authService.login(email, password, sessionMeta(req));
+    req.user = session.user;
+    res.json(session);
+  } catch (error) {
+    if (isSignInError(error.message)) {
+      return res.status(401).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange an OIDC ID token (e.g. from Google Identity Services) for a session
+router.post('/oidc', async (req, res) => {
+  try {
+    const { id_token } = req.body;
+    if (!id_token) {
+      return res.status(400).json({ error: 'id_token is required' });
+    }
+    const session = await authService.loginWithOidc(id_token, sessionMeta(req));
+    req.user = session.user;
+    res.json(session);
+  } catch (error) {
+    if (error.message === 'OIDC sign-in is not configured') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (isSignInError(error.message)) {
+      return res.status(401).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const result = await authService.logout(bearerToken(req));
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// === USER MANAGEMENT (admin) ===
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await authService.getUsers();
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, display_name, role, password } = req.body;
+    const user = await authService.createUser({ email, display_name, role, password: password || null });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.message.startsWith('A user with email')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isUserInputError(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Role changes, deactivation and password resets sign the user out everywhere
+router.put('/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { display_name, role, is_active, password } = req.body;
+    const user = await authService.updateUser(parseInt(req.params.id), { display_name, role, is_active, password });
+    res.json(user);
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isUserInputError(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// === API KEYS (admin) ===
+router.get('/api-keys', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const keys = await authService.getApiKeys();
+    res.json(keys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The response carries the plaintext `key`; it cannot be retrieved again
+router.post('/api-keys', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scope, expires_in_days } = req.body;
+    const apiKey = await authService.createApiKey({
+      name,
+      scope,
+      expiresInDays: expires_in_days,
+      createdBy: req.user.email
+    });
+    res.status(201).json(apiKey);
+  } catch (error) {
+    if (error.message === 'API key name is required' ||
+        error.message.startsWith('Scope must be') ||
+        error.message.startsWith('Expiry must be')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/api-keys/:id/revoke', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await authService.revokeApiKey(parseInt(req.params.id), { revokedBy: req.user.email });
+    res.json(apiKey);
+  } catch (error) {
+    if (error.message === 'API key not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'API key is already revoked') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,441 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; a role includes everything below it
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (user, role) =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// API keys act as a role; `workflows` keys may additionally trigger workflows
+export const API_KEY_SCOPES = {
+  read: 'viewer',
+  workflows: 'viewer',
+  write: 'operator',
+  admin: 'admin'
+};
+
+// Tells API keys apart from session tokens in the same Authorization header
+export const API_KEY_PREFIX = 'dts_';
+
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+const API_KEY_COLUMNS = 'id, name, prefix, scope, created_by, created_at, expires_at, last_used_at, last_used_ip, revoked_at, revoked_by';
+
+const USER_COLUMNS = 'id, email, display_name, role, is_active, last_login_at, created_at, updated_at, (password_hash IS NOT NULL) AS has_password, (oidc_subject IS NOT NULL) AS has_oidc';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// scrypt$<salt>$<key>, both base64
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+};
+
+/**
+ * Authentication Service
+ * Local users with scrypt-hashed passwords, optional OIDC sign-in (Google ID
+ * tokens), server-side sessions addressed by an opaque bearer token and
+ * scoped API keys for machine clients.
+ */
+class AuthService {
+  constructor() {
+    this.oidcClientId = process.env.OIDC_CLIENT_ID;
+    // Comma-separated; OIDC users from these domains get an account on first sign-in
+    this.oidcAllowedDomains = (process.env.OIDC_ALLOWED_DOMAINS || '')
+      .split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+    this.oidcDefaultRole = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+  }
+
+  /**
+   * What the login page can offer
+   */
+  getConfig() {
+    return {
+      local: true,
+      oidc_client_id: this.oidcClientId || null
+    };
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet
+   */
+  async ensureBootstrapAdmin() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    try {
+      const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM dreamteam.users');
+      if (rows[0].count > 0) return null;
+      if (!email || !password) {
+        console.warn('⚠️  No studio users yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+        return null;
+      }
+      const admin = await this.createUser({ email, password, role: 'admin', display_name: 'Administrator' });
+      console.log(`👤 Created admin user ${admin.email}`);
+      return admin;
+    } catch (error) {
+      console.error('Error creating bootstrap admin:', error);
+      throw error;
+    }
+  }
+
+  async createSession(user, { ip = null, userAgent = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { rows } = await pool.query(
+      `INSERT INTO dreamteam.user_sessions (user_id, token_hash, expires_at, ip, user_agent)
+       VALUES ($1, $2, NOW() + make_interval(hours => $3), $4, $5)
+       RETURNING expires_at`,
+      [user.id, hashToken(token), SESSION_TTL_HOURS, ip, userAgent]
+    );
+    await pool.query('UPDATE dreamteam.users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    const { rows: [fresh] } = await pool.query(`SELECT ${USER_COLUMNS} FROM dreamteam.users WHERE id = $1`, [user.id]);
+    return { token, expires_at: rows[0].expires_at, user: fresh };
+  }
+
+  /**
+   * Sign in with email and password. Unknown email, wrong password and
+   * deactivated accounts all fail with the same message.
+   */
+  async login(email, password, meta = {}) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, password_hash, is_active FROM dreamteam.users WHERE LOWER(email) = LOWER($1)',
+        [email || '']
+      );
+      const user = rows[0];
+      const valid = user && user.is_active && password && await verifyPassword(password, user.password_hash);
+      if (!valid) {
+        throw new Error('Invalid email or password');
+      }
+      return await this.createSession(user, meta);
+    } catch (error) {
+      console.error('Error logging in:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign in with an OIDC ID token issued for OIDC_CLIENT_ID. Existing users are
+   * matched by subject, then by email; new users are only created for
+   * OIDC_ALLOWED_DOMAINS.
+   */
+  async loginWithOidc(idToken, meta = {}) {
+    try {
+      if (!this.oidcClientId) {
+        throw new Error('OIDC sign-in is not configured');
+      }
+
+      let claims;
+      try {
+        const { OAuth2Client } = await import('google-auth-library');
+        const ticket = await new OAuth2Client(this.oidcClientId).verifyIdToken({
+          idToken,
+          audience: this.oidcClientId
+        });
+        claims = ticket.getPayload();
+      } catch (verifyError) {
+        throw new Error(`Invalid ID token: ${verifyError.message}`);
+      }
+      if (!claims.email || !claims.email_verified) {
+        throw new Error('The identity provider did not return a verified email');
+      }
+
+      let { rows: [user] } = await pool.query(
+        'SELECT id, is_active, oidc_subject FROM dreamteam.users WHERE oidc_subject = $1 OR LOWER(email) = LOWER($2) ORDER BY (oidc_subject = $1) DESC NULLS LAST LIMIT 1',
+        [claims.sub, claims.email]
+      );
+
+      if (!user) {
+        const domain = claims.email.split('@')[1].toLowerCase();
+        if (!this.oidcAllowedDomains.includes(domain)) {
+          throw new Error('No studio account for this email');
+        }
+        const created = await this.createUser({
+          email: claims.email,
+          display_name: claims.name || null,
+          role: this.oidcDefaultRole
+        });
+        user = { id: created.id, is_active: true, oidc_subject: null };
+      }
+      if (!user.is_active) {
+        throw new Error('This account is deactivated');
+      }
+      if (user.oidc_subject && user.oidc_subject !== claims.sub) {
+        throw new Error('This account is linked to another identity');
+      }
+      if (!user.oidc_subject) {
+        await pool.query(
+          'UPDATE dreamteam.users SET oidc_subject = $1, updated_at = NOW() WHERE id = $2',
+          [claims.sub, user.id]
+        );
+      }
+
+      return await this.createSession(user, meta);
+    } catch (error) {
+      console.error('Error logging in with OIDC:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * The active user behind a bearer token, or null when the token is unknown or expired
+   */
+  async getSessionUser(token) {
+    if (!token) return null;
+    try {
+      const { rows } = await pool.query(
+        `UPDATE dreamteam.user_sessions s
+         SET last_seen_at = NOW()
+         FROM dreamteam.users u
+         WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.id = s.user_id AND u.is_active
+         RETURNING u.id, u.email, u.display_name, u.role`,
+        [hashToken(token)]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error resolving session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The principal behind an API key, shaped like a session user so role checks
+   * and audit attribution work unchanged. Null for unknown, revoked or expired keys.
+   */
+  async getApiKeyPrincipal(key, { ip = null } = {}) {
+    if (!key) return null;
+    try {
+      const { rows } = await pool.query(
+        `UPDATE dreamteam.api_keys
+         SET last_used_at = NOW(), last_used_ip = $2
+         WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+         RETURNING id, name, scope`,
+        [hashToken(key), ip]
+      );
+      const apiKey = rows[0];
+      if (!apiKey) return null;
+      return {
+        id: null,
+        email: `api-key:${apiKey.name}`,
+        display_name: apiKey.name,
+        role: API_KEY_SCOPES[apiKey.scope],
+        api_key_id: apiKey.id,
+        scope: apiKey.scope
+      };
+    } catch (error) {
+      console.error('Error resolving API key:', error);
+      throw error;
+    }
+  }
+
+  async getApiKeys() {
+    try {
+      const { rows } = await pool.query(
+        `SELECT ${API_KEY_COLUMNS} FROM dreamteam.api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a key. The plaintext key is only ever returned here.
+   */
+  async createApiKey({ name, scope, expiresInDays = null, createdBy = null }) {
+    try {
+      if (!name?.trim()) {
+        throw new Error('API key name is required');
+      }
+      if (!API_KEY_SCOPES[scope]) {
+        throw new Error(`Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+      }
+      const days = expiresInDays === null || expiresInDays === undefined || expiresInDays === '' ? null : Number(expiresInDays);
+      if (days !== null && !(Number.isInteger(days) && days > 0)) {
+        throw new Error('Expiry must be a whole number of days');
+      }
+
+      const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const { rows } = await pool.query(
+        `INSERT INTO dreamteam.api_keys (name, prefix, key_hash, scope, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+         RETURNING ${API_KEY_COLUMNS}`,
+        [name.trim(), key.slice(0, API_KEY_PREFIX.length + 6), hashToken(key), scope, createdBy, days]
+      );
+      return { ...rows[0], key };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  async revokeApiKey(id, { revokedBy = null } = {}) {
+    try {
+      const { rows: [existing] } = await pool.query('SELECT revoked_at FROM dreamteam.api_keys WHERE id = $1', [id]);
+      if (!existing) {
+        throw new Error('API key not found');
+      }
+      if (existing.revoked_at) {
+        throw new Error('API key is already revoked');
+      }
+      const { rows } = await pool.query(
+        `UPDATE dreamteam.api_keys SET revoked_at = NOW(), revoked_by = $2
+         WHERE id = $1
+         RETURNING ${API_KEY_COLUMNS}`,
+        [id, revokedBy]
+      );
+      return rows[0];
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  async logout(token) {
+    try {
+      const result = await pool.query('DELETE FROM dreamteam.user_sessions WHERE token_hash = $1', [hashToken(token)]);
+      // Expired sessions are swept whenever someone signs out
+      await pool.query('DELETE FROM dreamteam.user_sessions WHERE expires_at < NOW()');
+      return { logged_out: result.rowCount > 0 };
+    } catch (error) {
+      console.error('Error logging out:', error);
+      throw error;
+    }
+  }
+
+  async getUsers() {
+    try {
+      const { rows } = await pool.query(`SELECT ${USER_COLUMNS} FROM dreamteam.users ORDER BY LOWER(email)`);
+      return rows;
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user. Without a password the user can only sign in through OIDC.
+   */
+  async createUser({ email, display_name = null, role = 'viewer', password = null }) {
+    try {
+      const normalizedEmail = (email || '').trim();
+      if (!/^[^@\s]+@[^@\s]+$/.test(normalizedEmail)) {
+        throw new Error('A valid email is required');
+      }
+      validateRole(role);
+      if (password !== null && password !== undefined) {
+        validatePassword(password);
+      }
+
+      const passwordHash = password ? await hashPassword(password) : null;
+      const { rows } = await pool.query(
+        `INSERT INTO dreamteam.users (email, display_name, role, password_hash)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${USER_COLUMNS}`,
+        [normalizedEmail, display_name, role, passwordHash]
+      );
+      return rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A user with email ${email} already exists`);
+      }
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's name, role, active flag or password. Changing the role,
+   * deactivating or resetting the password ends the user's sessions.
+   * The last active admin cannot be demoted or deactivated.
+   */
+  async updateUser(id, { display_name, role, is_active, password } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock every active admin first, in a fixed order, so two admins demoting
+      // or deactivating each other at once can't both see the other one left
+      const canLoseAdmin = (role !== undefined && role !== 'admin') || is_active === false;
+      const { rows: activeAdmins } = canLoseAdmin
+        ? await client.query("SELECT id FROM dreamteam.users WHERE role = 'admin' AND is_active ORDER BY id FOR UPDATE")
+        : { rows: [] };
+      const { rows: [user] } = await client.query(
+        'SELECT id, role, is_active FROM dreamteam.users WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (role !== undefined) validateRole(role);
+      if (password !== undefined) validatePassword(password);
+
+      const losesAdmin = canLoseAdmin && user.role === 'admin' && user.is_active;
+      if (losesAdmin && !activeAdmins.some(admin => admin.id !== user.id)) {
+        throw new Error('At least one active admin is required');
+      }
+
+      const { rows: [updated] } = await client.query(
+        `UPDATE dreamteam.users SET
+           display_name = CASE WHEN $2 THEN $3 ELSE display_name END,
+           role = COALESCE($4, role),
+           is_active = COALESCE($5, is_active),
+           password_hash = COALESCE($6, password_hash),
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [
+          id,
+          display_name !== undefined,
+          display_name ?? null,
+          role ?? null,
+          is_active ?? null,
+          password !== undefined ? await hashPassword(password) : null
+        ]
+      );
+
+      const endsSessions = (role !== undefined && role !== user.role) || is_active === false || password !== undefined;
+      if (endsSessions) {
+        await client.query('DELETE FROM dreamteam.user_sessions WHERE user_id = $1', [id]);
+      }
+
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating user:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default new AuthService();
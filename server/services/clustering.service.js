@@ -0,0 +1,259 @@
+/**
+ * Clustering Service
+ * In-process vector math for hand curation of clusters (splits, quality scores)
+ * and membership comparison between two sets of assignments.
+ * Bulk clustering still runs in the F2 workflow.
+ */
+class ClusteringService {
+  // pgvector columns come back from node-postgres as '[0.1,0.2,...]' text
+  parseVector(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value.map(Number);
+    return JSON.parse(value);
+  }
+
+  // Serialize for a $n::vector parameter
+  formatVector(vector) {
+    return `[${vector.join(',')}]`;
+  }
+
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm > 0 ? vector.map(x => x / norm) : vector;
+  }
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  mean(vectors) {
+    const result = new Array(vectors[0].length).fill(0);
+    for (const vector of vectors) {
+      for (let i = 0; i < vector.length; i++) {
+        result[i] += vector[i];
+      }
+    }
+    return result.map(x => x / vectors.length);
+  }
+
+  /**
+   * Spherical (cosine) k-means over the given vectors.
+   * Seeding is deterministic farthest-point selection, so the same members
+   * always produce the same partition - a preview matches what gets applied.
+   * Returns { assignments: clusterIndex[], centroids: number[][] }.
+   */
+  kmeans(vectors, k, { maxIterations = 50 } = {}) {
+    if (k < 2 || k > vectors.length) {
+      throw new Error(`k must be between 2 and ${vectors.length}`);
+    }
+
+    const points = vectors.map(v => this.normalize(v));
+    const overall = this.normalize(this.mean(points));
+
+    // First seed: the most typical member; then repeatedly the member least like any seed
+    const seeds = [points.reduce((best, p, i) =>
+      this.cosineSimilarity(p, overall) > this.cosineSimilarity(points[best], overall) ? i : best, 0)];
+    while (seeds.length < k) {
+      let candidate = -1;
+      let lowest = Infinity;
+      points.forEach((p, i) => {
+        if (seeds.includes(i)) return;
+        const closest = Math.max(...seeds.map(s => this.cosineSimilarity(p, points[s])));
+        if (closest < lowest) {
+          lowest = closest;
+          candidate = i;
+        }
+      });
+      seeds.push(candidate);
+    }
+
+    let centroids = seeds.map(i => points[i]);
+    let assignments = new Array(points.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let changed = false;
+      points.forEach((p, i) => {
+        let best = 0;
+        let bestSimilarity = -Infinity;
+        centroids.forEach((c, j) => {
+          const similarity = this.cosineSimilarity(p, c);
+          if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            best = j;
+          }
+        });
+        if (assignments[i] !== best) {
+          assignments[i] = best;
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+
+      // Empty clusters keep their previous centroid
+      centroids = centroids.map((c, j) => {
+        const members = points.filter((_, i) => assignments[i] === j);
+        return members.length > 0 ? this.normalize(this.mean(members)) : c;
+      });
+    }
+
+    return { assignments, centroids };
+  }
+
+  /**
+   * Split members ({ id, title, embedding }) into k groups, largest first.
+   * Each group carries its centroid, per-member similarity and average similarity.
+   */
+  partition(members, k) {
+    const { assignments, centroids } = this.kmeans(members.map(m => m.embedding), k);
+
+    const groups = centroids.map((centroid, j) => {
+      const groupMembers = members
+        .filter((_, i) => assignments[i] === j)
+        .map(m => ({ ...m, similarity: this.cosineSimilarity(m.embedding, centroid) }))
+        .sort((a, b) => b.similarity - a.similarity);
+      const avgSimilarity = groupMembers.length > 0
+        ? groupMembers.reduce((sum, m) => sum + m.similarity, 0) / groupMembers.length
+        : null;
+      return { centroid, members: groupMembers, avg_similarity: avgSimilarity };
+    });
+
+    const nonEmpty = groups.filter(g => g.members.length > 0).sort((a, b) => b.members.length - a.members.length);
+    const memberCount = members.length;
+    // Quality: size-weighted mean similarity of members to their own centroid
+    const quality = nonEmpty.reduce((sum, g) => sum + g.avg_similarity * g.members.length, 0) / memberCount;
+
+    return { groups: nonEmpty, quality };
+  }
+
+  /**
+   * Match the clusters of two assignments (Map clusterId -> Set of member ids).
+   * Cluster IDs are not stable between runs, so pairs are matched greedily by
+   * Jaccard overlap; a pair counts as the same cluster at minJaccard or above.
+   * Returns { matches: [{ from, to, jaccard, added, removed }], unmatchedFrom, unmatchedTo }.
+   */
+  matchClusters(fromClusters, toClusters, { minJaccard = 0.5 } = {}) {
+    const pairs = [];
+    for (const [fromId, fromMembers] of fromClusters) {
+      for (const [toId, toMembers] of toClusters) {
+        let shared = 0;
+        for (const id of fromMembers) {
+          if (toMembers.has(id)) shared++;
+        }
+        if (shared === 0) continue;
+        const jaccard = shared / (fromMembers.size + toMembers.size - shared);
+        if (jaccard >= minJaccard) {
+          pairs.push({ from: fromId, to: toId, jaccard, shared });
+        }
+      }
+    }
+    pairs.sort((a, b) => b.jaccard - a.jaccard || b.shared - a.shared);
+
+    const usedFrom = new Set();
+    const usedTo = new Set();
+    const matches = [];
+    for (const pair of pairs) {
+      if (usedFrom.has(pair.from) || usedTo.has(pair.to)) continue;
+      usedFrom.add(pair.from);
+      usedTo.add(pair.to);
+      matches.push({
+        from: pair.from,
+        to: pair.to,
+        jaccard: pair.jaccard,
+        added: toClusters.get(pair.to).size - pair.shared,
+        removed: fromClusters.get(pair.from).size - pair.shared
+      });
+    }
+
+    return {
+      matches,
+      unmatchedFrom: [...fromClusters.keys()].filter(id => !usedFrom.has(id)),
+      unmatchedTo: [...toClusters.keys()].filter(id => !usedTo.has(id))
+    };
+  }
+
+  /**
+   * Count members that don't end up in the matched counterpart of their old
+   * cluster, including members that only appear on one side.
+   */
+  countChangedMembers(fromClusters, toClusters, matches) {
+    const counterpart = new Map(matches.map(m => [m.from, m.to]));
+    const fromClusterOf = new Map();
+    const toClusterOf = new Map();
+    for (const [clusterId, members] of fromClusters) {
+      for (const id of members) fromClusterOf.set(id, clusterId);
+    }
+    for (const [clusterId, members] of toClusters) {
+      for (const id of members) toClusterOf.set(id, clusterId);
+    }
+
+    let changed = 0;
+    for (const id of new Set([...fromClusterOf.keys(), ...toClusterOf.keys()])) {
+      if (!fromClusterOf.has(id) || !toClusterOf.has(id) ||
+          counterpart.get(fromClusterOf.get(id)) !== toClusterOf.get(id)) {
+        changed++;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Agreement between two assignments (Map memberId -> clusterId), over the
+   * members both contain. Returns the non-empty contingency cells, the Rand
+   * index, the adjusted Rand index (Hubert & Arabie) and pairwise overlap:
+   * the share of pairs grouped together on one side that stay together on the other.
+   */
+  compareAssignments(assignmentA, assignmentB) {
+    const cells = new Map();
+    const rowTotals = new Map();
+    const columnTotals = new Map();
+    let n = 0;
+    for (const [id, a] of assignmentA) {
+      if (!assignmentB.has(id)) continue;
+      const b = assignmentB.get(id);
+      const key = `${a}|${b}`;
+      if (!cells.has(key)) cells.set(key, { a, b, count: 0 });
+      cells.get(key).count++;
+      rowTotals.set(a, (rowTotals.get(a) || 0) + 1);
+      columnTotals.set(b, (columnTotals.get(b) || 0) + 1);
+      n++;
+    }
+
+    const pairs = (x) => x * (x - 1) / 2;
+    const sum = (values) => [...values].reduce((total, x) => total + pairs(x), 0);
+    const togetherInBoth = sum([...cells.values()].map(c => c.count));
+    const togetherInA = sum(rowTotals.values());
+    const togetherInB = sum(columnTotals.values());
+    const totalPairs = pairs(n);
+
+    let ari = null;
+    let randIndex = null;
+    if (totalPairs > 0) {
+      const expected = togetherInA * togetherInB / totalPairs;
+      const maximum = (togetherInA + togetherInB) / 2;
+      ari = maximum === expected ? 1 : (togetherInBoth - expected) / (maximum - expected);
+      randIndex = (totalPairs + 2 * togetherInBoth - togetherInA - togetherInB) / totalPairs;
+    }
+
+    return {
+      compared_count: n,
+      cells: [...cells.values()],
+      adjusted_rand_index: ari,
+      rand_index: randIndex,
+      pair_overlap: {
+        a_in_b: togetherInA > 0 ? togetherInBoth / togetherInA : null,
+        b_in_a: togetherInB > 0 ? togetherInBoth / togetherInB : null
+      }
+    };
+  }
+}
+
+export default new ClusteringService();
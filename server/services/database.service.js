@@ -1,4 +1,687 @@
 import pool from '../config/database.js';
+import clusteringService from './clustering.service.js';
+import teardownService from './teardown.service.js';
+
+// === TRANSACTIONS ===
+/**
+ * Run fn(client) inside BEGIN/COMMIT on a dedicated connection.
+ * Any error rolls the whole unit back and is rethrown.
+ * With dryRun the work is always rolled back, so callers can preview the
+ * exact outcome of a write by running it for real.
+ */
+const withTransaction = async (fn, { dryRun = false } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// === PAGINATION HELPERS ===
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 500;
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// A cursor is { sortBy, sortOrder, value, id } as written by encodeCursor
+const isCursorShape = (decoded) =>
+  decoded !== null && typeof decoded === 'object' && !Array.isArray(decoded) &&
+  typeof decoded.sortBy === 'string' &&
+  (decoded.sortOrder === 'ASC' || decoded.sortOrder === 'DESC') &&
+  ['string', 'number'].includes(typeof decoded.id) &&
+  (decoded.value === null || ['undefined', 'string', 'number', 'boolean'].includes(typeof decoded.value));
+
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!isCursorShape(decoded)) {
+    throw new Error('Invalid cursor');
+  }
+  return decoded;
+};
+
+/**
+ * Normalize ?limit/&offset/&cursor query params.
+ * Returns null when the caller didn't ask for a page, so list endpoints keep
+ * returning the full array for existing consumers (GraphView, scripts).
+ */
+export const parsePagination = (query = {}) => {
+  if (query.limit === undefined && query.cursor === undefined) {
+    return null;
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset, cursor: query.cursor || null };
+};
+
+// Equality filter that also accepts an array (?impact[]=high&impact[]=critical)
+const addMatchFilter = (column, value, values) => {
+  if (Array.isArray(value)) {
+    values.push(value.map(String));
+    return ` AND ${column}::text = ANY($${values.length}::text[])`;
+  }
+  values.push(value);
+  return ` AND ${column} = $${values.length}`;
+};
+
+/**
+ * Turn free text into a tsquery string for to_tsquery('english', ...).
+ * "Quoted phrases" become phrase queries, every other word is prefix-matched
+ * so results show up while the user is still typing.
+ * Returns null when nothing searchable is left.
+ */
+export const buildSearchQuery = (input = '') => {
+  const toWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const terms = [];
+  const phrasePattern = /"([^"]*)"/g;
+
+  for (const [, phrase] of String(input).matchAll(phrasePattern)) {
+    const words = toWords(phrase);
+    if (words.length > 0) {
+      terms.push(`(${words.join(' <-> ')})`);
+    }
+  }
+  toWords(String(input).replace(phrasePattern, ' ')).forEach(word => terms.push(`${word}:*`));
+
+  return terms.length > 0 ? terms.join(' & ') : null;
+};
+
+export const SEARCH_TYPES = ['problem', 'cluster', 'solution', 'project'];
+
+// ts_headline options shared by search snippets; the client renders <mark> segments
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2';
+
+/**
+ * Run a list query one page at a time.
+ * `query` must not contain ORDER BY; `sortField` must be one of its output columns.
+ * Keyset cursors encode the last row's (sort value, id) so deep pages stay cheap,
+ * offset pagination is kept for page-number UIs.
+ */
+const paginateQuery = async (query, values, { sortField, sortOrder, limit, offset, cursor }) => {
+  const direction = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+  const comparator = direction === 'ASC' ? '>' : '<';
+  const pageValues = [...values];
+  let keysetClause = '';
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (decoded.sortBy !== sortField || decoded.sortOrder !== direction) {
+      throw new Error('Invalid cursor');
+    }
+    pageValues.push(decoded.id);
+    const idParam = `$${pageValues.length}`;
+    // NULLS LAST: rows with a NULL sort value always come after every non-NULL row
+    if (decoded.value === null || decoded.value === undefined) {
+      keysetClause = `WHERE (${sortField} IS NULL AND id ${comparator} ${idParam})`;
+    } else {
+      pageValues.push(decoded.value);
+      const valueParam = `$${pageValues.length}`;
+      keysetClause = `WHERE (${sortField} ${comparator} ${valueParam}
+        OR (${sortField} = ${valueParam} AND id ${comparator} ${idParam})
+        OR ${sortField} IS NULL)`;
+    }
+  }
+
+  pageValues.push(limit + 1);
+  let pageQuery = `
+    WITH filtered AS (${query})
+    SELECT *, ${sortField}::text as cursor_value FROM filtered
+    ${keysetClause}
+    ORDER BY ${sortField} ${direction} NULLS LAST, id ${direction}
+    LIMIT $${pageValues.length}
+  `;
+  if (!cursor) {
+    pageValues.push(offset);
+    pageQuery += ` OFFSET $${pageValues.length}`;
+  }
+
+  const [pageResult, countResult] = await Promise.all([
+    pool.query(pageQuery, pageValues),
+    pool.query(`SELECT COUNT(*) as total FROM (${query}) filtered`, values)
+  ]);
+
+  const hasMore = pageResult.rows.length > limit;
+  // cursor_value is the sort key as Postgres text, so timestamps keep microsecond precision
+  const rows = (hasMore ? pageResult.rows.slice(0, limit) : pageResult.rows)
+    .map(({ cursor_value, ...row }) => row);
+  const lastCursorValue = hasMore ? pageResult.rows[limit - 1].cursor_value : null;
+  const lastRow = rows[rows.length - 1];
+
+  return {
+    data: rows,
+    pagination: {
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset: cursor ? null : offset,
+      has_more: hasMore,
+      next_cursor: hasMore && lastRow
+        ? encodeCursor({ sortBy: sortField, sortOrder: direction, value: lastCursorValue, id: lastRow.id })
+        : null
+    }
+  };
+};
+
+// === CLUSTER CURATION HELPERS ===
+const getActiveClusterVersion = async (db) => {
+  const result = await db.query(`
+    SELECT COALESCE(
+      (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+      (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+    ) as version
+  `);
+  return result.rows[0].version;
+};
+
+// Recompute member similarities against the stored centroid, then the cluster average
+const refreshClusterSimilarity = async (db, clusterId, version) => {
+  await db.query(
+    `UPDATE dreamteam.problems p
+     SET cluster_similarity = (1 - (p.embedding <=> c.centroid))::REAL
+     FROM dreamteam.cluster_centroids c
+     WHERE c.cluster_id = $1 AND c.version = $2
+       AND p.cluster_id = $1
+       AND p.embedding IS NOT NULL AND c.centroid IS NOT NULL`,
+    [clusterId, version]
+  );
+  const result = await db.query(
+    `UPDATE dreamteam.cluster_centroids
+     SET avg_similarity = (SELECT AVG(cluster_similarity) FROM dreamteam.problems WHERE cluster_id = $1)
+     WHERE cluster_id = $1 AND version = $2
+     RETURNING avg_similarity`,
+    [clusterId, version]
+  );
+  return result.rows[0]?.avg_similarity ?? null;
+};
+
+// Cluster members with parsed embeddings; ordered by id so k-means input is stable
+const loadClusterMembers = async (db, clusterId) => {
+  const result = await db.query(
+    `SELECT id, identifier, title, embedding::text as embedding
+     FROM dreamteam.problems
+     WHERE cluster_id = $1
+     ORDER BY id`,
+    [clusterId]
+  );
+  return result.rows.map(row => ({ ...row, embedding: clusteringService.parseVector(row.embedding) }));
+};
+
+// Append to cluster_label_history; no-op when the label did not actually change
+const recordLabelChange = async (db, { clusterId, version, previousLabel, newLabel, source = 'rename', changedBy = null }) => {
+  if (previousLabel === newLabel) return;
+  await db.query(
+    `INSERT INTO dreamteam.cluster_label_history
+       (cluster_id, cluster_version, previous_label, new_label, change_source, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [clusterId, version, previousLabel, newLabel, source, changedBy]
+  );
+};
+
+// Move problems to a cluster of the active version, recompute their similarity
+// to its centroid and record each move as the override in force
+const moveProblemsToCluster = async (db, problemIds, clusterId, { reason = null, createdBy = null } = {}) => {
+  const targetResult = await db.query(
+    `WITH active_version AS (
+       SELECT COALESCE(
+         (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+         (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+       ) as version
+     )
+     SELECT cluster_id, cluster_label, version, is_outlier_bucket
+     FROM dreamteam.cluster_centroids
+     WHERE cluster_id = $1 AND version = (SELECT version FROM active_version)`,
+    [clusterId]
+  );
+  const target = targetResult.rows[0];
+  if (!target) {
+    throw new Error('Cluster not found');
+  }
+
+  // Capture the old assignment in the same statement that replaces it
+  const moved = await db.query(
+    `WITH previous AS (
+       SELECT id, cluster_id FROM dreamteam.problems
+       WHERE id = ANY($1::uuid[])
+       FOR UPDATE
+     )
+     UPDATE dreamteam.problems p
+     SET
+       cluster_id = c.cluster_id,
+       cluster_label = c.cluster_label,
+       cluster_similarity = CASE
+         WHEN p.embedding IS NOT NULL AND c.centroid IS NOT NULL
+         THEN (1 - (p.embedding <=> c.centroid))::REAL
+       END
+     FROM previous, dreamteam.cluster_centroids c
+     WHERE p.id = previous.id
+       AND c.cluster_id = $2 AND c.version = $3
+     RETURNING p.id, p.identifier, p.title, previous.cluster_id as from_cluster_id,
+               p.cluster_id as to_cluster_id, p.cluster_similarity`,
+    [problemIds, target.cluster_id, target.version]
+  );
+
+  const movedIds = moved.rows.map(r => r.id);
+  if (movedIds.length > 0) {
+    await db.query(
+      `UPDATE dreamteam.cluster_assignment_overrides
+       SET superseded_at = NOW()
+       WHERE problem_id = ANY($1::uuid[]) AND superseded_at IS NULL`,
+      [movedIds]
+    );
+    await db.query(
+      `INSERT INTO dreamteam.cluster_assignment_overrides
+         (problem_id, cluster_version, from_cluster_id, to_cluster_id, cluster_similarity, reason, created_by)
+       SELECT m.id, $2, m.from_cluster_id, m.to_cluster_id, m.cluster_similarity, $3, $4
+       FROM jsonb_to_recordset($1::jsonb)
+         AS m(id uuid, from_cluster_id integer, to_cluster_id integer, cluster_similarity real)`,
+      [JSON.stringify(moved.rows), target.version, reason, createdBy]
+    );
+  }
+
+  return {
+    cluster: target,
+    moved_count: movedIds.length,
+    moved: moved.rows,
+    not_found: problemIds.filter(id => !movedIds.includes(id))
+  };
+};
+
+// === OUTLIER TRIAGE HELPERS ===
+const OUTLIER_TRIAGE_ACTIONS = ['accept', 'move', 'dismiss', 'seed'];
+const TRIAGE_CANDIDATE_COUNT = 3;
+
+// Problems of the triage queue: unclustered, or in an outlier bucket of the version
+const OUTLIER_PROBLEM_CONDITION = `(
+  p.cluster_id IS NULL OR p.cluster_id IN (
+    SELECT cluster_id FROM dreamteam.cluster_centroids WHERE version = $1 AND is_outlier_bucket = true
+  )
+)`;
+
+// Nearest regular clusters of the version to a problem, most similar first
+const loadTriageCandidates = async (db, problemId, version) => {
+  const result = await db.query(
+    `SELECT c.cluster_id, c.cluster_label, (1 - (p.embedding <=> c.centroid))::REAL as similarity
+     FROM dreamteam.problems p
+     JOIN dreamteam.cluster_centroids c
+       ON c.version = $2 AND NOT COALESCE(c.is_outlier_bucket, false) AND c.centroid IS NOT NULL
+     WHERE p.id = $1 AND p.embedding IS NOT NULL
+     ORDER BY p.embedding <=> c.centroid
+     LIMIT $3`,
+    [problemId, version, TRIAGE_CANDIDATE_COUNT]
+  );
+  return result.rows;
+};
+
+// === CLUSTER VERSION HELPERS ===
+// Keep a copy of the live assignments under their version before switching away from it
+const saveVersionAssignments = async (db, version) => {
+  await db.query(`DELETE FROM dreamteam.cluster_version_assignments WHERE version = $1`, [version]);
+  await db.query(
+    `INSERT INTO dreamteam.cluster_version_assignments (version, problem_id, cluster_id, cluster_similarity)
+     SELECT $1, id, cluster_id, cluster_similarity FROM dreamteam.problems`,
+    [version]
+  );
+};
+
+// Map clusterId -> Set of problem IDs; live table for the active version, saved copy otherwise.
+// Returns null when a past version has no saved assignments.
+const loadVersionMembership = async (db, version, activeVersion) => {
+  const result = version === activeVersion
+    ? await db.query(`SELECT id as problem_id, cluster_id FROM dreamteam.problems WHERE cluster_id IS NOT NULL`)
+    : await db.query(
+      `SELECT problem_id, cluster_id FROM dreamteam.cluster_version_assignments
+       WHERE version = $1 AND cluster_id IS NOT NULL`,
+      [version]
+    );
+  if (result.rows.length === 0 && version !== activeVersion) {
+    return null;
+  }
+  const membership = new Map();
+  for (const row of result.rows) {
+    if (!membership.has(row.cluster_id)) membership.set(row.cluster_id, new Set());
+    membership.get(row.cluster_id).add(row.problem_id);
+  }
+  return membership;
+};
+
+// Production columns a clustering scenario writes to, per entity type
+const SCENARIO_TARGETS = {
+  problem: {
+    table: 'problems',
+    clusterColumn: 'cluster_id',
+    labelColumn: 'cluster_label',
+    similarityColumn: 'cluster_similarity',
+    centroidTable: 'cluster_centroids',
+    versionTable: 'cluster_versions'
+  },
+  solution: {
+    table: 'solutions',
+    clusterColumn: 'solution_cluster_id',
+    labelColumn: 'solution_cluster_label',
+    similarityColumn: 'solution_cluster_similarity',
+    centroidTable: 'solution_cluster_centroids',
+    versionTable: 'solution_cluster_versions'
+  }
+};
+
+// Upper bound on scenarios per sweep - each one is a full clustering run
+const MAX_SWEEP_SCENARIOS = 60;
+
+// === SOLUTION SCORING HELPERS ===
+// Components a scoring profile can weight. Each yields raw points for solution `s`,
+// with its linked problem count available as `pc.problem_count`. Profile inputs are
+// validated numbers (see normalizeScoringProfile) and are inlined into the SQL.
+const SCORING_COMPONENTS = {
+  viability: {
+    label: 'Viability',
+    sql: () => 'COALESCE(s.overall_viability, 0)'
+  },
+  ltv_cac: {
+    label: 'LTV:CAC ratio',
+    sql: (inputs) => `CASE
+        WHEN s.ltv_estimate IS NOT NULL AND s.cac_estimate > 0
+        THEN LEAST(s.ltv_estimate / s.cac_estimate * ${inputs.ltv_cac_multiplier}, ${inputs.ltv_cac_cap})
+        ELSE 0
+      END`
+  },
+  problems: {
+    label: 'Problems addressed',
+    sql: (inputs) => (inputs.problem_points_cap === null
+      ? `pc.problem_count * ${inputs.points_per_problem}`
+      : `LEAST(pc.problem_count * ${inputs.points_per_problem}, ${inputs.problem_points_cap})`)
+  },
+  market_demand: {
+    label: 'Market demand',
+    sql: () => 'COALESCE(s.market_demand, 0)'
+  },
+  technical_feasibility: {
+    label: 'Technical feasibility',
+    sql: () => 'COALESCE(s.technical_feasibility, 0)'
+  },
+  competitive_advantage: {
+    label: 'Competitive advantage',
+    sql: () => 'COALESCE(s.competitive_advantage, 0)'
+  }
+};
+
+// Inputs that may be left empty (no cap)
+const NULLABLE_SCORING_INPUTS = ['problem_points_cap'];
+
+const SCORING_INPUT_DEFAULTS = {
+  ltv_cac_multiplier: 5,
+  ltv_cac_cap: 50,
+  points_per_problem: 2,
+  problem_points_cap: null
+};
+
+// Used when no profile is active - the formula candidate_score had before profiles
+const DEFAULT_SCORING_PROFILE = {
+  id: null,
+  name: 'Default',
+  weights: { viability: 0.4, ltv_cac: 0.3, problems: 0.3 },
+  inputs: SCORING_INPUT_DEFAULTS
+};
+
+// Validate weights and inputs, filling anything missing from `base`
+const normalizeScoringProfile = ({ weights = {}, inputs = {} }, base = DEFAULT_SCORING_PROFILE) => {
+  const normalizedWeights = {};
+  for (const key of Object.keys(weights)) {
+    if (!SCORING_COMPONENTS[key]) {
+      throw new Error(`Unknown scoring component: ${key}`);
+    }
+  }
+  for (const key of Object.keys(SCORING_COMPONENTS)) {
+    const value = weights[key] ?? base.weights[key] ?? 0;
+    const weight = Number(value);
+    if (value === '' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for ${key} must be a non-negative number`);
+    }
+    normalizedWeights[key] = weight;
+  }
+  if (!Object.values(normalizedWeights).some(weight => weight > 0)) {
+    throw new Error('A scoring profile needs at least one weighted component');
+  }
+
+  const normalizedInputs = {};
+  for (const key of Object.keys(inputs)) {
+    if (!(key in SCORING_INPUT_DEFAULTS)) {
+      throw new Error(`Unknown scoring input: ${key}`);
+    }
+  }
+  for (const key of Object.keys(SCORING_INPUT_DEFAULTS)) {
+    const value = key in inputs ? inputs[key] : (base.inputs[key] ?? SCORING_INPUT_DEFAULTS[key]);
+    if ((value === null || value === '') && NULLABLE_SCORING_INPUTS.includes(key)) {
+      normalizedInputs[key] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`Scoring input ${key} must be a non-negative number`);
+    }
+    normalizedInputs[key] = number;
+  }
+
+  return { weights: normalizedWeights, inputs: normalizedInputs };
+};
+
+const loadScoringProfile = async (db, profileId) => {
+  const result = await db.query(
+    `SELECT * FROM dreamteam.scoring_profiles WHERE id = $1`,
+    [profileId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Scoring profile not found');
+  }
+  return { ...result.rows[0], ...normalizeScoringProfile(result.rows[0]) };
+};
+
+const loadActiveScoringProfile = async (db) => {
+  const result = await db.query(
+    `SELECT * FROM dreamteam.scoring_profiles WHERE is_active = TRUE LIMIT 1`
+  );
+  if (result.rows.length === 0) return DEFAULT_SCORING_PROFILE;
+  return { ...result.rows[0], ...normalizeScoringProfile(result.rows[0]) };
+};
+
+// Raw component values and the weighted score for every solution matching `where`
+const scoringQuery = (profile, where = 'TRUE') => {
+  const keys = Object.keys(SCORING_COMPONENTS);
+  const score = keys
+    .filter(key => profile.weights[key] > 0)
+    .map(key => `${key} * ${profile.weights[key]}`)
+    .join(' + ');
+  return `
+    SELECT id, problem_count, ${keys.join(', ')}, ROUND((${score || '0'})::numeric, 2) AS score
+    FROM (
+      SELECT s.id, pc.problem_count,
+        ${keys.map(key => `(${SCORING_COMPONENTS[key].sql(profile.inputs)})::numeric AS ${key}`).join(',\n        ')}
+      FROM dreamteam.solutions s
+      CROSS JOIN LATERAL (
+        SELECT COUNT(DISTINCT m.problem_id) AS problem_count
+        FROM dreamteam.problem_solution_map m
+        WHERE m.solution_id = s.id
+      ) pc
+      WHERE ${where}
+    ) components`;
+};
+
+// Weighted points per component of a scoringQuery row; unweighted components are left out
+const scoreComponents = (profile, row) => Object.keys(SCORING_COMPONENTS)
+  .filter(key => profile.weights[key] > 0)
+  .map(key => ({
+    key,
+    label: SCORING_COMPONENTS[key].label,
+    raw: parseFloat(row[key]),
+    weight: profile.weights[key],
+    points: Math.round(parseFloat(row[key]) * profile.weights[key] * 100) / 100
+  }));
+
+// Solutions eligible to become the next product (see getBestSolutionCandidate)
+const CANDIDATE_POOL_CONDITION = `s.status = 'candidate'
+        AND s.is_saas_compatible = TRUE
+        AND s.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM dreamteam.projects p WHERE p.solution_id = s.id)`;
+
+// Every candidate in the pool ranked under a profile, best first
+const rankCandidates = async (db, profile) => {
+  const result = await db.query(
+    `SELECT scored.*, s.identifier, s.title, s.description, s.overall_viability,
+            s.ltv_estimate, s.cac_estimate, s.source_cluster_label,
+            ROW_NUMBER() OVER (ORDER BY scored.score DESC, s.identifier) AS rank
+     FROM (${scoringQuery(profile, CANDIDATE_POOL_CONDITION)}) scored
+     JOIN dreamteam.solutions s ON s.id = scored.id
+     ORDER BY rank`
+  );
+  return result.rows.map(row => ({ ...row, rank: parseInt(row.rank) }));
+};
+
+// Recompute candidate_score with the active profile, for the given solutions or all
+// of them (null). Rerun whenever a solution's problem links change.
+const refreshCandidateScores = async (db, solutionIds = null) => {
+  if (solutionIds && solutionIds.length === 0) return 0;
+  const profile = await loadActiveScoringProfile(db);
+  const result = await db.query(
+    `UPDATE dreamteam.solutions s
+     SET candidate_score = scored.score
+     FROM (${scoringQuery(profile, '$1::uuid[] IS NULL OR s.id = ANY($1::uuid[])')}) scored
+     WHERE s.id = scored.id`,
+    [solutionIds]
+  );
+  return result.rowCount;
+};
+
+// Store today's rank of every candidate under the active profile; leaderboard rank
+// changes are measured against these. A later snapshot the same day replaces it.
+const snapshotCandidateRanks = async (db) => {
+  const profile = await loadActiveScoringProfile(db);
+  const ranked = await rankCandidates(db, profile);
+  if (ranked.length === 0) return 0;
+  const result = await db.query(
+    `INSERT INTO dreamteam.candidate_rank_snapshots (snapshot_date, solution_id, rank, score, profile_id)
+     SELECT CURRENT_DATE, t.solution_id, t.rank, t.score, $4
+     FROM unnest($1::uuid[], $2::int[], $3::numeric[]) AS t(solution_id, rank, score)
+     ON CONFLICT (snapshot_date, solution_id)
+     DO UPDATE SET rank = EXCLUDED.rank, score = EXCLUDED.score, profile_id = EXCLUDED.profile_id`,
+    [ranked.map(row => row.id), ranked.map(row => row.rank), ranked.map(row => row.score), profile.id]
+  );
+  return result.rowCount;
+};
+
+// === SOLUTION LIFECYCLE ===
+// Legal next states per status. Solutions still carrying a status from before the
+// lifecycle existed (e.g. 'selected') may move to any state once.
+const SOLUTION_TRANSITIONS = {
+  candidate: ['shortlisted', 'rejected', 'archived'],
+  shortlisted: ['approved', 'candidate', 'rejected', 'archived'],
+  approved: ['in_build', 'shortlisted', 'rejected', 'archived'],
+  in_build: ['launched', 'approved', 'archived'],
+  launched: ['archived'],
+  rejected: ['candidate', 'archived'],
+  archived: ['candidate']
+};
+const SOLUTION_STATUSES = Object.keys(SOLUTION_TRANSITIONS);
+
+// === SOLUTION REVISIONS ===
+// Fields people may edit after generation; each edit snapshots them in solution_revisions
+const SOLUTION_EDITABLE_FIELDS = [
+  'title', 'description', 'source_url', 'value_proposition',
+  'target_audience', 'problem_statement', 'primary_feature',
+  'key_features', 'differentiators', 'tech_stack'
+];
+
+const pickEditableFields = (row) =>
+  Object.fromEntries(SOLUTION_EDITABLE_FIELDS.map(field => [field, row[field] ?? null]));
+
+/**
+ * Write `changes` to a locked solution row and record the revision. The first
+ * revision of a solution keeps the values it had before anyone edited it, and
+ * candidate_score is recomputed. Returns null when nothing actually changed.
+ */
+const applySolutionRevision = async (db, current, changes, { source, restoredFrom = null, editedBy = null }) => {
+  const before = pickEditableFields(current);
+  // Forms send '' for fields that were never filled in
+  const changedFields = Object.keys(changes).filter(field => (changes[field] ?? '') !== (before[field] ?? ''));
+  if (changedFields.length === 0) return null;
+
+  const latest = await db.query(
+    `SELECT COALESCE(MAX(revision_number), 0) AS revision_number
+     FROM dreamteam.solution_revisions WHERE solution_id = $1`,
+    [current.id]
+  );
+  let revisionNumber = latest.rows[0].revision_number;
+  if (revisionNumber === 0) {
+    revisionNumber = 1;
+    await db.query(
+      `INSERT INTO dreamteam.solution_revisions (solution_id, revision_number, source, fields, created_at)
+       VALUES ($1, 1, 'original', $2, COALESCE($3, NOW()))`,
+      [current.id, JSON.stringify(before), current.created_at]
+    );
+  }
+
+  const values = changedFields.map(field => changes[field]);
+  const updated = await db.query(
+    `UPDATE dreamteam.solutions
+     SET ${changedFields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [current.id, ...values]
+  );
+  const revision = await db.query(
+    `INSERT INTO dreamteam.solution_revisions
+       (solution_id, revision_number, source, fields, changed_fields, restored_from, edited_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      current.id,
+      revisionNumber + 1,
+      source,
+      JSON.stringify(pickEditableFields(updated.rows[0])),
+      changedFields,
+      restoredFrom,
+      editedBy
+    ]
+  );
+  await refreshCandidateScores(db, [current.id]);
+  const rescored = await db.query(`SELECT * FROM dreamteam.solutions WHERE id = $1`, [current.id]);
+  return { solution: rescored.rows[0], revision: revision.rows[0] };
+};
+
+// Problem columns shown for each side of a duplicate pair
+const duplicateSide = (alias) => `json_build_object(
+  'id', ${alias}.id,
+  'identifier', ${alias}.identifier,
+  'title', ${alias}.title,
+  'description', ${alias}.description,
+  'source_url', ${alias}.source_url,
+  'created_at', ${alias}.created_at,
+  'solution_count', (
+    SELECT COUNT(*) FROM dreamteam.problem_solution_map m
+    JOIN dreamteam.solutions s ON s.id = m.solution_id AND s.deleted_at IS NULL
+    WHERE m.problem_id = ${alias}.id
+  )
+)`;
+
+// === PROBLEM VALIDATION ===
+const PROBLEM_IMPACT_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const validateProblemFields = (data) => {
+  if (data.title !== undefined && !String(data.title).trim()) {
+    throw new Error('Title is required');
+  }
+  if (data.impact && !PROBLEM_IMPACT_LEVELS.includes(data.impact)) {
+    throw new Error(`Invalid impact: ${data.impact}`);
+  }
+};
 
 /**
  * Database Service Layer
@@ -6,8 +689,14 @@ import pool from '../config/database.js';
  */
 class DatabaseService {
   // === PROBLEMS ===
-  async getProblems(filters = {}) {
+  async getProblems(filters = {}, pagination = null) {
     try {
+      const values = [];
+      const tsQuery = filters.search ? buildSearchQuery(filters.search) : null;
+      if (tsQuery) {
+        values.push(tsQuery);
+      }
+
       let query = `
         SELECT 
           p.id,
@@ -22,72 +711,105 @@ class DatabaseService {
           p.cluster_label,
           p.cluster_similarity,
           p.created_at,
-          COUNT(DISTINCT psm.solution_id) as solution_count,
+          COUNT(DISTINCT s.id) as solution_count,
           COUNT(DISTINCT proj.id) as project_count
+          ${tsQuery ? `, ts_rank_cd(p.search_vector, to_tsquery('english', $1)) as search_rank` : ''}
         FROM dreamteam.problems p
         LEFT JOIN dreamteam.problem_solution_map psm ON p.id = psm.problem_id
-        LEFT JOIN dreamteam.solutions s ON psm.solution_id = s.id
-        LEFT JOIN dreamteam.projects proj ON s.id = proj.solution_id
+        LEFT JOIN dreamteam.solutions s ON psm.solution_id = s.id AND s.deleted_at IS NULL
+        LEFT JOIN dreamteam.projects proj ON s.id = proj.solution_id AND proj.deleted_at IS NULL
         WHERE 1=1
       `;
-      
-      const values = [];
-      let paramCount = 0;
 
       // Add filters dynamically
       if (filters.cluster_id) {
-        query += ` AND p.cluster_id = $${++paramCount}`;
         values.push(filters.cluster_id);
+        query += ` AND p.cluster_id = $${values.length}`;
       }
       
       if (filters.cluster_label) {
-        query += ` AND p.cluster_label = $${++paramCount}`;
-        values.push(filters.cluster_label);
+        query += addMatchFilter('p.cluster_label', filters.cluster_label, values);
       }
       
       if (filters.impact) {
-        query += ` AND p.impact = $${++paramCount}`;
-        values.push(filters.impact);
+        query += addMatchFilter('p.impact', filters.impact, values);
       }
       
       if (filters.industry) {
-        query += ` AND p.industry = $${++paramCount}`;
-        values.push(filters.industry);
+        query += addMatchFilter('p.industry', filters.industry, values);
       }
       
       if (filters.business_size) {
-        query += ` AND p.business_size = $${++paramCount}`;
-        values.push(filters.business_size);
+        query += addMatchFilter('p.business_size', filters.business_size, values);
       }
       
-      if (filters.search) {
-        query += ` AND (p.title ILIKE $${++paramCount} OR p.description ILIKE $${paramCount})`;
-        values.push(`%${filters.search}%`);
+      if (tsQuery) {
+        query += ` AND p.search_vector @@ to_tsquery('english', $1)`;
+      }
+
+      if (filters.title) {
+        values.push(`%${filters.title}%`);
+        query += ` AND p.title ILIKE $${values.length}`;
+      }
+
+      if (filters.description) {
+        values.push(`%${filters.description}%`);
+        query += ` AND p.description ILIKE $${values.length}`;
+      }
+
+      if (filters.cluster_search) {
+        values.push(`%${filters.cluster_search}%`);
+        query += ` AND p.cluster_label ILIKE $${values.length}`;
+      }
+
+      if (filters.created_after) {
+        values.push(filters.created_after);
+        query += ` AND p.created_at >= $${values.length}`;
       }
       
+      // Links to trashed solutions don't count
       if (filters.has_solutions !== undefined) {
+        const linkedSolution = `SELECT 1 FROM dreamteam.problem_solution_map m
+          JOIN dreamteam.solutions ls ON ls.id = m.solution_id AND ls.deleted_at IS NULL
+          WHERE m.problem_id = p.id`;
         if (filters.has_solutions === 'true' || filters.has_solutions === true) {
-          query += ` AND EXISTS (SELECT 1 FROM dreamteam.problem_solution_map WHERE problem_id = p.id)`;
+          query += ` AND EXISTS (${linkedSolution})`;
         } else if (filters.has_solutions === 'false' || filters.has_solutions === false) {
-          query += ` AND NOT EXISTS (SELECT 1 FROM dreamteam.problem_solution_map WHERE problem_id = p.id)`;
+          query += ` AND NOT EXISTS (${linkedSolution})`;
         }
       }
 
       query += ` GROUP BY p.id`;
+
+      // Aggregate filters
+      const havingClauses = [];
+      if (filters.min_solution_count) {
+        values.push(parseInt(filters.min_solution_count));
+        havingClauses.push(`COUNT(DISTINCT s.id) >= $${values.length}`);
+      }
+      if (filters.min_project_count) {
+        values.push(parseInt(filters.min_project_count));
+        havingClauses.push(`COUNT(DISTINCT proj.id) >= $${values.length}`);
+      }
+      if (havingClauses.length > 0) {
+        query += ` HAVING ${havingClauses.join(' AND ')}`;
+      }
       
-      // Add sorting
-      const sortField = filters.sortBy || 'created_at';
-      const sortOrder = filters.sortOrder || 'DESC';
+      // Add sorting - searches rank by relevance unless another sort is requested
       const validSortFields = ['title', 'impact', 'industry', 'created_at', 'solution_count', 'cluster_label'];
+      const sortByRelevance = tsQuery && (!filters.sortBy || filters.sortBy === 'relevance');
+      const sortField = sortByRelevance ? 'search_rank'
+        : validSortFields.includes(filters.sortBy) ? filters.sortBy : 'created_at';
+      const sortOrder = filters.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+      if (pagination) {
+        return await paginateQuery(query, values, { sortField, sortOrder, ...pagination });
+      }
       
-      if (validSortFields.includes(sortField)) {
-        if (sortField === 'solution_count') {
-          query += ` ORDER BY solution_count ${sortOrder === 'ASC' ? 'ASC' : 'DESC'}`;
-        } else {
-          query += ` ORDER BY p.${sortField} ${sortOrder === 'ASC' ? 'ASC' : 'DESC'}`;
-        }
+      if (sortField === 'solution_count' || sortField === 'search_rank') {
+        query += ` ORDER BY ${sortField} ${sortOrder}`;
       } else {
-        query += ` ORDER BY p.created_at DESC`;
+        query += ` ORDER BY p.${sortField} ${sortOrder}`;
       }
       
       const result = await pool.query(query, values);
@@ -112,7 +834,7 @@ class DatabaseService {
       SELECT DISTINCT s.*
       FROM dreamteam.solutions s
       JOIN dreamteam.problem_solution_map psm ON s.id = psm.solution_id
-      WHERE psm.problem_id = $1
+      WHERE psm.problem_id = $1 AND s.deleted_at IS NULL
       ORDER BY s.overall_viability DESC NULLS LAST
     `;
     const result = await pool.query(query, [problemId]);
@@ -126,7 +848,7 @@ class DatabaseService {
         COUNT(DISTINCT psm.problem_id) as problem_count
       FROM dreamteam.solutions s
       LEFT JOIN dreamteam.problem_solution_map psm ON s.id = psm.solution_id
-      WHERE s.id = $1
+      WHERE s.id = $1 AND s.deleted_at IS NULL
       GROUP BY s.id
     `;
     const result = await pool.query(query, [solutionId]);
@@ -166,9 +888,10 @@ class DatabaseService {
           p.business_size,
           p.cluster_similarity,
           p.created_at,
-          COUNT(psm.solution_id) as solution_count
+          COUNT(s.id) as solution_count
         FROM dreamteam.problems p
         LEFT JOIN dreamteam.problem_solution_map psm ON p.id = psm.problem_id
+        LEFT JOIN dreamteam.solutions s ON s.id = psm.solution_id AND s.deleted_at IS NULL
         WHERE p.cluster_id = $1
         GROUP BY p.id
         ORDER BY 
@@ -210,7 +933,7 @@ class DatabaseService {
           COUNT(DISTINCT s.id) as solution_count
         FROM dreamteam.cluster_centroids c
         LEFT JOIN dreamteam.problems p ON p.cluster_id = c.cluster_id
-        LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id
+        LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id AND s.deleted_at IS NULL
         WHERE c.cluster_id = $1
           AND c.version = (SELECT version FROM active_version)
         GROUP BY c.cluster_id, c.cluster_label, c.primary_industry, c.avg_similarity, c.is_outlier_bucket, c.created_at
@@ -245,7 +968,7 @@ class DatabaseService {
               COUNT(DISTINCT s.id) as solution_count
             FROM dreamteam.cluster_centroids c
             LEFT JOIN dreamteam.problems p ON p.cluster_id = c.cluster_id
-            LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id
+            LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id AND s.deleted_at IS NULL
             WHERE c.version = $${++paramCount}
               -- Include outlier bucket to show all clusters
         `;
@@ -272,12 +995,19 @@ class DatabaseService {
               COUNT(DISTINCT s.id) as solution_count
             FROM dreamteam.cluster_centroids c
             LEFT JOIN dreamteam.problems p ON p.cluster_id = c.cluster_id
-            LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id
+            LEFT JOIN dreamteam.solutions s ON s.source_cluster_id = c.cluster_id AND s.deleted_at IS NULL
             WHERE c.version = (SELECT version FROM active_version)
               -- Include outlier bucket to show all clusters
         `;
       }
 
+      // Full-text search has to run before grouping, against the centroid row itself
+      const tsQuery = filters.search ? buildSearchQuery(filters.search) : null;
+      if (tsQuery) {
+        baseQuery += ` AND c.search_vector @@ to_tsquery('english', $${++paramCount})`;
+        params.push(tsQuery);
+      }
+
       // Add GROUP BY first
       baseQuery += `
             GROUP BY c.cluster_id, c.cluster_label, c.cluster_insights, c.cluster_analysis,
@@ -312,11 +1042,6 @@ class DatabaseService {
       // Add WHERE filters
       let whereClauses = [];
 
-      if (filters.search) {
-        whereClauses.push(`cluster_label ILIKE $${++paramCount}`);
-        params.push(`%${filters.search}%`);
-      }
-
       if (filters.primary_industry) {
         whereClauses.push(`primary_industry = $${++paramCount}`);
         params.push(filters.primary_industry);
@@ -345,184 +1070,1163 @@ class DatabaseService {
     }
   }
 
-  async getProblemsBySolutionId(solutionId) {
+  /**
+   * Move problems to another cluster of the active version by hand.
+   * cluster_similarity is recomputed against the target centroid (cosine) and
+   * every move is recorded in cluster_assignment_overrides.
+   */
+  async reassignProblemsToCluster(problemIds, clusterId, { reason = null, createdBy = null } = {}) {
     try {
-      const query = `
-        SELECT 
-          p.id,
-          p.identifier,
-          p.title,
-          p.description,
-          p.source_url,
-          p.impact,
-          p.industry,
-          p.business_size,
-          p.cluster_id,
-          p.cluster_label,
-          p.created_at
-        FROM dreamteam.problems p
-        INNER JOIN dreamteam.problem_solution_map psm ON p.id = psm.problem_id
-        WHERE psm.solution_id = $1
-        ORDER BY 
-          CASE p.impact::text
-            WHEN 'critical' THEN 1
-            WHEN 'high' THEN 2
-            WHEN 'medium' THEN 3
-            WHEN 'low' THEN 4
-            ELSE 5
-          END,
-          p.created_at DESC
-      `;
-      const result = await pool.query(query, [solutionId]);
-      return result.rows;
+      if (!Array.isArray(problemIds) || problemIds.length === 0) {
+        throw new Error('No problem IDs provided');
+      }
+
+      return await withTransaction(async (client) => {
+        const result = await moveProblemsToCluster(client, problemIds, clusterId, { reason, createdBy });
+        console.log(`Moved ${result.moved_count} problems to cluster ${result.cluster.cluster_id} (${result.cluster.cluster_label})`);
+        return result;
+      });
     } catch (error) {
-      console.error('Error fetching problems by solution:', error);
+      console.error('Error reassigning problems to cluster:', error);
       throw error;
     }
   }
 
-  // === SOLUTIONS ===
-  async getBestSolutionCandidate() {
+  /**
+   * Merge clusters of the active version into the largest of them.
+   * Problems and solutions follow the surviving cluster, its centroid becomes
+   * the mean of all member embeddings and similarities are recomputed.
+   * dryRun returns the same result without keeping any of the changes.
+   */
+  async mergeClusters(clusterIds, { label = null, dryRun = false } = {}) {
     try {
-      const query = `
-        WITH solution_scores AS (
-          SELECT 
-            s.id,
-            s.identifier,
-            s.title,
-            s.description,
-            s.overall_viability,
-            s.ltv_estimate,
-            s.cac_estimate,
-            s.market_size_estimate,
-            COALESCE(
-              s.source_cluster_label, 
-              cc.cluster_label,
-              'Unknown Cluster'
-            ) as source_cluster_label,
-            s.is_saas_compatible,
-            s.value_proposition,
-            s.status,
-            COUNT(DISTINCT psm.problem_id) as problem_count,
-            -- Use the database-calculated candidate_score
-            s.candidate_score as selection_score
-          FROM dreamteam.solutions s
-          LEFT JOIN dreamteam.problem_solution_map psm ON s.id = psm.solution_id
-          LEFT JOIN dreamteam.projects p ON s.id = p.solution_id
-          LEFT JOIN LATERAL (
-            SELECT cluster_label 
-            FROM dreamteam.cluster_centroids 
-            WHERE cluster_id = s.source_cluster_id 
-              AND cluster_label IS NOT NULL
-            ORDER BY version DESC 
-            LIMIT 1
-          ) cc ON s.source_cluster_label IS NULL
-          WHERE s.status = 'candidate'
-            AND s.is_saas_compatible = TRUE
-            AND p.id IS NULL
-          GROUP BY s.id, s.identifier, s.title, s.description, s.overall_viability,
-                   s.ltv_estimate, s.cac_estimate, s.market_size_estimate,
-                   s.source_cluster_label, s.is_saas_compatible,
-                   s.value_proposition, s.status, cc.cluster_label
-        )
-        SELECT 
-          id,
-          identifier,
-          title,
-          description,
-          overall_viability,
-          ltv_estimate,
-          cac_estimate,
-          source_cluster_label,
-          problem_count,
-          selection_score,
-          value_proposition,
-          status
-        FROM solution_scores
-        ORDER BY selection_score DESC
-        LIMIT 1
-      `;
-      
-      const result = await pool.query(query);
-      return result.rows[0] || null;
+      const ids = [...new Set((clusterIds || []).map(id => parseInt(id)))];
+      if (ids.length < 2 || ids.some(isNaN)) {
+        throw new Error('At least two cluster IDs are required to merge');
+      }
+
+      return await withTransaction(async (client) => {
+        const version = await getActiveClusterVersion(client);
+        const sourcesResult = await client.query(
+          `SELECT
+             c.cluster_id,
+             c.cluster_label,
+             c.is_outlier_bucket,
+             (SELECT COUNT(*) FROM dreamteam.problems p WHERE p.cluster_id = c.cluster_id)::int as problem_count,
+             (SELECT COUNT(*) FROM dreamteam.solutions s WHERE s.source_cluster_id = c.cluster_id AND s.deleted_at IS NULL)::int as solution_count
+           FROM dreamteam.cluster_centroids c
+           WHERE c.version = $1 AND c.cluster_id = ANY($2::int[])
+           ORDER BY problem_count DESC, c.cluster_id`,
+          [version, ids]
+        );
+        const sources = sourcesResult.rows;
+
+        if (sources.length !== ids.length) {
+          throw new Error('Cluster not found');
+        }
+        if (sources.some(c => c.is_outlier_bucket)) {
+          throw new Error('The outlier bucket cannot be merged');
+        }
+
+        const survivor = sources[0];
+        const absorbedIds = sources.slice(1).map(c => c.cluster_id);
+        const mergedLabel = label?.trim() || survivor.cluster_label;
+
+        await client.query(
+          `UPDATE dreamteam.problems SET cluster_id = $1, cluster_label = $2 WHERE cluster_id = ANY($3::int[])`,
+          [survivor.cluster_id, mergedLabel, ids]
+        );
+        await client.query(
+          `UPDATE dreamteam.solutions SET source_cluster_id = $1, source_cluster_label = $2 WHERE source_cluster_id = ANY($3::int[])`,
+          [survivor.cluster_id, mergedLabel, ids]
+        );
+        // Manual overrides into an absorbed cluster now point at the survivor
+        await client.query(
+          `UPDATE dreamteam.cluster_assignment_overrides
+           SET to_cluster_id = $1
+           WHERE to_cluster_id = ANY($2::int[]) AND cluster_version = $3 AND superseded_at IS NULL`,
+          [survivor.cluster_id, absorbedIds, version]
+        );
+        await client.query(
+          `DELETE FROM dreamteam.cluster_centroids WHERE version = $1 AND cluster_id = ANY($2::int[])`,
+          [version, absorbedIds]
+        );
+        await client.query(
+          `UPDATE dreamteam.cluster_centroids
+           SET cluster_label = $3,
+               centroid = COALESCE(
+                 (SELECT AVG(embedding) FROM dreamteam.problems WHERE cluster_id = $1 AND embedding IS NOT NULL),
+                 centroid
+               )
+           WHERE cluster_id = $1 AND version = $2`,
+          [survivor.cluster_id, version, mergedLabel]
+        );
+        await recordLabelChange(client, {
+          clusterId: survivor.cluster_id,
+          version,
+          previousLabel: survivor.cluster_label,
+          newLabel: mergedLabel,
+          source: 'merge'
+        });
+        const avgSimilarity = await refreshClusterSimilarity(client, survivor.cluster_id, version);
+
+        console.log(`${dryRun ? 'Previewed' : 'Merged'} clusters ${ids.join(', ')} into ${survivor.cluster_id} (${mergedLabel})`);
+        return {
+          dry_run: dryRun,
+          version,
+          cluster_id: survivor.cluster_id,
+          cluster_label: mergedLabel,
+          merged_clusters: sources,
+          problem_count: sources.reduce((sum, c) => sum + c.problem_count, 0),
+          solution_count: sources.reduce((sum, c) => sum + c.solution_count, 0),
+          avg_similarity: avgSimilarity
+        };
+      }, { dryRun });
     } catch (error) {
-      console.error('Error getting best solution candidate:', error);
-      return null;
+      console.error('Error merging clusters:', error);
+      throw error;
     }
   }
 
-  async getSolutions(filters = {}) {
+  /**
+   * Score sub-clusterings of one cluster for k = 2..maxK without changing anything,
+   * so the UI can pick a k before previewing the actual split.
+   */
+  async getSplitCandidates(clusterId, maxK = 6) {
     try {
-      let query = `
-        SELECT
-          s.id,
-          s.identifier,
-          s.title,
-          s.description,
-          s.source_url,
-          s.value_proposition,
-          s.target_audience,
-          s.primary_feature,
-          s.problem_statement,
-          s.key_features,
-          s.differentiators,
-          s.overall_viability,
-          s.candidate_score,
-          s.technical_feasibility,
-          s.market_demand,
-          s.competitive_advantage,
-          s.resource_requirements,
-          s.ltv_estimate,
-          s.cac_estimate,
-          s.recurring_revenue_potential,
-          s.market_size_estimate,
-          s.revenue_model,
-          s.pricing_strategy,
-          s.payback_months,
-          s.estimated_dev_weeks,
-          s.team_size_required,
-          s.initial_investment,
-          s.is_saas_compatible,
-          s.source_cluster_id,
-          s.source_cluster_label,
-          s.solution_cluster_id,
-          s.solution_cluster_label,
-          s.linear_project_id,
-          s.github_repo_url,
-          s.created_at,
-          s.status,
-          s.tech_stack,
-          s.target_industry,
-          COALESCE(cc.primary_industry, s.target_industry) as industry,
-          COUNT(psm.problem_id) as problem_count,
-          ARRAY_AGG(psm.problem_id) FILTER (WHERE psm.problem_id IS NOT NULL) as problem_ids
-        FROM dreamteam.solutions s
-        LEFT JOIN dreamteam.problem_solution_map psm ON s.id = psm.solution_id
-        LEFT JOIN dreamteam.cluster_centroids cc ON s.source_cluster_id = cc.cluster_id
-        WHERE 1=1
-      `;
-      
-      const values = [];
-      let paramCount = 0;
+      const members = (await loadClusterMembers(pool, clusterId)).filter(m => m.embedding);
+      const upperK = Math.min(maxK, members.length);
+
+      const candidates = [];
+      for (let k = 2; k <= upperK; k++) {
+        const { groups, quality } = clusteringService.partition(members, k);
+        candidates.push({
+          k,
+          quality,
+          sizes: groups.map(g => g.members.length),
+          sample_titles: groups.map(g => g.members.slice(0, 3).map(m => m.title))
+        });
+      }
+
+      return { cluster_id: parseInt(clusterId), embedded_count: members.length, candidates };
+    } catch (error) {
+      console.error('Error scoring split candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a cluster of the active version into k sub-clusters (cosine k-means
+   * over member embeddings). The largest part keeps the original cluster ID and
+   * its solutions; the rest become new clusters. Splitting the outlier bucket
+   * turns every part into a new cluster. dryRun previews without keeping changes.
+   */
+  async splitCluster(clusterId, { k, labels = [], dryRun = false } = {}) {
+    try {
+      const parts = parseInt(k);
+      if (!parts || parts < 2) {
+        throw new Error('k must be at least 2');
+      }
+
+      return await withTransaction(async (client) => {
+        const version = await getActiveClusterVersion(client);
+        const sourceResult = await client.query(
+          `SELECT cluster_id, cluster_label, primary_industry, is_outlier_bucket
+           FROM dreamteam.cluster_centroids
+           WHERE cluster_id = $1 AND version = $2`,
+          [clusterId, version]
+        );
+        const source = sourceResult.rows[0];
+        if (!source) {
+          throw new Error('Cluster not found');
+        }
+
+        const members = await loadClusterMembers(client, source.cluster_id);
+        const embedded = members.filter(m => m.embedding);
+        if (embedded.length < parts) {
+          throw new Error(`Cannot split ${embedded.length} embedded problems into ${parts} clusters`);
+        }
+
+        const { groups, quality } = clusteringService.partition(embedded, parts);
+        const nextIdResult = await client.query(
+          `SELECT COALESCE(MAX(cluster_id), 0) + 1 as next_id FROM dreamteam.cluster_centroids WHERE version = $1`,
+          [version]
+        );
+        let nextId = nextIdResult.rows[0].next_id;
+
+        const results = [];
+        for (const [index, group] of groups.entries()) {
+          const keepsSource = !source.is_outlier_bucket && index === 0;
+          const partId = keepsSource ? source.cluster_id : nextId++;
+          const partLabel = labels[index]?.trim() ||
+            (keepsSource ? source.cluster_label : `${source.cluster_label} (${index + 1})`);
+          const centroid = clusteringService.formatVector(group.centroid);
+
+          if (keepsSource) {
+            await client.query(
+              `UPDATE dreamteam.cluster_centroids
+               SET cluster_label = $3, centroid = $4::vector
+               WHERE cluster_id = $1 AND version = $2`,
+              [partId, version, partLabel, centroid]
+            );
+            // Solutions stay with the part that keeps the ID, so their label copy follows it
+            await client.query(
+              `UPDATE dreamteam.solutions SET source_cluster_label = $2 WHERE source_cluster_id = $1`,
+              [partId, partLabel]
+            );
+            await recordLabelChange(client, {
+              clusterId: partId,
+              version,
+              previousLabel: source.cluster_label,
+              newLabel: partLabel,
+              source: 'split'
+            });
+          } else {
+            await client.query(
+              `INSERT INTO dreamteam.cluster_centroids
+                 (cluster_id, version, cluster_label, primary_industry, is_outlier_bucket, centroid, created_at)
+               VALUES ($1, $2, $3, $4, false, $5::vector, NOW())`,
+              [partId, version, partLabel, source.primary_industry, centroid]
+            );
+          }
+
+          await client.query(
+            `UPDATE dreamteam.problems SET cluster_id = $1, cluster_label = $2 WHERE id = ANY($3::uuid[])`,
+            [partId, partLabel, group.members.map(m => m.id)]
+          );
+
+          results.push({
+            cluster_id: partId,
+            cluster_label: partLabel,
+            is_new: !keepsSource,
+            problem_count: group.members.length,
+            sample_titles: group.members.slice(0, 5).map(m => m.title)
+          });
+        }
+
+        // Only once every member has moved do the per-cluster averages mean anything
+        for (const part of results) {
+          part.avg_similarity = await refreshClusterSimilarity(client, part.cluster_id, version);
+        }
+
+        console.log(`${dryRun ? 'Previewed' : 'Split'} cluster ${source.cluster_id} into ${results.length} parts`);
+        return {
+          dry_run: dryRun,
+          version,
+          source,
+          k: parts,
+          quality,
+          parts: results,
+          // Problems without embeddings can't be placed and stay where they are
+          unembedded_count: members.length - embedded.length
+        };
+      }, { dryRun });
+    } catch (error) {
+      console.error('Error splitting cluster:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a cluster of the active version. The centroid label and the
+   * denormalized copies on problems and solutions change in one transaction,
+   * so they can't drift apart. Renaming to the current label only re-syncs
+   * the copies and adds no history entry.
+   */
+  async renameCluster(clusterId, label, { changedBy = null } = {}) {
+    try {
+      const newLabel = String(label ?? '').trim();
+      if (!newLabel) {
+        throw new Error('Label is required');
+      }
+
+      return await withTransaction(async (client) => {
+        const version = await getActiveClusterVersion(client);
+        const clusterResult = await client.query(
+          `SELECT cluster_id, cluster_label
+           FROM dreamteam.cluster_centroids
+           WHERE cluster_id = $1 AND version = $2
+           FOR UPDATE`,
+          [clusterId, version]
+        );
+        const cluster = clusterResult.rows[0];
+        if (!cluster) {
+          throw new Error('Cluster not found');
+        }
+
+        await client.query(
+          `UPDATE dreamteam.cluster_centroids SET cluster_label = $3 WHERE cluster_id = $1 AND version = $2`,
+          [cluster.cluster_id, version, newLabel]
+        );
+        const problems = await client.query(
+          `UPDATE dreamteam.problems SET cluster_label = $2
+           WHERE cluster_id = $1 AND cluster_label IS DISTINCT FROM $2`,
+          [cluster.cluster_id, newLabel]
+        );
+        const solutions = await client.query(
+          `UPDATE dreamteam.solutions SET source_cluster_label = $2
+           WHERE source_cluster_id = $1 AND source_cluster_label IS DISTINCT FROM $2`,
+          [cluster.cluster_id, newLabel]
+        );
+        await recordLabelChange(client, {
+          clusterId: cluster.cluster_id,
+          version,
+          previousLabel: cluster.cluster_label,
+          newLabel,
+          changedBy
+        });
+
+        console.log(`Renamed cluster ${cluster.cluster_id}: "${cluster.cluster_label}" -> "${newLabel}"`);
+        return {
+          cluster_id: cluster.cluster_id,
+          version,
+          previous_label: cluster.cluster_label,
+          cluster_label: newLabel,
+          problems_updated: problems.rowCount,
+          solutions_updated: solutions.rowCount
+        };
+      });
+    } catch (error) {
+      console.error('Error renaming cluster:', error);
+      throw error;
+    }
+  }
+
+  // Label changes of a cluster in the active version, newest first
+  async getClusterLabelHistory(clusterId) {
+    try {
+      const result = await pool.query(
+        `SELECT id, cluster_id, cluster_version, previous_label, new_label, change_source, changed_by, created_at
+         FROM dreamteam.cluster_label_history
+         WHERE cluster_id = $1
+           AND cluster_version = COALESCE(
+             (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+             (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+           )
+         ORDER BY created_at DESC, id DESC`,
+        [clusterId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching cluster label history:', error);
+      throw error;
+    }
+  }
+
+  // Manual overrides still in force (or the full history with activeOnly = false)
+  async getClusterOverrides({ activeOnly = true, problemId = null } = {}) {
+    try {
+      const values = [];
+      let query = `
+        SELECT
+          o.*,
+          p.identifier as problem_identifier,
+          p.title as problem_title,
+          p.cluster_id as current_cluster_id,
+          p.cluster_id IS DISTINCT FROM o.to_cluster_id as is_stale
+        FROM dreamteam.cluster_assignment_overrides o
+        JOIN dreamteam.problems p ON p.id = o.problem_id
+        WHERE 1=1
+      `;
+
+      if (activeOnly) {
+        query += ` AND o.superseded_at IS NULL`;
+      }
+
+      if (problemId) {
+        values.push(problemId);
+        query += ` AND o.problem_id = $${values.length}`;
+      }
+
+      query += ` ORDER BY o.created_at DESC`;
+
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching cluster overrides:', error);
+      throw error;
+    }
+  }
+
+  // === OUTLIER TRIAGE ===
+  /**
+   * Unclustered and outlier-bucket problems of the active version that have no
+   * triage decision yet, each with its nearest clusters as candidates, plus
+   * progress across the whole queue.
+   */
+  async getOutlierTriageQueue({ limit = 25, offset = 0 } = {}) {
+    try {
+      const version = await getActiveClusterVersion(pool);
+
+      const items = await pool.query(
+        `SELECT
+           p.id, p.identifier, p.title, p.description, p.industry, p.created_at,
+           p.cluster_id, (p.cluster_id IS NULL) as is_unclustered,
+           COALESCE(cand.candidates, '[]'::json) as candidates
+         FROM dreamteam.problems p
+         LEFT JOIN LATERAL (
+           SELECT json_agg(json_build_object(
+             'cluster_id', n.cluster_id,
+             'cluster_label', n.cluster_label,
+             'similarity', n.similarity
+           ) ORDER BY n.similarity DESC) as candidates
+           FROM (
+             SELECT c.cluster_id, c.cluster_label, (1 - (p.embedding <=> c.centroid))::REAL as similarity
+             FROM dreamteam.cluster_centroids c
+             WHERE c.version = $1 AND NOT COALESCE(c.is_outlier_bucket, false)
+               AND c.centroid IS NOT NULL AND p.embedding IS NOT NULL
+             ORDER BY p.embedding <=> c.centroid
+             LIMIT $4
+           ) n
+         ) cand ON true
+         WHERE ${OUTLIER_PROBLEM_CONDITION}
+           AND NOT EXISTS (
+             SELECT 1 FROM dreamteam.outlier_triage_decisions d
+             WHERE d.problem_id = p.id AND d.cluster_version = $1
+           )
+         ORDER BY p.created_at DESC, p.id
+         LIMIT $2 OFFSET $3`,
+        [version, limit, offset, TRIAGE_CANDIDATE_COUNT]
+      );
+
+      // Latest decision per problem counts once, even when a problem was triaged twice
+      const progressResult = await pool.query(
+        `WITH decided AS (
+           SELECT DISTINCT ON (problem_id) problem_id, action
+           FROM dreamteam.outlier_triage_decisions
+           WHERE cluster_version = $1
+           ORDER BY problem_id, created_at DESC, id DESC
+         )
+         SELECT
+           (SELECT COUNT(*) FROM dreamteam.problems p
+            WHERE ${OUTLIER_PROBLEM_CONDITION}
+              AND NOT EXISTS (SELECT 1 FROM decided d WHERE d.problem_id = p.id))::int as pending,
+           (SELECT COUNT(*) FROM decided WHERE action = 'accept')::int as accept,
+           (SELECT COUNT(*) FROM decided WHERE action = 'move')::int as move,
+           (SELECT COUNT(*) FROM decided WHERE action = 'dismiss')::int as dismiss,
+           (SELECT COUNT(*) FROM decided WHERE action = 'seed')::int as seed`,
+        [version]
+      );
+      const { pending, ...byAction } = progressResult.rows[0];
+      const decided = Object.values(byAction).reduce((sum, count) => sum + count, 0);
+
+      return {
+        version,
+        items: items.rows,
+        progress: { pending, decided, total: pending + decided, by_action: byAction }
+      };
+    } catch (error) {
+      console.error('Error fetching outlier triage queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide on one problem of the triage queue:
+   * - accept: move it to one of its candidate clusters (the nearest by default)
+   * - move: move it to any regular cluster of the active version
+   * - dismiss: leave it where it is, it is a genuine outlier
+   * - seed: start a new cluster with the problem's embedding as centroid
+   * Moves go through the override log like any manual reassignment.
+   */
+  async triageOutlier(problemId, { action, clusterId = null, label = null, decidedBy = null, notes = null } = {}) {
+    try {
+      if (!OUTLIER_TRIAGE_ACTIONS.includes(action)) {
+        throw new Error(`Invalid triage action: ${action}`);
+      }
+
+      return await withTransaction(async (client) => {
+        const version = await getActiveClusterVersion(client);
+        const problemResult = await client.query(
+          `SELECT p.id, p.title, p.industry, p.cluster_id, p.embedding IS NOT NULL as has_embedding,
+                  COALESCE(c.is_outlier_bucket, false) as in_outlier_bucket
+           FROM dreamteam.problems p
+           LEFT JOIN dreamteam.cluster_centroids c ON c.cluster_id = p.cluster_id AND c.version = $2
+           WHERE p.id = $1
+           FOR UPDATE OF p`,
+          [problemId, version]
+        );
+        const problem = problemResult.rows[0];
+        if (!problem) {
+          throw new Error('Problem not found');
+        }
+        if (problem.cluster_id !== null && !problem.in_outlier_bucket) {
+          throw new Error('Problem is not in the outlier queue');
+        }
+
+        let targetClusterId = null;
+        if (action === 'accept') {
+          const candidates = await loadTriageCandidates(client, problem.id, version);
+          const chosen = clusterId === null || clusterId === undefined
+            ? candidates[0]
+            : candidates.find(c => c.cluster_id === parseInt(clusterId));
+          if (!chosen) {
+            throw new Error(candidates.length === 0
+              ? 'No candidate cluster to accept'
+              : 'Cluster is not a candidate for this problem');
+          }
+          targetClusterId = chosen.cluster_id;
+        } else if (action === 'move') {
+          if (clusterId === null || clusterId === undefined) {
+            throw new Error('A cluster is required to move a problem');
+          }
+          targetClusterId = parseInt(clusterId);
+        } else if (action === 'seed') {
+          if (!problem.has_embedding) {
+            throw new Error('Problem has no embedding to seed a cluster from');
+          }
+          const nextIdResult = await client.query(
+            `SELECT COALESCE(MAX(cluster_id), 0) + 1 as next_id FROM dreamteam.cluster_centroids WHERE version = $1`,
+            [version]
+          );
+          targetClusterId = nextIdResult.rows[0].next_id;
+          await client.query(
+            `INSERT INTO dreamteam.cluster_centroids
+               (cluster_id, version, cluster_label, primary_industry, is_outlier_bucket, centroid, created_at)
+             SELECT $1, $2, $3, industry, false, embedding, NOW()
+             FROM dreamteam.problems WHERE id = $4`,
+            [targetClusterId, version, label?.trim() || problem.title, problem.id]
+          );
+        }
+
+        let cluster = null;
+        if (targetClusterId !== null) {
+          const result = await moveProblemsToCluster(client, [problem.id], targetClusterId, {
+            reason: `Outlier triage: ${action}`,
+            createdBy: decidedBy
+          });
+          if (result.cluster.is_outlier_bucket) {
+            throw new Error('Cannot move a problem into an outlier bucket');
+          }
+          cluster = result.cluster;
+          if (action === 'seed') {
+            cluster.avg_similarity = await refreshClusterSimilarity(client, targetClusterId, version);
+          }
+        }
+
+        const decision = await client.query(
+          `INSERT INTO dreamteam.outlier_triage_decisions
+             (problem_id, cluster_version, action, from_cluster_id, to_cluster_id, notes, decided_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [problem.id, version, action, problem.cluster_id, targetClusterId, notes, decidedBy]
+        );
+
+        console.log(`Triaged outlier ${problem.id}: ${action}${targetClusterId !== null ? ` -> cluster ${targetClusterId}` : ''}`);
+        return { decision: decision.rows[0], cluster };
+      });
+    } catch (error) {
+      console.error('Error triaging outlier:', error);
+      throw error;
+    }
+  }
+
+  // === CLUSTER VERSIONS ===
+  async getClusterVersions() {
+    try {
+      const result = await pool.query(`
+        WITH active_version AS (
+          SELECT COALESCE(
+            (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+            (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+          ) as version
+        )
+        SELECT
+          c.version,
+          c.version = (SELECT version FROM active_version) as is_active,
+          MIN(c.created_at) as created_at,
+          COUNT(*) FILTER (WHERE NOT COALESCE(c.is_outlier_bucket, false))::int as cluster_count,
+          AVG(c.avg_similarity) FILTER (WHERE NOT COALESCE(c.is_outlier_bucket, false)) as avg_similarity,
+          CASE
+            WHEN c.version = (SELECT version FROM active_version)
+              THEN (SELECT COUNT(*) FROM dreamteam.problems WHERE cluster_id IS NOT NULL)
+            -- NULL when the version's assignments were never saved
+            ELSE (SELECT CASE WHEN COUNT(*) > 0 THEN COUNT(a.cluster_id) END
+                  FROM dreamteam.cluster_version_assignments a WHERE a.version = c.version)
+          END::int as problem_count,
+          (c.version = (SELECT version FROM active_version)
+            OR EXISTS (SELECT 1 FROM dreamteam.cluster_version_assignments a WHERE a.version = c.version)
+          ) as has_assignments
+        FROM dreamteam.cluster_centroids c
+        GROUP BY c.version
+        ORDER BY c.version DESC
+      `);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching cluster versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two cluster versions. Clusters are matched by membership overlap
+   * (IDs are reassigned on every run); when either version has no saved
+   * assignments they are matched by label instead and membership_compared is false.
+   */
+  async diffClusterVersions(fromVersion, toVersion) {
+    try {
+      const from = parseInt(fromVersion);
+      const to = parseInt(toVersion);
+      const activeVersion = await getActiveClusterVersion(pool);
+
+      const centroidsResult = await pool.query(
+        `SELECT version, cluster_id, cluster_label, COALESCE(is_outlier_bucket, false) as is_outlier_bucket
+         FROM dreamteam.cluster_centroids
+         WHERE version = ANY($1::int[])`,
+        [[from, to]]
+      );
+      const clustersOf = (version) => new Map(
+        centroidsResult.rows.filter(c => c.version === version).map(c => [c.cluster_id, c])
+      );
+      const fromClusters = clustersOf(from);
+      const toClusters = clustersOf(to);
+      if (fromClusters.size === 0 || toClusters.size === 0) {
+        throw new Error('Cluster version not found');
+      }
+
+      const fromMembership = await loadVersionMembership(pool, from, activeVersion);
+      const toMembership = await loadVersionMembership(pool, to, activeVersion);
+      const membershipCompared = !!(fromMembership && toMembership);
+
+      // Every cluster takes part in matching, including empty ones
+      const withMembers = (clusters, membership) => new Map(
+        [...clusters.keys()].map(id => [id, membership?.get(id) || new Set()])
+      );
+      const fromSets = withMembers(fromClusters, fromMembership);
+      const toSets = withMembers(toClusters, toMembership);
+
+      let matched;
+      if (membershipCompared) {
+        matched = clusteringService.matchClusters(fromSets, toSets);
+      } else {
+        const toByLabel = new Map([...toClusters.values()].map(c => [c.cluster_label?.toLowerCase(), c.cluster_id]));
+        const matches = [...fromClusters.values()]
+          .filter(c => toByLabel.has(c.cluster_label?.toLowerCase()))
+          .map(c => ({ from: c.cluster_id, to: toByLabel.get(c.cluster_label?.toLowerCase()), jaccard: null, added: null, removed: null }));
+        matched = {
+          matches,
+          unmatchedFrom: [...fromClusters.keys()].filter(id => !matches.some(m => m.from === id)),
+          unmatchedTo: [...toClusters.keys()].filter(id => !matches.some(m => m.to === id))
+        };
+      }
+
+      const describe = (cluster, sets) => ({
+        cluster_id: cluster.cluster_id,
+        cluster_label: cluster.cluster_label,
+        is_outlier_bucket: cluster.is_outlier_bucket,
+        problem_count: membershipCompared ? sets.get(cluster.cluster_id).size : null
+      });
+
+      const changed = [];
+      let unchangedCount = 0;
+      for (const match of matched.matches) {
+        // Without membership a label match is all we can tell
+        if (!membershipCompared || (match.added === 0 && match.removed === 0)) {
+          unchangedCount++;
+          continue;
+        }
+        changed.push({
+          from: describe(fromClusters.get(match.from), fromSets),
+          to: describe(toClusters.get(match.to), toSets),
+          jaccard: match.jaccard,
+          added_count: match.added,
+          removed_count: match.removed
+        });
+      }
+      changed.sort((a, b) => a.jaccard - b.jaccard);
+
+      const movedCount = membershipCompared
+        ? clusteringService.countChangedMembers(fromSets, toSets, matched.matches)
+        : null;
+
+      return {
+        from_version: from,
+        to_version: to,
+        membership_compared: membershipCompared,
+        summary: {
+          appeared: matched.unmatchedTo.length,
+          disappeared: matched.unmatchedFrom.length,
+          changed: changed.length,
+          unchanged: unchangedCount,
+          problems_moved: movedCount
+        },
+        appeared: matched.unmatchedTo.map(id => describe(toClusters.get(id), toSets)),
+        disappeared: matched.unmatchedFrom.map(id => describe(fromClusters.get(id), fromSets)),
+        changed
+      };
+    } catch (error) {
+      console.error('Error diffing cluster versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make another cluster version the active one (e.g. roll back a recluster).
+   * The outgoing assignments are saved first; problems then get the target's
+   * saved assignments, or their nearest centroid of that version when none
+   * were saved. Problems without a place in the target version end up unclustered.
+   */
+  async activateClusterVersion(version) {
+    try {
+      const target = parseInt(version);
+
+      return await withTransaction(async (client) => {
+        const exists = await client.query(
+          `SELECT 1 FROM dreamteam.cluster_centroids WHERE version = $1 LIMIT 1`,
+          [target]
+        );
+        if (exists.rows.length === 0) {
+          throw new Error('Cluster version not found');
+        }
+
+        const previous = await getActiveClusterVersion(client);
+        if (previous === target) {
+          return { previous_version: previous, version: target, changed: false };
+        }
+
+        await saveVersionAssignments(client, previous);
+
+        const saved = await client.query(
+          `SELECT COUNT(*)::int as count FROM dreamteam.cluster_version_assignments WHERE version = $1`,
+          [target]
+        );
+        const restoredFrom = saved.rows[0].count > 0 ? 'saved_assignments' : 'nearest_centroid';
+
+        if (restoredFrom === 'saved_assignments') {
+          await client.query(
+            `UPDATE dreamteam.problems p
+             SET cluster_id = a.cluster_id, cluster_similarity = a.cluster_similarity
+             FROM dreamteam.problems p2
+             LEFT JOIN dreamteam.cluster_version_assignments a
+               ON a.problem_id = p2.id AND a.version = $1
+             WHERE p.id = p2.id`,
+            [target]
+          );
+        } else {
+          await client.query(
+            `UPDATE dreamteam.problems p
+             SET cluster_id = nearest.cluster_id,
+                 cluster_similarity = nearest.similarity
+             FROM (
+               SELECT p2.id, c.cluster_id, (1 - c.distance)::REAL as similarity
+               FROM dreamteam.problems p2
+               LEFT JOIN LATERAL (
+                 SELECT cluster_id, p2.embedding <=> centroid as distance
+                 FROM dreamteam.cluster_centroids
+                 WHERE version = $1 AND centroid IS NOT NULL AND NOT COALESCE(is_outlier_bucket, false)
+                 ORDER BY distance
+                 LIMIT 1
+               ) c ON p2.embedding IS NOT NULL
+             ) nearest
+             WHERE p.id = nearest.id`,
+            [target]
+          );
+        }
+
+        await client.query(
+          `UPDATE dreamteam.problems p
+           SET cluster_label = c.cluster_label
+           FROM dreamteam.cluster_centroids c
+           WHERE c.version = $1 AND c.cluster_id = p.cluster_id`,
+          [target]
+        );
+        await client.query(`UPDATE dreamteam.problems SET cluster_label = NULL WHERE cluster_id IS NULL`);
+
+        await client.query(`UPDATE dreamteam.cluster_versions SET is_active = false WHERE is_active = true`);
+        await client.query(
+          `INSERT INTO dreamteam.cluster_versions (version, is_active)
+           VALUES ($1, true)
+           ON CONFLICT (version) DO UPDATE SET is_active = true`,
+          [target]
+        );
+
+        const counts = await client.query(
+          `SELECT
+             COUNT(*) FILTER (WHERE cluster_id IS NOT NULL)::int as assigned_count,
+             COUNT(*) FILTER (WHERE cluster_id IS NULL)::int as unassigned_count
+           FROM dreamteam.problems`
+        );
+
+        console.log(`Activated cluster version ${target} (was ${previous}) from ${restoredFrom}`);
+        return {
+          previous_version: previous,
+          version: target,
+          changed: true,
+          restored_from: restoredFrom,
+          ...counts.rows[0]
+        };
+      });
+    } catch (error) {
+      console.error('Error activating cluster version:', error);
+      throw error;
+    }
+  }
+
+  async getProblemsBySolutionId(solutionId) {
+    try {
+      const query = `
+        SELECT 
+          p.id,
+          p.identifier,
+          p.title,
+          p.description,
+          p.source_url,
+          p.impact,
+          p.industry,
+          p.business_size,
+          p.cluster_id,
+          p.cluster_label,
+          p.created_at
+        FROM dreamteam.problems p
+        INNER JOIN dreamteam.problem_solution_map psm ON p.id = psm.problem_id
+        INNER JOIN dreamteam.solutions s ON s.id = psm.solution_id AND s.deleted_at IS NULL
+        WHERE psm.solution_id = $1
+        ORDER BY 
+          CASE p.impact::text
+            WHEN 'critical' THEN 1
+            WHEN 'high' THEN 2
+            WHEN 'medium' THEN 3
+            WHEN 'low' THEN 4
+            ELSE 5
+          END,
+          p.created_at DESC
+      `;
+      const result = await pool.query(query, [solutionId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching problems by solution:', error);
+      throw error;
+    }
+  }
+  /**
+   * Attach evidence problems to a solution by hand. Existing links are left
+   * alone; problem_count is derived from the map and candidate_score is recomputed.
+   */
+  async linkProblemsToSolution(solutionId, problemIds) {
+    try {
+      const ids = [...new Set(problemIds || [])];
+      if (ids.length === 0) {
+        throw new Error('No problem IDs provided');
+      }
+
+      return await withTransaction(async (client) => {
+        const solution = await client.query(
+          `SELECT id FROM dreamteam.solutions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+          [solutionId]
+        );
+        if (solution.rows.length === 0) {
+          throw new Error('Solution not found');
+        }
+
+        const found = await client.query(
+          `SELECT id FROM dreamteam.problems WHERE id = ANY($1::uuid[])`,
+          [ids]
+        );
+        const foundIds = new Set(found.rows.map(r => r.id));
+
+        const linked = await client.query(
+          `INSERT INTO dreamteam.problem_solution_map (problem_id, solution_id)
+           SELECT p.id, $2
+           FROM unnest($1::uuid[]) AS p(id)
+           WHERE NOT EXISTS (
+             SELECT 1 FROM dreamteam.problem_solution_map m
+             WHERE m.problem_id = p.id AND m.solution_id = $2
+           )
+           RETURNING problem_id`,
+          [[...foundIds], solutionId]
+        );
+
+        await refreshCandidateScores(client, [solutionId]);
+        const summary = await client.query(
+          `SELECT s.id, s.candidate_score,
+                  (SELECT COUNT(*) FROM dreamteam.problem_solution_map m WHERE m.solution_id = s.id)::int as problem_count
+           FROM dreamteam.solutions s WHERE s.id = $1`,
+          [solutionId]
+        );
+
+        console.log(`Linked ${linked.rows.length} problems to solution ${solutionId}`);
+        return {
+          solution: summary.rows[0],
+          linked_ids: linked.rows.map(r => r.problem_id),
+          already_linked_ids: [...foundIds].filter(id => !linked.rows.some(r => r.problem_id === id)),
+          not_found: ids.filter(id => !foundIds.has(id))
+        };
+      });
+    } catch (error) {
+      console.error('Error linking problems to solution:', error);
+      throw error;
+    }
+  }
+
+  async unlinkProblemsFromSolution(solutionId, problemIds) {
+    try {
+      const ids = [...new Set(problemIds || [])];
+      if (ids.length === 0) {
+        throw new Error('No problem IDs provided');
+      }
+
+      return await withTransaction(async (client) => {
+        const solution = await client.query(
+          `SELECT id FROM dreamteam.solutions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+          [solutionId]
+        );
+        if (solution.rows.length === 0) {
+          throw new Error('Solution not found');
+        }
+
+        const unlinked = await client.query(
+          `DELETE FROM dreamteam.problem_solution_map
+           WHERE solution_id = $1 AND problem_id = ANY($2::uuid[])
+           RETURNING problem_id`,
+          [solutionId, ids]
+        );
+
+        await refreshCandidateScores(client, [solutionId]);
+        const summary = await client.query(
+          `SELECT s.id, s.candidate_score,
+                  (SELECT COUNT(*) FROM dreamteam.problem_solution_map m WHERE m.solution_id = s.id)::int as problem_count
+           FROM dreamteam.solutions s WHERE s.id = $1`,
+          [solutionId]
+        );
+
+        console.log(`Unlinked ${unlinked.rows.length} problems from solution ${solutionId}`);
+        return {
+          solution: summary.rows[0],
+          unlinked_ids: unlinked.rows.map(r => r.problem_id)
+        };
+      });
+    } catch (error) {
+      console.error('Error unlinking problems from solution:', error);
+      throw error;
+    }
+  }
+
+
+  // === SOLUTIONS ===
+  async getBestSolutionCandidate() {
+    try {
+      // Same ranking as the leaderboard, so the pick always matches its first row
+      const profile = await loadActiveScoringProfile(pool);
+      const [best] = await rankCandidates(pool, profile);
+      if (!best) return null;
+
+      const result = await pool.query(
+        `SELECT s.value_proposition, s.status,
+                COALESCE(s.source_cluster_label, cc.cluster_label, 'Unknown Cluster') as source_cluster_label
+         FROM dreamteam.solutions s
+         LEFT JOIN LATERAL (
+           SELECT cluster_label
+           FROM dreamteam.cluster_centroids
+           WHERE cluster_id = s.source_cluster_id
+             AND cluster_label IS NOT NULL
+           ORDER BY version DESC
+           LIMIT 1
+         ) cc ON s.source_cluster_label IS NULL
+         WHERE s.id = $1`,
+        [best.id]
+      );
+
+      return {
+        id: best.id,
+        identifier: best.identifier,
+        title: best.title,
+        description: best.description,
+        overall_viability: best.overall_viability,
+        ltv_estimate: best.ltv_estimate,
+        cac_estimate: best.cac_estimate,
+        source_cluster_label: result.rows[0].source_cluster_label,
+        problem_count: best.problem_count,
+        selection_score: best.score,
+        value_proposition: result.rows[0].value_proposition,
+        status: result.rows[0].status
+      };
+    } catch (error) {
+      console.error('Error getting best solution candidate:', error);
+      return null;
+    }
+  }
+
+  // Scheduled from index.js so every day has a baseline, leaderboard reads or not
+  async snapshotCandidateRanks() {
+    try {
+      return await snapshotCandidateRanks(pool);
+    } catch (error) {
+      console.error('Error snapshotting candidate ranks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Top candidates ranked with the active scoring profile, or with `weights` /
+   * `inputs` layered over it for an unsaved what-if ranking. Rank changes are
+   * measured against the latest snapshot at least a week old (see
+   * snapshotCandidateRanks). Read-only, what-if or not.
+   */
+  async getCandidateLeaderboard({ limit = 10, weights, inputs } = {}) {
+    try {
+      const active = await loadActiveScoringProfile(pool);
+      const isWhatIf = weights !== undefined || inputs !== undefined;
+      const profile = isWhatIf
+        ? { id: null, name: 'What-if', ...normalizeScoringProfile({ weights, inputs }, active) }
+        : active;
+
+      const ranked = await rankCandidates(pool, profile);
+      // What-if rows also carry their rank under the active profile
+      const currentRanks = isWhatIf
+        ? new Map((await rankCandidates(pool, active)).map(row => [row.id, row.rank]))
+        : null;
+
+      const baseline = await pool.query(
+        `SELECT snapshot_date, solution_id, rank
+         FROM dreamteam.candidate_rank_snapshots
+         WHERE snapshot_date = (
+           SELECT MAX(snapshot_date) FROM dreamteam.candidate_rank_snapshots
+           WHERE snapshot_date <= CURRENT_DATE - 7
+         )`
+      );
+      const previousRanks = new Map(baseline.rows.map(row => [row.solution_id, row.rank]));
+
+      return {
+        profile: {
+          id: profile.id,
+          name: profile.name,
+          weights: profile.weights,
+          inputs: profile.inputs
+        },
+        is_what_if: isWhatIf,
+        baseline_date: baseline.rows[0]?.snapshot_date || null,
+        total_candidates: ranked.length,
+        items: ranked.slice(0, limit).map(row => {
+          const previousRank = previousRanks.get(row.id) ?? null;
+          return {
+            rank: row.rank,
+            id: row.id,
+            identifier: row.identifier,
+            title: row.title,
+            description: row.description,
+            source_cluster_label: row.source_cluster_label,
+            overall_viability: row.overall_viability === null ? null : parseFloat(row.overall_viability),
+            problem_count: parseInt(row.problem_count),
+            score: parseFloat(row.score),
+            components: scoreComponents(profile, row),
+            previous_rank: previousRank,
+            // Positive when the solution moved up
+            rank_change: previousRank === null ? null : previousRank - row.rank,
+            ...(isWhatIf && { current_rank: currentRanks.get(row.id) })
+          };
+        })
+      };
+    } catch (error) {
+      console.error('Error building candidate leaderboard:', error);
+      throw error;
+    }
+  }
+
+
+  async getSolutions(filters = {}, pagination = null) {
+    try {
+      const values = [];
+      const tsQuery = filters.search ? buildSearchQuery(filters.search) : null;
+      if (tsQuery) {
+        values.push(tsQuery);
+      }
+
+      let query = `
+        SELECT
+          s.id,
+          s.identifier,
+          s.title,
+          s.description,
+          s.source_url,
+          s.value_proposition,
+          s.target_audience,
+          s.primary_feature,
+          s.problem_statement,
+          s.key_features,
+          s.differentiators,
+          s.overall_viability,
+          s.candidate_score,
+          s.technical_feasibility,
+          s.market_demand,
+          s.competitive_advantage,
+          s.resource_requirements,
+          s.ltv_estimate,
+          s.cac_estimate,
+          s.recurring_revenue_potential,
+          s.market_size_estimate,
+          s.revenue_model,
+          s.pricing_strategy,
+          s.payback_months,
+          s.estimated_dev_weeks,
+          s.team_size_required,
+          s.initial_investment,
+          s.is_saas_compatible,
+          s.source_cluster_id,
+          s.source_cluster_label,
+          s.solution_cluster_id,
+          s.solution_cluster_label,
+          s.linear_project_id,
+          s.github_repo_url,
+          s.created_at,
+          s.status,
+          s.tech_stack,
+          s.target_industry,
+          COALESCE(cc.primary_industry, s.target_industry) as industry,
+          COUNT(psm.problem_id) as problem_count,
+          ARRAY_AGG(psm.problem_id) FILTER (WHERE psm.problem_id IS NOT NULL) as problem_ids
+          ${tsQuery ? `, ts_rank_cd(s.search_vector, to_tsquery('english', $1)) as search_rank` : ''}
+        FROM dreamteam.solutions s
+        LEFT JOIN dreamteam.problem_solution_map psm ON s.id = psm.solution_id
+        LEFT JOIN dreamteam.cluster_centroids cc ON s.source_cluster_id = cc.cluster_id
+        WHERE s.deleted_at IS NULL
+      `;
+
+      if (filters.ids) {
+        values.push(filters.ids);
+        query += ` AND s.id = ANY($${values.length}::uuid[])`;
+      }
 
       if (filters.cluster_id) {
-        query += ` AND s.source_cluster_id = $${++paramCount}`;
         values.push(filters.cluster_id);
+        query += ` AND s.source_cluster_id = $${values.length}`;
       }
       
       if (filters.status) {
-        query += ` AND s.status = $${++paramCount}`;
-        values.push(filters.status);
+        query += addMatchFilter('s.status', filters.status, values);
       }
       
       if (filters.min_viability) {
-        query += ` AND s.overall_viability >= $${++paramCount}`;
         values.push(parseFloat(filters.min_viability));
+        query += ` AND s.overall_viability >= $${values.length}`;
+      }
+
+      if (filters.max_viability) {
+        values.push(parseFloat(filters.max_viability));
+        query += ` AND COALESCE(s.overall_viability, 0) <= $${values.length}`;
+      }
+
+      if (filters.min_ltv_cac) {
+        values.push(parseFloat(filters.min_ltv_cac));
+        query += ` AND s.cac_estimate > 0 AND s.ltv_estimate / s.cac_estimate >= $${values.length}`;
+      }
+
+      if (filters.min_revenue) {
+        values.push(parseFloat(filters.min_revenue));
+        query += ` AND COALESCE(s.recurring_revenue_potential, 0) >= $${values.length}`;
       }
       
-      if (filters.search) {
-        query += ` AND (s.title ILIKE $${++paramCount} OR s.description ILIKE $${paramCount} OR s.value_proposition ILIKE $${paramCount})`;
-        values.push(`%${filters.search}%`);
+      if (tsQuery) {
+        query += ` AND s.search_vector @@ to_tsquery('english', $1)`;
+      }
+
+      if (filters.title) {
+        values.push(`%${filters.title}%`);
+        query += ` AND s.title ILIKE $${values.length}`;
+      }
+
+      if (filters.source_cluster) {
+        values.push(`%${filters.source_cluster}%`);
+        query += ` AND s.source_cluster_label ILIKE $${values.length}`;
       }
 
       if (filters.has_project !== undefined) {
@@ -534,27 +2238,33 @@ class DatabaseService {
       }
 
       if (filters.industry) {
-        query += ` AND COALESCE(cc.primary_industry, s.target_industry) = $${++paramCount}`;
-        values.push(filters.industry);
+        query += addMatchFilter('COALESCE(cc.primary_industry, s.target_industry)', filters.industry, values);
       }
 
       query += ` GROUP BY s.id, cc.primary_industry`;
+
+      if (filters.min_problem_count) {
+        values.push(parseInt(filters.min_problem_count));
+        query += ` HAVING COUNT(psm.problem_id) >= $${values.length}`;
+      }
       
-      // Add sorting
-      const sortField = filters.sortBy || 'overall_viability';
-      const sortOrder = filters.sortOrder || 'DESC';
+      // Add sorting - searches rank by relevance unless another sort is requested
       const validSortFields = ['title', 'overall_viability', 'candidate_score', 'status', 'created_at', 'ltv_estimate', 'recurring_revenue_potential', 'problem_count', 'industry'];
+      const sortByRelevance = tsQuery && (!filters.sortBy || filters.sortBy === 'relevance');
+      const sortField = sortByRelevance ? 'search_rank'
+        : validSortFields.includes(filters.sortBy) ? filters.sortBy : 'overall_viability';
+      const sortOrder = filters.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+      if (pagination) {
+        return await paginateQuery(query, values, { sortField, sortOrder, ...pagination });
+      }
       
-      if (validSortFields.includes(sortField)) {
-        if (sortField === 'problem_count') {
-          query += ` ORDER BY problem_count ${sortOrder === 'ASC' ? 'ASC' : 'DESC'} NULLS LAST`;
-        } else if (sortField === 'industry') {
-          query += ` ORDER BY cc.primary_industry ${sortOrder === 'ASC' ? 'ASC' : 'DESC'} NULLS LAST`;
-        } else {
-          query += ` ORDER BY s.${sortField} ${sortOrder === 'ASC' ? 'ASC' : 'DESC'} NULLS LAST`;
-        }
+      if (sortField === 'problem_count' || sortField === 'search_rank') {
+        query += ` ORDER BY ${sortField} ${sortOrder} NULLS LAST`;
+      } else if (sortField === 'industry') {
+        query += ` ORDER BY cc.primary_industry ${sortOrder} NULLS LAST`;
       } else {
-        query += ` ORDER BY s.overall_viability DESC NULLS LAST`;
+        query += ` ORDER BY s.${sortField} ${sortOrder} NULLS LAST`;
       }
       
       const result = await pool.query(query, values);
@@ -565,6 +2275,231 @@ class DatabaseService {
     }
   }
 
+  /**
+   * 2-5 solutions side by side: every getSolutions field, in the order given,
+   * plus which of their linked problems they share.
+   */
+  async compareSolutions(ids) {
+    try {
+      const uniqueIds = [...new Set(ids)];
+      if (uniqueIds.length < 2 || uniqueIds.length > 5) {
+        throw new Error('Select between 2 and 5 solutions to compare');
+      }
+
+      const rows = await this.getSolutions({ ids: uniqueIds });
+      const missing = uniqueIds.filter(id => !rows.some(row => row.id === id));
+      if (missing.length > 0) {
+        throw new Error(`Solution not found: ${missing.join(', ')}`);
+      }
+      const solutions = uniqueIds.map(id => rows.find(row => row.id === id));
+
+      const problemResult = await pool.query(
+        `SELECT p.id, p.identifier, p.title, p.cluster_label,
+                ARRAY_AGG(DISTINCT m.solution_id) AS solution_ids
+         FROM dreamteam.problem_solution_map m
+         JOIN dreamteam.problems p ON p.id = m.problem_id
+         JOIN dreamteam.solutions s ON s.id = m.solution_id AND s.deleted_at IS NULL
+         WHERE m.solution_id = ANY($1::uuid[])
+         GROUP BY p.id, p.identifier, p.title, p.cluster_label
+         ORDER BY COUNT(DISTINCT m.solution_id) DESC, p.identifier`,
+        [uniqueIds]
+      );
+      const problems = problemResult.rows;
+
+      const linkedTo = (id) => new Set(problems.filter(p => p.solution_ids.includes(id)).map(p => p.id));
+      const coverage = Object.fromEntries(uniqueIds.map(id => [id, linkedTo(id)]));
+
+      const pairs = [];
+      for (let i = 0; i < uniqueIds.length; i++) {
+        for (let j = i + 1; j < uniqueIds.length; j++) {
+          const a = coverage[uniqueIds[i]];
+          const b = coverage[uniqueIds[j]];
+          const shared = [...a].filter(id => b.has(id)).length;
+          const union = a.size + b.size - shared;
+          pairs.push({
+            a: uniqueIds[i],
+            b: uniqueIds[j],
+            shared,
+            jaccard: union > 0 ? shared / union : null
+          });
+        }
+      }
+
+      return {
+        solutions,
+        problems,
+        overlap: {
+          total_problems: problems.length,
+          shared_by_all: problems.filter(p => p.solution_ids.length === uniqueIds.length).length,
+          per_solution: uniqueIds.map(id => ({
+            solution_id: id,
+            problems: coverage[id].size,
+            // Problems no other compared solution addresses
+            unique: problems.filter(p => p.solution_ids.length === 1 && p.solution_ids[0] === id).length
+          })),
+          pairs
+        }
+      };
+    } catch (error) {
+      console.error('Error comparing solutions:', error);
+      throw error;
+    }
+  }
+
+  // === AUDIT LOG ===
+  async recordAuditEvent({
+    actor = null, action, method, path, resourceType = null, resourceId = null,
+    payload = null, statusCode, error = null, durationMs = null, ip = null, userAgent = null
+  }) {
+    try {
+      await pool.query(
+        `INSERT INTO dreamteam.audit_log
+           (actor, action, method, path, resource_type, resource_id, payload,
+            status_code, outcome, error, duration_ms, ip, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+          actor, action, method, path, resourceType,
+          resourceId === null ? null : String(resourceId),
+          payload === null ? null : JSON.stringify(payload),
+          statusCode,
+          statusCode < 400 ? 'success' : 'failure',
+          error, durationMs, ip, userAgent
+        ]
+      );
+    } catch (error) {
+      console.error('Error recording audit event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit entries newest first. Always paginated (50 per page by default);
+   * `search` matches the path, action and error text.
+   */
+  async getAuditLog(filters = {}, pagination = { limit: 50, offset: 0, cursor: null }) {
+    try {
+      const values = [];
+      let query = `SELECT * FROM dreamteam.audit_log WHERE 1=1`;
+
+      for (const column of ['actor', 'method', 'resource_type', 'resource_id', 'outcome', 'action']) {
+        if (filters[column]) {
+          query += addMatchFilter(column, filters[column], values);
+        }
+      }
+      if (filters.from) {
+        values.push(filters.from);
+        query += ` AND created_at >= $${values.length}`;
+      }
+      if (filters.to) {
+        values.push(filters.to);
+        query += ` AND created_at < $${values.length}`;
+      }
+      if (filters.search) {
+        values.push(`%${filters.search}%`);
+        query += ` AND (path ILIKE $${values.length} OR action ILIKE $${values.length} OR error ILIKE $${values.length})`;
+      }
+
+      return await paginateQuery(query, values, { sortField: 'created_at', sortOrder: 'DESC', ...pagination });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      throw error;
+    }
+  }
+
+  // Distinct values for the activity log filters
+  async getAuditFacets() {
+    try {
+      const result = await pool.query(`
+        SELECT
+          ARRAY(SELECT DISTINCT action FROM dreamteam.audit_log ORDER BY action) AS actions,
+          ARRAY(SELECT DISTINCT resource_type FROM dreamteam.audit_log WHERE resource_type IS NOT NULL ORDER BY resource_type) AS resource_types,
+          ARRAY(SELECT DISTINCT actor FROM dreamteam.audit_log WHERE actor IS NOT NULL ORDER BY actor) AS actors
+      `);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error fetching audit facets:', error);
+      throw error;
+    }
+  }
+
+  // === WORKFLOW RUNS ===
+  async createWorkflowRun({ workflow, webhook, input = null, requestedBy = null }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO dreamteam.workflow_runs (workflow, webhook, input, requested_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [workflow, webhook, input === null ? null : JSON.stringify(input), requestedBy]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      console.error('Error creating workflow run:', error);
+      throw error;
+    }
+  }
+
+  async finishWorkflowRun(id, { status, httpStatus = null, response = null, error = null, durationMs = null }) {
+    try {
+      await pool.query(
+        `UPDATE dreamteam.workflow_runs
+         SET status = $2, http_status = $3, response = $4, error = $5,
+             duration_ms = $6, finished_at = NOW()
+         WHERE id = $1`,
+        [id, status, httpStatus, response === null ? null : JSON.stringify(response), error, durationMs]
+      );
+    } catch (error) {
+      console.error('Error finishing workflow run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Workflow runs newest first, without input and response bodies. Always
+   * paginated (50 per page by default).
+   */
+  async getWorkflowRuns(filters = {}, pagination = { limit: 50, offset: 0, cursor: null }) {
+    try {
+      const values = [];
+      let query = `
+        SELECT id, workflow, webhook, requested_by, status, http_status, error,
+               started_at, finished_at, duration_ms
+        FROM dreamteam.workflow_runs
+        WHERE 1=1`;
+
+      for (const column of ['workflow', 'status', 'requested_by']) {
+        if (filters[column]) {
+          query += addMatchFilter(column, filters[column], values);
+        }
+      }
+      if (filters.from) {
+        values.push(filters.from);
+        query += ` AND started_at >= $${values.length}`;
+      }
+      if (filters.to) {
+        values.push(filters.to);
+        query += ` AND started_at < $${values.length}`;
+      }
+
+      return await paginateQuery(query, values, { sortField: 'started_at', sortOrder: 'DESC', ...pagination });
+    } catch (error) {
+      console.error('Error fetching workflow runs:', error);
+      throw error;
+    }
+  }
+
+  async getWorkflowRunById(id) {
+    try {
+      const result = await pool.query(`SELECT * FROM dreamteam.workflow_runs WHERE id = $1`, [id]);
+      if (result.rows.length === 0) {
+        throw new Error('Workflow run not found');
+      }
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error fetching workflow run:', error);
+      throw error;
+    }
+  }
+
   // === PIPELINE STATS ===
   async getPipelineStats() {
     try {
@@ -573,12 +2508,13 @@ class DatabaseService {
           SELECT 
             (SELECT COUNT(*) FROM dreamteam.problems) as total_problems,
             (SELECT COUNT(*) FROM dreamteam.problems WHERE cluster_id IS NULL) as unclustered_problems,
-            (SELECT COUNT(*) FROM dreamteam.solutions) as total_solutions,
-            (SELECT COUNT(*) FROM dreamteam.solutions WHERE linear_project_id IS NOT NULL) as active_projects,
+            (SELECT COUNT(*) FROM dreamteam.solutions WHERE deleted_at IS NULL) as total_solutions,
+            (SELECT COUNT(*) FROM dreamteam.solutions WHERE linear_project_id IS NOT NULL AND deleted_at IS NULL) as active_projects,
             (SELECT COUNT(DISTINCT cluster_id) FROM dreamteam.cluster_centroids 
              WHERE version = (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true)
              AND is_outlier_bucket = false) as total_clusters,
-            (SELECT COUNT(DISTINCT problem_id) FROM dreamteam.problem_solution_map) as problems_with_solutions
+            (SELECT COUNT(DISTINCT m.problem_id) FROM dreamteam.problem_solution_map m
+             JOIN dreamteam.solutions s ON s.id = m.solution_id AND s.deleted_at IS NULL) as problems_with_solutions
         )
         SELECT * FROM stats
       `;
@@ -699,6 +2635,78 @@ class DatabaseService {
     }
   }
 
+  // === SEARCH ===
+  /**
+   * Ranked full-text search across problems, clusters (active version),
+   * solutions and projects. Results from every entity type are merged
+   * and ordered by rank; snippets wrap matches in <mark> tags.
+   */
+  async search(q, { types = SEARCH_TYPES, limit = 20 } = {}) {
+    try {
+      const tsQuery = buildSearchQuery(q);
+      if (!tsQuery) {
+        return [];
+      }
+
+      const requested = SEARCH_TYPES.filter(type => types.includes(type));
+      const queries = {
+        problem: `
+          SELECT 'problem' as entity_type, p.id::text as id, p.identifier, p.title,
+                 ts_headline('english', coalesce(p.description, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+                 ts_rank_cd(p.search_vector, q) as rank
+          FROM dreamteam.problems p, to_tsquery('english', $1) q
+          WHERE p.search_vector @@ q
+          ORDER BY rank DESC
+          LIMIT $2
+        `,
+        cluster: `
+          SELECT 'cluster' as entity_type, c.cluster_id::text as id, NULL as identifier, c.cluster_label as title,
+                 ts_headline('english', coalesce(c.primary_industry, '') || ' - ' || coalesce(c.cluster_label, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+                 ts_rank_cd(c.search_vector, q) as rank
+          FROM dreamteam.cluster_centroids c, to_tsquery('english', $1) q
+          WHERE c.search_vector @@ q
+            AND c.version = COALESCE(
+              (SELECT version FROM dreamteam.cluster_versions WHERE is_active = true),
+              (SELECT MAX(version) FROM dreamteam.cluster_centroids)
+            )
+          ORDER BY rank DESC
+          LIMIT $2
+        `,
+        solution: `
+          SELECT 'solution' as entity_type, s.id::text as id, s.identifier, s.title,
+                 ts_headline('english', coalesce(s.description, '') || ' ' || coalesce(s.value_proposition, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+                 ts_rank_cd(s.search_vector, q) as rank
+          FROM dreamteam.solutions s, to_tsquery('english', $1) q
+          WHERE s.search_vector @@ q AND s.deleted_at IS NULL
+          ORDER BY rank DESC
+          LIMIT $2
+        `,
+        project: `
+          SELECT 'project' as entity_type, pr.id::text as id, pr.identifier, pr.name as title,
+                 ts_headline('english', coalesce(pr.description, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+                 ts_rank_cd(pr.search_vector, q) as rank
+          FROM dreamteam.projects pr, to_tsquery('english', $1) q
+          WHERE pr.search_vector @@ q AND pr.deleted_at IS NULL
+          ORDER BY rank DESC
+          LIMIT $2
+        `
+      };
+
+      const results = await Promise.all(
+        requested.map(type => pool.query(queries[type], [tsQuery, limit]))
+      );
+
+      return results
+        .flatMap(result => result.rows)
+        .map(row => ({ ...row, rank: parseFloat(row.rank) }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error running search:', error);
+      throw error;
+    }
+  }
+
   // === PROJECTS ===
   async getProjects() {
     try {
@@ -732,6 +2740,7 @@ class DatabaseService {
           s.github_repo_url as solution_github_repo_url
         FROM dreamteam.projects p
         LEFT JOIN dreamteam.solutions s ON p.solution_id = s.id
+        WHERE p.deleted_at IS NULL
         ORDER BY p.created_at DESC
       `;
       
@@ -843,6 +2852,7 @@ class DatabaseService {
           ARRAY_AGG(DISTINCT s.status ORDER BY s.status) FILTER (WHERE s.status IS NOT NULL) as statuses,
           ARRAY_AGG(DISTINCT s.source_cluster_label ORDER BY s.source_cluster_label) FILTER (WHERE s.source_cluster_label IS NOT NULL) as cluster_labels
         FROM dreamteam.solutions s
+        WHERE s.deleted_at IS NULL
       `;
       const basicResult = await pool.query(basicQuery);
 
@@ -859,6 +2869,7 @@ class DatabaseService {
           ON s.source_cluster_id = cc.cluster_id
           AND cc.version = (SELECT version FROM active_cluster_version)
         WHERE COALESCE(cc.primary_industry, s.target_industry) IS NOT NULL
+          AND s.deleted_at IS NULL
         GROUP BY COALESCE(cc.primary_industry, s.target_industry)
         ORDER BY count DESC, COALESCE(cc.primary_industry, s.target_industry)
       `;
@@ -957,7 +2968,7 @@ class DatabaseService {
           COUNT(DISTINCT s.id) as solution_count,
           0 as problem_count
         FROM dreamteam.solution_cluster_centroids c
-        LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id
+        LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id AND s.deleted_at IS NULL
         WHERE c.cluster_id = $1
           AND c.version = (SELECT version FROM active_version)
         GROUP BY c.cluster_id, c.cluster_label, c.cluster_insights, c.cluster_analysis, 
@@ -993,7 +3004,7 @@ class DatabaseService {
               COUNT(s.id) as solution_count,
               COUNT(s.id) as problem_count  -- For UI compatibility
             FROM dreamteam.solution_cluster_centroids c
-            LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id
+            LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id AND s.deleted_at IS NULL
             WHERE c.version = $${++paramCount}
         `;
         params.push(filters.version);
@@ -1018,7 +3029,7 @@ class DatabaseService {
               COUNT(s.id) as solution_count,
               COUNT(s.id) as problem_count  -- For UI compatibility
             FROM dreamteam.solution_cluster_centroids c
-            LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id
+            LEFT JOIN dreamteam.solutions s ON s.solution_cluster_id = c.cluster_id AND s.deleted_at IS NULL
             WHERE c.version = (SELECT version FROM active_version)
         `;
       }
@@ -1086,7 +3097,7 @@ class DatabaseService {
           s.linear_project_id,
           s.solution_cluster_similarity as cluster_similarity
         FROM dreamteam.solutions s
-        WHERE s.solution_cluster_id = $1
+        WHERE s.solution_cluster_id = $1 AND s.deleted_at IS NULL
         ORDER BY s.solution_cluster_similarity DESC
       `;
       const result = await pool.query(query, [clusterId]);
@@ -1097,6 +3108,312 @@ class DatabaseService {
     }
   }
 
+  // === PROBLEM CRUD ===
+
+  async createProblem(data) {
+    try {
+      if (!data.title) {
+        throw new Error('Title is required');
+      }
+      validateProblemFields(data);
+
+      const identifier = 'PRB-' + Date.now().toString(36).toUpperCase();
+      const query = `
+        INSERT INTO dreamteam.problems (
+          identifier,
+          title,
+          description,
+          source_url,
+          impact,
+          industry,
+          business_size,
+          created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        RETURNING *
+      `;
+
+      const values = [
+        identifier,
+        data.title.trim(),
+        data.description || null,
+        data.source_url || null,
+        data.impact || null,
+        data.industry || null,
+        data.business_size || null
+      ];
+
+      const result = await pool.query(query, values);
+      console.log('Created problem:', result.rows[0].identifier, result.rows[0].title);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating problem:', error);
+      throw error;
+    }
+  }
+
+  async updateProblem(id, data) {
+    try {
+      validateProblemFields(data);
+
+      // Cluster assignment and embeddings stay with F1/F2
+      const allowedFields = ['title', 'description', 'source_url', 'impact', 'industry', 'business_size'];
+
+      const updates = [];
+      const values = [];
+      let paramCount = 0;
+
+      for (const [key, value] of Object.entries(data)) {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = $${++paramCount}`);
+          // Empty strings clear optional fields rather than storing ''
+          values.push(value === '' ? null : value);
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+      const query = `
+        UPDATE dreamteam.problems
+        SET ${updates.join(', ')}
+        WHERE id = $${++paramCount}
+        RETURNING *
+      `;
+
+      const result = await pool.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Problem not found');
+      }
+
+      console.log('Updated problem:', result.rows[0].identifier);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating problem:', error);
+      throw error;
+    }
+  }
+
+  async deleteProblems(ids) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No problem IDs provided');
+      }
+
+      return await withTransaction(async (client) => {
+        // Unlink from solutions first (FK constraint); solutions themselves are kept
+        const unlinked = await client.query(
+          `DELETE FROM dreamteam.problem_solution_map
+           WHERE problem_id = ANY($1::uuid[])
+           RETURNING solution_id`,
+          [ids]
+        );
+
+        const result = await client.query(
+          `DELETE FROM dreamteam.problems
+           WHERE id = ANY($1::uuid[])
+           RETURNING id, identifier, title`,
+          [ids]
+        );
+        await refreshCandidateScores(client, [...new Set(unlinked.rows.map(r => r.solution_id))]);
+
+        console.log(`Deleted ${result.rows.length} problems:`, result.rows.map(r => r.identifier).join(', '));
+        return {
+          deleted_count: result.rows.length,
+          deleted_problems: result.rows,
+          unlinked_solution_ids: [...new Set(unlinked.rows.map(r => r.solution_id))]
+        };
+      });
+    } catch (error) {
+      console.error('Error deleting problems:', error);
+      throw error;
+    }
+  }
+
+  // === PROBLEM DEDUPLICATION ===
+  /**
+   * Candidate duplicate pairs: problems in the same cluster whose embeddings
+   * are at least `threshold` cosine-similar, most similar first. Pairs already
+   * dismissed as distinct are left out.
+   */
+  async findDuplicateProblems({ threshold = 0.92, clusterId = null, limit = 100 } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT
+           (1 - (a.embedding <=> b.embedding))::REAL as similarity,
+           a.cluster_id,
+           a.cluster_label,
+           ${duplicateSide('a')} as a,
+           ${duplicateSide('b')} as b
+         FROM dreamteam.problems a
+         JOIN dreamteam.problems b ON b.cluster_id = a.cluster_id AND a.id < b.id
+         WHERE a.cluster_id IS NOT NULL
+           AND a.embedding IS NOT NULL AND b.embedding IS NOT NULL
+           AND ($2::int IS NULL OR a.cluster_id = $2)
+           AND (1 - (a.embedding <=> b.embedding)) >= $1
+           AND NOT EXISTS (
+             SELECT 1 FROM dreamteam.problem_duplicate_dismissals d
+             WHERE d.problem_a = a.id AND d.problem_b = b.id
+           )
+         ORDER BY similarity DESC, a.id, b.id
+         LIMIT $3`,
+        [threshold, clusterId, limit]
+      );
+      return { threshold, pairs: result.rows };
+    } catch (error) {
+      console.error('Error finding duplicate problems:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold duplicates into a canonical problem. Solution links move over (without
+   * doubling up), the duplicates are deleted and what they were - including their
+   * source URLs - is kept in problem_merges. Merge history of a duplicate that was
+   * itself a canonical problem moves along too.
+   */
+  async mergeProblems(canonicalId, duplicateIds, { mergedBy = null, dryRun = false } = {}) {
+    try {
+      const ids = [...new Set(duplicateIds || [])].filter(id => id !== canonicalId);
+      if (ids.length === 0) {
+        throw new Error('No duplicate problem IDs provided');
+      }
+
+      return await withTransaction(async (client) => {
+        const canonicalResult = await client.query(
+          `SELECT id, identifier, title, source_url, cluster_id, cluster_label
+           FROM dreamteam.problems WHERE id = $1 FOR UPDATE`,
+          [canonicalId]
+        );
+        const canonical = canonicalResult.rows[0];
+        if (!canonical) {
+          throw new Error('Problem not found');
+        }
+
+        const duplicatesResult = await client.query(
+          `SELECT
+             p.id, p.identifier, p.title, p.source_url, p.cluster_id,
+             CASE WHEN p.embedding IS NOT NULL AND c.embedding IS NOT NULL
+               THEN (1 - (p.embedding <=> c.embedding))::REAL
+             END as similarity,
+             -- Links to live solutions the canonical problem doesn't have yet
+             (SELECT COUNT(*) FROM dreamteam.problem_solution_map m
+              JOIN dreamteam.solutions s ON s.id = m.solution_id AND s.deleted_at IS NULL
+              WHERE m.problem_id = p.id
+                AND NOT EXISTS (
+                  SELECT 1 FROM dreamteam.problem_solution_map cm
+                  WHERE cm.problem_id = $1 AND cm.solution_id = m.solution_id
+                ))::int as solution_links_moved
+           FROM dreamteam.problems p
+           CROSS JOIN (SELECT embedding FROM dreamteam.problems WHERE id = $1) c
+           WHERE p.id = ANY($2::uuid[])
+           FOR UPDATE OF p`,
+          [canonicalId, ids]
+        );
+        const duplicates = duplicatesResult.rows;
+        if (duplicates.length !== ids.length) {
+          throw new Error('Duplicate problem not found');
+        }
+
+        const linked = await client.query(
+          `INSERT INTO dreamteam.problem_solution_map (problem_id, solution_id)
+           SELECT DISTINCT $1::uuid, m.solution_id
+           FROM dreamteam.problem_solution_map m
+           WHERE m.problem_id = ANY($2::uuid[])
+             AND NOT EXISTS (
+               SELECT 1 FROM dreamteam.problem_solution_map cm
+               WHERE cm.problem_id = $1 AND cm.solution_id = m.solution_id
+             )
+           RETURNING solution_id, EXISTS (
+             SELECT 1 FROM dreamteam.solutions s WHERE s.id = solution_id AND s.deleted_at IS NULL
+           ) AS is_live`,
+          [canonicalId, ids]
+        );
+
+        await client.query(
+          `UPDATE dreamteam.problem_merges SET canonical_problem_id = $1 WHERE canonical_problem_id = ANY($2::uuid[])`,
+          [canonicalId, ids]
+        );
+        await client.query(
+          `INSERT INTO dreamteam.problem_merges
+             (canonical_problem_id, merged_problem_id, merged_identifier, merged_title,
+              merged_source_url, similarity, solution_links_moved, merged_by)
+           SELECT $1, d.id, d.identifier, d.title, d.source_url, d.similarity, d.solution_links_moved, $3
+           FROM jsonb_to_recordset($2::jsonb) AS d(
+             id uuid, identifier text, title text, source_url text, similarity real, solution_links_moved integer
+           )`,
+          [canonicalId, JSON.stringify(duplicates), mergedBy]
+        );
+
+        const unlinked = await client.query(
+          `DELETE FROM dreamteam.problem_solution_map WHERE problem_id = ANY($1::uuid[]) RETURNING solution_id`,
+          [ids]
+        );
+        await client.query(`DELETE FROM dreamteam.problems WHERE id = ANY($1::uuid[])`, [ids]);
+        await refreshCandidateScores(client, [...new Set(unlinked.rows.map(r => r.solution_id))]);
+
+        console.log(`${dryRun ? 'Previewed merge of' : 'Merged'} ${duplicates.length} problems into ${canonical.identifier}`);
+        return {
+          dry_run: dryRun,
+          canonical,
+          merged: duplicates,
+          // Links to trashed solutions move too, so a restore finds them, but aren't counted
+          solution_links_added: linked.rows.filter(r => r.is_live).length
+        };
+      }, { dryRun });
+    } catch (error) {
+      console.error('Error merging problems:', error);
+      throw error;
+    }
+  }
+
+  // Problems folded into this one, newest first
+  async getProblemMerges(problemId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM dreamteam.problem_merges
+         WHERE canonical_problem_id = $1
+         ORDER BY created_at DESC, id DESC`,
+        [problemId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching problem merges:', error);
+      throw error;
+    }
+  }
+
+  // Mark a candidate pair as two distinct problems
+  async dismissDuplicatePair(problemIds, { dismissedBy = null } = {}) {
+    try {
+      const ids = [...new Set(problemIds || [])];
+      if (ids.length !== 2) {
+        throw new Error('Exactly two problem IDs are required');
+      }
+
+      const found = await pool.query(
+        `SELECT COUNT(*)::int as count FROM dreamteam.problems WHERE id = ANY($1::uuid[])`,
+        [ids]
+      );
+      if (found.rows[0].count !== 2) {
+        throw new Error('Problem not found');
+      }
+
+      const result = await pool.query(
+        `INSERT INTO dreamteam.problem_duplicate_dismissals (problem_a, problem_b, dismissed_by)
+         VALUES (LEAST($1::uuid, $2::uuid), GREATEST($1::uuid, $2::uuid), $3)
+         ON CONFLICT (problem_a, problem_b) DO NOTHING
+         RETURNING *`,
+        [ids[0], ids[1], dismissedBy]
+      );
+      return { dismissed: true, pair: result.rows[0] ?? null };
+    } catch (error) {
+      console.error('Error dismissing duplicate pair:', error);
+      throw error;
+    }
+  }
+
   // === SOLUTION CRUD ===
 
   async createSolution(data) {
@@ -1140,106 +3457,423 @@ class DatabaseService {
       ];
 
       const result = await pool.query(query, values);
-      console.log('Created solution:', result.rows[0].identifier, result.rows[0].title);
-      return result.rows[0];
+      await refreshCandidateScores(pool, [result.rows[0].id]);
+      const created = await pool.query(`SELECT * FROM dreamteam.solutions WHERE id = $1`, [result.rows[0].id]);
+      console.log('Created solution:', created.rows[0].identifier, created.rows[0].title);
+      return created.rows[0];
     } catch (error) {
       console.error('Error creating solution:', error);
       throw error;
     }
   }
 
-  async updateSolution(id, data) {
+  async updateSolution(id, data, { editedBy = null } = {}) {
     try {
       // Only allow updating certain fields (not generated fields)
-      const allowedFields = [
-        'title', 'description', 'source_url', 'value_proposition',
-        'target_audience', 'problem_statement', 'primary_feature',
-        'key_features', 'differentiators', 'tech_stack'
-      ];
+      const changes = Object.fromEntries(
+        Object.entries(data).filter(([key]) => SOLUTION_EDITABLE_FIELDS.includes(key))
+      );
+      if (Object.keys(changes).length === 0) {
+        throw new Error('No valid fields to update');
+      }
 
-      const updates = [];
-      const values = [];
-      let paramCount = 0;
+      return await withTransaction(async (client) => {
+        const current = await client.query(
+          `SELECT * FROM dreamteam.solutions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+          [id]
+        );
+        if (current.rows.length === 0) {
+          throw new Error('Solution not found');
+        }
 
-      for (const [key, value] of Object.entries(data)) {
-        if (allowedFields.includes(key)) {
-          updates.push(`${key} = $${++paramCount}`);
-          values.push(value);
+        const result = await applySolutionRevision(client, current.rows[0], changes, { source: 'edit', editedBy });
+        if (!result) {
+          return current.rows[0];
+        }
+        console.log(`Updated solution: ${result.solution.identifier} (revision ${result.revision.revision_number})`);
+        return result.solution;
+      });
+    } catch (error) {
+      console.error('Error updating solution:', error);
+      throw error;
+    }
+  }
+
+  async getSolutionRevisions(solutionId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM dreamteam.solution_revisions
+         WHERE solution_id = $1
+         ORDER BY revision_number DESC`,
+        [solutionId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching solution revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a solution's editable fields back to an earlier revision. The restore
+   * is itself recorded as a new revision, so it can be undone the same way.
+   */
+  async restoreSolutionRevision(solutionId, revisionNumber, { editedBy = null } = {}) {
+    try {
+      return await withTransaction(async (client) => {
+        const current = await client.query(
+          `SELECT * FROM dreamteam.solutions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+          [solutionId]
+        );
+        if (current.rows.length === 0) {
+          throw new Error('Solution not found');
+        }
+        const target = await client.query(
+          `SELECT * FROM dreamteam.solution_revisions WHERE solution_id = $1 AND revision_number = $2`,
+          [solutionId, revisionNumber]
+        );
+        if (target.rows.length === 0) {
+          throw new Error('Revision not found');
+        }
+
+        const result = await applySolutionRevision(
+          client,
+          current.rows[0],
+          pickEditableFields(target.rows[0].fields),
+          { source: 'restore', restoredFrom: revisionNumber, editedBy }
+        );
+        if (!result) {
+          throw new Error(`Solution already matches revision ${revisionNumber}`);
         }
+        console.log(`Restored solution ${result.solution.identifier} to revision ${revisionNumber}`);
+        return result;
+      });
+    } catch (error) {
+      console.error('Error restoring solution revision:', error);
+      throw error;
+    }
+  }
+
+  getSolutionLifecycle() {
+    return { statuses: SOLUTION_STATUSES, transitions: SOLUTION_TRANSITIONS };
+  }
+
+  /**
+   * Move a solution to another lifecycle status. Only transitions listed in
+   * SOLUTION_TRANSITIONS are allowed, and each one is stored with its reason.
+   */
+  async transitionSolutionStatus(solutionId, toStatus, { reason, changedBy = null } = {}) {
+    try {
+      if (!SOLUTION_STATUSES.includes(toStatus)) {
+        throw new Error(`Invalid status: ${toStatus}. Must be one of ${SOLUTION_STATUSES.join(', ')}`);
+      }
+      const trimmedReason = String(reason ?? '').trim();
+      if (!trimmedReason) {
+        throw new Error('A reason is required for a status transition');
       }
 
-      if (updates.length === 0) {
-        throw new Error('No valid fields to update');
+      return await withTransaction(async (client) => {
+        const current = await client.query(
+          `SELECT id, status FROM dreamteam.solutions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+          [solutionId]
+        );
+        if (current.rows.length === 0) {
+          throw new Error('Solution not found');
+        }
+
+        const fromStatus = current.rows[0].status || 'candidate';
+        if (fromStatus === toStatus) {
+          throw new Error(`Solution is already ${toStatus}`);
+        }
+        const allowed = SOLUTION_TRANSITIONS[fromStatus];
+        if (allowed && !allowed.includes(toStatus)) {
+          throw new Error(`Cannot move a solution from ${fromStatus} to ${toStatus}`);
+        }
+
+        const updated = await client.query(
+          `UPDATE dreamteam.solutions SET status = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [solutionId, toStatus]
+        );
+        const transition = await client.query(
+          `INSERT INTO dreamteam.solution_status_transitions (solution_id, from_status, to_status, reason, changed_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [solutionId, current.rows[0].status, toStatus, trimmedReason, changedBy]
+        );
+
+        console.log(`Solution ${updated.rows[0].identifier}: ${fromStatus} -> ${toStatus}`);
+        return { solution: updated.rows[0], transition: transition.rows[0] };
+      });
+    } catch (error) {
+      console.error('Error transitioning solution status:', error);
+      throw error;
+    }
+  }
+
+  async getSolutionStatusHistory(solutionId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM dreamteam.solution_status_transitions
+         WHERE solution_id = $1
+         ORDER BY created_at DESC, id DESC`,
+        [solutionId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching solution status history:', error);
+      throw error;
+    }
+  }
+
+  // === SCORING PROFILES ===
+  getScoringComponents() {
+    return {
+      components: Object.entries(SCORING_COMPONENTS).map(([key, component]) => ({ key, label: component.label })),
+      input_defaults: SCORING_INPUT_DEFAULTS
+    };
+  }
+
+  async getScoringProfiles() {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM dreamteam.scoring_profiles ORDER BY is_active DESC, name`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching scoring profiles:', error);
+      throw error;
+    }
+  }
+
+  async createScoringProfile({ name, description = null, weights, inputs, createdBy = null }) {
+    try {
+      const trimmedName = String(name ?? '').trim();
+      if (!trimmedName) {
+        throw new Error('Profile name is required');
       }
+      const profile = normalizeScoringProfile({ weights, inputs });
 
-      values.push(id);
-      const query = `
-        UPDATE dreamteam.solutions
-        SET ${updates.join(', ')}, updated_at = NOW()
-        WHERE id = $${++paramCount}
-        RETURNING *
-      `;
+      const existing = await pool.query(
+        `SELECT id FROM dreamteam.scoring_profiles WHERE name = $1`,
+        [trimmedName]
+      );
+      if (existing.rows.length > 0) {
+        throw new Error(`A scoring profile named ${trimmedName} already exists`);
+      }
 
-      const result = await pool.query(query, values);
+      const result = await pool.query(
+        `INSERT INTO dreamteam.scoring_profiles (name, description, weights, inputs, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [trimmedName, description, JSON.stringify(profile.weights), JSON.stringify(profile.inputs), createdBy]
+      );
+      console.log('Created scoring profile:', trimmedName);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a profile's name, description, weights or inputs. Editing the active
+   * profile rescores every solution and retakes today's rank snapshot.
+   */
+  async updateScoringProfile(profileId, { name, description, weights, inputs }) {
+    try {
+      return await withTransaction(async (client) => {
+        const current = await loadScoringProfile(client, profileId);
+        const profile = normalizeScoringProfile({ weights, inputs }, current);
+
+        const trimmedName = name === undefined ? current.name : String(name ?? '').trim();
+        if (!trimmedName) {
+          throw new Error('Profile name is required');
+        }
+        const clash = await client.query(
+          `SELECT id FROM dreamteam.scoring_profiles WHERE name = $1 AND id <> $2`,
+          [trimmedName, profileId]
+        );
+        if (clash.rows.length > 0) {
+          throw new Error(`A scoring profile named ${trimmedName} already exists`);
+        }
+
+        const updated = await client.query(
+          `UPDATE dreamteam.scoring_profiles
+           SET name = $2, description = $3, weights = $4, inputs = $5, updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [
+            profileId,
+            trimmedName,
+            description === undefined ? current.description : description,
+            JSON.stringify(profile.weights),
+            JSON.stringify(profile.inputs)
+          ]
+        );
+        const rescored = current.is_active ? await refreshCandidateScores(client) : 0;
+        if (current.is_active) {
+          await snapshotCandidateRanks(client);
+        }
+        return { profile: updated.rows[0], solutions_rescored: rescored };
+      });
+    } catch (error) {
+      console.error('Error updating scoring profile:', error);
+      throw error;
+    }
+  }
+
+  async deleteScoringProfile(profileId) {
+    try {
+      const profile = await loadScoringProfile(pool, profileId);
+      if (profile.is_active) {
+        throw new Error('Cannot delete the active scoring profile');
+      }
+      await pool.query(`DELETE FROM dreamteam.scoring_profiles WHERE id = $1`, [profileId]);
+      console.log('Deleted scoring profile:', profile.name);
+      return { deleted: profile.id };
+    } catch (error) {
+      console.error('Error deleting scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a profile the one candidate_score is computed with, and rescore every
+   * solution so rankings follow it. Today's rank snapshot is retaken too.
+   */
+  async activateScoringProfile(profileId) {
+    try {
+      return await withTransaction(async (client) => {
+        await loadScoringProfile(client, profileId);
+        await client.query(
+          `UPDATE dreamteam.scoring_profiles SET is_active = FALSE WHERE is_active AND id <> $1`,
+          [profileId]
+        );
+        const activated = await client.query(
+          `UPDATE dreamteam.scoring_profiles SET is_active = TRUE, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [profileId]
+        );
+        const rescored = await refreshCandidateScores(client);
+        await snapshotCandidateRanks(client);
+        console.log(`Activated scoring profile ${activated.rows[0].name}, rescored ${rescored} solutions`);
+        return { profile: activated.rows[0], solutions_rescored: rescored };
+      });
+    } catch (error) {
+      console.error('Error activating scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Per-component breakdown of a solution's score under a profile (the active
+   * one by default). stored_score is the candidate_score currently saved.
+   */
+  async getSolutionScoreBreakdown(solutionId, { profileId = null } = {}) {
+    try {
+      const profile = profileId
+        ? await loadScoringProfile(pool, profileId)
+        : await loadActiveScoringProfile(pool);
+
+      const result = await pool.query(
+        `SELECT scored.*, s.candidate_score AS stored_score,
+                s.overall_viability, s.ltv_estimate, s.cac_estimate
+         FROM (${scoringQuery(profile, 's.id = $1 AND s.deleted_at IS NULL')}) scored
+         JOIN dreamteam.solutions s ON s.id = scored.id`,
+        [solutionId]
+      );
       if (result.rows.length === 0) {
         throw new Error('Solution not found');
       }
+      const row = result.rows[0];
+      const ltv = parseFloat(row.ltv_estimate);
+      const cac = parseFloat(row.cac_estimate);
 
-      console.log('Updated solution:', result.rows[0].identifier);
-      return result.rows[0];
+      return {
+        solution_id: solutionId,
+        profile: {
+          id: profile.id,
+          name: profile.name,
+          weights: profile.weights,
+          inputs: profile.inputs
+        },
+        score: parseFloat(row.score),
+        stored_score: row.stored_score === null ? null : parseFloat(row.stored_score),
+        facts: {
+          overall_viability: row.overall_viability === null ? null : parseFloat(row.overall_viability),
+          ltv_estimate: Number.isNaN(ltv) ? null : ltv,
+          cac_estimate: Number.isNaN(cac) ? null : cac,
+          ltv_cac_ratio: ltv > 0 && cac > 0 ? ltv / cac : null,
+          problem_count: parseInt(row.problem_count)
+        },
+        components: scoreComponents(profile, row)
+      };
     } catch (error) {
-      console.error('Error updating solution:', error);
+      console.error('Error computing solution score breakdown:', error);
       throw error;
     }
   }
 
-  async deleteSolutions(ids) {
+
+  /**
+   * Move solutions to the trash. Problem links and history are kept so a
+   * restore is lossless; purgeSolutions removes them for good.
+   * The result lists the problem links a later purge drops. dryRun returns
+   * the same report without moving anything.
+   */
+  async deleteSolutions(ids, { deletedBy = null, dryRun = false } = {}) {
     try {
       if (!Array.isArray(ids) || ids.length === 0) {
         throw new Error('No solution IDs provided');
       }
 
-      // Check for associated products first
-      const productCheckQuery = `
-        SELECT s.id, s.title, p.id as project_id, p.name as project_name
-        FROM dreamteam.solutions s
-        INNER JOIN dreamteam.projects p ON p.solution_id = s.id
-        WHERE s.id = ANY($1::uuid[])
-      `;
-      const productCheck = await pool.query(productCheckQuery, [ids]);
-
-      if (productCheck.rows.length > 0) {
-        const blockedSolutions = productCheck.rows.map(r => ({
-          id: r.id,
-          title: r.title,
-          project_name: r.project_name
-        }));
-        throw new Error(JSON.stringify({
-          code: 'HAS_PRODUCTS',
-          message: 'Cannot delete solutions with associated products. Delete products first.',
-          blocked_solutions: blockedSolutions
-        }));
-      }
-
-      // Delete from problem_solution_map first (FK constraint)
-      await pool.query(
-        `DELETE FROM dreamteam.problem_solution_map WHERE solution_id = ANY($1::uuid[])`,
-        [ids]
-      );
+      return await withTransaction(async (client) => {
+        // Check for associated products first (products already in the trash don't block)
+        const productCheckQuery = `
+          SELECT s.id, s.title, p.id as project_id, p.name as project_name
+          FROM dreamteam.solutions s
+          INNER JOIN dreamteam.projects p ON p.solution_id = s.id AND p.deleted_at IS NULL
+          WHERE s.id = ANY($1::uuid[])
+        `;
+        const productCheck = await client.query(productCheckQuery, [ids]);
+
+        if (productCheck.rows.length > 0) {
+          const blockedSolutions = productCheck.rows.map(r => ({
+            id: r.id,
+            title: r.title,
+            project_name: r.project_name
+          }));
+          throw new Error(JSON.stringify({
+            code: 'HAS_PRODUCTS',
+            message: 'Cannot delete solutions with associated products. Delete products first.',
+            blocked_solutions: blockedSolutions
+          }));
+        }
+
+        const deleteQuery = `
+          UPDATE dreamteam.solutions
+          SET deleted_at = NOW(), deleted_by = $2
+          WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL
+          RETURNING id, identifier, title
+        `;
+        const result = await client.query(deleteQuery, [ids, deletedBy]);
 
-      // Delete solutions
-      const deleteQuery = `
-        DELETE FROM dreamteam.solutions
-        WHERE id = ANY($1::uuid[])
-        RETURNING id, identifier, title
-      `;
-      const result = await pool.query(deleteQuery, [ids]);
+        const links = await client.query(
+          `SELECT m.solution_id, m.problem_id, p.identifier AS problem_identifier, p.title AS problem_title
+           FROM dreamteam.problem_solution_map m
+           JOIN dreamteam.problems p ON p.id = m.problem_id
+           WHERE m.solution_id = ANY($1::uuid[])
+           ORDER BY m.solution_id, p.identifier`,
+          [result.rows.map(r => r.id)]
+        );
 
-      console.log(`Deleted ${result.rows.length} solutions:`, result.rows.map(r => r.identifier).join(', '));
-      return {
-        deleted_count: result.rows.length,
-        deleted_solutions: result.rows
-      };
+        console.log(`${dryRun ? 'Previewed moving' : 'Moved'} ${result.rows.length} solutions to the trash:`, result.rows.map(r => r.identifier).join(', '));
+        return {
+          dry_run: dryRun,
+          deleted_count: result.rows.length,
+          deleted_solutions: result.rows,
+          problem_links_to_drop: links.rows
+        };
+      }, { dryRun });
     } catch (error) {
       console.error('Error deleting solutions:', error);
       throw error;
@@ -1268,73 +3902,247 @@ class DatabaseService {
     }
   }
 
-  async deleteProducts(ids) {
+  /**
+   * Move products to the trash. Their GitHub repos and GCP tenants are left
+   * alone until the products are purged; the result lists them as kept. dryRun
+   * returns the same report without moving anything.
+   */
+  async deleteProducts(ids, { deletedBy = null, dryRun = false } = {}) {
     try {
       if (!Array.isArray(ids) || ids.length === 0) {
         throw new Error('No product IDs provided');
       }
 
-      // Get products with their GitHub repo URLs and GCP tenant IDs for cascade deletion
-      const productsQuery = `
-        SELECT id, name, solution_id, github_repo_url, github_repo_name, gcpip_tenant_id
-        FROM dreamteam.projects
-        WHERE id = ANY($1::uuid[])
-      `;
-      const products = await pool.query(productsQuery, [ids]);
-
-      if (products.rows.length === 0) {
-        throw new Error('No products found with the provided IDs');
-      }
-
-      // Collect GitHub repos to delete
-      const githubRepos = products.rows
-        .filter(p => p.github_repo_url)
-        .map(p => ({
-          id: p.id,
-          name: p.github_repo_name,
-          url: p.github_repo_url
-        }));
-
-      // Collect GCP tenants to delete
-      const gcpTenants = products.rows
-        .filter(p => p.gcpip_tenant_id)
-        .map(p => ({
-          id: p.id,
-          tenantId: p.gcpip_tenant_id,
-          name: p.name
-        }));
-
-      // Get solution IDs to update
-      const solutionIds = [...new Set(products.rows.map(p => p.solution_id).filter(Boolean))];
-
-      // Delete products
-      const deleteQuery = `
-        DELETE FROM dreamteam.projects
-        WHERE id = ANY($1::uuid[])
-        RETURNING id, name
-      `;
-      const result = await pool.query(deleteQuery, [ids]);
+      return await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE dreamteam.projects
+           SET deleted_at = NOW(), deleted_by = $2
+           WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL
+           RETURNING id, name, github_repo_url, github_repo_name, gcpip_tenant_id`,
+          [ids, deletedBy]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('No products found with the provided IDs');
+        }
+
+        const githubRepos = result.rows
+          .filter(p => p.github_repo_url)
+          .map(p => ({ id: p.id, name: p.github_repo_name, url: p.github_repo_url }));
+        const gcpTenants = result.rows
+          .filter(p => p.gcpip_tenant_id)
+          .map(p => ({ id: p.id, tenantId: p.gcpip_tenant_id, name: p.name }));
+
+        console.log(`${dryRun ? 'Previewed moving' : 'Moved'} ${result.rows.length} products to the trash:`, result.rows.map(r => r.name).join(', '));
+        return {
+          dry_run: dryRun,
+          deleted_count: result.rows.length,
+          deleted_products: result.rows.map(({ id, name }) => ({ id, name })),
+          github_repos_kept: githubRepos,
+          gcp_tenants_kept: gcpTenants
+        };
+      }, { dryRun });
+    } catch (error) {
+      console.error('Error deleting products:', error);
+      throw error;
+    }
+  }
+
+  // === TRASH ===
+
+  /**
+   * Deleted solutions and products, most recently deleted first
+   */
+  async getTrash() {
+    try {
+      const solutions = await pool.query(
+        `SELECT s.id, s.identifier, s.title, s.status, s.deleted_at, s.deleted_by,
+                (SELECT COUNT(*) FROM dreamteam.problem_solution_map m WHERE m.solution_id = s.id)::int AS problem_count,
+                (SELECT COUNT(*) FROM dreamteam.projects p WHERE p.solution_id = s.id)::int AS product_count
+         FROM dreamteam.solutions s
+         WHERE s.deleted_at IS NOT NULL
+         ORDER BY s.deleted_at DESC`
+      );
+      const products = await pool.query(
+        `SELECT p.id, p.identifier, p.name, p.solution_id, s.title AS solution_title,
+                s.deleted_at IS NOT NULL AS solution_deleted,
+                p.github_repo_url, p.github_repo_name, p.gcpip_tenant_id, p.deleted_at, p.deleted_by
+         FROM dreamteam.projects p
+         LEFT JOIN dreamteam.solutions s ON s.id = p.solution_id
+         WHERE p.deleted_at IS NOT NULL
+         ORDER BY p.deleted_at DESC`
+      );
+      return { solutions: solutions.rows, products: products.rows };
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  }
+
+  async restoreSolutions(ids) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No solution IDs provided');
+      }
+      const result = await pool.query(
+        `UPDATE dreamteam.solutions
+         SET deleted_at = NULL, deleted_by = NULL
+         WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL
+         RETURNING id, identifier, title`,
+        [ids]
+      );
+      return { restored_count: result.rows.length, restored_solutions: result.rows };
+    } catch (error) {
+      console.error('Error restoring solutions:', error);
+      throw error;
+    }
+  }
 
-      // Clear github_repo_url on associated solutions
-      if (solutionIds.length > 0) {
-        await pool.query(
+  /**
+   * Restore products; a solution that was trashed after its product comes back with it
+   */
+  async restoreProducts(ids) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No product IDs provided');
+      }
+      return await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE dreamteam.projects
+           SET deleted_at = NULL, deleted_by = NULL
+           WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL
+           RETURNING id, name, solution_id`,
+          [ids]
+        );
+        const solutions = await client.query(
           `UPDATE dreamteam.solutions
-           SET github_repo_url = NULL, linear_project_id = NULL
-           WHERE id = ANY($1::uuid[])`,
-          [solutionIds]
+           SET deleted_at = NULL, deleted_by = NULL
+           WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL
+           RETURNING id`,
+          [result.rows.map(r => r.solution_id).filter(Boolean)]
         );
+        return {
+          restored_count: result.rows.length,
+          restored_products: result.rows.map(({ id, name }) => ({ id, name })),
+          restored_solution_ids: solutions.rows.map(r => r.id)
+        };
+      });
+    } catch (error) {
+      console.error('Error restoring products:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete trashed solutions with their problem links and history.
+   * Solutions that still have products (trashed or not) are refused. dryRun
+   * returns the same report without deleting anything.
+   */
+  async purgeSolutions(ids, { dryRun = false } = {}) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No solution IDs provided');
       }
+      return await withTransaction(async (client) => {
+        const blocked = await client.query(
+          `SELECT DISTINCT s.identifier
+           FROM dreamteam.solutions s
+           JOIN dreamteam.projects p ON p.solution_id = s.id
+           WHERE s.id = ANY($1::uuid[]) AND s.deleted_at IS NOT NULL
+           ORDER BY s.identifier`,
+          [ids]
+        );
+        if (blocked.rows.length > 0) {
+          throw new Error(`Cannot purge solutions that still have products: ${blocked.rows.map(r => r.identifier).join(', ')}. Purge their products first.`);
+        }
 
-      console.log(`Deleted ${result.rows.length} products:`, result.rows.map(r => r.name).join(', '));
-      return {
-        deleted_count: result.rows.length,
-        deleted_products: result.rows,
-        github_repos_to_delete: githubRepos,
-        gcp_tenants_to_delete: gcpTenants,
-        updated_solution_ids: solutionIds
-      };
+        const links = await client.query(
+          `DELETE FROM dreamteam.problem_solution_map m
+           USING dreamteam.solutions s
+           WHERE m.solution_id = s.id AND s.id = ANY($1::uuid[]) AND s.deleted_at IS NOT NULL`,
+          [ids]
+        );
+        const result = await client.query(
+          `DELETE FROM dreamteam.solutions
+           WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL
+           RETURNING id, identifier, title`,
+          [ids]
+        );
+
+        console.log(`${dryRun ? 'Previewed purging' : 'Purged'} ${result.rows.length} solutions:`, result.rows.map(r => r.identifier).join(', '));
+        return {
+          dry_run: dryRun,
+          purged_count: result.rows.length,
+          purged_solutions: result.rows,
+          problem_links_removed: links.rowCount
+        };
+      }, { dryRun });
     } catch (error) {
-      console.error('Error deleting products:', error);
+      console.error('Error purging solutions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete trashed products and queue teardown jobs for their
+   * GitHub repos and GCP tenants, which the result lists. dryRun returns the
+   * same report without deleting or queueing anything.
+   */
+  async purgeProducts(ids, { requestedBy = null, dryRun = false } = {}) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No product IDs provided');
+      }
+      return await withTransaction(async (client) => {
+        const products = await client.query(
+          `SELECT id, name, solution_id, github_repo_url, github_repo_name, gcpip_tenant_id
+           FROM dreamteam.projects
+           WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL`,
+          [ids]
+        );
+        if (products.rows.length === 0) {
+          throw new Error('No trashed products found with the provided IDs');
+        }
+
+        const githubRepos = products.rows
+          .filter(p => p.github_repo_url)
+          .map(p => ({ id: p.id, name: p.github_repo_name, url: p.github_repo_url }));
+        const gcpTenants = products.rows
+          .filter(p => p.gcpip_tenant_id)
+          .map(p => ({ id: p.id, tenantId: p.gcpip_tenant_id, name: p.name }));
+        const solutionIds = [...new Set(products.rows.map(p => p.solution_id).filter(Boolean))];
+
+        const result = await client.query(
+          `DELETE FROM dreamteam.projects WHERE id = ANY($1::uuid[]) RETURNING id, name`,
+          [products.rows.map(p => p.id)]
+        );
+
+        // Clear github_repo_url on associated solutions
+        if (solutionIds.length > 0) {
+          await client.query(
+            `UPDATE dreamteam.solutions
+             SET github_repo_url = NULL, linear_project_id = NULL
+             WHERE id = ANY($1::uuid[])`,
+            [solutionIds]
+          );
+        }
+
+        // Repos and tenants are deleted by the teardown worker, never lost with the rows
+        const teardownJobIds = dryRun ? [] : await teardownService.enqueue(client, products.rows, { requestedBy });
+
+        console.log(`${dryRun ? 'Previewed purging' : 'Purged'} ${result.rows.length} products:`, result.rows.map(r => r.name).join(', '));
+        return {
+          dry_run: dryRun,
+          purged_count: result.rows.length,
+          purged_products: result.rows,
+          github_repos_to_delete: githubRepos,
+          gcp_tenants_to_delete: gcpTenants,
+          updated_solution_ids: solutionIds,
+          teardown_job_ids: teardownJobIds
+        };
+      }, { dryRun });
+    } catch (error) {
+      console.error('Error purging products:', error);
       throw error;
     }
   }
@@ -1360,6 +4168,141 @@ class DatabaseService {
     return result[0].scenario_id;
   }
 
+  /**
+   * Submit a grid of k values x similarity thresholds as one named sweep.
+   * Every combination becomes a regular pending scenario, linked to the sweep.
+   */
+  async createClusteringSweep({ name, entityType, kValues, thresholds, requestedBy = null }) {
+    try {
+      const sweepName = String(name ?? '').trim();
+      const ks = [...new Set((kValues || []).map(k => parseInt(k)))].sort((a, b) => a - b);
+      const ts = [...new Set((thresholds || []).map(t => parseFloat(t)))].sort((a, b) => a - b);
+
+      if (!sweepName) {
+        throw new Error('Sweep name is required');
+      }
+      if (!['problem', 'solution'].includes(entityType)) {
+        throw new Error(`Invalid entity type: ${entityType}`);
+      }
+      if (ks.length === 0 || ks.some(k => isNaN(k) || k < 2)) {
+        throw new Error('k values must be integers of at least 2');
+      }
+      if (ts.length === 0 || ts.some(t => isNaN(t) || t <= 0 || t >= 1)) {
+        throw new Error('Similarity thresholds must be between 0 and 1');
+      }
+      if (ks.length * ts.length > MAX_SWEEP_SCENARIOS) {
+        throw new Error(`A sweep can have at most ${MAX_SWEEP_SCENARIOS} scenarios (got ${ks.length * ts.length})`);
+      }
+
+      return await withTransaction(async (client) => {
+        const sweepResult = await client.query(
+          `INSERT INTO dreamteam.clustering_sweeps (name, entity_type, k_values, similarity_thresholds, requested_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [sweepName, entityType, ks, ts, requestedBy]
+        );
+        const sweep = sweepResult.rows[0];
+
+        const scenarioIds = [];
+        for (const t of ts) {
+          for (const k of ks) {
+            const scenario = await client.query(
+              `SELECT dreamteam.create_clustering_scenario($1, $2, $3, $4, $5) as scenario_id`,
+              [entityType, k, t, requestedBy, `Sweep "${sweepName}": K=${k}, T=${t}`]
+            );
+            scenarioIds.push(scenario.rows[0].scenario_id);
+          }
+        }
+        await client.query(
+          `INSERT INTO dreamteam.clustering_sweep_scenarios (sweep_id, scenario_id)
+           SELECT $1, unnest($2::uuid[])`,
+          [sweep.id, scenarioIds]
+        );
+
+        console.log(`Created sweep ${sweep.id} (${sweepName}) with ${scenarioIds.length} scenarios`);
+        return { ...sweep, scenario_ids: scenarioIds };
+      });
+    } catch (error) {
+      console.error('Error creating clustering sweep:', error);
+      throw error;
+    }
+  }
+
+  // Sweeps with progress across their child scenarios
+  async getClusteringSweeps(entityType = null) {
+    try {
+      const values = [];
+      let query = `
+        SELECT
+          sw.*,
+          COUNT(s.id)::int as scenario_count,
+          COUNT(*) FILTER (WHERE s.status = 'completed')::int as completed_count,
+          COUNT(*) FILTER (WHERE s.status = 'failed')::int as failed_count,
+          COUNT(*) FILTER (WHERE s.status = 'processing')::int as processing_count,
+          COUNT(*) FILTER (WHERE s.status = 'pending')::int as pending_count
+        FROM dreamteam.clustering_sweeps sw
+        LEFT JOIN dreamteam.clustering_sweep_scenarios ss ON ss.sweep_id = sw.id
+        LEFT JOIN dreamteam.clustering_scenarios s ON s.id = ss.scenario_id
+        WHERE 1=1
+      `;
+
+      if (entityType) {
+        values.push(entityType);
+        query += ` AND sw.entity_type = $${values.length}`;
+      }
+
+      query += ` GROUP BY sw.id ORDER BY sw.created_at DESC`;
+
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching clustering sweeps:', error);
+      throw error;
+    }
+  }
+
+  // One sweep with per-scenario results for the elbow chart
+  async getClusteringSweepDetails(sweepId) {
+    try {
+      const sweepResult = await pool.query(
+        `SELECT * FROM dreamteam.clustering_sweeps WHERE id = $1`,
+        [sweepId]
+      );
+      const sweep = sweepResult.rows[0];
+      if (!sweep) {
+        return null;
+      }
+
+      const scenarios = await pool.query(
+        `SELECT
+           s.id,
+           s.k_value,
+           s.similarity_threshold,
+           s.status,
+           s.total_items,
+           s.outlier_count,
+           s.outlier_percentage,
+           s.completed_at,
+           COUNT(c.cluster_id) FILTER (WHERE NOT COALESCE(c.is_outlier_bucket, false))::int as cluster_count,
+           -- Size-weighted, so a few tiny tight clusters don't flatter the average
+           SUM(c.avg_similarity * c.item_count) FILTER (WHERE NOT COALESCE(c.is_outlier_bucket, false))
+             / NULLIF(SUM(c.item_count) FILTER (WHERE NOT COALESCE(c.is_outlier_bucket, false)), 0) as avg_similarity
+         FROM dreamteam.clustering_sweep_scenarios ss
+         JOIN dreamteam.clustering_scenarios s ON s.id = ss.scenario_id
+         LEFT JOIN dreamteam.scenario_clusters c ON c.scenario_id = s.id
+         WHERE ss.sweep_id = $1
+         GROUP BY s.id
+         ORDER BY s.similarity_threshold, s.k_value`,
+        [sweepId]
+      );
+
+      return { ...sweep, scenarios: scenarios.rows };
+    } catch (error) {
+      console.error('Error fetching clustering sweep details:', error);
+      throw error;
+    }
+  }
+
   async getClusteringScenarios(entityType = null, status = null) {
     let query = `
       SELECT 
@@ -1474,6 +4417,108 @@ class DatabaseService {
     return scenario;
   }
 
+  /**
+   * Compare two completed scenarios of the same entity type: agreement metrics
+   * (adjusted Rand index, pairwise overlap), the cluster-to-cluster overlap
+   * matrix as non-empty cells, and the items that don't follow their cluster.
+   */
+  async compareClusteringScenarios(scenarioA, scenarioB, { movedLimit = 200 } = {}) {
+    try {
+      const scenariosResult = await pool.query(
+        `SELECT id, entity_type, status, k_value, similarity_threshold, outlier_percentage, total_items
+         FROM dreamteam.clustering_scenarios
+         WHERE id = ANY($1::uuid[])`,
+        [[scenarioA, scenarioB]]
+      );
+      const a = scenariosResult.rows.find(s => s.id === scenarioA);
+      const b = scenariosResult.rows.find(s => s.id === scenarioB);
+      if (!a || !b) {
+        throw new Error('Scenario not found');
+      }
+      if (a.status !== 'completed' || b.status !== 'completed') {
+        throw new Error('Can only compare completed scenarios');
+      }
+      if (a.entity_type !== b.entity_type) {
+        throw new Error('Scenarios cluster different entity types');
+      }
+
+      const loadClusters = async (scenarioId) => (await pool.query(
+        `SELECT cluster_id, item_count, avg_similarity,
+                COALESCE(is_outlier_bucket, false) as is_outlier_bucket,
+                CASE WHEN is_outlier_bucket THEN 'Outliers' ELSE COALESCE(sample_titles[1], 'Cluster ' || cluster_id) END as label
+         FROM dreamteam.scenario_clusters
+         WHERE scenario_id = $1
+         ORDER BY is_outlier_bucket, item_count DESC`,
+        [scenarioId]
+      )).rows;
+      const loadAssignments = async (scenarioId) => new Map((await pool.query(
+        `SELECT entity_id, cluster_id FROM dreamteam.scenario_assignments WHERE scenario_id = $1`,
+        [scenarioId]
+      )).rows.map(row => [row.entity_id, row.cluster_id]));
+
+      const clustersA = await loadClusters(a.id);
+      const clustersB = await loadClusters(b.id);
+      const assignmentA = await loadAssignments(a.id);
+      const assignmentB = await loadAssignments(b.id);
+
+      const agreement = clusteringService.compareAssignments(assignmentA, assignmentB);
+
+      // Cluster counterparts, from the items both scenarios placed
+      const toMembership = (assignment, other) => {
+        const membership = new Map();
+        for (const [id, clusterId] of assignment) {
+          if (!other.has(id)) continue;
+          if (!membership.has(clusterId)) membership.set(clusterId, new Set());
+          membership.get(clusterId).add(id);
+        }
+        return membership;
+      };
+      const { matches } = clusteringService.matchClusters(
+        toMembership(assignmentA, assignmentB),
+        toMembership(assignmentB, assignmentA)
+      );
+      const counterpart = new Map(matches.map(m => [m.from, m.to]));
+
+      const movedIds = [...assignmentA.keys()].filter(id =>
+        assignmentB.has(id) && counterpart.get(assignmentA.get(id)) !== assignmentB.get(id)
+      );
+      const movedDetails = movedIds.length > 0
+        ? (await pool.query(
+          `SELECT id, identifier, title FROM dreamteam.${a.entity_type}s WHERE id = ANY($1::uuid[])`,
+          [movedIds.slice(0, movedLimit)]
+        )).rows
+        : [];
+      const moved = movedDetails.map(item => ({
+        ...item,
+        cluster_a: assignmentA.get(item.id),
+        cluster_b: assignmentB.get(item.id)
+      }));
+
+      return {
+        entity_type: a.entity_type,
+        a: { ...a, clusters: clustersA },
+        b: { ...b, clusters: clustersB },
+        metrics: {
+          adjusted_rand_index: agreement.adjusted_rand_index,
+          rand_index: agreement.rand_index,
+          pair_overlap: agreement.pair_overlap,
+          items_compared: agreement.compared_count,
+          items_only_in_a: [...assignmentA.keys()].filter(id => !assignmentB.has(id)).length,
+          items_only_in_b: [...assignmentB.keys()].filter(id => !assignmentA.has(id)).length,
+          matched_clusters: matches.length,
+          items_moved: movedIds.length
+        },
+        overlaps: agreement.cells,
+        matches: matches.map(m => ({ a: m.from, b: m.to, jaccard: m.jaccard })),
+        moved,
+        moved_truncated: movedIds.length > moved.length
+      };
+    } catch (error) {
+      console.error('Error comparing clustering scenarios:', error);
+      throw error;
+    }
+  }
+
   async deleteClusteringScenario(scenarioId) {
     await this.executeQuery(
       `DELETE FROM dreamteam.clustering_scenarios WHERE id = $1 AND status IN ('pending', 'failed', 'completed')`,
@@ -1510,57 +4555,363 @@ class DatabaseService {
     return result[0];
   }
   
-  async applyScenarioToProduction(scenarioId) {
-    // First check if scenario is completed
-    const scenarioResult = await this.executeQuery(
-      `SELECT entity_type, status FROM dreamteam.clustering_scenarios WHERE id = $1`,
-      [scenarioId]
-    );
-    
-    if (scenarioResult.length === 0) {
-      throw new Error('Scenario not found');
+  /**
+   * Apply a completed scenario as a new cluster version, atomically.
+   * The replaced assignments, active version and production config are kept
+   * as a restore point (see undoScenarioApplication). dryRun reports the same
+   * result, including how many items change cluster, without keeping anything.
+   */
+  async applyScenarioToProduction(scenarioId, { dryRun = false, appliedBy = null } = {}) {
+    try {
+      return await withTransaction(async (client) => {
+        const scenarioResult = await client.query(
+          `SELECT id, entity_type, status, k_value, similarity_threshold, outlier_percentage
+           FROM dreamteam.clustering_scenarios
+           WHERE id = $1
+           FOR UPDATE`,
+          [scenarioId]
+        );
+        const scenario = scenarioResult.rows[0];
+        if (!scenario) {
+          throw new Error('Scenario not found');
+        }
+        if (scenario.status !== 'completed') {
+          throw new Error('Can only apply completed scenarios');
+        }
+
+        const entityType = scenario.entity_type;
+        const target = SCENARIO_TARGETS[entityType];
+        if (!target) {
+          throw new Error(`Unsupported entity type: ${entityType}`);
+        }
+
+        const versionResult = await client.query(`
+          SELECT
+            COALESCE(
+              (SELECT version FROM dreamteam.${target.versionTable} WHERE is_active = true),
+              (SELECT MAX(version) FROM dreamteam.${target.centroidTable})
+            ) as previous_version,
+            GREATEST(
+              (SELECT COALESCE(MAX(version), 0) FROM dreamteam.${target.centroidTable}),
+              (SELECT COALESCE(MAX(version), 0) FROM dreamteam.${target.versionTable})
+            ) + 1 as new_version
+        `);
+        const { previous_version: previousVersion, new_version: newVersion } = versionResult.rows[0];
+
+        // Compare memberships before anything is written
+        const toMembership = (rows) => {
+          const membership = new Map();
+          for (const row of rows) {
+            if (!membership.has(row.cluster_id)) membership.set(row.cluster_id, new Set());
+            membership.get(row.cluster_id).add(row.entity_id);
+          }
+          return membership;
+        };
+        const current = toMembership((await client.query(
+          `SELECT id as entity_id, ${target.clusterColumn} as cluster_id
+           FROM dreamteam.${target.table}
+           WHERE ${target.clusterColumn} IS NOT NULL`
+        )).rows);
+        const proposed = toMembership((await client.query(
+          `SELECT entity_id, cluster_id FROM dreamteam.scenario_assignments WHERE scenario_id = $1`,
+          [scenarioId]
+        )).rows);
+        const { matches } = clusteringService.matchClusters(current, proposed);
+        const itemsChanged = clusteringService.countChangedMembers(current, proposed, matches);
+
+        // Restore point
+        const configResult = await client.query(
+          `SELECT k_value, similarity_threshold, outlier_percentage, cluster_count, avg_cluster_size
+           FROM dreamteam.clustering_config WHERE entity_type = $1`,
+          [entityType]
+        );
+        const applicationResult = await client.query(
+          `INSERT INTO dreamteam.scenario_applications
+             (scenario_id, entity_type, previous_version, applied_version, previous_config, items_changed, applied_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [scenarioId, entityType, previousVersion, newVersion,
+            configResult.rows[0] ? JSON.stringify(configResult.rows[0]) : null, itemsChanged, appliedBy]
+        );
+        const applicationId = applicationResult.rows[0].id;
+        await client.query(
+          `INSERT INTO dreamteam.scenario_restore_assignments
+             (application_id, entity_id, cluster_id, cluster_label, cluster_similarity)
+           SELECT $1, id, ${target.clusterColumn}, ${target.labelColumn}, ${target.similarityColumn}
+           FROM dreamteam.${target.table}`,
+          [applicationId]
+        );
+        if (entityType === 'problem' && previousVersion !== null) {
+          await saveVersionAssignments(client, previousVersion);
+        }
+
+        // New version: centroids from the scenario, labelled like the scenario results view
+        await client.query(
+          `INSERT INTO dreamteam.${target.centroidTable}
+             (cluster_id, version, cluster_label, is_outlier_bucket, avg_similarity, centroid, created_at)
+           SELECT
+             cluster_id,
+             $2,
+             CASE WHEN is_outlier_bucket THEN 'Outliers' ELSE COALESCE(sample_titles[1], 'Cluster ' || cluster_id) END,
+             COALESCE(is_outlier_bucket, false),
+             avg_similarity,
+             centroid,
+             NOW()
+           FROM dreamteam.scenario_clusters
+           WHERE scenario_id = $1`,
+          [scenarioId, newVersion]
+        );
+
+        const assigned = await client.query(
+          `UPDATE dreamteam.${target.table} t
+           SET
+             ${target.clusterColumn} = sa.cluster_id,
+             ${target.labelColumn} = c.cluster_label,
+             ${target.similarityColumn} = sa.similarity::REAL
+           FROM dreamteam.scenario_assignments sa
+           LEFT JOIN dreamteam.${target.centroidTable} c
+             ON c.cluster_id = sa.cluster_id AND c.version = $2
+           WHERE sa.scenario_id = $1
+             AND sa.entity_id = t.id`,
+          [scenarioId, newVersion]
+        );
+        // Items added after the scenario ran have no place in it; the next run picks them up
+        const unassigned = await client.query(
+          `UPDATE dreamteam.${target.table} t
+           SET ${target.clusterColumn} = NULL, ${target.labelColumn} = NULL, ${target.similarityColumn} = NULL
+           WHERE t.${target.clusterColumn} IS NOT NULL
+             AND NOT EXISTS (
+               SELECT 1 FROM dreamteam.scenario_assignments sa
+               WHERE sa.scenario_id = $1 AND sa.entity_id = t.id
+             )`,
+          [scenarioId]
+        );
+
+        // Manual overrides don't survive a full recluster - retire them and report how many
+        let overridesReplaced = 0;
+        if (entityType === 'problem') {
+          const replaced = await client.query(
+            `UPDATE dreamteam.cluster_assignment_overrides
+             SET superseded_at = NOW()
+             WHERE superseded_at IS NULL
+             RETURNING id`
+          );
+          overridesReplaced = replaced.rows.length;
+          await client.query(
+            `UPDATE dreamteam.scenario_applications SET superseded_override_ids = $2 WHERE id = $1`,
+            [applicationId, replaced.rows.map(r => r.id)]
+          );
+        }
+
+        await client.query(`UPDATE dreamteam.${target.versionTable} SET is_active = false WHERE is_active = true`);
+        await client.query(
+          `INSERT INTO dreamteam.${target.versionTable} (version, is_active)
+           VALUES ($1, true)
+           ON CONFLICT (version) DO UPDATE SET is_active = true`,
+          [newVersion]
+        );
+
+        const clusterCount = (await client.query(
+          `SELECT COUNT(*)::int as count FROM dreamteam.scenario_clusters
+           WHERE scenario_id = $1 AND NOT COALESCE(is_outlier_bucket, false)`,
+          [scenarioId]
+        )).rows[0].count;
+        const newConfig = [
+          entityType,
+          scenario.k_value,
+          scenario.similarity_threshold,
+          scenario.outlier_percentage,
+          clusterCount,
+          clusterCount > 0 ? assigned.rowCount / clusterCount : null
+        ];
+        const configUpdate = await client.query(
+          `UPDATE dreamteam.clustering_config
+           SET k_value = $2, similarity_threshold = $3, outlier_percentage = $4,
+               cluster_count = $5, avg_cluster_size = $6, last_updated = NOW()
+           WHERE entity_type = $1`,
+          newConfig
+        );
+        if (configUpdate.rowCount === 0) {
+          await client.query(
+            `INSERT INTO dreamteam.clustering_config
+               (entity_type, k_value, similarity_threshold, outlier_percentage, cluster_count, avg_cluster_size, last_updated)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+            newConfig
+          );
+        }
+
+        await client.query(
+          `UPDATE dreamteam.clustering_scenarios
+           SET notes = COALESCE(notes || ' | ', '') || 'Applied to production at ' || NOW()::TEXT
+           WHERE id = $1`,
+          [scenarioId]
+        );
+
+        console.log(`${dryRun ? 'Previewed' : 'Applied'} scenario ${scenarioId} as ${entityType} cluster version ${newVersion}`);
+        return {
+          success: true,
+          dry_run: dryRun,
+          application_id: dryRun ? null : applicationId,
+          entityType,
+          previous_version: previousVersion,
+          version: newVersion,
+          cluster_count: clusterCount,
+          items_assigned: assigned.rowCount,
+          items_changed: itemsChanged,
+          items_unassigned: unassigned.rowCount,
+          overrides_replaced: overridesReplaced
+        };
+      }, { dryRun });
+    } catch (error) {
+      console.error('Error applying scenario to production:', error);
+      throw error;
     }
-    
-    if (scenarioResult[0].status !== 'completed') {
-      throw new Error('Can only apply completed scenarios');
+  }
+
+  // Scenario applications (restore points), newest first
+  async getScenarioApplications(entityType = null) {
+    try {
+      const values = [];
+      let query = `
+        SELECT
+          a.id, a.scenario_id, a.entity_type, a.previous_version, a.applied_version,
+          a.items_changed, a.applied_by, a.applied_at, a.undone_at,
+          s.k_value, s.similarity_threshold
+        FROM dreamteam.scenario_applications a
+        LEFT JOIN dreamteam.clustering_scenarios s ON s.id = a.scenario_id
+        WHERE 1=1
+      `;
+
+      if (entityType) {
+        values.push(entityType);
+        query += ` AND a.entity_type = $${values.length}`;
+      }
+
+      query += ` ORDER BY a.applied_at DESC, a.id DESC`;
+
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching scenario applications:', error);
+      throw error;
     }
-    
-    const entityType = scenarioResult[0].entity_type;
-    
-    // Apply the scenario assignments to production
-    if (entityType === 'problem') {
-      await this.executeQuery(
-        `UPDATE dreamteam.problems p
-         SET 
-           cluster_id = sa.cluster_id,
-           cluster_similarity = sa.similarity::REAL
-         FROM dreamteam.scenario_assignments sa
-         WHERE sa.scenario_id = $1
-           AND sa.entity_id = p.id`,
-        [scenarioId]
-      );
-    } else {
-      await this.executeQuery(
-        `UPDATE dreamteam.solutions s
-         SET 
-           solution_cluster_id = sa.cluster_id,
-           cluster_similarity = sa.similarity::REAL
-         FROM dreamteam.scenario_assignments sa
-         WHERE sa.scenario_id = $1
-           AND sa.entity_id = s.id`,
-        [scenarioId]
-      );
+  }
+
+  /**
+   * Undo a scenario application from its restore point: assignments, active
+   * version, production config and the manual overrides it retired all go back.
+   * Only the latest application per entity type that is still in force can be
+   * undone, and only while the version it applied is still the active one.
+   */
+  async undoScenarioApplication(applicationId) {
+    try {
+      return await withTransaction(async (client) => {
+        const applicationResult = await client.query(
+          `SELECT * FROM dreamteam.scenario_applications WHERE id = $1 FOR UPDATE`,
+          [applicationId]
+        );
+        const application = applicationResult.rows[0];
+        if (!application) {
+          throw new Error('Scenario application not found');
+        }
+        if (application.undone_at) {
+          throw new Error('Scenario application has already been undone');
+        }
+
+        const later = await client.query(
+          `SELECT 1 FROM dreamteam.scenario_applications
+           WHERE entity_type = $1 AND id > $2 AND undone_at IS NULL
+           LIMIT 1`,
+          [application.entity_type, application.id]
+        );
+        if (later.rows.length > 0) {
+          throw new Error('Only the most recent scenario application can be undone');
+        }
+
+        const target = SCENARIO_TARGETS[application.entity_type];
+
+        // Activating another version since the apply moved production off the
+        // restore point's baseline; undoing now would overwrite that version
+        const active = await client.query(
+          `SELECT version FROM dreamteam.${target.versionTable} WHERE is_active = true FOR UPDATE`
+        );
+        if (active.rows[0]?.version !== application.applied_version) {
+          throw new Error(`Version ${application.applied_version} is no longer active; re-activate it before undoing this application`);
+        }
+
+        // Keep the applied version's assignments so it can still be re-activated later
+        if (application.entity_type === 'problem') {
+          await saveVersionAssignments(client, application.applied_version);
+        }
+
+        const restored = await client.query(
+          `UPDATE dreamteam.${target.table} t
+           SET
+             ${target.clusterColumn} = r.cluster_id,
+             ${target.labelColumn} = r.cluster_label,
+             ${target.similarityColumn} = r.cluster_similarity
+           FROM dreamteam.${target.table} t2
+           LEFT JOIN dreamteam.scenario_restore_assignments r
+             ON r.entity_id = t2.id AND r.application_id = $1
+           WHERE t.id = t2.id`,
+          [application.id]
+        );
+
+        await client.query(`UPDATE dreamteam.${target.versionTable} SET is_active = false WHERE is_active = true`);
+        if (application.previous_version !== null) {
+          await client.query(
+            `INSERT INTO dreamteam.${target.versionTable} (version, is_active)
+             VALUES ($1, true)
+             ON CONFLICT (version) DO UPDATE SET is_active = true`,
+            [application.previous_version]
+          );
+        }
+
+        if (application.previous_config) {
+          const config = application.previous_config;
+          await client.query(
+            `UPDATE dreamteam.clustering_config
+             SET k_value = $2, similarity_threshold = $3, outlier_percentage = $4,
+                 cluster_count = $5, avg_cluster_size = $6, last_updated = NOW()
+             WHERE entity_type = $1`,
+            [application.entity_type, config.k_value, config.similarity_threshold,
+              config.outlier_percentage, config.cluster_count, config.avg_cluster_size]
+          );
+        } else {
+          await client.query(`DELETE FROM dreamteam.clustering_config WHERE entity_type = $1`, [application.entity_type]);
+        }
+
+        if (application.superseded_override_ids.length > 0) {
+          await client.query(
+            `UPDATE dreamteam.cluster_assignment_overrides SET superseded_at = NULL WHERE id = ANY($1::int[])`,
+            [application.superseded_override_ids]
+          );
+        }
+
+        await client.query(
+          `UPDATE dreamteam.scenario_applications SET undone_at = NOW() WHERE id = $1`,
+          [application.id]
+        );
+        await client.query(
+          `UPDATE dreamteam.clustering_scenarios
+           SET notes = COALESCE(notes || ' | ', '') || 'Application undone at ' || NOW()::TEXT
+           WHERE id = $1`,
+          [application.scenario_id]
+        );
+
+        console.log(`Undid scenario application ${application.id}, ${application.entity_type} version ${application.previous_version} active again`);
+        return {
+          application_id: application.id,
+          entity_type: application.entity_type,
+          restored_version: application.previous_version,
+          items_restored: restored.rowCount,
+          overrides_restored: application.superseded_override_ids.length
+        };
+      });
+    } catch (error) {
+      console.error('Error undoing scenario application:', error);
+      throw error;
     }
-    
-    // Mark scenario as applied
-    await this.executeQuery(
-      `UPDATE dreamteam.clustering_scenarios 
-       SET notes = COALESCE(notes || ' | ', '') || 'Applied to production at ' || NOW()::TEXT
-       WHERE id = $1`,
-      [scenarioId]
-    );
-    
-    return { success: true, entityType };
   }
 }
 
@@ -1,6 +1,26 @@
 import dotenv from 'dotenv';
+import databaseService from './database.service.js';
 dotenv.config();
 
+// Larger inputs and responses (e.g. features.json) are stored as a truncated preview
+const MAX_RUN_PAYLOAD_CHARS = 10000;
+
+const capPayload = (payload) => {
+  const json = JSON.stringify(payload);
+  return json === undefined || json.length <= MAX_RUN_PAYLOAD_CHARS
+    ? payload
+    : { truncated: true, preview: json.slice(0, MAX_RUN_PAYLOAD_CHARS) };
+};
+
+// Recording a run must never keep a workflow from being triggered
+const recordSafely = async (promise) => {
+  try {
+    return await promise;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * n8n Integration Service
  * Handles communication with n8n workflows
@@ -21,27 +41,80 @@ class N8nService {
   }
 
   /**
-   * Trigger F1: Problem Ingestion
+   * POST a payload to a workflow webhook and record it in workflow_runs.
+   * Resolves with { ok, status, statusText, body } where body is the parsed
+   * JSON response (or its text); callers decide what counts as an error.
+   * Network errors are recorded and rethrown with `code` set from their cause
+   * (e.g. ECONNREFUSED) so callers can tell an offline n8n apart.
+   * @param {string} workflow - f1, f2, f3 or f4
    */
-  async triggerProblemIngestion(sourceUrl) {
+  async runWorkflow(workflow, url, payload, { requestedBy = null, headers = {} } = {}) {
+    const startedAt = Date.now();
+    const webhook = String(url).split('/').pop();
+    const runId = await recordSafely(databaseService.createWorkflowRun({
+      workflow,
+      webhook,
+      input: capPayload(payload),
+      requestedBy
+    }));
+    const finish = (outcome) => runId && recordSafely(databaseService.finishWorkflowRun(runId, {
+      ...outcome,
+      durationMs: Date.now() - startedAt
+    }));
+
     try {
-      const response = await fetch(this.workflows.f1_ingest, {
+      const response = await fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
+          ...headers
         },
-        body: JSON.stringify({ 
-          source_url: sourceUrl,
-          triggered_by: 'studio-v2'
-        })
+        body: JSON.stringify(payload)
+      });
+
+      const text = await response.text();
+      let body = text;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (parseError) {
+        // Not JSON; keep the text
+      }
+
+      await finish({
+        status: response.ok ? 'succeeded' : 'failed',
+        httpStatus: response.status,
+        response: capPayload(body),
+        error: response.ok ? null : `n8n responded with ${response.status}`
+      });
+
+      return { ok: response.ok, status: response.status, statusText: response.statusText, body, runId };
+    } catch (error) {
+      if (!error.code && error.cause?.code) {
+        error.code = error.cause.code;
+      }
+      await finish({
+        status: 'failed',
+        error: error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message
       });
+      throw error;
+    }
+  }
+
+  /**
+   * Trigger F1: Problem Ingestion
+   */
+  async triggerProblemIngestion(sourceUrl, { requestedBy = null } = {}) {
+    try {
+      const response = await this.runWorkflow('f1', this.workflows.f1_ingest, {
+        source_url: sourceUrl,
+        triggered_by: 'studio-v2'
+      }, { requestedBy, headers: { 'X-API-Key': this.apiKey } });
 
       if (!response.ok) {
         throw new Error(`n8n responded with ${response.status}`);
       }
 
-      return await response.json();
+      return response.body;
     } catch (error) {
       console.error('Error triggering F1:', error);
       throw error;
@@ -51,26 +124,19 @@ class N8nService {
   /**
    * Trigger F2: Clustering
    */
-  async triggerClustering(options = {}) {
+  async triggerClustering(options = {}, { requestedBy = null } = {}) {
     try {
-      const response = await fetch(this.workflows.f2_cluster, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
-        },
-        body: JSON.stringify({
-          force_recluster: options.forceRecluster || false,
-          min_cluster_size: options.minClusterSize || 5,
-          triggered_by: 'studio-v2'
-        })
-      });
+      const response = await this.runWorkflow('f2', this.workflows.f2_cluster, {
+        force_recluster: options.forceRecluster || false,
+        min_cluster_size: options.minClusterSize || 5,
+        triggered_by: 'studio-v2'
+      }, { requestedBy, headers: { 'X-API-Key': this.apiKey } });
 
       if (!response.ok) {
         throw new Error(`n8n responded with ${response.status}`);
       }
 
-      return await response.json();
+      return response.body;
     } catch (error) {
       console.error('Error triggering F2:', error);
       throw error;
@@ -80,25 +146,18 @@ class N8nService {
   /**
    * Trigger F3: Solution Generation (from cluster)
    */
-  async triggerSolutionGeneration(clusterId) {
+  async triggerSolutionGeneration(clusterId, { requestedBy = null } = {}) {
     try {
-      const response = await fetch(this.workflows.f3_generate, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
-        },
-        body: JSON.stringify({
-          cluster_id: clusterId,
-          triggered_by: 'studio-v2'
-        })
-      });
+      const response = await this.runWorkflow('f3', this.workflows.f3_generate, {
+        cluster_id: clusterId,
+        triggered_by: 'studio-v2'
+      }, { requestedBy, headers: { 'X-API-Key': this.apiKey } });
 
       if (!response.ok) {
         throw new Error(`n8n responded with ${response.status}`);
       }
 
-      return await response.json();
+      return response.body;
     } catch (error) {
       console.error('Error triggering F3:', error);
       throw error;
@@ -109,40 +168,33 @@ class N8nService {
    * Trigger F3: Create Solution (with URL and/or user fields)
    * F3 handles all input modes - URL research, manual fields, or both
    */
-  async createSolution(solutionData) {
+  async createSolution(solutionData, { requestedBy = null } = {}) {
     try {
-      const response = await fetch(this.workflows.f3_generate, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
-        },
-        body: JSON.stringify({
-          // Pass URL if provided (triggers URL mode in F3)
-          url: solutionData.source_url || null,
-          // Pass all user-provided fields (F3 preserves these)
-          title: solutionData.title || null,
-          description: solutionData.description || null,
-          value_proposition: solutionData.value_proposition || null,
-          target_audience: solutionData.target_audience || null,
-          problem_statement: solutionData.problem_statement || null,
-          primary_feature: solutionData.primary_feature || null,
-          key_features: solutionData.key_features || null,
-          differentiators: solutionData.differentiators || null,
-          tech_stack: solutionData.tech_stack || null,
-          revenue_model: solutionData.revenue_model || null,
-          pricing_strategy: solutionData.pricing_strategy || null,
-          target_industry: solutionData.target_industry || null,
-          triggered_by: 'studio-v2'
-        })
-      });
+      const response = await this.runWorkflow('f3', this.workflows.f3_generate, {
+        // Pass URL if provided (triggers URL mode in F3)
+        url: solutionData.source_url || null,
+        // Pass all user-provided fields (F3 preserves these)
+        title: solutionData.title || null,
+        description: solutionData.description || null,
+        value_proposition: solutionData.value_proposition || null,
+        target_audience: solutionData.target_audience || null,
+        problem_statement: solutionData.problem_statement || null,
+        primary_feature: solutionData.primary_feature || null,
+        key_features: solutionData.key_features || null,
+        differentiators: solutionData.differentiators || null,
+        tech_stack: solutionData.tech_stack || null,
+        revenue_model: solutionData.revenue_model || null,
+        pricing_strategy: solutionData.pricing_strategy || null,
+        target_industry: solutionData.target_industry || null,
+        triggered_by: 'studio-v2'
+      }, { requestedBy, headers: { 'X-API-Key': this.apiKey } });
 
       if (!response.ok) {
-        const errorText = await response.text();
+        const errorText = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
         throw new Error(`n8n responded with ${response.status}: ${errorText}`);
       }
 
-      return await response.json();
+      return response.body;
     } catch (error) {
       console.error('Error triggering F3 create solution:', error);
       throw error;
@@ -152,25 +204,18 @@ class N8nService {
   /**
    * Trigger F4: Project Birth
    */
-  async triggerProjectBirth(solutionId) {
+  async triggerProjectBirth(solutionId, { requestedBy = null } = {}) {
     try {
-      const response = await fetch(this.workflows.f4_birth, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
-        },
-        body: JSON.stringify({
-          solution_id: solutionId,
-          triggered_by: 'studio-v2'
-        })
-      });
+      const response = await this.runWorkflow('f4', this.workflows.f4_birth, {
+        solution_id: solutionId,
+        triggered_by: 'studio-v2'
+      }, { requestedBy, headers: { 'X-API-Key': this.apiKey } });
 
       if (!response.ok) {
         throw new Error(`n8n responded with ${response.status}`);
       }
 
-      return await response.json();
+      return response.body;
     } catch (error) {
       console.error('Error triggering F4:', error);
       throw error;
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+import githubService from './github.service.js';
+import gcpService from './gcp.service.js';
+dotenv.config();
+
+const POLL_INTERVAL_MS = (parseInt(process.env.TEARDOWN_POLL_SECONDS) || 30) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.TEARDOWN_MAX_ATTEMPTS) || 5;
+
+// Retry after 30s, 1m, 2m, 4m... capped at an hour
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 3600;
+
+// A step still `running` after this long belongs to a process that died mid-call
+const STALE_RUNNING_MINUTES = 10;
+
+const CLAIM_BATCH_SIZE = 20;
+
+const backoffSeconds = (attempts) =>
+  Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+// Each step type deletes one external resource; a missing resource counts as deleted
+const STEP_HANDLERS = {
+  github_repo: async (target) => {
+    const result = await githubService.deleteRepository(target);
+    return { success: result.success, error: result.success ? null : result.message };
+  },
+  gcp_tenant: async (target) => {
+    const result = await gcpService.deleteTenant(target);
+    return { success: result.success, error: result.success ? null : result.error };
+  }
+};
+
+const JOB_SELECT = `
+  SELECT j.id, j.product_id, j.product_name, j.solution_id, j.requested_by, j.created_at,
+         CASE
+           WHEN bool_and(st.status = 'succeeded') THEN 'completed'
+           WHEN bool_or(st.status IN ('pending', 'running')) THEN 'in_progress'
+           ELSE 'failed'
+         END AS status,
+         json_agg(json_build_object(
+           'id', st.id,
+           'step_type', st.step_type,
+           'target', st.target,
+           'status', st.status,
+           'attempts', st.attempts,
+           'max_attempts', st.max_attempts,
+           'next_attempt_at', st.next_attempt_at,
+           'last_error', st.last_error,
+           'completed_at', st.completed_at
+         ) ORDER BY st.step_type) AS steps
+  FROM dreamteam.teardown_jobs j
+  JOIN dreamteam.teardown_steps st ON st.job_id = j.id`;
+
+/**
+ * Product teardown saga
+ * Purged products leave a persisted job with one step per GitHub repository or
+ * GCP tenant. Steps run outside the purge transaction, are retried with
+ * backoff, and survive restarts because the worker resumes whatever is due.
+ */
+class TeardownService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Record teardown jobs for products being purged. Call with the client of
+   * the transaction that deletes the rows so both commit or neither does.
+   * Products without a repository or tenant need no job.
+   * @returns {Promise<number[]>} created job IDs
+   */
+  async enqueue(client, products, { requestedBy = null } = {}) {
+    const jobIds = [];
+    for (const product of products) {
+      const steps = [
+        product.github_repo_url && ['github_repo', product.github_repo_url],
+        product.gcpip_tenant_id && ['gcp_tenant', product.gcpip_tenant_id]
+      ].filter(Boolean);
+      if (steps.length === 0) continue;
+
+      const job = await client.query(
+        `INSERT INTO dreamteam.teardown_jobs (product_id, product_name, solution_id, requested_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [product.id, product.name, product.solution_id, requestedBy]
+      );
+      for (const [stepType, target] of steps) {
+        await client.query(
+          `INSERT INTO dreamteam.teardown_steps (job_id, step_type, target, max_attempts)
+           VALUES ($1, $2, $3, $4)`,
+          [job.rows[0].id, stepType, target, MAX_ATTEMPTS]
+        );
+      }
+      jobIds.push(job.rows[0].id);
+    }
+    return jobIds;
+  }
+
+  /**
+   * Run every step that is due now, or only those of `jobIds`. Steps are
+   * claimed with SKIP LOCKED under a token for this run, so concurrent workers
+   * never run the same step twice and an outcome is only saved while the run
+   * still holds the step.
+   * @returns {Promise<{succeeded: number, retrying: number, failed: number}>}
+   */
+  async runDueSteps({ jobIds = null } = {}) {
+    const summary = { succeeded: 0, retrying: 0, failed: 0 };
+    const claimToken = crypto.randomUUID();
+    try {
+      await pool.query(
+        `UPDATE dreamteam.teardown_steps
+         SET status = 'pending', next_attempt_at = NOW(), claim_token = NULL
+         WHERE status = 'running' AND started_at < NOW() - make_interval(mins => $1)`,
+        [STALE_RUNNING_MINUTES]
+      );
+
+      const claimed = await pool.query(
+        `UPDATE dreamteam.teardown_steps
+         SET status = 'running', attempts = attempts + 1, started_at = NOW(), claim_token = $2
+         WHERE id IN (
+           SELECT id FROM dreamteam.teardown_steps
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+             AND ($3::int[] IS NULL OR job_id = ANY($3::int[]))
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, job_id, step_type, target, attempts, max_attempts`,
+        [CLAIM_BATCH_SIZE, claimToken, jobIds]
+      );
+
+      for (const step of claimed.rows) {
+        let outcome;
+        try {
+          outcome = await STEP_HANDLERS[step.step_type](step.target);
+        } catch (error) {
+          outcome = { success: false, error: error.message };
+        }
+
+        // Each update only applies while this run still holds the step
+        let released;
+        if (outcome.success) {
+          released = await pool.query(
+            `UPDATE dreamteam.teardown_steps
+             SET status = 'succeeded', last_error = NULL, completed_at = NOW(), claim_token = NULL
+             WHERE id = $1 AND claim_token = $2`,
+            [step.id, claimToken]
+          );
+          if (released.rowCount > 0) summary.succeeded++;
+        } else if (step.attempts >= step.max_attempts) {
+          released = await pool.query(
+            `UPDATE dreamteam.teardown_steps
+             SET status = 'failed', last_error = $3, claim_token = NULL
+             WHERE id = $1 AND claim_token = $2`,
+            [step.id, claimToken, outcome.error || 'Unknown error']
+          );
+          if (released.rowCount > 0) {
+            console.error(`Teardown step ${step.id} (${step.step_type} ${step.target}) failed after ${step.attempts} attempts: ${outcome.error}`);
+            summary.failed++;
+          }
+        } else {
+          released = await pool.query(
+            `UPDATE dreamteam.teardown_steps
+             SET status = 'pending', last_error = $3, claim_token = NULL,
+                 next_attempt_at = NOW() + make_interval(secs => $4)
+             WHERE id = $1 AND claim_token = $2`,
+            [step.id, claimToken, outcome.error || 'Unknown error', backoffSeconds(step.attempts)]
+          );
+          if (released.rowCount > 0) summary.retrying++;
+        }
+        if (released.rowCount === 0) {
+          console.log(`Teardown step ${step.id} was reclaimed as stale; discarding this run's outcome`);
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error running teardown steps:', error);
+      throw error;
+    }
+  }
+
+  // Poll for due steps, including ones left behind by a previous process
+  start() {
+    if (this.timer) return;
+    const tick = async () => {
+      if (this.isRunning) return;
+      this.isRunning = true;
+      try {
+        await this.runDueSteps();
+      } catch (error) {
+        // Logged by runDueSteps; the tables may not be migrated yet
+      } finally {
+        this.isRunning = false;
+      }
+    };
+    this.timer = setInterval(tick, POLL_INTERVAL_MS);
+    this.timer.unref();
+    tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Teardown jobs, newest first. `status` narrows to completed, in_progress or
+   * failed; `open` means anything not completed, i.e. what is left over.
+   */
+  async getJobs({ status = null, limit = 100 } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM (${JOB_SELECT} GROUP BY j.id) jobs
+         WHERE $1::text IS NULL
+            OR ($1 = 'open' AND status <> 'completed')
+            OR status = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [status, Math.min(parseInt(limit) || 100, 500)]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching teardown jobs:', error);
+      throw error;
+    }
+  }
+
+  async getJob(id) {
+    try {
+      const result = await pool.query(`${JOB_SELECT} WHERE j.id = $1 GROUP BY j.id`, [id]);
+      if (result.rows.length === 0) {
+        throw new Error('Teardown job not found');
+      }
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error fetching teardown job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a job's exhausted steps a fresh set of attempts and run them now.
+   * @returns {Promise<Object>} the job after the retry
+   */
+  async retryFailedSteps(jobId) {
+    try {
+      const job = await this.getJob(jobId);
+      const reset = await pool.query(
+        `UPDATE dreamteam.teardown_steps
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE job_id = $1 AND status = 'failed'
+         RETURNING id`,
+        [job.id]
+      );
+      if (reset.rows.length === 0) {
+        throw new Error('Teardown job has no failed steps');
+      }
+      await this.runDueSteps({ jobIds: [job.id] });
+      return await this.getJob(job.id);
+    } catch (error) {
+      console.error('Error retrying teardown steps:', error);
+      throw error;
+    }
+  }
+}
+
+export default new TeardownService();